@@ -2,8 +2,42 @@
 import { LogisticRegressionClassifier } from './logistic-regression-classifier.js';
 // Import LLM functions from dedicated background_llm.js module
 import { generateRecommendations as llmGenerateRecommendations } from './background_llm.js';
+// Import LLM provider settings (provider, model, API key store)
+import { getLLMConfig } from './llm_providers.js';
 // Import SmolLM recommender
 import { generateSmolLMRecommendations } from './smollm_recommender.js';
+// Import retention/rollup helpers for multi-day history
+import { getRetentionDays, daysBetween, rollupDays } from './history_rollup.js';
+// Import the per-day timeline helpers
+import { getTimelineKey, createTimelineEvent, appendTimelineEvent } from './timeline.js';
+// Import browsing session grouping
+import { getSessionGapMs, updateSessions, getSessionStats } from './sessions.js';
+// Import community/author/hashtag breakdowns
+import { updateDimensions, getDimensionStats } from './dimensions.js';
+// Import the doomscroll streak detector
+import { updateDoomscroll, getDoomscrollStats } from './doomscroll.js';
+// Import daily time budgets
+import { getBudgets, getTopicLimits, getNudgeMode, evaluateBudgets, evaluateTopicLimits, describeLimitStatus, getWorstLevel, BUDGET_BADGE_COLORS } from './budgets.js';
+// Import dynamic content-script registration for Mastodon instances
+import { getMastodonInstances, syncMastodonScripts } from './mastodon_instances.js';
+// Import title redaction (applied before titles are stored)
+import { getRedactionMode, redactTitle, getRedactedDimensions } from './redaction.js';
+// Import the archive of past recommendation sets
+import { RECOMMENDATION_HISTORY_KEY, createHistoryEntry, appendHistoryEntry } from './recommendation_history.js';
+// Import the end-of-day job schedule
+import { DAILY_JOB_ALARM, DAILY_JOB_STATUS_KEY, getDailyJobTime, getNextRunTime, isDailyJobDue, finalizeDayRecord } from './daily_job.js';
+// Import the notification digest
+import { DIGEST_NOTIFICATION_ID, getDigestFrequency, getDigestDays, getDigestWeekKey, combineDigestRecords, buildDigest } from './digest.js';
+// Import passphrase encryption (classic script shared with the popup and options page)
+// day_*, timeline_* and recommendation payloads go through cryptoStore.get/set so they are encrypted when enabled
+import './crypto_store.js';
+const cryptoStore = globalThis.HorizonCryptoStore;
+// Import the recommendation record helpers (classic script shared with the popup and options page)
+import './recommendations.js';
+const horizonRecommendations = globalThis.HorizonRecommendations;
+// Import the tracking rules (classic script shared with the content scripts, popup and options page)
+import './tracking_rules.js';
+const trackingRules = globalThis.HorizonTrackingRules;
 // Static import of transformers.js - REQUIRED for MV3 service workers
 // Chrome MV3 service workers DO NOT allow dynamic import() - must use static imports
 // The transformers.js file is located at libs/transformers/dist/transformers.min.js
@@ -66,66 +100,95 @@ async function loadLRClassifier() {
 }
 
 /**
- * Clear old daily data (data from previous days)
- * This ensures data is automatically cleared at the end of each day
+ * Apply the history retention window to daily data
+ * Days older than the configured window (7/30/90 days, or forever) are rolled
+ * up into weekly and monthly aggregates and then removed
  * Preserves yesterday's data until recommendations are generated
  */
+// Returns { rolledUp: number of days rolled up, error } for the end-of-day job status
 async function clearOldDailyData() {
   try {
     const today = getLocalDateString();
     const yesterday = getYesterdayDateString();
-    const todayKey = `day_${today}`;
     const yesterdayKey = `day_${yesterday}`;
     
+    // Locked days can't be rolled up; wait until the passphrase is entered
+    if (await cryptoStore.isLocked()) {
+      console.log('[Horizon] clearOldDailyData - tracking data is locked, skipping');
+      return { rolledUp: 0, error: null };
+    }
+    
     // Get all storage keys
-    const allData = await chrome.storage.local.get(null);
+    const allData = await cryptoStore.get(null);
+    const retentionDays = getRetentionDays(allData.settings);
     
     // Check if recommendations have been generated and for which date
-    const stored = await chrome.storage.local.get(['lastRecommendationDay', 'horizon_recommendations_date']);
-    const lastRecommendationDay = stored.lastRecommendationDay || null;
-    const recommendationsDate = stored.horizon_recommendations_date || null;
+    const lastRecommendationDay = allData.lastRecommendationDay || null;
+    const recommendationsDate = allData.horizon_recommendations_date || null;
+    
+    if (retentionDays === 0) {
+      console.log('[Horizon] clearOldDailyData - retention set to forever, nothing to roll up');
+      return { rolledUp: 0, error: null };
+    }
     
-    console.log('[Horizon] clearOldDailyData - preserving data for recommendations date:', recommendationsDate);
+    console.log(`[Horizon] clearOldDailyData - retention window: ${retentionDays} days, preserving data for recommendations date:`, recommendationsDate);
     
-    // Find and remove all day_* keys except today's and the day for which recommendations were generated
-    const keysToRemove = [];
+    // Find day_* keys that fell out of the retention window
+    const expiringDays = {};
     const allDayKeys = Object.keys(allData).filter(k => k.startsWith('day_'));
     console.log('[Horizon] clearOldDailyData - all day_ keys before cleanup:', allDayKeys);
     
-    for (const key in allData) {
-      if (key.startsWith('day_') && key !== todayKey) {
-        // Preserve yesterday's data if we haven't generated recommendations for it yet
-        if (key === yesterdayKey && lastRecommendationDay !== yesterday && today !== yesterday) {
-          console.log(`[Horizon] Preserving ${yesterdayKey} data until recommendations are generated`);
-          continue;
-        }
-        // Preserve the day's data for which recommendations were generated (so summary can be displayed)
-        if (recommendationsDate) {
-          const recommendationsKey = `day_${recommendationsDate}`;
-          if (key === recommendationsKey) {
-            console.log(`[Horizon] Preserving ${recommendationsKey} data for summary display`);
-            continue;
-          }
-        }
-        keysToRemove.push(key);
+    for (const key of allDayKeys) {
+      const dateStr = key.replace('day_', '');
+      if (daysBetween(dateStr, today) < retentionDays) {
+        continue;
       }
+      // Preserve yesterday's data if we haven't generated recommendations for it yet
+      if (key === yesterdayKey && lastRecommendationDay !== yesterday && today !== yesterday) {
+        console.log(`[Horizon] Preserving ${yesterdayKey} data until recommendations are generated`);
+        continue;
+      }
+      // Preserve the day's data for which recommendations were generated (so summary can be displayed)
+      if (recommendationsDate && key === `day_${recommendationsDate}`) {
+        console.log(`[Horizon] Preserving ${key} data for summary display`);
+        continue;
+      }
+      expiringDays[dateStr] = allData[key];
     }
     
-    console.log('[Horizon] clearOldDailyData - keys to remove:', keysToRemove);
+    const keysToRemove = Object.keys(expiringDays).map(dateStr => `day_${dateStr}`);
+    console.log('[Horizon] clearOldDailyData - keys to roll up and remove:', keysToRemove);
     
-    if (keysToRemove.length > 0) {
-      await chrome.storage.local.remove(keysToRemove);
-      console.log(`[Horizon] Cleared ${keysToRemove.length} old daily data entries:`, keysToRemove);
+    // Timelines expire with their day (or on their own once outside the window)
+    const timelineKeysToRemove = Object.keys(allData)
+      .filter(k => k.startsWith('timeline_'))
+      .filter(k => {
+        const dateStr = k.replace('timeline_', '');
+        return expiringDays[dateStr] || (!allData[`day_${dateStr}`] && daysBetween(dateStr, today) >= retentionDays);
+      });
+    if (timelineKeysToRemove.length > 0) {
+      await chrome.storage.local.remove(timelineKeysToRemove);
+      console.log(`[Horizon] Removed ${timelineKeysToRemove.length} expired timelines`);
     }
     
-    // Verify the recommendations date data still exists after cleanup
-    if (recommendationsDate) {
-      const recommendationsKey = `day_${recommendationsDate}`;
-      const verifyData = await chrome.storage.local.get([recommendationsKey]);
-      console.log('[Horizon] clearOldDailyData - after cleanup, recommendations data exists:', !!verifyData[recommendationsKey]);
+    if (keysToRemove.length > 0) {
+      // Write the rollups before removing the source days so nothing is lost on failure
+      const existingAggregates = {};
+      for (const key of Object.keys(allData)) {
+        if (key.startsWith('week_') || key.startsWith('month_')) {
+          existingAggregates[key] = allData[key];
+        }
+      }
+      const aggregates = rollupDays(expiringDays, existingAggregates);
+      // Encrypted like the days they summarize (they carry the same per-account maps)
+      await cryptoStore.set(aggregates);
+      await chrome.storage.local.remove(keysToRemove);
+      console.log(`[Horizon] Rolled up ${keysToRemove.length} old daily entries into ${Object.keys(aggregates).length} aggregates:`, keysToRemove);
     }
+    return { rolledUp: keysToRemove.length, error: null };
   } catch (error) {
     console.error('[Horizon] Error clearing old daily data:', error);
+    return { rolledUp: 0, error: error.message };
   }
 }
 
@@ -134,14 +197,22 @@ let lastRecommendationDay = null;
 
 /**
  * Check if day has changed and generate recommendations for the previous day if needed
+ * @returns {Promise<Object>} { status, day, error } for the end-of-day job status; status is one of
+ *   'generated', 'empty', 'failed', 'not_enough_data', 'no_data', 'disabled', 'up_to_date', 'locked' or 'error'
  */
 async function checkDayEndAndGenerateRecommendations() {
   try {
     const today = getLocalDateString();
     const yesterday = getYesterdayDateString();
     
+    // While locked, yesterday's data can't be read; checking now would mark the day as done without recommendations
+    if (await cryptoStore.isLocked()) {
+      console.log('[Horizon] Tracking data is locked, skipping day-end check');
+      return { status: 'locked', day: yesterday, error: null };
+    }
+    
     // Get the last recommendation day and current recommendations from storage
-    const stored = await chrome.storage.local.get(['lastRecommendationDay', 'horizon_recommendations', 'horizon_recommendations_date']);
+    const stored = await cryptoStore.get(['lastRecommendationDay', 'horizon_recommendations', 'horizon_recommendations_date']);
     lastRecommendationDay = stored.lastRecommendationDay || null;
     const existingRecommendations = stored.horizon_recommendations;
     const existingRecommendationsDate = stored.horizon_recommendations_date;
@@ -162,7 +233,7 @@ async function checkDayEndAndGenerateRecommendations() {
       // Only generate if recommendations are enabled
       if (settings && settings.enableRecommendations === true) {
         // Get all day_* keys to find the most recent day's data (excluding today)
-        const allData = await chrome.storage.local.get(null);
+        const allData = await cryptoStore.get(null);
         const dayKeys = Object.keys(allData).filter(key => key.startsWith('day_') && key !== `day_${today}`);
         
         // Sort day keys by date (most recent first)
@@ -175,13 +246,13 @@ async function checkDayEndAndGenerateRecommendations() {
         // Try to find data for yesterday first, then most recent day
         let targetKey = `day_${yesterday}`;
         let targetDate = yesterday;
-        let yesterdayData = await chrome.storage.local.get([targetKey]);
+        let yesterdayData = await cryptoStore.get([targetKey]);
         
         // If yesterday's data doesn't exist, use the most recent day's data
         if (!yesterdayData[targetKey] && dayKeys.length > 0) {
           targetKey = dayKeys[0];
           targetDate = targetKey.replace('day_', '');
-          yesterdayData = await chrome.storage.local.get([targetKey]);
+          yesterdayData = await cryptoStore.get([targetKey]);
           console.log(`[Horizon] Yesterday's data not found, using most recent day: ${targetDate}`);
         }
         
@@ -197,37 +268,11 @@ async function checkDayEndAndGenerateRecommendations() {
             console.log(`[Horizon] Day ended. Generating recommendations for ${dataDate} (data date: ${data.day || 'not set'}, calculated yesterday: ${yesterday})...`);
             console.log(`[Horizon] Data summary: totalMs=${data.totalMs}, topics=${Object.keys(data.byTopicCounts || {}).length}`);
             
-            // Get LLM preference (default to 'smollm')
-            const llmPreference = settings.recommendationLLM || 'smollm';
-            
             try {
-              let recommendations = '';
+              // Configured provider first; a failing remote provider falls back to SmolLM
+              const recommendations = await generateRecommendationsWithFallback(dataDate, data, settings);
               
-              if (llmPreference === 'chatgpt') {
-                // Generate using ChatGPT
-                const result = await generateRecommendationsForDate(dataDate, data);
-                if (result && result.success) {
-                  recommendations = result.recommendations || '';
-                } else {
-                  console.warn(`[Horizon] Failed to generate ChatGPT recommendations for ${dataDate}:`, result?.error);
-                  // Try SmolLM as fallback
-                  const fallbackResult = await generateSmolLMRecommendationsForDate(dataDate, data);
-                  if (fallbackResult && fallbackResult.success) {
-                    recommendations = fallbackResult.recommendations || '';
-                    console.log(`[Horizon] Used SmolLM as fallback for ${dataDate}`);
-                  }
-                }
-              } else {
-                // Generate using SmolLM
-                const result = await generateSmolLMRecommendationsForDate(dataDate, data);
-                if (result && result.success) {
-                  recommendations = result.recommendations || '';
-                } else {
-                  console.warn(`[Horizon] Failed to generate SmolLM recommendations for ${dataDate}:`, result?.error);
-                }
-              }
-              
-              if (recommendations && recommendations.trim().length > 0) {
+              if (recommendations.length > 0) {
                 // Store recommendations with the date from the data itself (not calculated yesterday)
                 // Also store a snapshot of the summary data so it can be displayed later
                 const summarySnapshot = {
@@ -242,7 +287,7 @@ async function checkDayEndAndGenerateRecommendations() {
                   seenPosts: data.seenPosts || {}
                 };
                 
-                await chrome.storage.local.set({
+                await cryptoStore.set({
                   'horizon_recommendations': recommendations,
                   'horizon_recommendations_date': dataDate,
                   'lastRecommendationDay': dataDate,
@@ -252,30 +297,36 @@ async function checkDayEndAndGenerateRecommendations() {
                 });
                 console.log(`[Horizon] Recommendations generated and saved for ${dataDate}`);
                 console.log(`[Horizon] Summary snapshot stored with ${Object.keys(summarySnapshot.byTopicCounts).length} topics`);
-                console.log(`[Horizon] Recommendations preview: ${recommendations.substring(0, 100)}...`);
+                console.log(`[Horizon] Recommended topics: ${recommendations.map(rec => rec.topic).join(', ')}`);
+                return { status: 'generated', day: dataDate, error: null };
               } else {
                 console.warn(`[Horizon] No recommendations generated for ${dataDate} (empty result)`);
                 // Still mark as processed to avoid repeated attempts
                 await chrome.storage.local.set({ 'lastRecommendationDay': dataDate });
+                return { status: 'empty', day: dataDate, error: null };
               }
             } catch (error) {
               console.error(`[Horizon] Error generating recommendations for ${dataDate}:`, error);
               console.error(`[Horizon] Error stack:`, error.stack);
               // Mark as processed even on error to avoid infinite retries
               await chrome.storage.local.set({ 'lastRecommendationDay': dataDate });
+              return { status: 'failed', day: dataDate, error: error.message };
             }
           } else {
             console.log(`[Horizon] Not enough data for ${dataDate} to generate recommendations (totalMs: ${data.totalMs || 0})`);
             // Still mark as processed to avoid repeated checks
             await chrome.storage.local.set({ 'lastRecommendationDay': dataDate });
+            return { status: 'not_enough_data', day: dataDate, error: null };
           }
         } else {
           // No data for yesterday, mark as processed
           console.log(`[Horizon] No data found for ${yesterday}, marking as processed`);
           await chrome.storage.local.set({ 'lastRecommendationDay': yesterday });
+          return { status: 'no_data', day: yesterday, error: null };
         }
       } else {
         console.log('[Horizon] Recommendations disabled, skipping automatic generation');
+        return { status: 'disabled', day: yesterday, error: null };
       }
     } else {
       // Log why we're not generating (for debugging)
@@ -286,17 +337,161 @@ async function checkDayEndAndGenerateRecommendations() {
       } else if (existingRecommendations && existingRecommendationsDate === yesterday) {
         console.log(`[Horizon] Recommendations already exist for ${yesterday}`);
       }
+      return { status: 'up_to_date', day: yesterday, error: null };
     }
   } catch (error) {
     console.error('[Horizon] Error in checkDayEndAndGenerateRecommendations:', error);
     console.error('[Horizon] Error stack:', error.stack);
+    return { status: 'error', day: null, error: error.message };
+  }
+}
+
+/**
+ * Mark a finished day's record as final (see finalizeDayRecord in daily_job.js)
+ * @returns {Promise<string>} 'finalized', 'already_finalized' or 'no_data'
+ */
+async function finalizeDay(day) {
+  const key = `day_${day}`;
+  const stored = await cryptoStore.get([key]);
+  if (!stored[key]) {
+    return 'no_data';
+  }
+  if (stored[key].finalizedAt) {
+    return 'already_finalized';
+  }
+  await cryptoStore.set({ [key]: finalizeDayRecord(stored[key], day) });
+  console.log(`[Horizon] Finalized ${key}`);
+  return 'finalized';
+}
+
+/**
+ * Send the notification digest when one is due after `day` (see digest.js)
+ * The first recommendation is only included when it was generated for one of the digest's days
+ * @returns {Promise<string>} 'sent', 'off', 'not_due', 'no_data' or 'failed'
+ */
+async function sendDigest(day, settings) {
+  const frequency = getDigestFrequency(settings);
+  if (frequency === 'off') {
+    return 'off';
+  }
+  const days = getDigestDays(frequency, day);
+  if (days.length === 0) {
+    return 'not_due';
+  }
+  const weekKey = getDigestWeekKey(days);
+  const dayKeys = days.map(date => `day_${date}`);
+  const stored = await cryptoStore.get([...dayKeys, ...(weekKey ? [weekKey] : []), 'horizon_recommendations', 'horizon_recommendations_date']);
+  const summary = combineDigestRecords(dayKeys.map(key => stored[key]), weekKey ? stored[weekKey] : null);
+  const [first] = days.includes(stored.horizon_recommendations_date)
+    ? horizonRecommendations.normalize(stored.horizon_recommendations)
+    : [];
+  const digest = buildDigest({ frequency, days, summary, recommendation: first ? horizonRecommendations.toText(first) : null });
+  if (!digest) {
+    return 'no_data';
+  }
+  try {
+    await chrome.notifications.create(DIGEST_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: 'HorizonIcon128.png',
+      title: digest.title,
+      message: digest.message
+    });
+    console.log(`[Horizon] Sent the ${frequency} digest for ${days[0]}${days.length > 1 ? ` to ${days[days.length - 1]}` : ''}`);
+    return 'sent';
+  } catch (error) {
+    console.log('[Horizon] Could not show the digest notification:', error.message);
+    return 'failed';
+  }
+}
+
+// The end-of-day job in progress, if any (see runDailyJob)
+let dailyJobRun = null;
+
+/**
+ * (Re)create the end-of-day alarm for the next run at the chosen time
+ * A one-off alarm re-created after each run, rather than a 24-hour period, keeps the wall-clock time across DST changes
+ * @returns {Promise<number>} When the job runs next (ms)
+ */
+async function scheduleDailyJob(settings = null) {
+  if (!settings) {
+    ({ settings } = await chrome.storage.local.get(['settings']));
+  }
+  const nextRunAt = getNextRunTime(getDailyJobTime(settings));
+  await chrome.alarms.create(DAILY_JOB_ALARM, { when: nextRunAt });
+  const { [DAILY_JOB_STATUS_KEY]: status } = await chrome.storage.local.get([DAILY_JOB_STATUS_KEY]);
+  await chrome.storage.local.set({ [DAILY_JOB_STATUS_KEY]: { ...status, nextRunAt } });
+  console.log(`[Horizon] End-of-day job scheduled for ${new Date(nextRunAt).toLocaleString()}`);
+  return nextRunAt;
+}
+
+/**
+ * End-of-day job: finalize yesterday's record, generate its recommendations, send the digest, roll up
+ * days past the retention window, then store how it went (daily_job_status) and schedule the next run
+ * A run already in progress is shared rather than started twice
+ * @param {string} reason - 'alarm', 'catch-up' (missed while the browser was closed) or 'manual'
+ */
+function runDailyJob(reason) {
+  if (!dailyJobRun) {
+    dailyJobRun = performDailyJob(reason).finally(() => {
+      dailyJobRun = null;
+    });
   }
+  return dailyJobRun;
 }
 
 /**
- * Generate recommendations using ChatGPT for a specific date's data
+ * Run the end-of-day job when its time passed without it running (see isDailyJobDue)
+ * @returns {Promise<Object|null>} The run, or null when it wasn't due
  */
-async function generateRecommendationsForDate(date, data) {
+async function runDailyJobIfDue(reason) {
+  const { settings, [DAILY_JOB_STATUS_KEY]: status } = await chrome.storage.local.get(['settings', DAILY_JOB_STATUS_KEY]);
+  if (!isDailyJobDue(status, getDailyJobTime(settings), getYesterdayDateString())) {
+    return null;
+  }
+  return runDailyJob(reason);
+}
+
+async function performDailyJob(reason) {
+  const day = getYesterdayDateString();
+  const run = { reason, day, startedAt: Date.now(), finishedAt: null, status: 'ok', steps: {}, error: null };
+  console.log(`[Horizon] Running end-of-day job for ${day} (${reason})`);
+  try {
+    if (await cryptoStore.isLocked()) {
+      run.status = 'skipped';
+      run.error = 'Tracking data is locked';
+    } else {
+      run.steps.finalize = await finalizeDay(day);
+      // Recommendations before the rollup, which may remove the day they are generated from
+      const recommendations = await checkDayEndAndGenerateRecommendations();
+      run.steps.recommendations = recommendations.status;
+      // Digest after the recommendations (it quotes the first one) and before the rollup
+      const { settings } = await chrome.storage.local.get(['settings']);
+      run.steps.digest = await sendDigest(day, settings);
+      const rollup = await clearOldDailyData();
+      run.steps.rollup = rollup.rolledUp;
+      const error = recommendations.error || rollup.error;
+      if (error) {
+        run.status = 'error';
+        run.error = error;
+      }
+    }
+  } catch (error) {
+    console.error('[Horizon] End-of-day job failed:', error);
+    run.status = 'error';
+    run.error = error.message;
+  }
+  run.finishedAt = Date.now();
+  const { [DAILY_JOB_STATUS_KEY]: status } = await chrome.storage.local.get([DAILY_JOB_STATUS_KEY]);
+  await chrome.storage.local.set({ [DAILY_JOB_STATUS_KEY]: { ...status, lastRun: run } });
+  await scheduleDailyJob();
+  console.log(`[Horizon] End-of-day job finished: ${run.status}`, run.steps);
+  return run;
+}
+
+/**
+ * Generate recommendations with the configured provider for a specific date's data
+ */
+async function generateRecommendationsForDate(date, data, settings) {
   try {
     // Check if we have enough data
     if (!data.totalMs || data.totalMs < 60000) {
@@ -317,20 +512,20 @@ async function generateRecommendationsForDate(date, data) {
       }
     }
     
-    // Generate recommendations using background_llm.js module
+    // Generate recommendations using background_llm.js module (picks the provider from settings)
     const recommendations = await llmGenerateRecommendations({
       byTopicCounts: data.byTopicCounts || {},
       byTopic: data.byTopic || {},
       lrProbabilities: data.lrProbabilities || {},
       samplePostTitle: randomPostTitle
-    });
+    }, settings);
 
     return {
       success: true,
-      recommendations: recommendations || ''
+      recommendations: recommendations || []
     };
   } catch (error) {
-    console.error('[Horizon] Error generating ChatGPT recommendations:', error);
+    console.error('[Horizon] Error generating recommendations:', error);
     return {
       success: false,
       error: error.message || 'Failed to generate recommendations'
@@ -371,7 +566,7 @@ async function generateSmolLMRecommendationsForDate(date, data) {
 
     return {
       success: true,
-      recommendations: recommendations || ''
+      recommendations: recommendations || []
     };
   } catch (error) {
     console.error('[Horizon] Error generating SmolLM recommendations:', error);
@@ -382,53 +577,92 @@ async function generateSmolLMRecommendationsForDate(date, data) {
   }
 }
 
+/**
+ * Add a generated set to the recommendation history (see recommendation_history.js)
+ * A failure here is logged and doesn't stop the recommendations from being shown
+ */
+async function archiveRecommendations(date, data, config, recommendations, fallbackFrom = null) {
+  if (!recommendations || recommendations.length === 0) {
+    return;
+  }
+  try {
+    const stored = await cryptoStore.get([RECOMMENDATION_HISTORY_KEY]);
+    const entry = createHistoryEntry({ date, config, fallbackFrom, data, recommendations });
+    await cryptoStore.set({ [RECOMMENDATION_HISTORY_KEY]: appendHistoryEntry(stored[RECOMMENDATION_HISTORY_KEY], entry) });
+    console.log(`[Horizon] Archived ${recommendations.length} ${config.label} recommendations for ${date}`);
+  } catch (error) {
+    console.warn('[Horizon] Could not archive recommendations:', error.message);
+  }
+}
+
+/**
+ * Generate a day's recommendations with the configured provider
+ * When a remote provider (OpenAI or a compatible server) fails, SmolLM is tried instead
+ * Every non-empty result is added to the recommendation history
+ * @returns {Promise<Array>} Recommendation objects (see recommendations.js), empty when nothing could be generated
+ */
+async function generateRecommendationsWithFallback(dataDate, data, settings) {
+  const config = getLLMConfig(settings);
+  const result = await generateRecommendationsForDate(dataDate, data, settings);
+  if (result && result.success && result.recommendations.length > 0) {
+    await archiveRecommendations(dataDate, data, config, result.recommendations);
+    return result.recommendations;
+  }
+  console.warn(`[Horizon] Failed to generate ${config.label} recommendations for ${dataDate}:`, result?.error);
+  if (config.local) {
+    return [];
+  }
+  // Try SmolLM as fallback
+  const fallbackResult = await generateSmolLMRecommendationsForDate(dataDate, data);
+  if (fallbackResult && fallbackResult.success) {
+    console.log(`[Horizon] Used SmolLM as fallback for ${dataDate}`);
+    await archiveRecommendations(dataDate, data, getLLMConfig({ recommendationLLM: 'smollm' }), fallbackResult.recommendations, config.provider);
+    return fallbackResult.recommendations;
+  }
+  return [];
+}
+
 // Load classifier on extension startup
 (async () => {
   try {
     await loadLRClassifier();
     await loadEmbeddingCacheFromStorage();
     
-    // Check for day-end and generate recommendations BEFORE clearing old data
-    // This ensures we can access yesterday's data to generate recommendations
-    await checkDayEndAndGenerateRecommendations();
-    
-    // Clear old daily data on startup (after generating recommendations)
-    await clearOldDailyData();
+    // Run the end-of-day job now if its time passed while the browser was closed
+    // (it also schedules the next run); otherwise just roll up expired days
+    if (!(await runDailyJobIfDue('catch-up'))) {
+      await clearOldDailyData();
+      
+      // Alarms don't always survive a browser restart
+      if (!(await chrome.alarms.get(DAILY_JOB_ALARM))) {
+        await scheduleDailyJob();
+      }
+    }
     
     // Initialize badge with current tracking data
     const summary = await getTodaySummary();
-    await updateBadge(summary.totalMs);
+    await updateBadge(summary.totalMs, summary.byDomain);
     
     // Set up periodic badge updates (every 15 minutes)
     setInterval(async () => {
       try {
         const summary = await getTodaySummary();
-        await updateBadge(summary.totalMs);
+        await updateBadge(summary.totalMs, summary.byDomain);
       } catch (error) {
         console.log('[Horizon] Periodic badge update skipped:', error.message);
       }
     }, 15 * 60 * 1000); // 15 minutes
     
-    // Set up periodic daily data cleanup and day-end check (check every hour)
+    // Set up periodic daily data cleanup (every hour)
+    // Day-end recommendations come from the end-of-day job's alarm, not from here
     setInterval(async () => {
       try {
-        // Check for day-end and generate recommendations BEFORE clearing old data
-        await checkDayEndAndGenerateRecommendations();
         await clearOldDailyData();
       } catch (error) {
         console.error('[Horizon] Error during periodic data cleanup:', error);
       }
     }, 60 * 60 * 1000); // 1 hour
     
-    // Also check for day-end every 15 minutes (more frequent check around midnight)
-    setInterval(async () => {
-      try {
-        await checkDayEndAndGenerateRecommendations();
-      } catch (error) {
-        console.error('[Horizon] Error during day-end check:', error);
-      }
-    }, 15 * 60 * 1000); // 15 minutes
-    
     console.log('[Horizon] Extension initialized successfully');
   } catch (error) {
     console.error('[Horizon] Error during extension initialization:', error);
@@ -1067,12 +1301,13 @@ async function getEmbedding(text, tabId = null) {
 
 
 // Store engagement data
+// Returns the updated day record and any budgets this delta pushed over their limit
 async function storeEngagement(data) {
   const today = getLocalDateString(); // YYYY-MM-DD in local timezone
   const key = `day_${today}`;
   
   // Get existing data for today
-  const result = await chrome.storage.local.get([key]);
+  const result = await cryptoStore.get([key, 'settings']);
   const existing = result[key] || {
     day: today,
     byDomain: {},
@@ -1108,6 +1343,7 @@ async function storeEngagement(data) {
   
   // Skip topic updates if title is empty or invalid
   const hasValidTitle = data.title && typeof data.title === 'string' && data.title.trim().length > 5;
+  let isNewPost = false;
   
   // Update topic classification if available
   // Only count unique posts (by embedding hash) to avoid duplicates
@@ -1119,11 +1355,12 @@ async function storeEngagement(data) {
     
     // Only increment count if we haven't seen this post before
     if (!existing.seenPosts[data.embeddingHash]) {
+      isNewPost = true;
       existing.byTopicCounts[topic] = (existing.byTopicCounts[topic] || 0) + 1;
       existing.seenPosts[data.embeddingHash] = {
         topic: topic,
         firstSeen: data.capturedAt || Date.now(),
-        title: data.title || null,
+        title: redactTitle(data.title, getRedactionMode(result.settings)),
         lrConfidence: data.lrConfidence || null
       };
     
@@ -1155,6 +1392,9 @@ async function storeEngagement(data) {
     console.log('[Horizon] Skipping topic update: empty or invalid title');
   }
   
+  // Community, author and hashtag breakdowns (post counts follow the topic dedup above)
+  updateDimensions(existing, data, isNewPost);
+  
   if (Array.isArray(data.embedding) && data.embedding.length > 0) {
     const sample = {
       domain,
@@ -1173,24 +1413,133 @@ async function storeEngagement(data) {
   // Update total
   existing.totalMs += data.deltaMs;
   
+  // Group deltas into per-domain browsing sessions (split by the idle gap from settings)
+  const capturedAt = data.capturedAt || Date.now();
+  existing.sessions = updateSessions(existing.sessions, {
+    domain,
+    start: capturedAt - data.deltaMs,
+    deltaMs: data.deltaMs,
+    topic: hasValidTitle && data.topic && data.topic !== 'unknown' ? data.topic : null,
+    isNewPost
+  }, getSessionGapMs(result.settings));
+  
+  // Track long, fast, low-dwell scrolling streaks
+  existing.doomscroll = updateDoomscroll(existing.doomscroll, {
+    domain,
+    start: capturedAt - data.deltaMs,
+    deltaMs: data.deltaMs,
+    scrollPx: Number(data.scrollPx) || 0,
+    scrollVelocity: Number(data.scrollVelocity) || 0,
+    titlesPerMinute: Number(data.titlesPerMinute) || 0
+  });
+  
+  // Record budgets reached by this delta so each one only nudges once per day
+  const reachedBudgets = markReachedBudgets(existing, result.settings);
+  
   // Save back
-  await chrome.storage.local.set({ [key]: existing });
+  await cryptoStore.set({ [key]: existing });
   
   console.log(`[Horizon] Stored ${data.deltaMs}ms for ${domain}, total today: ${existing.totalMs}ms`);
   
   // Update badge to show tracking is active
-  updateBadge(existing.totalMs);
+  updateBadge(existing.totalMs, existing.byDomain);
+  
+  return { record: existing, reachedBudgets };
+}
+
+/**
+ * Append an engagement delta to today's timeline log
+ */
+async function recordTimelineEvent(data) {
+  try {
+    const key = getTimelineKey(getLocalDateString());
+    const result = await cryptoStore.get([key]);
+    const events = appendTimelineEvent(result[key], createTimelineEvent(data));
+    await cryptoStore.set({ [key]: events });
+  } catch (error) {
+    console.error('[Horizon] Error recording timeline event:', error);
+  }
+}
+
+/**
+ * Get the timeline log for a day (defaults to today)
+ */
+async function getTimeline(dateStr = null) {
+  const day = dateStr || getLocalDateString();
+  const key = getTimelineKey(day);
+  const result = await cryptoStore.get([key]);
+  return { day, events: Array.isArray(result[key]) ? result[key] : [] };
+}
+
+/**
+ * Find budgets and topic limits that are exceeded but haven't been alerted yet today
+ * Marks them in record.budgetAlerts (in place) and returns their statuses
+ */
+function markReachedBudgets(record, settings) {
+  const statuses = [
+    ...evaluateBudgets(record, getBudgets(settings)),
+    ...evaluateTopicLimits(record, getTopicLimits(settings))
+  ];
+  if (!record.budgetAlerts) {
+    record.budgetAlerts = {};
+  }
+  const reached = statuses.filter(status => status.level === 'exceeded' && !record.budgetAlerts[status.id]);
+  for (const status of reached) {
+    record.budgetAlerts[status.id] = Date.now();
+  }
+  return reached;
+}
+
+/**
+ * Tell the user a budget or topic limit was reached, using the nudge mode from settings
+ * Overlays go to the tab that sent the engagement; notifications are system-wide
+ */
+async function sendBudgetNudges(reachedBudgets, settings, tabId = null) {
+  const mode = getNudgeMode(settings);
+  if (mode === 'off') {
+    return;
+  }
+  
+  for (const status of reachedBudgets) {
+    const { title, message } = describeLimitStatus(status);
+    
+    console.log(`[Horizon] Limit reached for ${status.label}:`, message);
+    
+    if ((mode === 'overlay' || mode === 'both') && tabId !== null) {
+      try {
+        await chrome.tabs.sendMessage(tabId, { type: 'horizon_nudge', title, message });
+      } catch (error) {
+        console.log('[Horizon] Could not show in-page nudge:', error.message);
+      }
+    }
+    
+    if (mode === 'notification' || mode === 'both') {
+      try {
+        await chrome.notifications.create(`horizon_limit_${status.id}`, {
+          type: 'basic',
+          iconUrl: 'HorizonIcon128.png',
+          title: `Horizon: ${title}`,
+          message
+        });
+      } catch (error) {
+        console.log('[Horizon] Could not show limit notification:', error.message);
+      }
+    }
+  }
 }
 
 // Update extension badge with tracked time
-async function updateBadge(totalMs) {
+// The badge turns amber near a daily budget and red once one is exceeded
+async function updateBadge(totalMs, byDomain = {}) {
   try {
     const minutes = Math.round(totalMs / (1000 * 60));
     if (minutes > 0) {
+      const { settings } = await chrome.storage.local.get(['settings']);
+      const level = getWorstLevel(evaluateBudgets({ totalMs, byDomain }, getBudgets(settings)));
       // Show minutes on badge (max 99+ for display)
       const badgeText = minutes > 99 ? '99+' : String(minutes);
       await chrome.action.setBadgeText({ text: badgeText });
-      await chrome.action.setBadgeBackgroundColor({ color: '#2b6cb0' });
+      await chrome.action.setBadgeBackgroundColor({ color: BUDGET_BADGE_COLORS[level] });
     } else {
       // Clear badge if no tracking data
       await chrome.action.setBadgeText({ text: '' });
@@ -1206,18 +1555,18 @@ async function getTodaySummary(skipRecommendationCheck = false) {
   const today = getLocalDateString();
   const key = `day_${today}`;
   
-  // Only check for day-end and generate recommendations if not skipped
+  // Catch up on the end-of-day job if it was missed, unless skipped
   // This allows the popup to load summary first, then generate recommendations separately
   if (!skipRecommendationCheck) {
-    await checkDayEndAndGenerateRecommendations();
+    await runDailyJobIfDue('catch-up');
   }
   
-  // Clear old daily data when accessing today's summary
-  // This ensures old data is cleaned up when the popup is opened
+  // Apply the retention window when accessing today's summary
+  // This ensures expired days are rolled up when the popup is opened
   // BUT: We preserve yesterday's data if recommendations haven't been generated yet
   await clearOldDailyData();
   
-  const result = await chrome.storage.local.get([key]);
+  const result = await cryptoStore.get([key]);
   const summary = result[key] || {
     day: today,
     byDomain: {},
@@ -1254,6 +1603,12 @@ async function getTodaySummary(skipRecommendationCheck = false) {
   }
   summary.lrProbabilities = lrProbMap;
   
+  // Session count, longest session and average length for the popup
+  summary.sessionStats = getSessionStats(summary.sessions);
+  summary.doomscrollStats = getDoomscrollStats(summary.doomscroll);
+  // Top communities, accounts and hashtags by time
+  summary.dimensionStats = getDimensionStats(summary);
+  
   // Debug logging
   console.log('[Horizon] Summary requested:', {
     day: today,
@@ -1266,11 +1621,41 @@ async function getTodaySummary(skipRecommendationCheck = false) {
   return summary;
 }
 
+/**
+ * Get per-day records for the last N days (oldest first, today included)
+ * Days without data are returned as empty records so charts keep a continuous axis
+ */
+async function getHistoryRange(numDays = 7) {
+  const dayCount = Math.max(1, Math.min(Number(numDays) || 7, 365));
+  const dates = [];
+  for (let offset = dayCount - 1; offset >= 0; offset--) {
+    const date = new Date();
+    date.setDate(date.getDate() - offset);
+    dates.push(getLocalDateString(date));
+  }
+  
+  const keys = dates.map(date => `day_${date}`);
+  const stored = await cryptoStore.get(keys);
+  
+  return dates.map(date => {
+    const data = stored[`day_${date}`] || {};
+    return {
+      day: date,
+      byDomain: data.byDomain || {},
+      byContentType: data.byContentType || {},
+      byTopic: data.byTopic || {},
+      byTopicCounts: data.byTopicCounts || {},
+      totalMs: data.totalMs || 0,
+      hasData: !!stored[`day_${date}`]
+    };
+  });
+}
+
 // Get previous day's summary (the data used for recommendations)
 async function getPreviousDaySummary() {
   try {
     // First, try to get the stored summary snapshot (most reliable)
-    const stored = await chrome.storage.local.get(['horizon_recommendations_date', 'horizon_recommendations_summary']);
+    const stored = await cryptoStore.get(['horizon_recommendations_date', 'horizon_recommendations_summary']);
     const summarySnapshot = stored.horizon_recommendations_summary;
     let recommendationsDate = stored.horizon_recommendations_date;
     
@@ -1315,7 +1700,7 @@ async function getPreviousDaySummary() {
     if (!recommendationsDate) {
       const yesterday = getYesterdayDateString();
       const yesterdayKey = `day_${yesterday}`;
-      const yesterdayData = await chrome.storage.local.get([yesterdayKey]);
+      const yesterdayData = await cryptoStore.get([yesterdayKey]);
       
       console.log('[Horizon] getPreviousDaySummary - no recommendations date, checking yesterday:', yesterday, 'found:', !!yesterdayData[yesterdayKey]);
       
@@ -1324,7 +1709,7 @@ async function getPreviousDaySummary() {
       } else {
         // Try to find the most recent day's data (excluding today)
         const today = getLocalDateString();
-        const allData = await chrome.storage.local.get(null);
+        const allData = await cryptoStore.get(null);
         const dayKeys = Object.keys(allData).filter(key => key.startsWith('day_') && key !== `day_${today}`);
         
         console.log('[Horizon] getPreviousDaySummary - searching for most recent day, found keys:', dayKeys);
@@ -1351,14 +1736,14 @@ async function getPreviousDaySummary() {
     // Get the data for that date
     const key = `day_${recommendationsDate}`;
     console.log('[Horizon] getPreviousDaySummary - looking for data with key:', key);
-    const result = await chrome.storage.local.get([key]);
+    const result = await cryptoStore.get([key]);
     const data = result[key];
     
     console.log('[Horizon] getPreviousDaySummary - data found:', !!data, 'keys in result:', Object.keys(result));
     
     if (!data) {
       // Data might have been cleared already - let's check all day_ keys
-      const allData = await chrome.storage.local.get(null);
+      const allData = await cryptoStore.get(null);
       const allDayKeys = Object.keys(allData).filter(k => k.startsWith('day_'));
       console.log('[Horizon] getPreviousDaySummary - data not found. All day_ keys in storage:', allDayKeys);
       return null;
@@ -1442,25 +1827,14 @@ async function generateSmolLMRecommendationsWrapper() {
       lrProbabilities: summary.lrProbabilities || {},
       samplePostTitle: randomPostTitle
     });
-    console.log('[Horizon] Recommendations received from SmolLM (length:', recommendations.length, 'chars)');
-    console.log('[Horizon] Recommendations preview:', recommendations.substring(0, 200));
+    console.log('[Horizon] Recommendations received from SmolLM:', recommendations.length);
 
-    // Check if we got a valid response (not the error message)
-    const errorMessage = 'Unable to generate specific recommendations';
-    if (recommendations && recommendations.includes(errorMessage)) {
-      console.warn('[Horizon] Received error message from SmolLM, treating as failure');
+    // Check if the output could be parsed into recommendations
+    if (recommendations.length === 0) {
+      console.warn('[Horizon] No recommendations parsed from SmolLM output, treating as failure');
       return {
         success: false,
-        error: 'SmolLM generated an error message. The model output may not match the expected format. Please try again.'
-      };
-    }
-
-    // Check if recommendations are too short (likely invalid)
-    if (!recommendations || recommendations.trim().length < 20) {
-      console.warn('[Horizon] Recommendations too short, treating as failure');
-      return {
-        success: false,
-        error: 'Generated recommendations are too short or empty. Please try again.'
+        error: 'SmolLM output did not match the expected format. Please try again.'
       };
     }
 
@@ -1468,10 +1842,11 @@ async function generateSmolLMRecommendationsWrapper() {
     await chrome.storage.local.set({ 
       lastSmolLMRecommendationTime: Date.now()
     });
+    await archiveRecommendations(summary.day || getLocalDateString(), summary, getLLMConfig({ recommendationLLM: 'smollm' }), recommendations);
 
     return {
       success: true,
-      recommendations: recommendations || ''
+      recommendations: recommendations || []
     };
   } catch (error) {
     console.error('[Horizon] Error generating SmolLM recommendations:', error);
@@ -1483,7 +1858,7 @@ async function generateSmolLMRecommendationsWrapper() {
   }
 }
 
-// Generate recommendations using embedding-based analysis via background_llm.js
+// Generate recommendations with the configured provider via background_llm.js
 async function generateRecommendations() {
   try {
     // Get settings
@@ -1525,18 +1900,19 @@ async function generateRecommendations() {
       byTopic: summary.byTopic || {},
       lrProbabilities: summary.lrProbabilities || {},
       samplePostTitle: randomPostTitle
-    });
-    console.log('[Horizon] Recommendations received from background_llm.js (length:', recommendations.length, 'chars)');
+    }, settings);
+    console.log('[Horizon] Recommendations received from background_llm.js:', recommendations.length);
 
     // Store the generation time (both for 4-hour cooldown and 30-second cooldown)
     await chrome.storage.local.set({ 
       lastRecommendationTime: Date.now(),
       lastLLMRequest: Date.now() // Also store for 30-second cooldown
     });
+    await archiveRecommendations(summary.day || getLocalDateString(), summary, getLLMConfig(settings), recommendations || []);
 
     return {
       success: true,
-      recommendations: recommendations || ''
+      recommendations: recommendations || []
     };
   } catch (error) {
     console.error('[Horizon] Error generating recommendations:', error);
@@ -1557,6 +1933,78 @@ async function generateRecommendations() {
   }
 }
 
+// Recolor the badge right away when budgets are edited in the options page
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  const oldBudgets = JSON.stringify(changes.settings.oldValue?.budgets || {});
+  const newBudgets = JSON.stringify(changes.settings.newValue?.budgets || {});
+  if (oldBudgets === newBudgets) return;
+  try {
+    const key = `day_${getLocalDateString()}`;
+    const result = await cryptoStore.get([key]);
+    const record = result[key] || {};
+    await updateBadge(record.totalMs || 0, record.byDomain || {});
+  } catch (error) {
+    console.log('[Horizon] Badge refresh after budget change skipped:', error.message);
+  }
+});
+
+// Keep the Mastodon content scripts in step with the instances chosen in the options page
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  const oldHosts = getMastodonInstances(changes.settings.oldValue);
+  const newHosts = getMastodonInstances(changes.settings.newValue);
+  if (JSON.stringify(oldHosts) === JSON.stringify(newHosts)) return;
+  try {
+    const registered = await syncMastodonScripts(changes.settings.newValue);
+    console.log('[Horizon] Mastodon content scripts registered for:', registered);
+  } catch (error) {
+    console.error('[Horizon] Failed to register Mastodon content scripts:', error);
+  }
+});
+
+// Move the end-of-day alarm when its time is changed in the options page
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  const oldTime = getDailyJobTime(changes.settings.oldValue);
+  const newTime = getDailyJobTime(changes.settings.newValue);
+  if (oldTime === newTime) return;
+  try {
+    await scheduleDailyJob(changes.settings.newValue);
+  } catch (error) {
+    console.error('[Horizon] Failed to reschedule the end-of-day job:', error);
+  }
+});
+
+// Clicking the digest opens the popup, or the same page in a tab when the popup can't be opened
+// (chrome.action.openPopup needs a focused browser window)
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId !== DIGEST_NOTIFICATION_ID) return;
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    console.log('[Horizon] Could not open the popup, opening the dashboard in a tab:', error.message);
+    await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// End-of-day job (registered at the top level so the alarm wakes the service worker)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== DAILY_JOB_ALARM) return;
+  await runDailyJob('alarm');
+});
+
+// Re-register on install/update in case permissions changed while the extension was off
+chrome.runtime.onInstalled.addListener(async () => {
+  try {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    await syncMastodonScripts(settings);
+  } catch (error) {
+    console.error('[Horizon] Failed to sync Mastodon content scripts:', error);
+  }
+});
+
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
@@ -1568,8 +2016,28 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         sendResponse({ success: false, disabled: true });
         return;
       }
-      if (settings.includeTitles !== true && msg.title) {
+      // Encrypted and not unlocked this session: there is no key to store the delta with
+      if (await cryptoStore.isLocked()) {
+        console.log('[Horizon] Tracking data is locked; engagement message ignored.');
+        sendResponse({ success: false, locked: true });
+        return;
+      }
+      // Without titles, where a post came from isn't recorded either (byAuthor/byCommunity/byHashtag);
+      // the same goes for posts from communities and accounts on the title blocklist
+      const titleBlocked = trackingRules.isTitleBlocked(settings, msg);
+      if (settings.includeTitles !== true || titleBlocked) {
         delete msg.title;
+        delete msg.author;
+        delete msg.community;
+        delete msg.hashtags;
+      }
+      // Handles and title hashtags are redacted like the title they come with
+      const redactedDimensions = getRedactedDimensions(getRedactionMode(settings));
+      if (redactedDimensions.includes('author')) {
+        delete msg.author;
+      }
+      if (redactedDimensions.includes('hashtag')) {
+        delete msg.hashtags;
       }
       // Try to classify if ML is enabled (logistic regression)
       let topic = null;
@@ -1646,21 +2114,26 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
       
       // Skip storing if title is empty or invalid (don't pollute statistics)
+      // Title-blocked posts are the exception: their time counts, unclassified
       const hasValidTitle = msg.title && typeof msg.title === 'string' && msg.title.trim().length > 5;
-      if (!hasValidTitle && settings.enableML === true) {
+      if (!hasValidTitle && settings.enableML === true && !titleBlocked) {
         console.log('[Horizon] Skipping storage: empty or invalid title');
         sendResponse({ success: true, topic: null, embeddingHash: null, skipped: true });
         return;
       }
       
       // Store the engagement data (with topic if available)
-      await storeEngagement({
+      const { reachedBudgets } = await storeEngagement({
         ...msg,
         topic,
         embedding: embeddingResult.embedding,
         embeddingHash: embeddingResult.hash,
         lrConfidence: lrConfidence
       });
+      await recordTimelineEvent({ ...msg, title: redactTitle(msg.title, getRedactionMode(settings)), topic, lrConfidence });
+      if (reachedBudgets.length > 0) {
+        await sendBudgetNudges(reachedBudgets, settings, sender?.tab?.id ?? null);
+      }
       if (topic) {
         console.log('[Horizon] Stored engagement with topic:', topic, 'for', msg.deltaMs, 'ms');
       } else {
@@ -1671,8 +2144,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       const skipRecommendationCheck = msg.skipRecommendationCheck || false;
       const summary = await getTodaySummary(skipRecommendationCheck);
       // Update badge when popup requests summary
-      await updateBadge(summary.totalMs);
+      await updateBadge(summary.totalMs, summary.byDomain);
       sendResponse(summary);
+    } else if (msg.type === 'get_history_range') {
+      const days = await getHistoryRange(msg.days);
+      // Days past the retention window only survive as week/month totals, so the popup caps its ranges here
+      const { settings } = await chrome.storage.local.get(['settings']);
+      sendResponse({ success: true, days, retentionDays: getRetentionDays(settings) });
+    } else if (msg.type === 'get_timeline') {
+      const timeline = await getTimeline(msg.day);
+      sendResponse({ success: true, ...timeline });
     } else if (msg.type === 'get_previous_day_summary') {
       const summary = await getPreviousDaySummary();
       sendResponse(summary);
@@ -1700,37 +2181,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
       
-      // Get LLM preference (default to 'smollm')
-      const llmPreference = settings.recommendationLLM || 'smollm';
-      
       try {
-        let recommendations = '';
-        
-        if (llmPreference === 'chatgpt') {
-          // Generate using ChatGPT
-          const result = await generateRecommendationsForDate(dataDate, data);
-          if (result && result.success) {
-            recommendations = result.recommendations || '';
-          } else {
-            console.warn(`[Horizon] Failed to generate ChatGPT recommendations for ${dataDate}:`, result?.error);
-            // Try SmolLM as fallback
-            const fallbackResult = await generateSmolLMRecommendationsForDate(dataDate, data);
-            if (fallbackResult && fallbackResult.success) {
-              recommendations = fallbackResult.recommendations || '';
-              console.log(`[Horizon] Used SmolLM as fallback for ${dataDate}`);
-            }
-          }
-        } else {
-          // Generate using SmolLM
-          const result = await generateSmolLMRecommendationsForDate(dataDate, data);
-          if (result && result.success) {
-            recommendations = result.recommendations || '';
-          } else {
-            console.warn(`[Horizon] Failed to generate SmolLM recommendations for ${dataDate}:`, result?.error);
-          }
-        }
+        // Configured provider first; a failing remote provider falls back to SmolLM
+        const recommendations = await generateRecommendationsWithFallback(dataDate, data, settings);
         
-        if (recommendations && recommendations.trim().length > 0) {
+        if (recommendations.length > 0) {
           // Store recommendations with the date from the data itself
           // Also store a snapshot of the summary data so it can be displayed later
           const summarySnapshot = {
@@ -1745,7 +2200,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             seenPosts: data.seenPosts || {}
           };
           
-          await chrome.storage.local.set({
+          await cryptoStore.set({
             'horizon_recommendations': recommendations,
             'horizon_recommendations_date': dataDate,
             'lastRecommendationDay': dataDate,
@@ -1786,8 +2241,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const today = getLocalDateString();
         const key = `day_${today}`;
         
-        // Remove today's data from storage
-        await chrome.storage.local.remove([key]);
+        // Remove today's data (and its timeline) from storage
+        await chrome.storage.local.remove([key, getTimelineKey(today)]);
         
         // Clear badge after clearing data
         await updateBadge(0);
@@ -1798,8 +2253,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         console.error('[Horizon] Error clearing today\'s data:', error);
         sendResponse({ success: false, error: error.message });
       }
+    } else if (msg.type === 'run_daily_job') {
+      // "Run now" in the options page
+      const run = await runDailyJob('manual');
+      sendResponse({ success: run.status !== 'error', run });
     } else if (msg.type === 'get_recommendations') {
-      // Generate recommendations using GPT
+      // Generate recommendations with the configured provider
       const result = await generateRecommendations();
       sendResponse(result);
     } else if (msg.type === 'get_smollm_recommendations') {
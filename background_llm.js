@@ -1,9 +1,21 @@
 // background_llm.js
-// Recommendation system using GPT-4o-mini
-// Generates recommendations using OpenAI API with comprehensive user data analysis
+// Recommendation system behind one provider interface
+// generateRecommendations picks the adapter for the provider chosen in the options page
+// (OpenAI, an OpenAI-compatible server, or SmolLM in the browser; see llm_providers.js)
 
-// Import GPT recommender
+// Import the chat model recommender (OpenAI and compatible servers) and the local SmolLM recommender
 import { generateGPTRecommendations } from './gpt_recommender.js';
+import { generateSmolLMRecommendations } from './smollm_recommender.js';
+import { getLLMConfig, getApiKey } from './llm_providers.js';
+import './recommendations.js';
+const Recommendations = globalThis.HorizonRecommendations;
+
+// One adapter per provider: (consumptionData, config, apiKey) -> recommendation objects (see recommendations.js)
+const PROVIDER_ADAPTERS = {
+  openai: (consumptionData, config, apiKey) => generateGPTRecommendations(consumptionData, config, apiKey),
+  openai_compatible: (consumptionData, config, apiKey) => generateGPTRecommendations(consumptionData, config, apiKey),
+  smollm: (consumptionData, config) => generateSmolLMRecommendations(consumptionData, config)
+};
 
 // Embedding pipeline - loaded in service worker context
 let embeddingPipeline = null;
@@ -1170,24 +1182,43 @@ function buildRecommendations(topTopics, topicData, metrics, diversificationMess
 }
 
 /**
- * Main function: Generate recommendations using GPT-4o-mini
+ * Main function: Generate recommendations with the provider chosen in settings
+ * @param {Object} consumptionData - { byTopicCounts, byTopic, lrProbabilities, samplePostTitle }
+ * @param {Object} settings - Extension settings (provider, model, temperature, token limit, blocked topics)
+ * @returns {Promise<Array>} { topic, subtopic, rationale, action, confidence } objects
+ * @throws When the provider fails, e.g. with a clear message when no API key is set
  */
-export async function generateRecommendations(consumptionData) {
+export async function generateRecommendations(consumptionData, settings) {
+  const config = getLLMConfig(settings);
+  console.log('[Horizon Recommendations] ========================================');
+  console.log(`[Horizon Recommendations] STARTING RECOMMENDATIONS (${config.label}, ${config.model || 'no model set'})`);
+  console.log('[Horizon Recommendations] ========================================');
+  
+  // Check if we have enough data
+  const totalPosts = Object.values(consumptionData.byTopicCounts || {}).reduce((sum, count) => sum + count, 0);
+  const totalTimeMs = Object.values(consumptionData.byTopic || {}).reduce((sum, time) => sum + (time || 0), 0);
+  
+  if (totalPosts === 0 && totalTimeMs === 0) {
+    throw new Error('Unable to generate recommendations. Please consume more content to get personalized suggestions.');
+  }
+  
   try {
-    console.log('[Horizon Recommendations] ========================================');
-    console.log('[Horizon Recommendations] STARTING GPT-4O-MINI RECOMMENDATIONS');
-    console.log('[Horizon Recommendations] ========================================');
+    // Votes and blocked topics from the popup go into the prompts
+    const votes = await Recommendations.getFeedback();
+    const feedback = Recommendations.summarizeFeedback(votes, settings);
     
-    // Check if we have enough data
-    const totalPosts = Object.values(consumptionData.byTopicCounts || {}).reduce((sum, count) => sum + count, 0);
-    const totalTimeMs = Object.values(consumptionData.byTopic || {}).reduce((sum, time) => sum + (time || 0), 0);
+    // The adapters handle single-threading and deduplication internally
+    const apiKey = config.needsKey ? await getApiKey() : '';
+    const generated = await PROVIDER_ADAPTERS[config.provider]({ ...consumptionData, feedback }, config, apiKey);
     
-    if (totalPosts === 0 && totalTimeMs === 0) {
-      return 'Unable to generate recommendations. Please consume more content to get personalized suggestions.';
+    // Models don't always follow the prompt; blocked topics are dropped here as well
+    const allowed = generated.filter(rec => !Recommendations.isTopicBlocked(settings, rec.topic));
+    if (allowed.length < generated.length) {
+      console.log('[Horizon Recommendations] Dropped', generated.length - allowed.length, 'recommendations for blocked topics');
     }
     
-    // Call GPT recommender (handles single-threading and deduplication internally)
-    const recommendations = await generateGPTRecommendations(consumptionData);
+    // Topics voted helpful move up the list, not helpful down
+    const recommendations = Recommendations.rankByFeedback(allowed, votes);
     
     console.log('[Horizon Recommendations] Recommendations generated successfully');
     console.log('[Horizon Recommendations] ========================================');
@@ -1196,20 +1227,15 @@ export async function generateRecommendations(consumptionData) {
   } catch (error) {
     console.error('[Horizon Recommendations] ERROR generating recommendations:', error);
     console.error('[Horizon Recommendations] Error details:', {
+      provider: config.provider,
       message: error.message,
       stack: error.stack
     });
-    
-    // Provide helpful error messages
-    if (error.message && error.message.includes('API key')) {
-      return 'Unable to generate recommendations: API key not configured. Please set your OpenAI API key in api_key.js';
-    }
-    
-    return 'Unable to generate recommendations at this time. Please try again later.';
+    throw error;
   }
 }
 
 console.log('[Horizon Recommendations] ========================================');
-console.log('[Horizon Recommendations] GPT-4O-MINI RECOMMENDATION MODULE LOADED');
-console.log('[Horizon Recommendations] Using: OpenAI GPT-4o-mini');
+console.log('[Horizon Recommendations] RECOMMENDATION MODULE LOADED');
+console.log('[Horizon Recommendations] Providers:', Object.keys(PROVIDER_ADAPTERS).join(', '));
 console.log('[Horizon Recommendations] ========================================');
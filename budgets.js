@@ -0,0 +1,217 @@
+// budgets.js
+// Daily time budgets (total and per-domain) and per-topic limits evaluated against a day record
+// Budgets live in settings.budgets as { totalMinutes, perDomain: { domain: minutes } }
+// Topic limits live in settings.topicLimits as { topic: { maxMinutes, maxPosts } }
+// A value of 0 (or missing) means "no limit"
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Fraction of a budget at which the badge turns amber
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// Badge colors per budget level (ok matches the default badge color)
+export const BUDGET_BADGE_COLORS = {
+  ok: '#2b6cb0',
+  warning: '#d69e2e',
+  exceeded: '#e53e3e'
+};
+
+// How a reached budget is surfaced: in-page overlay, desktop notification, both or neither
+export const NUDGE_MODES = ['overlay', 'notification', 'both', 'off'];
+export const DEFAULT_NUDGE_MODE = 'overlay';
+
+const LEVEL_RANK = { ok: 0, warning: 1, exceeded: 2 };
+
+// Topics produced by the classifier (same set as the LR model labels)
+export const LIMITABLE_TOPICS = [
+  'environment', 'health', 'technology', 'science', 'politics',
+  'business', 'finance', 'entertainment', 'sports', 'people',
+  'cryptocurrency', 'law', 'economy', 'investing', 'social'
+];
+
+/**
+ * Normalize a user-entered domain ("https://www.reddit.com/r/x" -> "reddit.com")
+ * Returns an empty string for input that doesn't look like a host name
+ */
+export function normalizeBudgetDomain(input) {
+  let domain = String(input || '').trim().toLowerCase();
+  domain = domain.replace(/^[a-z]+:\/\//, '');
+  domain = domain.split(/[/?#:]/)[0];
+  domain = domain.replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : '';
+}
+
+/**
+ * Whether a tracked hostname (e.g. old.reddit.com) falls under a budget domain (reddit.com)
+ */
+export function domainMatches(hostname, budgetDomain) {
+  const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+  return host === budgetDomain || host.endsWith('.' + budgetDomain);
+}
+
+/**
+ * Read budgets from settings, dropping empty or invalid entries
+ */
+export function getBudgets(settings) {
+  const raw = settings?.budgets || {};
+  const totalMinutes = Number(raw.totalMinutes);
+  const perDomain = {};
+  for (const [domain, minutes] of Object.entries(raw.perDomain || {})) {
+    const normalized = normalizeBudgetDomain(domain);
+    const value = Number(minutes);
+    if (normalized && Number.isFinite(value) && value > 0) {
+      perDomain[normalized] = value;
+    }
+  }
+  return {
+    totalMinutes: Number.isFinite(totalMinutes) && totalMinutes > 0 ? totalMinutes : 0,
+    perDomain
+  };
+}
+
+/**
+ * Read per-topic limits from settings, dropping unknown topics and empty rules
+ */
+export function getTopicLimits(settings) {
+  const limits = {};
+  for (const [topic, rule] of Object.entries(settings?.topicLimits || {})) {
+    if (!LIMITABLE_TOPICS.includes(topic)) continue;
+    const maxMinutes = Number(rule?.maxMinutes);
+    const maxPosts = Number(rule?.maxPosts);
+    const cleaned = {
+      maxMinutes: Number.isFinite(maxMinutes) && maxMinutes > 0 ? maxMinutes : 0,
+      maxPosts: Number.isFinite(maxPosts) && maxPosts > 0 ? Math.floor(maxPosts) : 0
+    };
+    if (cleaned.maxMinutes > 0 || cleaned.maxPosts > 0) {
+      limits[topic] = cleaned;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Read the nudge mode from settings
+ */
+export function getNudgeMode(settings) {
+  return NUDGE_MODES.includes(settings?.budgetNudge) ? settings.budgetNudge : DEFAULT_NUDGE_MODE;
+}
+
+// Works for both milliseconds and post counts
+function levelFor(used, limit) {
+  if (used >= limit) return 'exceeded';
+  if (used >= limit * BUDGET_WARNING_RATIO) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Evaluate every configured budget against a day record
+ * @param {Object} record - Day record (needs totalMs and byDomain)
+ * @param {Object} budgets - Output of getBudgets()
+ * @returns {Array} - [{ id, kind, label, usedMs, limitMs, ratio, level }]
+ */
+export function evaluateBudgets(record, budgets) {
+  const statuses = [];
+  const byDomain = record?.byDomain || {};
+
+  if (budgets.totalMinutes > 0) {
+    const limitMs = budgets.totalMinutes * MS_PER_MINUTE;
+    const usedMs = record?.totalMs || 0;
+    statuses.push({
+      id: 'total',
+      kind: 'budget',
+      label: 'All tracked sites',
+      usedMs,
+      limitMs,
+      ratio: usedMs / limitMs,
+      level: levelFor(usedMs, limitMs)
+    });
+  }
+
+  for (const [domain, minutes] of Object.entries(budgets.perDomain)) {
+    const limitMs = minutes * MS_PER_MINUTE;
+    const usedMs = Object.entries(byDomain)
+      .filter(([hostname]) => domainMatches(hostname, domain))
+      .reduce((sum, [, ms]) => sum + (ms || 0), 0);
+    statuses.push({
+      id: `domain:${domain}`,
+      kind: 'budget',
+      label: domain,
+      usedMs,
+      limitMs,
+      ratio: usedMs / limitMs,
+      level: levelFor(usedMs, limitMs)
+    });
+  }
+
+  return statuses;
+}
+
+/**
+ * Evaluate per-topic limits against a day record
+ * A topic is at the worst of its time level and its post-count level
+ * @param {Object} record - Day record (needs byTopic and byTopicCounts)
+ * @param {Object} topicLimits - Output of getTopicLimits()
+ * @returns {Array} - [{ id, kind, label, usedMs, limitMs, postCount, maxPosts, level }]
+ */
+export function evaluateTopicLimits(record, topicLimits) {
+  const byTopic = record?.byTopic || {};
+  const byTopicCounts = record?.byTopicCounts || {};
+  const statuses = [];
+
+  for (const [topic, rule] of Object.entries(topicLimits)) {
+    const usedMs = byTopic[topic] || 0;
+    const postCount = byTopicCounts[topic] || 0;
+    const limitMs = rule.maxMinutes * MS_PER_MINUTE;
+    const levels = [];
+    if (limitMs > 0) levels.push({ level: levelFor(usedMs, limitMs) });
+    if (rule.maxPosts > 0) levels.push({ level: levelFor(postCount, rule.maxPosts) });
+
+    statuses.push({
+      id: `topic:${topic}`,
+      kind: 'topic',
+      label: topic,
+      usedMs,
+      limitMs,
+      postCount,
+      maxPosts: rule.maxPosts,
+      level: getWorstLevel(levels)
+    });
+  }
+
+  return statuses;
+}
+
+/**
+ * Build the nudge title and message for a reached budget or topic limit
+ */
+export function describeLimitStatus(status) {
+  const usedMinutes = Math.round(status.usedMs / MS_PER_MINUTE);
+  const limitMinutes = Math.round(status.limitMs / MS_PER_MINUTE);
+
+  if (status.kind === 'topic') {
+    const limits = [];
+    if (status.limitMs > 0) limits.push(`${limitMinutes} min`);
+    if (status.maxPosts > 0) limits.push(`${status.maxPosts} posts`);
+    return {
+      title: `Topic fatigue: ${status.label}`,
+      message: `Today you've spent ${usedMinutes} min on ${status.label} across ${status.postCount} post${status.postCount !== 1 ? 's' : ''} (limit: ${limits.join(' or ')}).`
+    };
+  }
+
+  return {
+    title: 'Daily budget reached',
+    message: status.id === 'total'
+      ? `You've spent ${usedMinutes} min on social media today (budget: ${limitMinutes} min).`
+      : `You've spent ${usedMinutes} min on ${status.label} today (budget: ${limitMinutes} min).`
+  };
+}
+
+/**
+ * Worst level across budget statuses ('ok' when there are none)
+ */
+export function getWorstLevel(statuses) {
+  return statuses.reduce(
+    (worst, status) => (LEVEL_RANK[status.level] > LEVEL_RANK[worst] ? status.level : worst),
+    'ok'
+  );
+}
@@ -24,19 +24,40 @@
   let lastUrl = location.href; // Track URL to detect navigation
   let titleExtractionObserver = null; // MutationObserver for title extraction
   let titleMutationObserver = null; // MutationObserver to wait for title to appear (CAUSE A)
-  let settings = {
-    enableTracking: false,
-    includeTitles: false
-  };
+  let scrollPxSinceSend = 0; // Scroll distance since the last engagement send
+  let lastScrollY = window.scrollY;
+  let newTitlesSinceSend = 0; // Distinct titles seen since the last engagement send
+  const recentTitles = new Set(); // Titles already counted (bounded, see noteTitleSeen)
+  let feedTracker = null; // Per-item dwell tracker on feed pages (see feed_tracker.js)
+  let feedTrackerSelector = ''; // Feed item selector the running tracker was created with
+  let pendingFeedItems = []; // Dwell drained when the tracker stopped, sent with the next engagement
+  const messageQueue = []; // Engagement messages waiting to be sent (one in flight at a time)
+  let messageInFlight = false;
+  let settings = readSettings({});
+
+  // The settings this script acts on; pause, site and title lists are interpreted by tracking_rules.js
+  function readSettings(stored) {
+    return {
+      enableTracking: stored.enableTracking === true,
+      includeTitles: stored.includeTitles === true,
+      pausedUntil: stored.pausedUntil || 0,
+      siteAllowlist: stored.siteAllowlist || [],
+      siteBlocklist: stored.siteBlocklist || [],
+      titleBlocklist: stored.titleBlocklist || [],
+      trackIncognito: stored.trackIncognito === true
+    };
+  }
 
   function loadSettings() {
     try {
       chrome.storage.local.get(['settings'], (res) => {
         const stored = res?.settings || {};
-        settings = {
-          enableTracking: stored.enableTracking === true,
-          includeTitles: stored.includeTitles === true
-        };
+        settings = readSettings(stored);
+        // Feed item selectors come from the selector rules, so start the tracker once they are loaded
+        if (globalThis.HorizonSelectors) {
+          HorizonSelectors.load(stored.selectorOverrides || null).then(syncFeedTracker);
+        }
+        syncFeedTracker();
         
         // Set up title observer for Reddit after settings are loaded
         if (location.hostname.includes('reddit.com') && settings.includeTitles) {
@@ -77,10 +98,11 @@
   chrome.storage.onChanged?.addListener((changes, area) => {
     if (area !== 'local' || !changes.settings) return;
     const newSettings = changes.settings.newValue || {};
-    settings = {
-      enableTracking: newSettings.enableTracking === true,
-      includeTitles: newSettings.includeTitles === true
-    };
+    settings = readSettings(newSettings);
+    if (globalThis.HorizonSelectors) {
+      HorizonSelectors.setOverrides(newSettings.selectorOverrides || null);
+    }
+    syncFeedTracker();
     if (!settings.includeTitles) {
       currentPostTitle = '';
       lastPostTitle = '';
@@ -98,8 +120,105 @@
 
   loadSettings();
 
+  // In-page nudge overlay (shown by the background when a daily budget is reached)
+  function showNudge(title, message) {
+    const existing = document.getElementById('horizon-nudge');
+    if (existing) {
+      existing.remove();
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'horizon-nudge';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.style.cssText = 'position: fixed; top: 16px; right: 16px; z-index: 2147483647; max-width: 320px; padding: 16px; background: #ffffff; color: #2d3748; border-left: 4px solid #e53e3e; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.25); font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif;';
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-weight: 600; margin-bottom: 6px; color: #1a202c;';
+    heading.textContent = `Horizon: ${title}`;
+
+    const body = document.createElement('div');
+    body.textContent = message;
+
+    const dismiss = document.createElement('button');
+    dismiss.textContent = 'Dismiss';
+    dismiss.style.cssText = 'margin-top: 10px; padding: 4px 10px; border: none; border-radius: 6px; background: #2b6cb0; color: #ffffff; font-size: 13px; cursor: pointer;';
+    dismiss.addEventListener('click', () => overlay.remove());
+
+    overlay.appendChild(heading);
+    overlay.appendChild(body);
+    overlay.appendChild(dismiss);
+    (document.body || document.documentElement).appendChild(overlay);
+  }
+
+  chrome.runtime.onMessage?.addListener((msg, sender, sendResponse) => {
+    if (msg?.type === 'horizon_nudge') {
+      showNudge(msg.title || 'Heads up', msg.message || '');
+    } else if (msg?.type === 'horizon_selector_debug') {
+      sendResponse(getSelectorReport());
+    }
+  });
+
+  // Which selector rules match on this page, for the options page debug panel
+  // Feed item fields are tried against the first feed item on the page
+  function getSelectorReport() {
+    const adapter = getAdapter();
+    if (!adapter || !globalThis.HorizonSelectors) {
+      return { platform: null, pathname: location.pathname };
+    }
+    const pageType = adapter.getPageType(location);
+    const feedItem = adapter.feedItemSelector ? document.querySelector(adapter.feedItemSelector) : null;
+    const fields = {};
+    for (const field of HorizonSelectors.getFields(adapter.id, pageType)) {
+      if (HorizonSelectors.getRules(adapter.id, pageType, field).length === 0) continue;
+      const root = field.startsWith('item') ? feedItem : document;
+      fields[field] = HorizonSelectors.explain(root, adapter.id, pageType, field);
+    }
+    let extracted = {};
+    try {
+      extracted = {
+        title: extractPostTitle(),
+        author: adapter.extractAuthor(document, location),
+        community: adapter.extractCommunity(document, location),
+        contentType: detectContentType()
+      };
+    } catch (error) {
+      extracted = { error: error.message };
+    }
+    return {
+      platform: adapter.id,
+      pageType,
+      pathname: location.pathname,
+      // Pages whose time goes to feed items only (see sendEngagement)
+      skipPage: Boolean(adapter.shouldSkipPage && adapter.shouldSkipPage(location)),
+      version: HorizonSelectors.version(),
+      hasOverrides: HorizonSelectors.hasOverrides(),
+      feedItemSelector: adapter.feedItemSelector || '',
+      feedItems: adapter.feedItemSelector ? document.querySelectorAll(adapter.feedItemSelector).length : 0,
+      fields,
+      lastMatches: HorizonSelectors.lastMatches(),
+      extracted
+    };
+  }
+
+  // Content type of the focused post (or of a feed item element) from the platform adapter:
+  // text, image, carousel, short_video, long_video, link_article or poll
+  // Falls back to the whole-page heuristic when the adapter can't decide
+  function detectContentType(scope = null) {
+    const adapter = getAdapter();
+    if (adapter && adapter.detectContentType) {
+      try {
+        const el = scope || (adapter.getPostElement ? adapter.getPostElement(document, location) : null);
+        const type = el ? adapter.detectContentType(el, location) : null;
+        if (type) return type;
+      } catch (err) {
+        console.warn('[Horizon] Platform content type detection failed:', err);
+      }
+    }
+    return detectPageContentType();
+  }
+
   // simple content type detection (heuristic)
-  function detectContentType() {
+  function detectPageContentType() {
     try {
       if (document.querySelector('video')) return 'video';
       const imgs = document.querySelectorAll('img').length;
@@ -114,491 +233,185 @@
     }
   }
 
+  // Platform adapter for this page (see platforms/registry.js); null on unsupported pages
+  function getAdapter() {
+    return globalThis.HorizonPlatforms ? HorizonPlatforms.forPage(location, document) : null;
+  }
+
+  // Why nothing is recorded here right now ('disabled', 'paused', 'incognito', 'site'), or '' when tracking applies
+  function getBlockReason() {
+    if (!globalThis.HorizonTrackingRules) {
+      return settings.enableTracking ? '' : 'disabled';
+    }
+    return HorizonTrackingRules.getBlockReason(settings, {
+      hostname: location.hostname,
+      incognito: chrome.extension?.inIncognitoContext === true
+    });
+  }
+
+  // Posts from communities and accounts on the title blocklist are tracked without their title
+  function isTitleBlocked(post) {
+    return Boolean(globalThis.HorizonTrackingRules && HorizonTrackingRules.isTitleBlocked(settings, post));
+  }
+
+  // Coarse class of the current URL path (post, feed, community, profile, search, explore, other)
+  // Only the class is sent to the background, never the full URL
+  function getPathClass() {
+    const adapter = getAdapter();
+    return adapter ? adapter.getPageType(location) : 'other';
+  }
+
   // Helper function to extract title from URL (always available, doesn't depend on DOM)
-  // MUST be defined before extractPostTitle() which calls it
   function extractPostTitleFromUrl() {
-    if (!location.hostname.includes('reddit.com')) {
-      return '';
-    }
-    
-    const pathname = location.pathname; // Don't lowercase - preserve original
-    const isIndividualPost = pathname.includes('/r/') && pathname.includes('/comments/');
-    
-    if (!isIndividualPost) {
-      return '';
-    }
-    
-    // Skip comment permalinks
-    const pathParts = pathname.split('/').filter(part => part.length > 0);
-    const hasCommentId = pathParts.length > 5 && pathParts[5] && pathParts[5].length > 10;
-    if (hasCommentId) {
+    const reddit = globalThis.HorizonPlatforms && HorizonPlatforms.get('reddit');
+    if (!reddit || !location.hostname.includes('reddit.com')) {
       return '';
     }
-    
-    const urlParts = pathname.split('/').filter(part => part.length > 0);
-    const commentsIndex = urlParts.findIndex(part => part.toLowerCase() === 'comments');
-    
-    if (commentsIndex !== -1 && urlParts.length > commentsIndex + 2) {
-      const postTitleFromUrl = urlParts[commentsIndex + 2];
-      const looksLikePostId = postTitleFromUrl.length < 8 && /^[a-z0-9]+$/i.test(postTitleFromUrl);
-      
-      if (postTitleFromUrl && postTitleFromUrl.length > 5 && !looksLikePostId) {
-        try {
-          const decodedTitle = decodeURIComponent(postTitleFromUrl);
-          const cleanedTitle = decodedTitle.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
-          if (cleanedTitle && cleanedTitle.length > 5 && !isGenericRedditTitle(cleanedTitle)) {
-            return cleanedTitle.substring(0, 200);
-          }
-        } catch (decodeError) {
-          const cleanedTitle = postTitleFromUrl.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
-          if (cleanedTitle && cleanedTitle.length > 5 && !isGenericRedditTitle(cleanedTitle)) {
-            return cleanedTitle.substring(0, 200);
-          }
-        }
-      } else if (postTitleFromUrl && looksLikePostId && urlParts.length > commentsIndex + 3) {
-        // If we got a post ID, try the next segment
-        const nextSegment = urlParts[commentsIndex + 3];
-        if (nextSegment && nextSegment.length > 5) {
-          try {
-            const decodedTitle = decodeURIComponent(nextSegment);
-            const cleanedTitle = decodedTitle.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
-            if (cleanedTitle && cleanedTitle.length > 5 && !isGenericRedditTitle(cleanedTitle)) {
-              return cleanedTitle.substring(0, 200);
-            }
-          } catch (e) {
-            const cleanedTitle = nextSegment.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
-            if (cleanedTitle && cleanedTitle.length > 5 && !isGenericRedditTitle(cleanedTitle)) {
-              return cleanedTitle.substring(0, 200);
-            }
-          }
-        }
-      }
-    }
-    
-    return '';
+    return reddit.extractTitleFromUrl(location);
   }
 
-  // Extract post title/metadata from social media platforms (TOS-compliant: only titles and metadata)
   // Helper function to detect generic Reddit titles
   function isGenericRedditTitle(title) {
-    if (!title || typeof title !== 'string') return true;
-    const lower = title.toLowerCase().trim();
-    // List of generic Reddit titles/taglines to filter out
-    const genericTitles = [
-      'reddit',
-      'reddit - the heart of the internet',
-      'reddit: the heart of the internet',
-      'the heart of the internet',
-      'reddit - dive into anything',
-      'reddit: dive into anything',
-      'dive into anything',
-      'home',
-      'popular',
-      'all',
-      'reddit.com',
-      'www.reddit.com'
-    ];
-    
-    // Check for exact matches
-    if (genericTitles.includes(lower)) return true;
-    
-    // Check if it starts with generic patterns
-    if (lower.match(/^(reddit|home|popular|all|r\/)/i)) return true;
-    
-    // Check if it's just "Reddit" or variations
-    if (lower === 'reddit' || lower.startsWith('reddit -') || lower.startsWith('reddit:')) {
-      // But allow if there's more meaningful content after
-      const afterReddit = lower.replace(/^reddit\s*[-:]\s*/i, '').trim();
-      if (afterReddit.length < 10) return true; // Too short, probably generic
-    }
-    
-    return false;
+    const reddit = globalThis.HorizonPlatforms && HorizonPlatforms.get('reddit');
+    return reddit ? reddit.isGenericTitle(title) : !title;
   }
 
+  // Extract post title/metadata from social media platforms (TOS-compliant: only titles and metadata)
   function extractPostTitle() {
+    const adapter = getAdapter();
     try {
-      const hostname = location.hostname.toLowerCase();
-      const pathname = location.pathname.toLowerCase();
-      
-      // Twitter/X: Extract from meta tags or article elements
-      if (hostname.includes('twitter.com') || hostname.includes('x.com')) {
-        // Skip homepage - don't classify the homepage feed
-        if (pathname === '/home' || pathname === '/') {
-          return '';
-        }
-        
-        // Check if we're on an individual post page (has /status/ in URL)
-        const isIndividualPost = pathname.includes('/status/');
-        
-        // Only extract title for individual posts, not on homepage/feed
-        if (!isIndividualPost) {
-          return '';
-        }
-        
-        // Try meta tags first (most reliable, TOS-compliant)
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && ogTitle.content) {
-          let title = ogTitle.content.trim();
-          // Remove site name suffix if present
-          title = title.replace(/\s*\/\s*X$|\s*on X$|\s*on Twitter$/i, '').trim();
-          // Only use if it's meaningful (not just "Home / X")
-          if (title && title.length > 5 && !title.match(/^(Home|Explore|Notifications|Messages|Profile)/i)) {
-            return title;
-          }
-        }
-        
-        // Try Twitter card meta
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]');
-        if (twitterTitle && twitterTitle.content) {
-          const title = twitterTitle.content.trim();
-          if (title && title.length > 5) {
-            return title;
-          }
-        }
-        
-        // For individual post pages, try to get tweet text from article
-        if (isIndividualPost) {
-          const tweetArticle = document.querySelector('article[data-testid="tweet"]');
-          if (tweetArticle) {
-            // Extract text from tweet text span (first level text content)
-            const tweetText = tweetArticle.querySelector('[data-testid="tweetText"]');
-            if (tweetText) {
-              const text = tweetText.textContent.trim().substring(0, 200);
-              if (text && text.length > 5) {
-                return text;
-              }
-            }
-          }
-        }
+      if (adapter) {
+        return adapter.extractTitle(document, location) || '';
       }
-      
-      // Reddit: Extract from post-specific elements, NOT generic Reddit taglines
-      if (hostname.includes('reddit.com')) {
-        // Check if we're on an individual post page (has /r/ and /comments/ in URL)
-        const isIndividualPost = pathname.includes('/r/') && pathname.includes('/comments/');
-        
-        // Skip if we're on a comment permalink (has /comments/ID/post_title/comment_id)
-        // Only track the main post, not individual comments
-        const pathParts = pathname.split('/');
-        const hasCommentId = pathParts.length > 5 && pathParts[5] && pathParts[5].length > 10;
-        if (hasCommentId) {
-          // This is a comment permalink, not a post - skip
-          return '';
-        }
-        
-        // PRIORITY 0: Extract post title from URL (most reliable, always available)
-        // Use helper function for consistency
-        const urlTitle = extractPostTitleFromUrl();
-        if (urlTitle && urlTitle.length > 5) {
-          console.log('[Horizon] Extracted Reddit title from URL:', urlTitle.substring(0, 50));
-          return urlTitle;
-        }
-        
-        // PRIORITY 1: Check div with id "canonical_url_updater" (user-specified - most reliable)
-        const canonicalUrlUpdater = document.getElementById('canonical_url_updater');
-        if (canonicalUrlUpdater) {
-          // This div contains the post title - look for it in various ways
-          // First, try to find a heading or link within it
-          const titleElement = canonicalUrlUpdater.querySelector('h1, h2, h3, h4, a[href*="/comments/"], [data-testid*="title"]') || canonicalUrlUpdater;
-          let text = titleElement.textContent?.trim() || titleElement.innerText?.trim() || '';
-          
-          // If we got the whole div content, try to extract just the title part
-          if (text && text.length > 100) {
-            // Might have extra content, try to find the actual title
-            const heading = canonicalUrlUpdater.querySelector('h1, h2, h3, h4');
-            if (heading) {
-              text = heading.textContent?.trim() || heading.innerText?.trim() || '';
-            }
-          }
-          
-          if (text && text.length > 5 && !isGenericRedditTitle(text)) {
-            console.log('[Horizon] Extracted Reddit title from canonical_url_updater:', text.substring(0, 50));
-            return text.substring(0, 200);
-          }
-        }
-        
-        // PRIORITY 2: Check reddit-page-data tag for post data
-        const redditPageData = document.querySelector('reddit-page-data');
-        if (redditPageData) {
-          try {
-            // The reddit-page-data tag might contain JSON data in a data attribute or as text
-            // Try data attributes first
-            const dataAttrs = ['data-title', 'data-post-title', 'title'];
-            for (const attr of dataAttrs) {
-              const attrValue = redditPageData.getAttribute(attr);
-              if (attrValue && attrValue.trim().length > 5 && !isGenericRedditTitle(attrValue)) {
-                console.log('[Horizon] Extracted Reddit title from reddit-page-data attribute', attr + ':', attrValue.substring(0, 50));
-                return attrValue.trim().substring(0, 200);
-              }
-            }
-            
-            // Try parsing as JSON if it's in textContent
-            const dataContent = redditPageData.textContent || redditPageData.innerText || '';
-            if (dataContent) {
-              try {
-                const pageData = JSON.parse(dataContent);
-                // Look for post title in various possible locations
-                if (pageData.post?.title) {
-                  const title = pageData.post.title.trim();
-                  if (title && title.length > 5 && !isGenericRedditTitle(title)) {
-                    console.log('[Horizon] Extracted Reddit title from reddit-page-data.post.title:', title.substring(0, 50));
-                    return title.substring(0, 200);
-                  }
-                }
-                if (pageData.title && !isGenericRedditTitle(pageData.title)) {
-                  const title = pageData.title.trim();
-                  if (title && title.length > 5) {
-                    console.log('[Horizon] Extracted Reddit title from reddit-page-data.title:', title.substring(0, 50));
-                    return title.substring(0, 200);
-                  }
-                }
-                // Also check for nested structures
-                if (pageData.data?.post?.title) {
-                  const title = pageData.data.post.title.trim();
-                  if (title && title.length > 5 && !isGenericRedditTitle(title)) {
-                    console.log('[Horizon] Extracted Reddit title from reddit-page-data.data.post.title:', title.substring(0, 50));
-                    return title.substring(0, 200);
-                  }
-                }
-              } catch (parseError) {
-                // Not JSON, try as text
-                const title = dataContent.trim();
-                if (title && title.length > 5 && !isGenericRedditTitle(title)) {
-                  console.log('[Horizon] Extracted Reddit title from reddit-page-data (text):', title.substring(0, 50));
-                  return title.substring(0, 200);
-                }
-              }
-            }
-          } catch (error) {
-            console.log('[Horizon] Error reading reddit-page-data:', error);
-          }
-        }
-        
-        // PRIORITY 3: For individual posts, try to get post title from various Reddit UI selectors
-        // CAUSE B: Reddit uses many different layouts - try all common selectors
-        if (isIndividualPost) {
-          // Try multiple selectors for Reddit post titles (new and old UI, all variants)
-          const selectors = [
-            // New Reddit - primary selectors
-            'h1[data-testid="post-content"]',
-            'h1[data-test-id="post-content"]', // Variant spelling
-            'h2[data-testid="post-content"]',
-            'h3[data-testid="post-content"]',
-            'div[data-testid="post-title"] h1',
-            'div[data-testid="post-title"] h2',
-            'div[data-click-id="text"] h1',
-            'a[data-testid="post-title"]',
-            // Old Reddit
-            'a.title',
-            'a.title.may-blank',
-            // Web components and slots
-            '[slot="title"]',
-            'shreddit-post h1',
-            'shreddit-post h2',
-            'shreddit-post h3',
-            'shreddit-post [slot="title"]',
-            'faceplate-tracker[source="post"] h1',
-            'faceplate-tracker[source="post"] h2',
-            'faceplate-tracker[source="post"] h3',
-            // Generic title selectors
-            'h1[class*="title"]',
-            'h2[class*="title"]',
-            'h3[class*="title"]',
-            // Additional Reddit-specific selectors
-            '[data-click-id="text"]',
-            'article h1',
-            'article h2',
-            '[data-testid="post-container"] h1',
-            '[data-testid="post-container"] h2'
-          ];
-          
-          for (const selector of selectors) {
-            const postTitle = document.querySelector(selector);
-            if (postTitle) {
-              const text = postTitle.textContent?.trim() || postTitle.innerText?.trim() || '';
-              if (text && text.length > 5 && !isGenericRedditTitle(text)) {
-                // Verify this is the main post title, not a comment
-                const parent = postTitle.closest('article, [data-testid="post-container"], shreddit-post, faceplate-tracker[source="post"]');
-                if (parent) {
-                  console.log('[Horizon] Extracted Reddit title from selector', selector + ':', text.substring(0, 50));
-                  return text.substring(0, 200);
-                }
-              }
-            }
-          }
-          
-          // Last resort: try to find any h1/h2/h3 that looks like a post title
-          const headings = document.querySelectorAll('h1, h2, h3');
-          for (const heading of headings) {
-            const text = heading.textContent?.trim() || '';
-            // Check if it's in a post container and not a comment
-            const isInPost = heading.closest('article, [data-testid="post-container"], shreddit-post, faceplate-tracker[source="post"]');
-            const isNotComment = !heading.closest('[data-testid*="comment"], [class*="comment"]');
-            if (text && text.length > 5 && isInPost && isNotComment && !isGenericRedditTitle(text)) {
-              console.log('[Horizon] Extracted Reddit title from heading:', text.substring(0, 50));
-              return text.substring(0, 200);
-            }
-          }
-        }
-        
-        // PRIORITY 4: Try meta tags, but filter out generic Reddit titles
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && ogTitle.content) {
-          const title = ogTitle.content.trim();
-          // Remove "posted in r/..." or ": r/subreddit" suffix if present
-          const cleaned = title.replace(/\s*:\s*r\/.*$/i, '').replace(/\s*posted in r\/.*$/i, '').trim();
-          // Skip if it's a generic Reddit title
-          if (cleaned && cleaned.length > 5 && !isGenericRedditTitle(cleaned)) {
-            console.log('[Horizon] Extracted Reddit title from og:title:', cleaned.substring(0, 50));
-            return cleaned;
-          }
-        }
-        
-        // PRIORITY 5: Try Reddit-specific meta
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]');
-        if (twitterTitle && twitterTitle.content) {
-          const title = twitterTitle.content.trim();
-          const cleaned = title.replace(/\s*:\s*r\/.*$/i, '').trim();
-          if (cleaned && cleaned.length > 5 && !isGenericRedditTitle(cleaned)) {
-            console.log('[Horizon] Extracted Reddit title from twitter:title:', cleaned.substring(0, 50));
-            return cleaned;
-          }
-        }
-        
-        // For Reddit feed pages, try to extract post titles from the feed
-        // This helps when browsing the feed (not individual post pages)
-        if (!isIndividualPost && pathname.match(/^\/r\/\w+|^\/$/)) {
-          // On feed pages, we can't reliably get a single post title
-          // But we can log that we're on a feed page
-          console.log('[Horizon] On Reddit feed page, cannot extract single post title');
-        }
-      }
-      
-      // Instagram: Only classify posts in Explore section (URLs with /p/)
-      // Extract post caption, not title/description
-      if (hostname.includes('instagram.com')) {
-        // Only process if we're on a post page (has /p/ in URL)
-        const isPostPage = pathname.includes('/p/');
-        if (!isPostPage) {
-          // Not on a post page (e.g., homepage), skip classification
-          return '';
-        }
-        
-        // Extract post caption from DOM
-        // Instagram captions are typically in article elements with specific structure
-        // Try multiple selectors to find the caption
-        const captionSelectors = [
-          'article h1',
-          'article span[dir="auto"]',
-          'article div[dir="auto"]',
-          'article [data-testid="post-caption"]',
-          'article header + div span',
-          'article header + div div',
-          // More specific selectors for Instagram's structure
-          'article > div > div > div span[dir="auto"]',
-          'article > div > div > div div[dir="auto"]',
-          // Look for spans/divs that contain the actual caption text
-          'article span[style*="text-align"]',
-          'article div[style*="text-align"]'
-        ];
-        
-        for (const selector of captionSelectors) {
-          const captionElement = document.querySelector(selector);
-          if (captionElement) {
-            const captionText = captionElement.textContent?.trim() || captionElement.innerText?.trim() || '';
-            // Filter out very short text (likely not a caption) and generic Instagram text
-            if (captionText && captionText.length > 10 && 
-                !captionText.match(/^(Instagram|View|Follow|Like|Comment|Share|Save|More)$/i)) {
-              // Check if this is actually a caption (not username, button text, etc.)
-              // Captions are usually longer and don't start with @ or #
-              const isLikelyCaption = captionText.length > 20 || 
-                                      (!captionText.startsWith('@') && !captionText.startsWith('#'));
-              if (isLikelyCaption) {
-                console.log('[Horizon] Extracted Instagram caption:', captionText.substring(0, 50));
-                return captionText.substring(0, 500); // Limit to 500 chars
-              }
-            }
-          }
-        }
-        
-        // Alternative: Try to find caption by looking for text that's not in header/nav
-        // Instagram posts have captions in the main article content area
-        const article = document.querySelector('article');
-        if (article) {
-          // Get all text nodes, but exclude header and navigation elements
-          const header = article.querySelector('header');
-          const headerText = header ? header.textContent : '';
-          
-          // Get article text and remove header text
-          let articleText = article.textContent || article.innerText || '';
-          if (headerText) {
-            articleText = articleText.replace(headerText, '').trim();
-          }
-          
-          // Remove common Instagram UI text
-          articleText = articleText
-            .replace(/View all \d+ comments?/gi, '')
-            .replace(/Add a comment\.\.\./gi, '')
-            .replace(/Like|Comment|Share|Save|More/gi, '')
-            .replace(/Follow|Following|Message|Unfollow/gi, '')
-            .trim();
-          
-          // If we have meaningful text (likely the caption), use it
-          if (articleText && articleText.length > 10) {
-            // Split by newlines and take the first substantial line (likely the caption)
-            const lines = articleText.split('\n').filter(line => line.trim().length > 10);
-            if (lines.length > 0) {
-              const caption = lines[0].trim();
-              // Make sure it's not just UI text
-              if (!caption.match(/^(Instagram|View|Follow|Like|Comment|Share|Save|More|Add a comment)$/i)) {
-                console.log('[Horizon] Extracted Instagram caption from article text:', caption.substring(0, 50));
-                return caption.substring(0, 500);
-              }
-            }
-          }
-        }
-        
-        // No caption found - return empty string (don't classify)
-        console.log('[Horizon] No Instagram caption found, skipping classification');
-        return '';
-      }
-      
-      // Fallback: For Reddit, NEVER use document.title or generic meta tags
-      // These always contain "Reddit - The heart of the internet" or similar
-      if (hostname.includes('reddit.com')) {
-        // For Reddit, we've exhausted all post-specific extraction methods
-        // Don't fall back to document.title or generic meta tags - they're always wrong
-        console.log('[Horizon] Could not extract valid Reddit post title from DOM or URL, returning empty');
-        return '';
-      }
-      
-      // For non-Reddit sites, use standard fallbacks
+
+      // Unsupported sites: use standard fallbacks
       const ogTitle = document.querySelector('meta[property="og:title"]');
       if (ogTitle && ogTitle.content) {
         return ogTitle.content.trim();
       }
-      
+
       const metaDescription = document.querySelector('meta[name="description"]');
       if (metaDescription && metaDescription.content) {
         return metaDescription.content.trim().substring(0, 200);
       }
-      
+
       // Last resort: page title
       return document.title || '';
     } catch (err) {
       console.error('[Horizon] Error extracting post title:', err);
-      // For Reddit, never return document.title (it's always generic)
-      if (location.hostname.includes('reddit.com')) {
-        return '';
+      // Platform pages never fall back to document.title (it's generic, e.g. "Reddit - The heart of the internet")
+      return adapter ? '' : (document.title || '');
+    }
+  }
+
+  // Run the feed tracker on feed-like pages of platforms that describe their feed items,
+  // and stop it after SPA navigation to a single post
+  function syncFeedTracker() {
+    const adapter = getAdapter();
+    // A pause ends on its own, so the tracker keeps running through it (sendEngagement drops its items)
+    const blockReason = getBlockReason();
+    const wanted = (blockReason === '' || blockReason === 'paused') && settings.includeTitles &&
+                   adapter && adapter.feedItemSelector && globalThis.HorizonFeedTracker &&
+                   adapter.getPageType(location) !== 'post';
+    // A new feed item selector (from a selector override) needs a fresh tracker
+    if (feedTracker && (!wanted || feedTrackerSelector !== adapter.feedItemSelector)) {
+      feedTracker.stop();
+      pendingFeedItems = pendingFeedItems.concat(feedTracker.drain());
+      feedTracker = null;
+      console.log('[Horizon] Feed item tracking stopped');
+    }
+    if (wanted && !feedTracker) {
+      feedTrackerSelector = adapter.feedItemSelector;
+      feedTracker = HorizonFeedTracker.create({
+        selector: adapter.feedItemSelector,
+        extractItem: el => {
+          const item = adapter.extractFeedItem(el);
+          return item ? { ...item, contentType: detectContentType(el) } : null;
+        },
+        isActive: () => active
+      });
+      feedTracker.start(document.body);
+      console.log('[Horizon] Feed item tracking started on', location.pathname);
+    }
+  }
+
+  // Author, community and hashtags of the current page (from the platform adapter)
+  function getPageDimensions() {
+    const adapter = getAdapter();
+    if (!adapter) return {};
+    try {
+      return {
+        author: adapter.extractAuthor(document, location),
+        community: adapter.extractCommunity(document, location),
+        hashtags: settings.includeTitles ? HorizonPlatforms.helpers.extractHashtags(currentPostTitle) : []
+      };
+    } catch (error) {
+      console.warn('[Horizon] Could not extract author/community:', error);
+      return {};
+    }
+  }
+
+  // Feed items with enough dwell since the last send
+  function drainFeedItems() {
+    const drained = pendingFeedItems.concat(feedTracker ? feedTracker.drain() : []);
+    pendingFeedItems = [];
+    return drained;
+  }
+
+  // Send engagement messages one at a time so the background's read-modify-write
+  // of the day record never interleaves (a feed flush can produce several messages)
+  function queueMessage(payload, onResponse) {
+    messageQueue.push({ payload, onResponse });
+    if (!messageInFlight) {
+      sendNextMessage();
+    }
+  }
+
+  function sendNextMessage() {
+    const next = messageQueue.shift();
+    if (!next || contextInvalidated) {
+      messageInFlight = false;
+      return;
+    }
+    messageInFlight = true;
+    try {
+      chrome.runtime.sendMessage(next.payload, (response) => {
+        // Handle extension context invalidation
+        if (chrome.runtime.lastError) {
+          const errorMsg = chrome.runtime.lastError.message || '';
+          if (errorMsg.includes('Extension context invalidated') || 
+              errorMsg.includes('message port closed') ||
+              errorMsg.includes('Could not establish connection')) {
+            // Extension was reloaded - stop trying to send messages
+            contextInvalidated = true;
+            console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
+          }
+          // Other errors (service worker may be asleep) - ignore
+        } else if (next.onResponse) {
+          next.onResponse(response);
+        }
+        sendNextMessage();
+      });
+    } catch (error) {
+      // Catch any runtime errors (e.g., extension context invalidated)
+      const errorMsg = error.message || '';
+      if (errorMsg.includes('Extension context invalidated') ||
+          errorMsg.includes('message port closed') ||
+          errorMsg.includes('Could not establish connection')) {
+        contextInvalidated = true;
+        console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
       }
-      // For other sites, document.title is acceptable as last resort
-      return document.title || '';
+      // Silently ignore other errors
+      messageInFlight = false;
     }
   }
 
   function sendEngagement(deltaMs) {
-    if (!settings.enableTracking || deltaMs <= 0) {
+    if (getBlockReason() || deltaMs <= 0) {
       accumulatedMs = 0;
+      scrollPxSinceSend = 0;
+      newTitlesSinceSend = 0;
+      drainFeedItems();
       return;
     }
 
@@ -624,11 +437,12 @@
     
     // Build payload safely (don't access chrome.runtime here)
     // Extract post title/metadata (TOS-compliant: only reads titles and metadata)
+    const recordTitles = settings.includeTitles && !isTitleBlocked(getPageDimensions());
     const previousTitle = currentPostTitle;
-    currentPostTitle = settings.includeTitles ? extractPostTitle() : '';
+    currentPostTitle = recordTitles ? extractPostTitle() : '';
     
     // For Reddit, always try URL extraction as fallback if DOM extraction failed
-    if (location.hostname.includes('reddit.com') && settings.includeTitles && (!currentPostTitle || currentPostTitle.length === 0)) {
+    if (location.hostname.includes('reddit.com') && recordTitles && (!currentPostTitle || currentPostTitle.length === 0)) {
       const urlTitle = extractPostTitleFromUrl();
       if (urlTitle && urlTitle.length > 5 && !isGenericRedditTitle(urlTitle)) {
         console.log('[Horizon] Using URL-extracted title (DOM extraction failed):', urlTitle.substring(0, 50));
@@ -646,7 +460,7 @@
         url: location.href.substring(0, 80),
         pathname: location.pathname
       });
-    } else if (settings.includeTitles) {
+    } else if (recordTitles) {
       console.log('[Horizon] Title extraction result:', {
         extracted: currentPostTitle ? currentPostTitle.substring(0, 50) : 'empty',
         length: currentPostTitle?.length || 0,
@@ -654,24 +468,41 @@
       });
     }
     
-    // Skip sending if we're on Twitter/X homepage
-    const isTwitterHomepage = (location.hostname.includes('twitter.com') || location.hostname.includes('x.com')) &&
-                              (location.pathname === '/home' || location.pathname === '/');
-    if (isTwitterHomepage) {
-      // Don't classify the homepage - only classify individual posts
+    // Per-item dwell from the feed tracker; feed titles count toward title churn as well
+    const feedItems = drainFeedItems();
+    feedItems.forEach(item => noteTitleSeen(item.title));
+    
+    // Scroll distance/velocity and title churn for the doomscroll detector
+    // (read and reset before any early return so skipped pages don't inflate the next send)
+    noteTitleSeen(currentPostTitle);
+    const deltaSeconds = Math.max(deltaMs / 1000, 1);
+    const scrollPx = Math.round(scrollPxSinceSend);
+    const newTitles = newTitlesSinceSend;
+    scrollPxSinceSend = 0;
+    newTitlesSinceSend = 0;
+    const scrollVelocity = Math.round(scrollPx / deltaSeconds);
+    const titlesPerMinute = Math.round((newTitles / deltaSeconds) * 60 * 10) / 10;
+    
+    // Feed time goes to the items that were on screen; only the rest is sent for the page itself
+    const totalMs = deltaMs;
+    if (feedItems.length > 0) {
+      sendFeedItems(feedItems, { totalMs, scrollPx, scrollVelocity, titlesPerMinute });
+      const feedMs = feedItems.reduce((sum, item) => sum + item.dwellMs, 0);
+      deltaMs = Math.max(0, deltaMs - feedMs);
+    }
+    
+    // Skip sending on pages the platform doesn't track as a whole (e.g. Twitter/X home feed,
+    // Instagram outside post pages) - there only individual posts and feed items are classified
+    const adapter = getAdapter();
+    if (adapter && adapter.shouldSkipPage && adapter.shouldSkipPage(location)) {
       return;
     }
-    
-    // Skip sending if we're on Instagram homepage (not a post page with /p/ in URL)
-    const isInstagramHomepage = location.hostname.includes('instagram.com') &&
-                                 !location.pathname.includes('/p/');
-    if (isInstagramHomepage) {
-      // Don't classify the homepage - only classify posts in Explore section
+    if (deltaMs <= 0) {
       return;
     }
     
     // Only send if we have meaningful content (not just page title like "Home / X")
-    const meaningfulTitle = settings.includeTitles &&
+    const meaningfulTitle = recordTitles &&
                            currentPostTitle &&
                            currentPostTitle.length > 5 &&
                            !currentPostTitle.match(/^(Home|Explore|Notifications|Messages|Profile|Reddit)/i);
@@ -687,13 +518,18 @@
       domain: location.hostname,
       deltaMs,
       contentType: detectContentType(),
+      pathClass: getPathClass(),
+      ...getPageDimensions(),
+      scrollPx: Math.round(scrollPx * deltaMs / totalMs),
+      scrollVelocity,
+      titlesPerMinute,
       capturedAt: Date.now()
     };
     
     // Always include title if we have one and includeTitles is enabled
     // The background script will handle validation
     // For Reddit, also try URL extraction if DOM extraction failed
-    if (settings.includeTitles) {
+    if (recordTitles) {
       if (currentPostTitle && currentPostTitle.length > 0) {
         payload.title = currentPostTitle;
       } else if (location.hostname.includes('reddit.com')) {
@@ -719,58 +555,66 @@
       // Same post, don't send title again to avoid duplicate counting
       // But still send engagement time
       console.log('[Horizon] Same post, skipping title to avoid duplicate count');
-    } else if (settings.includeTitles && currentPostTitle && currentPostTitle.length > 0) {
+    } else if (recordTitles && currentPostTitle && currentPostTitle.length > 0) {
       // Title exists but doesn't meet "meaningful" criteria - still send it
       console.log('[Horizon] Sending title that may not meet criteria:', currentPostTitle.substring(0, 50));
     }
     
-    try {
-      chrome.runtime.sendMessage(payload, (response) => {
-        // Handle extension context invalidation
-        if (chrome.runtime.lastError) {
-          const errorMsg = chrome.runtime.lastError.message || '';
-          if (errorMsg.includes('Extension context invalidated') || 
-              errorMsg.includes('message port closed') ||
-              errorMsg.includes('Could not establish connection')) {
-            // Extension was reloaded - stop trying to send messages
-            contextInvalidated = true;
-            console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
-            return;
-          }
-          // Other errors (service worker may be asleep) - ignore
+    queueMessage(payload, (response) => {
+      if (response?.success) {
+        // Only log embedding hash if semantic embedding is enabled
+        if (response.embeddingHash) {
+          chrome.storage.local.get(['settings'], (res) => {
+            const settings = res.settings || {};
+            if (settings.useSemanticEmbedding === true) {
+              console.log('[Horizon] Embedding cached with hash:', response.embeddingHash);
+            }
+          });
         }
-        if (response?.success) {
-          // Only log embedding hash if semantic embedding is enabled
-          if (response.embeddingHash) {
-            chrome.storage.local.get(['settings'], (res) => {
-              const settings = res.settings || {};
-              if (settings.useSemanticEmbedding === true) {
-                console.log('[Horizon] Embedding cached with hash:', response.embeddingHash);
-              }
-            });
-          }
-          if (response.topic) {
-            console.log('[Horizon] Post classified as:', response.topic);
-          } else if (meaningfulTitle && payload.title) {
-            console.log('[Horizon] Post classification returned no topic (check service worker console for details)');
-          }
+        if (response.topic) {
+          console.log('[Horizon] Post classified as:', response.topic);
+        } else if (meaningfulTitle && payload.title) {
+          console.log('[Horizon] Post classification returned no topic (check service worker console for details)');
         }
-      });
-    } catch (error) {
-      // Catch any runtime errors (e.g., extension context invalidated)
-      const errorMsg = error.message || '';
-      if (errorMsg.includes('Extension context invalidated') ||
-          errorMsg.includes('message port closed') ||
-          errorMsg.includes('Could not establish connection')) {
-        contextInvalidated = true;
-        console.log('[Horizon] Extension context invalidated. Please refresh the page to resume tracking.');
       }
-      // Silently ignore other errors
+    });
+  }
+
+  // One engagement message per feed item, carrying that item's share of the scroll distance
+  function sendFeedItems(items, { totalMs, scrollPx, scrollVelocity, titlesPerMinute }) {
+    const domain = location.hostname;
+    const pathClass = getPathClass();
+    for (const item of items) {
+      const title = isTitleBlocked(item) ? '' : item.title;
+      queueMessage({
+        type: 'engagement_time',
+        source: 'feed_item',
+        domain,
+        deltaMs: item.dwellMs,
+        contentType: item.contentType || 'unknown',
+        pathClass,
+        title,
+        author: item.author,
+        community: item.community,
+        hashtags: HorizonPlatforms.helpers.extractHashtags(title),
+        scrollPx: totalMs > 0 ? Math.round(scrollPx * Math.min(item.dwellMs, totalMs) / totalMs) : 0,
+        scrollVelocity,
+        titlesPerMinute,
+        capturedAt: Date.now()
+      }, (response) => {
+        if (response?.topic) {
+          console.log('[Horizon] Feed item classified as:', response.topic, '-', title.substring(0, 50));
+        }
+      });
     }
   }
 
   function updateState(isActive) {
     const now = Date.now();
+    // Credit on-screen feed items up to this moment before the active state flips
+    if (feedTracker) {
+      feedTracker.tick(now);
+    }
     if (active) {
       accumulatedMs += now - lastChange;
     }
@@ -785,6 +629,23 @@
     }
   }
 
+  // Count a title toward the new-titles-per-minute rate the first time it is seen
+  function noteTitleSeen(title) {
+    if (!title || title.length <= 5 || recentTitles.has(title)) return;
+    recentTitles.add(title);
+    newTitlesSinceSend++;
+    if (recentTitles.size > 200) {
+      recentTitles.delete(recentTitles.values().next().value);
+    }
+  }
+
+  // Accumulate scroll distance (both directions) between sends
+  window.addEventListener('scroll', () => {
+    const y = window.scrollY;
+    scrollPxSinceSend += Math.abs(y - lastScrollY);
+    lastScrollY = y;
+  }, { passive: true });
+
   // event listeners to detect engagement
   document.addEventListener('visibilitychange', () => updateState(document.visibilityState === 'visible'));
   window.addEventListener('focus', () => updateState(true));
@@ -875,20 +736,6 @@
       return;
     }
     
-    // Try all common Reddit title selectors
-    const titleSelectors = [
-      'h1[data-testid="post-content"]',
-      'h1[data-test-id="post-content"]',
-      'h2[data-testid="post-content"]',
-      'div[data-testid="post-title"] h1',
-      'a[data-testid="post-title"]',
-      'a.title',
-      'shreddit-post h1',
-      'shreddit-post h2',
-      '[slot="title"]',
-      'faceplate-tracker[source="post"] h1'
-    ];
-    
     let attempts = 0;
     const maxAttempts = 50; // Stop after 50 mutations (about 5-10 seconds)
     
@@ -908,29 +755,27 @@
         console.log('[Horizon] Title MutationObserver attempt', attempts, 'of', maxAttempts);
       }
       
-      // Try to find title using all selectors
-      for (const selector of titleSelectors) {
-        const titleEl = document.querySelector(selector);
-        if (titleEl && titleEl.textContent && titleEl.textContent.trim().length > 5) {
-          const extractedTitle = titleEl.textContent.trim();
-          if (!isGenericRedditTitle(extractedTitle) && extractedTitle !== currentPostTitle) {
-            console.log('[Horizon] Title appeared in DOM via MutationObserver:', extractedTitle.substring(0, 50));
-            currentPostTitle = extractedTitle.substring(0, 200);
-            lastPostTitle = ''; // Reset to force sending
-            lastUrl = location.href;
-            
-            // Send engagement immediately if we have accumulated time
-            if (accumulatedMs > 0) {
-              sendEngagement(accumulatedMs);
-              accumulatedMs = 0;
-              lastSend = Date.now();
-            }
-            
-            titleMutationObserver.disconnect();
-            titleMutationObserver = null;
-            return;
-          }
+      // Try to find the title with the reddit.post.titleObserve selector rules
+      const match = globalThis.HorizonSelectors && HorizonSelectors.apply(
+        document, 'reddit', 'post', 'titleObserve',
+        text => !isGenericRedditTitle(text) && text !== currentPostTitle
+      );
+      if (match) {
+        console.log('[Horizon] Title appeared in DOM via MutationObserver (rule ' + match.ruleId + '):', match.value.substring(0, 50));
+        currentPostTitle = match.value;
+        lastPostTitle = ''; // Reset to force sending
+        lastUrl = location.href;
+        
+        // Send engagement immediately if we have accumulated time
+        if (accumulatedMs > 0) {
+          sendEngagement(accumulatedMs);
+          accumulatedMs = 0;
+          lastSend = Date.now();
         }
+        
+        titleMutationObserver.disconnect();
+        titleMutationObserver = null;
+        return;
       }
       
       // Also try URL extraction periodically (in case URL changed)
@@ -1076,6 +921,7 @@
   // Also check for post changes on single-page apps
   setInterval(() => {
     const now = Date.now();
+    syncFeedTracker();
     if (active) {
       accumulatedMs += now - lastChange;
       lastChange = now;
@@ -1089,6 +935,7 @@
         
         const newPostTitle = extractPostTitle();
         if (newPostTitle && newPostTitle !== currentPostTitle && newPostTitle.length > 5 && !isGenericRedditTitle(newPostTitle)) {
+          noteTitleSeen(newPostTitle);
           // Post changed, send accumulated time for previous post
           if (accumulatedMs > 0) {
             sendEngagement(accumulatedMs);
@@ -0,0 +1,307 @@
+// crypto_store.js
+// Optional passphrase encryption of stored tracking data (WebCrypto: PBKDF2-SHA256 -> AES-GCM)
+// Loaded as a classic script in the popup and options page and imported by background.js; exposes globalThis.HorizonCryptoStore
+//
+// Protected keys (day_*, timeline_*, the week_*/month_* rollups, the recommendation payloads and their history) are stored as
+// { horizonEncrypted: 1, iv, data } blobs once a passphrase is set. The derived key is kept in
+// chrome.storage.session, so the data stays unlocked until the browser closes or it is locked again.
+// Everything else (settings, flags) is stored as before.
+//
+// Storage used:
+//   crypto_meta        (local)   - { version, iterations, salt, check }; present while encryption is on
+//   crypto_session_key (session) - raw AES key (base64) while unlocked
+
+(function () {
+  if (globalThis.HorizonCryptoStore) {
+    return;
+  }
+
+  const META_KEY = 'crypto_meta';
+  const SESSION_KEY = 'crypto_session_key';
+  const PROTECTED_PREFIXES = ['day_', 'timeline_', 'week_', 'month_'];
+  const PROTECTED_KEYS = ['horizon_recommendations', 'horizon_recommendations_summary', 'horizon_summary_snapshot', 'recommendation_history'];
+  const ITERATIONS = 310000;
+  const MIN_PASSPHRASE_LENGTH = 8;
+  // Encrypted with the key on setup so a wrong passphrase can be told apart from corrupt data
+  const CHECK_TEXT = 'horizon';
+  const EXPORT_FORMAT = 'horizon-encrypted-export';
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  function lockedError() {
+    const error = new Error('Tracking data is locked. Unlock it with your passphrase first.');
+    error.locked = true;
+    return error;
+  }
+
+  function isProtectedKey(key) {
+    return PROTECTED_KEYS.includes(key) || PROTECTED_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  function isEncryptedBlob(value) {
+    return !!value && typeof value === 'object' && value.horizonEncrypted === 1 &&
+      typeof value.iv === 'string' && typeof value.data === 'string';
+  }
+
+  function isEncryptedExport(value) {
+    return !!value && typeof value === 'object' && value.format === EXPORT_FORMAT;
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  function importRawKey(raw) {
+    return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async function encryptValue(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+    return { horizonEncrypted: 1, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async function decryptValue(blob, key) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, key, fromBase64(blob.data));
+    return JSON.parse(decoder.decode(data));
+  }
+
+  // Key from the passphrase, checked against the stored meta; throws on a wrong passphrase
+  async function keyFromPassphrase(passphrase, meta) {
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+      if (await decryptValue(meta.check, key) === CHECK_TEXT) {
+        return key;
+      }
+    } catch (error) {
+      // AES-GCM rejects the check blob under any other key
+    }
+    throw new Error('Wrong passphrase');
+  }
+
+  async function createMeta(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const meta = { version: 1, iterations: ITERATIONS, salt: toBase64(salt), check: await encryptValue(CHECK_TEXT, key) };
+    return { meta, key };
+  }
+
+  async function getMeta() {
+    const { [META_KEY]: meta } = await chrome.storage.local.get([META_KEY]);
+    return meta && meta.salt ? meta : null;
+  }
+
+  // The session key, or null while locked (or when encryption is off)
+  async function getSessionKey() {
+    const { [SESSION_KEY]: raw } = await chrome.storage.session.get([SESSION_KEY]);
+    return raw ? importRawKey(raw) : null;
+  }
+
+  async function rememberKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ [SESSION_KEY]: toBase64(raw) });
+  }
+
+  /**
+   * @returns {Promise<Object>} { enabled, unlocked }
+   */
+  async function getStatus() {
+    const meta = await getMeta();
+    if (!meta) {
+      return { enabled: false, unlocked: true };
+    }
+    return { enabled: true, unlocked: !!(await getSessionKey()) };
+  }
+
+  async function isLocked() {
+    const status = await getStatus();
+    return status.enabled && !status.unlocked;
+  }
+
+  // Re-store every protected value: decrypted with fromKey (if encrypted), encrypted with toKey (or left plain)
+  async function rewriteProtected(fromKey, toKey) {
+    const all = await chrome.storage.local.get(null);
+    const updates = {};
+    for (const [key, value] of Object.entries(all)) {
+      if (!isProtectedKey(key)) continue;
+      const plain = isEncryptedBlob(value) ? await decryptValue(value, fromKey) : value;
+      updates[key] = toKey ? await encryptValue(plain, toKey) : plain;
+    }
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
+    return Object.keys(updates).length;
+  }
+
+  function checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Turn encryption on and encrypt everything already stored
+   * @returns {Promise<number>} Number of entries encrypted
+   */
+  async function enable(passphrase) {
+    checkPassphrase(passphrase);
+    if (await getMeta()) {
+      throw new Error('Encryption is already on');
+    }
+    const { meta, key } = await createMeta(passphrase);
+    await rememberKey(key);
+    const count = await rewriteProtected(null, key);
+    await chrome.storage.local.set({ [META_KEY]: meta });
+    return count;
+  }
+
+  /**
+   * Unlock for this browser session
+   */
+  async function unlock(passphrase) {
+    const meta = await getMeta();
+    if (!meta) {
+      return;
+    }
+    await rememberKey(await keyFromPassphrase(passphrase, meta));
+  }
+
+  async function lock() {
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+
+  /**
+   * Re-encrypt everything under a new passphrase
+   */
+  async function changePassphrase(currentPassphrase, newPassphrase) {
+    checkPassphrase(newPassphrase);
+    const meta = await getMeta();
+    if (!meta) {
+      throw new Error('Encryption is off');
+    }
+    const oldKey = await keyFromPassphrase(currentPassphrase, meta);
+    const { meta: newMeta, key } = await createMeta(newPassphrase);
+    await rewriteProtected(oldKey, key);
+    await chrome.storage.local.set({ [META_KEY]: newMeta });
+    await rememberKey(key);
+  }
+
+  /**
+   * Turn encryption off and store everything decrypted again
+   * @returns {Promise<number>} Number of entries decrypted
+   */
+  async function disable(passphrase) {
+    const meta = await getMeta();
+    if (!meta) {
+      return 0;
+    }
+    const key = await keyFromPassphrase(passphrase, meta);
+    const count = await rewriteProtected(key, null);
+    await chrome.storage.local.remove(META_KEY);
+    await lock();
+    return count;
+  }
+
+  /**
+   * chrome.storage.local.get with protected values decrypted
+   * While locked, encrypted values are left out, as if nothing were stored under them
+   * @param {string|string[]|null} keys
+   */
+  async function get(keys) {
+    const stored = await chrome.storage.local.get(keys);
+    const encryptedKeys = Object.keys(stored).filter(key => isProtectedKey(key) && isEncryptedBlob(stored[key]));
+    if (encryptedKeys.length === 0) {
+      return stored;
+    }
+    const key = await getSessionKey();
+    for (const name of encryptedKeys) {
+      if (key) {
+        stored[name] = await decryptValue(stored[name], key);
+      } else {
+        delete stored[name];
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * chrome.storage.local.set with protected values encrypted while encryption is on
+   * Throws (error.locked) when protected values are written while locked
+   */
+  async function set(items) {
+    const protectedKeys = Object.keys(items).filter(isProtectedKey);
+    if (protectedKeys.length === 0 || !(await getMeta())) {
+      return chrome.storage.local.set(items);
+    }
+    const key = await getSessionKey();
+    if (!key) {
+      throw lockedError();
+    }
+    const encrypted = { ...items };
+    for (const name of protectedKeys) {
+      encrypted[name] = await encryptValue(items[name], key);
+    }
+    return chrome.storage.local.set(encrypted);
+  }
+
+  /**
+   * Wrap an export so it can only be read with the passphrase
+   * Carries its own salt, so it still opens after the passphrase is changed
+   */
+  async function encryptExport(exported) {
+    const meta = await getMeta();
+    const key = await getSessionKey();
+    if (!meta || !key) {
+      throw lockedError();
+    }
+    return { format: EXPORT_FORMAT, version: 1, iterations: meta.iterations, salt: meta.salt, check: meta.check, payload: await encryptValue(exported, key) };
+  }
+
+  /**
+   * Open an encrypted export; throws on a wrong passphrase
+   */
+  async function decryptExport(envelope, passphrase) {
+    if (!isEncryptedExport(envelope) || !isEncryptedBlob(envelope.payload)) {
+      throw new Error('Not an encrypted Horizon export');
+    }
+    const key = await keyFromPassphrase(passphrase, envelope);
+    return decryptValue(envelope.payload, key);
+  }
+
+  globalThis.HorizonCryptoStore = {
+    META_KEY,
+    MIN_PASSPHRASE_LENGTH,
+    isProtectedKey,
+    isEncryptedBlob,
+    isEncryptedExport,
+    getStatus,
+    isLocked,
+    enable,
+    unlock,
+    lock,
+    changePassphrase,
+    disable,
+    get,
+    set,
+    encryptExport,
+    decryptExport
+  };
+})();
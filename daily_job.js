@@ -0,0 +1,90 @@
+// daily_job.js
+// Schedule and status of the end-of-day job that background.js runs from a chrome.alarms alarm
+// The job finalizes the previous day's record, rolls up days past the retention window and generates
+// the previous day's recommendations (and sends the digest, see digest.js), so none of it waits for the popup to be opened
+//
+// Settings used:
+//   dailyJobTime - local time of day the job runs, "HH:MM" (default DEFAULT_DAILY_JOB_TIME)
+// Storage used:
+//   daily_job_status (local) - { lastRun, nextRunAt }
+//     lastRun = { reason, day, startedAt, finishedAt, status, steps: { finalize, recommendations, digest, rollup }, error }
+//     status is 'ok', 'skipped' (data locked) or 'error'
+
+export const DAILY_JOB_ALARM = 'horizon_daily_job';
+export const DAILY_JOB_STATUS_KEY = 'daily_job_status';
+
+// Shortly after midnight, so the previous day is complete
+export const DEFAULT_DAILY_JOB_TIME = '00:30';
+
+/**
+ * Parse "HH:MM" (24-hour) into { hours, minutes }, or null when it isn't a valid time
+ */
+export function parseJobTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/**
+ * Time of day the job runs, from settings ("HH:MM")
+ */
+export function getDailyJobTime(settings) {
+  const parsed = parseJobTime(settings?.dailyJobTime);
+  if (!parsed) return DEFAULT_DAILY_JOB_TIME;
+  return `${String(parsed.hours).padStart(2, '0')}:${String(parsed.minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Next time (ms) the job should run: today at the chosen time if that is still ahead, otherwise tomorrow
+ * Built from local date parts, so the job keeps its wall-clock time across DST changes
+ */
+export function getNextRunTime(time, now = Date.now()) {
+  const { hours, minutes } = parseJobTime(time) || parseJobTime(DEFAULT_DAILY_JOB_TIME);
+  const current = new Date(now);
+  const next = new Date(current.getFullYear(), current.getMonth(), current.getDate(), hours, minutes, 0, 0);
+  if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Whether the job was missed (the browser was closed at its time): today's run time has passed
+ * and the last run didn't process yesterday. A run skipped while the data was locked is retried
+ * @param {string} yesterday - YYYY-MM-DD of the day the job processes today
+ */
+export function isDailyJobDue(status, time, yesterday, now = Date.now()) {
+  const lastRun = status?.lastRun;
+  if (lastRun && lastRun.day === yesterday && lastRun.status !== 'skipped') {
+    return false;
+  }
+  const { hours, minutes } = parseJobTime(time) || parseJobTime(DEFAULT_DAILY_JOB_TIME);
+  const current = new Date(now);
+  return now >= new Date(current.getFullYear(), current.getMonth(), current.getDate(), hours, minutes, 0, 0).getTime();
+}
+
+/**
+ * Close out a finished day's record (returns a new record)
+ * Missing aggregates are filled in, an open doomscroll streak is ended and finalizedAt is set
+ */
+export function finalizeDayRecord(record, day, finalizedAt = Date.now()) {
+  const finalized = {
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    totalMs: 0,
+    embeddingSamples: [],
+    seenPosts: {},
+    ...record,
+    day: record?.day || day,
+    finalizedAt
+  };
+  if (finalized.doomscroll && typeof finalized.doomscroll === 'object') {
+    finalized.doomscroll = { ...finalized.doomscroll, current: null };
+  }
+  return finalized;
+}
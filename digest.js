@@ -0,0 +1,140 @@
+// digest.js
+// Optional desktop notification digest, sent by the end-of-day job (see daily_job.js)
+// Daily: the day that just ended. Weekly: sent after each Sunday for that Monday-Sunday week,
+// including days already rolled up into the week aggregate (see history_rollup.js)
+//
+// Settings used:
+//   digestFrequency - 'off' (default), 'daily' or 'weekly'
+// The notification shows total time, top domain, top topic, a topic diversity score and the first
+// recommendation; clicking it opens the popup
+
+import { parseDateString, getWeekKey, createEmptyAggregate, addDayToAggregate } from './history_rollup.js';
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+export const DEFAULT_DIGEST_FREQUENCY = 'off';
+export const DIGEST_NOTIFICATION_ID = 'horizon_digest';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MAX_RECOMMENDATION_LENGTH = 120;
+
+export function getDigestFrequency(settings) {
+  return DIGEST_FREQUENCIES.includes(settings?.digestFrequency) ? settings.digestFrequency : DEFAULT_DIGEST_FREQUENCY;
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Days (YYYY-MM-DD) a digest sent after `day` covers, or [] when none is due
+ * Weekly digests are only due once the week's Sunday is over
+ */
+export function getDigestDays(frequency, day) {
+  if (frequency === 'daily') {
+    return [day];
+  }
+  if (frequency === 'weekly' && parseDateString(day).getDay() === 0) {
+    const sunday = parseDateString(day);
+    return Array.from({ length: 7 }, (_, index) => toDateString(new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() - 6 + index)));
+  }
+  return [];
+}
+
+/**
+ * Storage key of the week aggregate holding rolled-up days of a weekly digest
+ */
+export function getDigestWeekKey(days) {
+  return days.length > 1 ? `week_${getWeekKey(days[0])}` : null;
+}
+
+/**
+ * Add up the day records (and any week aggregate) behind a digest
+ * @returns {Object} { days, byDomain, byContentType, byTopic, byTopicCounts, totalMs }
+ */
+export function combineDigestRecords(dayRecords, weekAggregate = null) {
+  const combined = createEmptyAggregate('digest', null);
+  if (weekAggregate && Array.isArray(weekAggregate.days)) {
+    for (const key of ['byDomain', 'byContentType', 'byTopic', 'byTopicCounts']) {
+      combined[key] = { ...(weekAggregate[key] || {}) };
+    }
+    combined.totalMs = weekAggregate.totalMs || 0;
+    combined.days = [...weekAggregate.days];
+  }
+  for (const record of dayRecords) {
+    if (record) {
+      addDayToAggregate(combined, record, record.day);
+    }
+  }
+  return combined;
+}
+
+/**
+ * Topic diversity from 0 (a single topic) to 100 (time spread evenly over every topic seen)
+ * Shannon entropy of time per topic, divided by its maximum for that many topics; null without topics
+ */
+export function diversityScore(byTopic) {
+  const values = Object.values(byTopic || {}).filter(value => typeof value === 'number' && value > 0);
+  if (values.length === 0) return null;
+  if (values.length === 1) return 0;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const entropy = values.reduce((sum, value) => sum - (value / total) * Math.log2(value / total), 0);
+  return Math.round((entropy / Math.log2(values.length)) * 100);
+}
+
+function topEntry(map) {
+  const entries = Object.entries(map || {}).filter(([, value]) => typeof value === 'number' && value > 0);
+  if (entries.length === 0) return null;
+  return entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+}
+
+export function formatDigestDuration(ms) {
+  const minutes = Math.round((ms || 0) / MS_PER_MINUTE);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatDay(day, options) {
+  return parseDateString(day).toLocaleDateString('en-US', options);
+}
+
+/**
+ * Title and message of the digest notification, or null when nothing was tracked
+ * @param {Object} options - { frequency, days, summary (from combineDigestRecords), recommendation (text or null) }
+ */
+export function buildDigest({ frequency, days, summary, recommendation = null }) {
+  if (!summary || !(summary.totalMs > 0) || days.length === 0) {
+    return null;
+  }
+  const title = frequency === 'weekly'
+    ? `Horizon: your week (${formatDay(days[0], { month: 'short', day: 'numeric' })} – ${formatDay(days[days.length - 1], { month: 'short', day: 'numeric' })})`
+    : `Horizon: your day (${formatDay(days[0], { weekday: 'short', month: 'short', day: 'numeric' })})`;
+
+  const lines = [];
+  const topDomain = topEntry(summary.byDomain);
+  lines.push(topDomain
+    ? `${formatDigestDuration(summary.totalMs)} on social media, most on ${topDomain[0].replace(/^www\./, '')} (${formatDigestDuration(topDomain[1])}).`
+    : `${formatDigestDuration(summary.totalMs)} on social media.`);
+
+  // Topics by time, falling back to post counts for records without topic time
+  const topTopic = topEntry(summary.byTopic) || topEntry(summary.byTopicCounts);
+  const diversity = diversityScore(Object.keys(summary.byTopic || {}).length > 0 ? summary.byTopic : summary.byTopicCounts);
+  if (topTopic) {
+    lines.push(`Top topic: ${topTopic[0]} · diversity ${diversity}/100`);
+  }
+
+  if (recommendation) {
+    const text = recommendation.length > MAX_RECOMMENDATION_LENGTH
+      ? `${recommendation.slice(0, MAX_RECOMMENDATION_LENGTH - 1).trimEnd()}…`
+      : recommendation;
+    lines.push(`Try: ${text}`);
+  }
+
+  return {
+    title,
+    message: lines.join('\n'),
+    totalMs: summary.totalMs,
+    topDomain: topDomain ? topDomain[0] : null,
+    topTopic: topTopic ? topTopic[0] : null,
+    diversity
+  };
+}
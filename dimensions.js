@@ -0,0 +1,93 @@
+// dimensions.js
+// Community (subreddit, group, hashtag page), author and hashtag breakdowns of engagement
+// Each dimension is stored on the day record as a time map and a post-count map,
+// e.g. byCommunity { "r/programming": ms } and byCommunityCounts { "r/programming": posts }
+
+export const DIMENSIONS = {
+  community: { msKey: 'byCommunity', countKey: 'byCommunityCounts' },
+  author: { msKey: 'byAuthor', countKey: 'byAuthorCounts' },
+  hashtag: { msKey: 'byHashtag', countKey: 'byHashtagCounts' }
+};
+
+// All map keys added by this module (used by rollups, export and import)
+export const DIMENSION_MAP_KEYS = Object.values(DIMENSIONS).flatMap(({ msKey, countKey }) => [msKey, countKey]);
+
+// Hashtags kept per engagement delta
+export const MAX_HASHTAGS_PER_POST = 10;
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Normalize a dimension value from the content script ('' if unusable)
+ * Communities and hashtags are case-insensitive; author handles keep their case
+ */
+export function normalizeDimensionValue(kind, value) {
+  if (typeof value !== 'string') return '';
+  let name = value.replace(/\s+/g, ' ').trim().substring(0, MAX_NAME_LENGTH);
+  if (kind === 'hashtag') {
+    name = name.replace(/^#*/, '');
+    name = name ? '#' + name.toLowerCase() : '';
+  } else if (kind === 'community') {
+    name = name.toLowerCase();
+  }
+  return name;
+}
+
+/**
+ * Dimension values carried by an engagement message
+ * @returns {Object} - { community: [..], author: [..], hashtag: [..] }
+ */
+export function getDimensionValues(data) {
+  const hashtags = Array.isArray(data.hashtags) ? data.hashtags : [];
+  return {
+    community: [normalizeDimensionValue('community', data.community)].filter(Boolean),
+    author: [normalizeDimensionValue('author', data.author)].filter(Boolean),
+    hashtag: [...new Set(hashtags.map(tag => normalizeDimensionValue('hashtag', tag)).filter(Boolean))]
+      .slice(0, MAX_HASHTAGS_PER_POST)
+  };
+}
+
+/**
+ * Add one engagement delta to the record's dimension maps (mutates record)
+ * Post counts only move when the delta is the first one for a post
+ */
+export function updateDimensions(record, data, isNewPost) {
+  const values = getDimensionValues(data);
+  for (const [kind, { msKey, countKey }] of Object.entries(DIMENSIONS)) {
+    if (values[kind].length === 0) continue;
+    record[msKey] = record[msKey] || {};
+    record[countKey] = record[countKey] || {};
+    for (const name of values[kind]) {
+      record[msKey][name] = (record[msKey][name] || 0) + data.deltaMs;
+      if (isNewPost) {
+        record[countKey][name] = (record[countKey][name] || 0) + 1;
+      }
+    }
+  }
+  return record;
+}
+
+/**
+ * Top entries of one dimension by time
+ * @returns {Array} - [{ name, ms, posts }]
+ */
+export function getTopDimensionEntries(record, kind, limit = 5) {
+  const { msKey, countKey } = DIMENSIONS[kind];
+  const times = record?.[msKey] || {};
+  const counts = record?.[countKey] || {};
+  return Object.entries(times)
+    .map(([name, ms]) => ({ name, ms, posts: counts[name] || 0 }))
+    .sort((a, b) => b.ms - a.ms || b.posts - a.posts)
+    .slice(0, limit);
+}
+
+/**
+ * Top communities, accounts and hashtags for the popup
+ */
+export function getDimensionStats(record, limit = 5) {
+  return {
+    communities: getTopDimensionEntries(record, 'community', limit),
+    authors: getTopDimensionEntries(record, 'author', limit),
+    hashtags: getTopDimensionEntries(record, 'hashtag', limit)
+  };
+}
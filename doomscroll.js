@@ -0,0 +1,93 @@
+// doomscroll.js
+// Flags long, fast, low-dwell scrolling streaks ("doomscrolling") from engagement deltas
+// The content script reports scroll distance, scroll velocity and new titles per minute
+// for every delta; a streak is a run of fast deltas on the same domain with no real pause
+// State lives on the day record as { current, streaks: [...], totalMs }
+
+// A delta counts as "fast" above either of these rates
+export const FAST_SCROLL_PX_PER_SEC = 250;
+export const FAST_TITLES_PER_MINUTE = 6;
+
+// Pause between deltas that ends a streak
+export const STREAK_GAP_MS = 30 * 1000;
+
+// Minimum streak length that gets flagged as doomscrolling
+export const MIN_STREAK_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a single engagement delta looks like fast, low-dwell scrolling
+ */
+export function isFastDelta(delta) {
+  return (delta.scrollVelocity || 0) >= FAST_SCROLL_PX_PER_SEC ||
+    (delta.titlesPerMinute || 0) >= FAST_TITLES_PER_MINUTE;
+}
+
+function createEmptyState() {
+  return { current: null, streaks: [], totalMs: 0 };
+}
+
+/**
+ * Fold one engagement delta into the doomscroll state (returns a new state)
+ * @param {Object} state - Existing record.doomscroll (may be undefined)
+ * @param {Object} delta - { domain, start, deltaMs, scrollPx, scrollVelocity, titlesPerMinute }
+ */
+export function updateDoomscroll(state, delta) {
+  const next = state && typeof state === 'object'
+    ? { ...createEmptyState(), ...state, streaks: [...(state.streaks || [])] }
+    : createEmptyState();
+  const end = delta.start + delta.deltaMs;
+
+  if (!isFastDelta(delta)) {
+    next.current = null;
+    return next;
+  }
+
+  const current = next.current;
+  const continues = current &&
+    current.domain === delta.domain &&
+    delta.start - current.end <= STREAK_GAP_MS;
+
+  const streak = continues
+    ? {
+      ...current,
+      end: Math.max(current.end, end),
+      durationMs: current.durationMs + delta.deltaMs,
+      scrollPx: current.scrollPx + (delta.scrollPx || 0)
+    }
+    : {
+      domain: delta.domain,
+      start: delta.start,
+      end,
+      durationMs: delta.deltaMs,
+      scrollPx: delta.scrollPx || 0,
+      flagged: false
+    };
+
+  // Once a streak passes the threshold it is listed, and kept up to date while it continues
+  if (streak.durationMs >= MIN_STREAK_MS) {
+    const { flagged, ...entry } = streak;
+    if (flagged) {
+      next.streaks[next.streaks.length - 1] = entry;
+    } else {
+      next.streaks.push(entry);
+      streak.flagged = true;
+    }
+  }
+
+  next.current = streak;
+  next.totalMs = next.streaks.reduce((sum, item) => sum + item.durationMs, 0);
+  return next;
+}
+
+/**
+ * Doomscroll statistics for a day
+ * @returns {Object} - { count, totalMs, longest }
+ */
+export function getDoomscrollStats(state) {
+  const streaks = Array.isArray(state?.streaks) ? state.streaks : [];
+  if (streaks.length === 0) {
+    return { count: 0, totalMs: 0, longest: null };
+  }
+  const longest = streaks.reduce((best, streak) => (streak.durationMs > best.durationMs ? streak : best), streaks[0]);
+  return { count: streaks.length, totalMs: state.totalMs || 0, longest };
+}
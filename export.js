@@ -0,0 +1,259 @@
+// export.js
+// Builds structured Horizon exports (JSON or per-post CSV) from chrome.storage.local
+// The JSON layout is documented in export_schema.json; bump EXPORT_SCHEMA_VERSION
+// whenever a field is renamed or removed
+
+import { DIMENSION_MAP_KEYS } from './dimensions.js';
+import { getRedactionMode } from './redaction.js';
+
+export const EXPORT_FORMAT = 'horizon-export';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+// Columns of the per-post CSV export (title is only filled when titles are included)
+export const CSV_COLUMNS = ['day', 'hash', 'topic', 'lrConfidence', 'firstSeen', 'title'];
+
+/**
+ * Whether a YYYY-MM-DD string falls inside an inclusive range (either end may be empty)
+ */
+export function isDayInRange(day, from, to) {
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return true;
+}
+
+/**
+ * Sorted YYYY-MM-DD strings of every day_* record in storage
+ */
+export function getStoredDays(allData) {
+  return Object.keys(allData || {})
+    .filter(key => key.startsWith('day_'))
+    .map(key => key.slice(4))
+    .sort();
+}
+
+function exportDay(record, day, options) {
+  const posts = Object.entries(record.seenPosts || {}).map(([hash, post]) => {
+    const entry = {
+      hash,
+      topic: post?.topic || 'unknown',
+      firstSeen: post?.firstSeen || null,
+      lrConfidence: typeof post?.lrConfidence === 'number' ? post.lrConfidence : null
+    };
+    if (options.includeTitles) {
+      entry.title = post?.title || null;
+    }
+    return entry;
+  });
+
+  // Only keep the averaged LR confidences, not the running sums
+  const lrProbabilities = {};
+  for (const [topic, probData] of Object.entries(record.lrProbabilities || {})) {
+    if (probData && typeof probData.average === 'number') {
+      lrProbabilities[topic] = probData.average;
+    }
+  }
+
+  const exported = {
+    day,
+    totalMs: record.totalMs || 0,
+    byDomain: record.byDomain || {},
+    byContentType: record.byContentType || {},
+    byTopic: record.byTopic || {},
+    byTopicCounts: record.byTopicCounts || {},
+    ...pickDimensionMaps(record),
+    lrProbabilities,
+    posts
+  };
+
+  if (options.includeEmbeddings) {
+    exported.embeddingSamples = (record.embeddingSamples || []).map(sample => ({
+      domain: sample.domain,
+      contentType: sample.contentType,
+      topic: sample.topic || null,
+      hash: sample.hash || null,
+      embedding: sample.embedding,
+      capturedAt: sample.capturedAt || null
+    }));
+  }
+
+  return exported;
+}
+
+// Community/author/hashtag maps (only the ones the record has, so older days stay compact)
+function pickDimensionMaps(record) {
+  const maps = {};
+  for (const mapKey of DIMENSION_MAP_KEYS) {
+    if (record[mapKey] && typeof record[mapKey] === 'object') {
+      maps[mapKey] = record[mapKey];
+    }
+  }
+  return maps;
+}
+
+/**
+ * Build a structured export from a full storage snapshot
+ * @param {Object} allData - Result of chrome.storage.local.get(null)
+ * @param {Object} options - { from, to, includeTitles, includeEmbeddings, includeRecommendations, deviceId }
+ * @returns {Object} - Export object matching export_schema.json
+ */
+export function buildExport(allData, options = {}) {
+  const { from = null, to = null } = options;
+  const days = getStoredDays(allData)
+    .filter(day => isDayInRange(day, from, to))
+    .map(day => exportDay(allData[`day_${day}`] || {}, day, options));
+
+  // Weekly/monthly rollups that cover at least one day of the range
+  const rollups = Object.keys(allData)
+    .filter(key => key.startsWith('week_') || key.startsWith('month_'))
+    .map(key => allData[key])
+    .filter(aggregate => Array.isArray(aggregate?.days) && aggregate.days.some(day => isDayInRange(day, from, to)))
+    .map(aggregate => ({
+      period: aggregate.period,
+      id: aggregate.id,
+      days: aggregate.days,
+      totalMs: aggregate.totalMs || 0,
+      byDomain: aggregate.byDomain || {},
+      byContentType: aggregate.byContentType || {},
+      byTopic: aggregate.byTopic || {},
+      byTopicCounts: aggregate.byTopicCounts || {},
+      ...pickDimensionMaps(aggregate)
+    }));
+
+  const exported = {
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportId: crypto.randomUUID(),
+    ...(options.deviceId ? { deviceId: options.deviceId } : {}),
+    exportedAt: new Date().toISOString(),
+    range: { from, to },
+    includes: {
+      titles: options.includeTitles === true,
+      // Titles are exported as stored, i.e. already redacted under this mode
+      titleRedaction: getRedactionMode(allData.settings),
+      embeddings: options.includeEmbeddings === true,
+      recommendations: options.includeRecommendations === true
+    },
+    days,
+    rollups
+  };
+
+  if (options.includeRecommendations) {
+    const recommendationsDate = allData.horizon_recommendations_date || null;
+    exported.recommendations = [];
+    if (allData.horizon_recommendations && (!recommendationsDate || isDayInRange(recommendationsDate, from, to))) {
+      exported.recommendations.push({
+        date: recommendationsDate,
+        recommendations: allData.horizon_recommendations
+      });
+    }
+  }
+
+  return exported;
+}
+
+// Spreadsheets run cells starting with these as formulas; titles come from other people's posts
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an export into a per-post CSV (one row per unique post)
+ */
+export function buildPostsCsv(exported) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const day of exported.days) {
+    for (const post of day.posts) {
+      rows.push([
+        day.day,
+        post.hash,
+        post.topic,
+        post.lrConfidence,
+        post.firstSeen ? new Date(post.firstSeen).toISOString() : '',
+        post.title
+      ].map(csvCell).join(','));
+    }
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isNumberMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'number' && Number.isFinite(v) && v >= 0);
+}
+
+/**
+ * Validate a parsed export against export_schema.json
+ * Checks the fields the importer relies on; unknown extra fields are allowed
+ * @returns {Object} - { valid, errors: [string] }
+ */
+export function validateExport(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['File is not a JSON object.'] };
+  }
+  if (data.format !== EXPORT_FORMAT) {
+    errors.push(`Unknown format "${data.format}" (expected "${EXPORT_FORMAT}").`);
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    errors.push('Missing or invalid schemaVersion.');
+  } else if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    errors.push(`Export uses schema version ${data.schemaVersion}, but this version of Horizon only reads up to ${EXPORT_SCHEMA_VERSION}.`);
+  }
+  if (typeof data.exportId !== 'string' || data.exportId.length === 0) {
+    errors.push('Missing exportId.');
+  }
+  if (data.deviceId !== undefined && (typeof data.deviceId !== 'string' || data.deviceId.length === 0)) {
+    errors.push('deviceId must be a non-empty string.');
+  }
+  if (!Array.isArray(data.days)) {
+    errors.push('Missing days array.');
+    return { valid: false, errors };
+  }
+
+  data.days.forEach((day, index) => {
+    const where = `days[${index}]`;
+    if (!day || typeof day !== 'object') {
+      errors.push(`${where} is not an object.`);
+      return;
+    }
+    if (typeof day.day !== 'string' || !DAY_PATTERN.test(day.day)) {
+      errors.push(`${where}.day must be a YYYY-MM-DD date.`);
+    }
+    if (typeof day.totalMs !== 'number' || !Number.isFinite(day.totalMs) || day.totalMs < 0) {
+      errors.push(`${where}.totalMs must be a non-negative number.`);
+    }
+    for (const mapKey of ['byDomain', 'byContentType', 'byTopic', 'byTopicCounts']) {
+      if (!isNumberMap(day[mapKey])) {
+        errors.push(`${where}.${mapKey} must map names to non-negative numbers.`);
+      }
+    }
+    for (const mapKey of DIMENSION_MAP_KEYS) {
+      if (day[mapKey] !== undefined && !isNumberMap(day[mapKey])) {
+        errors.push(`${where}.${mapKey} must map names to non-negative numbers.`);
+      }
+    }
+    if (!Array.isArray(day.posts)) {
+      errors.push(`${where}.posts must be an array.`);
+    } else if (day.posts.some(post => !post || typeof post.hash !== 'string' || typeof post.topic !== 'string')) {
+      errors.push(`${where}.posts entries need a hash and a topic.`);
+    }
+  });
+
+  if (data.rollups !== undefined && !Array.isArray(data.rollups)) {
+    errors.push('rollups must be an array.');
+  }
+  if (data.recommendations !== undefined && !Array.isArray(data.recommendations)) {
+    errors.push('recommendations must be an array.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,151 @@
+// feed_tracker.js
+// Measures how long individual feed items (tweets, Reddit post cards, Instagram posts) are on screen
+// Loaded as a classic content script before content_script.js; exposes globalThis.HorizonFeedTracker
+//
+// Wall-clock time is split evenly between the items visible at that moment, so the per-item
+// dwell times of a feed add up to the time actually spent on the page (no double counting)
+
+(function () {
+  if (globalThis.HorizonFeedTracker) {
+    return;
+  }
+
+  // An item counts as visible when half of it (or half of the viewport) is covered by it
+  const VISIBLE_RATIO = 0.5;
+
+  // Items seen for less than this are dropped when they leave the page
+  const MIN_ITEM_DWELL_MS = 1000;
+
+  /**
+   * Create a tracker for one feed page
+   * @param {Object} options
+   * @param {string} options.selector - CSS selector matching feed items
+   * @param {Function} options.extractItem - (element) => { key, title, ...fields } or null
+   * @param {Function} options.isActive - () => whether the user is currently engaged with the page
+   */
+  function create({ selector, extractItem, isActive }) {
+    const items = new Map(); // element -> { data: { key, title, ...fields } | null, dwellMs }
+    const visible = new Set();
+    let intersectionObserver = null;
+    let mutationObserver = null;
+    let lastTick = Date.now();
+
+    // Credit the time since the last tick to the items that were visible during it
+    function tick(now = Date.now()) {
+      const elapsed = now - lastTick;
+      lastTick = now;
+      if (elapsed <= 0 || visible.size === 0 || !isActive()) return;
+      const share = elapsed / visible.size;
+      for (const el of visible) {
+        const item = items.get(el);
+        if (item) item.dwellMs += share;
+      }
+    }
+
+    // Snapshot the item when it first shows up; feeds recycle and re-render nodes
+    function refreshItem(el) {
+      const item = items.get(el);
+      if (!item || item.data) return;
+      try {
+        const extracted = extractItem(el);
+        if (extracted && extracted.title) {
+          item.data = { ...extracted, key: extracted.key || extracted.title };
+        }
+      } catch (error) {
+        console.warn('[Horizon] Feed item extraction failed:', error);
+      }
+    }
+
+    function isVisible(entry) {
+      if (!entry.isIntersecting) return false;
+      if (entry.intersectionRatio >= VISIBLE_RATIO) return true;
+      // Items taller than the viewport never reach the ratio; use viewport coverage instead
+      const rootHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+      return rootHeight > 0 && entry.intersectionRect.height >= rootHeight * VISIBLE_RATIO;
+    }
+
+    function onIntersect(entries) {
+      tick();
+      for (const entry of entries) {
+        if (isVisible(entry)) {
+          visible.add(entry.target);
+          refreshItem(entry.target);
+        } else {
+          visible.delete(entry.target);
+        }
+      }
+    }
+
+    function observe(el) {
+      if (items.has(el)) return;
+      items.set(el, { data: null, dwellMs: 0 });
+      intersectionObserver.observe(el);
+    }
+
+    function observeWithin(root) {
+      if (root.matches && root.matches(selector)) observe(root);
+      if (root.querySelectorAll) root.querySelectorAll(selector).forEach(observe);
+    }
+
+    function start(root = document.body) {
+      if (intersectionObserver || !root || typeof IntersectionObserver === 'undefined') return;
+      lastTick = Date.now();
+      intersectionObserver = new IntersectionObserver(onIntersect, { threshold: [0, 0.25, VISIBLE_RATIO, 0.75, 1] });
+      observeWithin(root);
+      // Infinite feeds append items as you scroll
+      mutationObserver = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) observeWithin(node);
+          });
+        }
+      });
+      mutationObserver.observe(root, { childList: true, subtree: true });
+    }
+
+    function stop() {
+      tick();
+      visible.clear();
+      if (intersectionObserver) intersectionObserver.disconnect();
+      if (mutationObserver) mutationObserver.disconnect();
+      intersectionObserver = null;
+      mutationObserver = null;
+    }
+
+    /**
+     * Collect the dwell time gathered since the last drain, one entry per item with a title
+     * Items still on screen below MIN_ITEM_DWELL_MS keep accumulating until the next drain
+     * @returns {Array} - [{ key, title, ...fields, dwellMs }]
+     */
+    function drain() {
+      tick();
+      const drained = [];
+      for (const [el, item] of items) {
+        const gone = !el.isConnected || (!visible.has(el) && !intersectionObserver);
+        if (item.dwellMs >= MIN_ITEM_DWELL_MS || (gone && item.dwellMs > 0)) {
+          refreshItem(el);
+          if (item.data && item.dwellMs >= MIN_ITEM_DWELL_MS) {
+            drained.push({ ...item.data, dwellMs: Math.round(item.dwellMs) });
+          }
+          item.dwellMs = 0;
+        }
+        // Forget detached nodes so long sessions don't grow the map without bound
+        if (!el.isConnected) {
+          items.delete(el);
+          visible.delete(el);
+        }
+      }
+      return drained;
+    }
+
+    return {
+      start,
+      stop,
+      drain,
+      tick,
+      isRunning: () => intersectionObserver !== null
+    };
+  }
+
+  globalThis.HorizonFeedTracker = { create, MIN_ITEM_DWELL_MS };
+})();
@@ -1,11 +1,12 @@
 // gpt_recommender.js
-// GPT-4o-mini based recommendation system
-// Uses OpenAI API to generate personalized content recommendations
+// Chat model based recommendation system
+// Prompts a chat completions API (OpenAI, or an OpenAI-compatible server) for personalized content recommendations
+// The provider, model and key come from llm_providers.js
+// Replies are requested as JSON matching the recommendation schema in recommendations.js
 
-import { OPENAI_API_KEY } from './api_key.js';
-
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const MODEL = 'gpt-4o-mini';
+import { requestChatCompletion } from './llm_providers.js';
+import './recommendations.js';
+const Recommendations = globalThis.HorizonRecommendations;
 
 // Single-threading: Track if a request is in progress
 let requestInProgress = false;
@@ -48,7 +49,7 @@ function clearDeduplicationCache() {
  * Format consumption data for GPT prompt
  */
 function formatConsumptionData(consumptionData) {
-  const { byTopicCounts = {}, byTopic = {}, lrProbabilities = {}, samplePostTitle } = consumptionData;
+  const { byTopicCounts = {}, byTopic = {}, lrProbabilities = {}, samplePostTitle, feedback = null } = consumptionData;
   
   // Calculate totals
   const totalPosts = Object.values(byTopicCounts).reduce((sum, count) => sum + count, 0);
@@ -92,7 +93,8 @@ function formatConsumptionData(consumptionData) {
     topTopicsByTime,
     topicStats,
     allTopics: Object.keys(byTopicCounts),
-    samplePostTitle: samplePostTitle || null
+    samplePostTitle: samplePostTitle || null,
+    feedback
   };
 }
 
@@ -125,7 +127,7 @@ You provide recommendations that are:
  * Build the user prompt with consumption data and request
  */
 function buildUserPrompt(formattedData) {
-  const { totalPosts, totalMinutes, topTopicsByCount, topTopicsByTime, topicStats, allTopics, samplePostTitle } = formattedData;
+  const { totalPosts, totalMinutes, topTopicsByCount, topTopicsByTime, topicStats, allTopics, samplePostTitle, feedback } = formattedData;
   
   let prompt = `Based on the following user consumption data, provide personalized content recommendations.
 
@@ -213,116 +215,115 @@ TOP TOPICS BY POST COUNT:
     }
   }
   
+  // Feedback on earlier recommendations (votes and blocked topics from the popup)
+  if (feedback && (feedback.liked.length > 0 || feedback.disliked.length > 0 || feedback.blockedTopics.length > 0)) {
+    prompt += `\nFEEDBACK ON EARLIER RECOMMENDATIONS:\n`;
+    if (feedback.liked.length > 0) {
+      prompt += `- Found helpful: ${feedback.liked.join('; ')}\n`;
+    }
+    if (feedback.disliked.length > 0) {
+      prompt += `- Not helpful: ${feedback.disliked.join('; ')}\n`;
+    }
+    if (feedback.blockedTopics.length > 0) {
+      prompt += `- Never suggest these topics: ${feedback.blockedTopics.join(', ')}\n`;
+    }
+    prompt += `Suggest more in the direction of the helpful recommendations, avoid repeating the ones that were not helpful, and do not recommend any of the topics the user asked not to see.\n`;
+  }
+  
   prompt += `\nRECOMMENDATION REQUEST:
-Please provide 3-5 personalized content recommendations based on this data. For each recommendation:
+Please provide 3-5 personalized content recommendations based on this data. For each recommendation give:
 
-1. Suggest a specific topic or subtopic to explore
-2. Explain why this recommendation is relevant based on the user's browsing habits
-3. Provide guidance on how to engage with this content
-4. Include any insights about what the current data indicates about the user's interests
+- topic: the main topic to explore (e.g. "Science")
+- subtopic: a specific subtopic or angle within it
+- rationale: why this recommendation is relevant, based on the user's browsing habits above
+- action: one concrete way to engage with this content
+- confidence: how likely the user is to find it useful, from 0 to 1
 
-Format your response as clear, actionable recommendations. Each recommendation should be on its own line, without bullet points (they will be added by the UI). Make each recommendation specific and personalized to this user's data.`;
+Reply with a JSON object of the form {"recommendations": [{"topic": "", "subtopic": "", "rationale": "", "action": "", "confidence": 0.0}]} and nothing else. Make each recommendation specific and personalized to this user's data, with no two recommendations for the same subtopic.`;
   
   return prompt;
 }
 
 /**
- * Call OpenAI API to generate recommendations
+ * Call the configured chat completions API to generate recommendations
+ * Asks for JSON matching the recommendation schema (structured outputs)
  */
-async function callOpenAIAPI(systemPrompt, userPrompt) {
-  if (!OPENAI_API_KEY || OPENAI_API_KEY === 'YOUR_API_KEY_HERE') {
-    throw new Error('OpenAI API key not configured. Please set your API key in api_key.js');
-  }
-  
-  const response = await fetch(OPENAI_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENAI_API_KEY}`
+async function callChatAPI(systemPrompt, userPrompt, config, apiKey) {
+  return requestChatCompletion(config, [
+    {
+      role: 'system',
+      content: systemPrompt
     },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
-    })
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ], apiKey, {
+    responseFormat: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'horizon_recommendations',
+        strict: true,
+        schema: Recommendations.SCHEMA
+      }
+    }
   });
-  
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`OpenAI API error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`);
-  }
-  
-  const data = await response.json();
-  
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error('Invalid response format from OpenAI API');
-  }
-  
-  return data.choices[0].message.content.trim();
 }
 
 /**
- * Process and deduplicate recommendations
+ * Parse, validate and deduplicate the JSON reply
+ * @returns {Array} Recommendation objects ({ topic, subtopic, rationale, action, confidence })
+ * @throws When the reply isn't JSON or has no recommendation matching the schema
  */
 function processRecommendations(rawRecommendations) {
-  // Split by newlines
-  const lines = rawRecommendations.split('\n').filter(line => line.trim().length > 0);
+  // Compatible servers without structured outputs sometimes wrap the JSON in a code fence
+  const json = rawRecommendations.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The model did not reply with JSON recommendations.');
+  }
+  
+  const { errors, recommendations } = Recommendations.validate(parsed);
+  if (errors.length > 0) {
+    console.warn('[GPT Recommender] Reply does not fully match the schema:', errors);
+  }
+  if (recommendations.length === 0) {
+    throw new Error(`The model's recommendations did not match the expected format. ${errors[0] || ''}`.trim());
+  }
   
   const processed = [];
-  for (const line of lines) {
-    // Remove any existing bullets
-    let cleaned = line.trim().replace(/^[•\-\*]\s*/, '').trim();
-    
-    // Skip if empty or too short
-    if (cleaned.length < 10) continue;
+  for (const recommendation of recommendations) {
+    const text = Recommendations.toText(recommendation);
     
     // Check for duplicates
-    if (isDuplicate(cleaned)) {
-      console.log('[GPT Recommender] Skipping duplicate:', cleaned.substring(0, 50));
+    if (isDuplicate(text)) {
+      console.log('[GPT Recommender] Skipping duplicate:', text.substring(0, 50));
       continue;
     }
     
     // Track this recommendation
-    trackRecommendation(cleaned);
-    processed.push(cleaned);
-  }
-  
-  // If we got fewer than 3 recommendations, try to split longer ones
-  if (processed.length < 3 && lines.length > 0) {
-    // Look for recommendations that might be combined (contain multiple sentences)
-    const combined = lines.join(' ').split(/[.!?]\s+/).filter(s => s.trim().length > 20);
-    for (const rec of combined) {
-      const cleaned = rec.trim();
-      if (!isDuplicate(cleaned) && cleaned.length > 20) {
-        trackRecommendation(cleaned);
-        processed.push(cleaned);
-        if (processed.length >= 5) break;
-      }
-    }
+    trackRecommendation(text);
+    processed.push(recommendation);
   }
   
-  return processed.join('\n');
+  return processed;
 }
 
 /**
- * Main function: Generate recommendations using GPT-4o-mini
+ * Main function: Generate recommendations with a chat model
+ * @param {Object} consumptionData - { byTopicCounts, byTopic, lrProbabilities, samplePostTitle }
+ * @param {Object} config - Provider settings from getLLMConfig (llm_providers.js)
+ * @param {string} apiKey - Key for the provider ('' when it doesn't need one)
+ * @returns {Promise<Array>} Recommendation objects (see recommendations.js)
  */
-export async function generateGPTRecommendations(consumptionData) {
+export async function generateGPTRecommendations(consumptionData, config, apiKey) {
   // Single-threading: Check if request is in progress
   if (requestInProgress) {
     console.log('[GPT Recommender] Request already in progress, queuing...');
     return new Promise((resolve, reject) => {
-      requestQueue.push({ resolve, reject, consumptionData });
+      requestQueue.push({ resolve, reject, consumptionData, config, apiKey });
     });
   }
   
@@ -330,7 +331,7 @@ export async function generateGPTRecommendations(consumptionData) {
   
   try {
     console.log('[GPT Recommender] ========================================');
-    console.log('[GPT Recommender] STARTING GPT-4O-MINI RECOMMENDATIONS');
+    console.log(`[GPT Recommender] STARTING RECOMMENDATIONS (${config.label}, ${config.model})`);
     console.log('[GPT Recommender] ========================================');
     
     // Clear deduplication cache at start of new generation
@@ -351,11 +352,11 @@ export async function generateGPTRecommendations(consumptionData) {
     const systemPrompt = buildSystemPrompt();
     const userPrompt = buildUserPrompt(formattedData);
     
-    // Call OpenAI API
-    console.log('[GPT Recommender] Calling OpenAI API...');
-    const rawRecommendations = await callOpenAIAPI(systemPrompt, userPrompt);
+    // Call the chat completions API
+    console.log('[GPT Recommender] Calling chat completions API at', config.baseUrl);
+    const rawRecommendations = await callChatAPI(systemPrompt, userPrompt, config, apiKey);
     
-    console.log('[GPT Recommender] Received response from OpenAI');
+    console.log('[GPT Recommender] Received response from', config.label);
     
     // Process and deduplicate
     console.log('[GPT Recommender] Processing recommendations...');
@@ -376,7 +377,7 @@ export async function generateGPTRecommendations(consumptionData) {
       const next = requestQueue.shift();
       // Process next request after a short delay
       setTimeout(() => {
-        generateGPTRecommendations(next.consumptionData)
+        generateGPTRecommendations(next.consumptionData, next.config, next.apiKey)
           .then(next.resolve)
           .catch(next.reject);
       }, 100);
@@ -385,7 +386,6 @@ export async function generateGPTRecommendations(consumptionData) {
 }
 
 console.log('[GPT Recommender] ========================================');
-console.log('[GPT Recommender] GPT-4O-MINI RECOMMENDATION MODULE LOADED');
-console.log('[GPT Recommender] Model: gpt-4o-mini');
+console.log('[GPT Recommender] CHAT MODEL RECOMMENDATION MODULE LOADED');
 console.log('[GPT Recommender] ========================================');
 
@@ -0,0 +1,147 @@
+// history_rollup.js
+// Retention window and rollup helpers for daily tracking records
+// Days that fall outside the retention window are compacted into weekly
+// (week_YYYY-Www) and monthly (month_YYYY-MM) aggregates before removal
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention choices offered in the options page (0 = keep forever)
+export const RETENTION_OPTIONS = [7, 30, 90, 0];
+export const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Read the retention window (in days) from settings
+ * Returns 0 when history should be kept forever
+ */
+export function getRetentionDays(settings) {
+  const value = Number(settings?.retentionDays);
+  if (Number.isFinite(value) && value >= 0) {
+    return Math.floor(value);
+  }
+  return DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date (not UTC)
+ */
+export function parseDateString(dateStr) {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  return new Date(year, (month || 1) - 1, day || 1);
+}
+
+/**
+ * Number of whole days between two YYYY-MM-DD strings (to - from)
+ * Rounded so DST transitions don't produce off-by-one results
+ */
+export function daysBetween(fromDateStr, toDateStr) {
+  const from = parseDateString(fromDateStr);
+  const to = parseDateString(toDateStr);
+  return Math.round((to - from) / DAY_MS);
+}
+
+/**
+ * ISO 8601 week key (e.g. 2025-W03) for a YYYY-MM-DD string
+ * Weeks start on Monday; week 1 is the week containing January 4th
+ */
+export function getWeekKey(dateStr) {
+  const date = parseDateString(dateStr);
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const weekYear = thursday.getFullYear();
+  const jan4 = new Date(weekYear, 0, 4);
+  const firstThursday = new Date(weekYear, 0, 4 + 3 - ((jan4.getDay() + 6) % 7));
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * DAY_MS));
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Month key (e.g. 2025-01) for a YYYY-MM-DD string
+ */
+export function getMonthKey(dateStr) {
+  return String(dateStr).slice(0, 7);
+}
+
+/**
+ * Add every numeric value of source into target (in place)
+ */
+export function addCountMaps(target, source) {
+  if (!source || typeof source !== 'object') {
+    return target;
+  }
+  for (const [key, value] of Object.entries(source)) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      target[key] = (target[key] || 0) + value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Names of the aggregate maps on a day record (byDomain, byTopic, ...)
+ * Any by* field holding a plain object of numbers is treated as summable
+ */
+export function getAggregateMapKeys(record) {
+  if (!record || typeof record !== 'object') {
+    return [];
+  }
+  return Object.keys(record).filter(key => {
+    const value = record[key];
+    return key.startsWith('by') && value && typeof value === 'object' && !Array.isArray(value);
+  });
+}
+
+/**
+ * Create an empty weekly or monthly aggregate
+ */
+export function createEmptyAggregate(period, id) {
+  return {
+    period,
+    id,
+    days: [],
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    totalMs: 0
+  };
+}
+
+/**
+ * Fold a day record into a weekly/monthly aggregate (in place)
+ * Idempotent: a day that was already rolled up is skipped
+ */
+export function addDayToAggregate(aggregate, dayRecord, dateStr) {
+  const day = dayRecord?.day || dateStr;
+  if (!day || aggregate.days.includes(day)) {
+    return aggregate;
+  }
+  for (const mapKey of getAggregateMapKeys(dayRecord)) {
+    aggregate[mapKey] = addCountMaps(aggregate[mapKey] || {}, dayRecord[mapKey]);
+  }
+  aggregate.totalMs += dayRecord.totalMs || 0;
+  aggregate.days.push(day);
+  aggregate.days.sort();
+  return aggregate;
+}
+
+/**
+ * Roll a set of expiring day records into weekly and monthly aggregates
+ * @param {Object} expiringDays - Map of YYYY-MM-DD -> day record
+ * @param {Object} existingAggregates - Current week_* / month_* storage entries
+ * @returns {Object} - Updated week_* / month_* entries to write back to storage
+ */
+export function rollupDays(expiringDays, existingAggregates = {}) {
+  const updated = {};
+  for (const [dateStr, record] of Object.entries(expiringDays)) {
+    const targets = [
+      ['week', `week_${getWeekKey(dateStr)}`, getWeekKey(dateStr)],
+      ['month', `month_${getMonthKey(dateStr)}`, getMonthKey(dateStr)]
+    ];
+    for (const [period, storageKey, id] of targets) {
+      const aggregate = updated[storageKey] ||
+        existingAggregates[storageKey] ||
+        createEmptyAggregate(period, id);
+      updated[storageKey] = addDayToAggregate(aggregate, record, dateStr);
+    }
+  }
+  return updated;
+}
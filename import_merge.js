@@ -0,0 +1,203 @@
+// import_merge.js
+// Merges a validated Horizon export (see export.js / export_schema.json) into stored records
+// Totals are added, seenPosts are unioned by hash, and each exportId is only merged once
+// Exports carry the deviceId of the browser they were made in. A day already holding that browser's
+// history (this browser's own days, or a day merged from the same device before) only gets its new posts,
+// not its totals again. Stored days list the devices merged into them in importedFrom
+
+import { addCountMaps } from './history_rollup.js';
+import { DIMENSION_MAP_KEYS } from './dimensions.js';
+
+// Storage key holding the exportIds that were already imported, or exported from here
+export const IMPORTS_KEY = 'horizon_imports';
+// Storage key holding this browser's random id, written into its exports as deviceId
+export const INSTALL_ID_KEY = 'horizon_install_id';
+
+const MAX_EMBEDDING_SAMPLES = 50;
+
+function createEmptyDay(day) {
+  return {
+    day,
+    byDomain: {},
+    byContentType: {},
+    byTopic: {},
+    byTopicCounts: {},
+    totalMs: 0,
+    embeddingSamples: [],
+    seenPosts: {}
+  };
+}
+
+/**
+ * Whether the stored day already holds the exporting device's history for that day
+ * Exports without a deviceId (older versions) can't tell, so their totals are always added
+ */
+function hasDeviceHistory(existing, deviceId, installId) {
+  if (!existing || !deviceId) {
+    return false;
+  }
+  return deviceId === installId || (existing.importedFrom || []).includes(deviceId);
+}
+
+function mergeDay(existing, imported, deviceId, installId) {
+  const record = existing ? { ...existing } : createEmptyDay(imported.day);
+  const overlapping = hasDeviceHistory(existing, deviceId, installId);
+  if (!overlapping) {
+    if (deviceId && deviceId !== installId) {
+      record.importedFrom = [...(record.importedFrom || []), deviceId];
+    }
+    for (const mapKey of ['byDomain', 'byContentType', 'byTopic']) {
+      record[mapKey] = addCountMaps({ ...(record[mapKey] || {}) }, imported[mapKey]);
+    }
+    // Community/author/hashtag counts aren't keyed by post, so they are added as-is
+    for (const mapKey of DIMENSION_MAP_KEYS) {
+      if (imported[mapKey]) {
+        record[mapKey] = addCountMaps({ ...(record[mapKey] || {}) }, imported[mapKey]);
+      }
+    }
+    record.totalMs = (record.totalMs || 0) + (imported.totalMs || 0);
+  }
+  record.byTopicCounts = { ...(record.byTopicCounts || {}) };
+  record.seenPosts = { ...(record.seenPosts || {}) };
+  record.lrProbabilities = { ...(record.lrProbabilities || {}) };
+
+  // Union posts by hash; only posts we haven't seen add to the per-topic counts
+  let postsAdded = 0;
+  for (const post of imported.posts) {
+    if (record.seenPosts[post.hash]) {
+      continue;
+    }
+    record.seenPosts[post.hash] = {
+      topic: post.topic,
+      firstSeen: post.firstSeen || null,
+      title: post.title || null,
+      lrConfidence: typeof post.lrConfidence === 'number' ? post.lrConfidence : null
+    };
+    record.byTopicCounts[post.topic] = (record.byTopicCounts[post.topic] || 0) + 1;
+    if (typeof post.lrConfidence === 'number') {
+      const probData = { ...(record.lrProbabilities[post.topic] || { sum: 0, count: 0, average: 0 }) };
+      probData.sum += post.lrConfidence;
+      probData.count += 1;
+      probData.average = probData.sum / probData.count;
+      record.lrProbabilities[post.topic] = probData;
+    }
+    postsAdded++;
+  }
+
+  if (!overlapping && Array.isArray(imported.embeddingSamples) && imported.embeddingSamples.length > 0) {
+    const samples = [...(record.embeddingSamples || []), ...imported.embeddingSamples];
+    record.embeddingSamples = samples.slice(-MAX_EMBEDDING_SAMPLES);
+  }
+
+  return { record, postsAdded, overlapping };
+}
+
+function mergeRollup(existing, imported) {
+  if (!existing) {
+    return {
+      period: imported.period,
+      id: imported.id,
+      days: [...imported.days].sort(),
+      byDomain: { ...(imported.byDomain || {}) },
+      byContentType: { ...(imported.byContentType || {}) },
+      byTopic: { ...(imported.byTopic || {}) },
+      byTopicCounts: { ...(imported.byTopicCounts || {}) },
+      ...Object.fromEntries(DIMENSION_MAP_KEYS.filter(mapKey => imported[mapKey]).map(mapKey => [mapKey, { ...imported[mapKey] }])),
+      totalMs: imported.totalMs || 0
+    };
+  }
+  // Aggregates can't be split per day, so only merge when no day is already counted
+  if (imported.days.some(day => existing.days.includes(day))) {
+    return null;
+  }
+  const merged = { ...existing, days: [...existing.days, ...imported.days].sort() };
+  for (const mapKey of ['byDomain', 'byContentType', 'byTopic', 'byTopicCounts', ...DIMENSION_MAP_KEYS]) {
+    if (existing[mapKey] || imported[mapKey]) {
+      merged[mapKey] = addCountMaps({ ...(existing[mapKey] || {}) }, imported[mapKey]);
+    }
+  }
+  merged.totalMs = (existing.totalMs || 0) + (imported.totalMs || 0);
+  return merged;
+}
+
+/**
+ * Compute the storage updates needed to merge an export
+ * @param {Object} allData - Current storage snapshot (chrome.storage.local.get(null))
+ * @param {Object} exported - Export object that passed validateExport()
+ * @returns {Object} - { alreadyImported, updates, summary: { daysAdded, daysMerged, daysOverlapping, postsAdded, rollupsMerged, rollupsSkipped } }
+ */
+export function mergeExport(allData, exported) {
+  const imports = Array.isArray(allData[IMPORTS_KEY]) ? allData[IMPORTS_KEY] : [];
+  const deviceId = typeof exported.deviceId === 'string' && exported.deviceId ? exported.deviceId : null;
+  const installId = allData[INSTALL_ID_KEY] || null;
+  const summary = { daysAdded: 0, daysMerged: 0, daysOverlapping: 0, postsAdded: 0, rollupsMerged: 0, rollupsSkipped: 0 };
+
+  if (imports.includes(exported.exportId)) {
+    return { alreadyImported: true, updates: {}, summary };
+  }
+
+  const updates = {};
+  for (const day of exported.days) {
+    const key = `day_${day.day}`;
+    const existing = updates[key] || allData[key];
+    const { record, postsAdded, overlapping } = mergeDay(existing, day, deviceId, installId);
+    updates[key] = record;
+    summary.postsAdded += postsAdded;
+    if (overlapping) {
+      summary.daysOverlapping++;
+    } else if (existing) {
+      summary.daysMerged++;
+    } else {
+      summary.daysAdded++;
+    }
+  }
+
+  for (const rollup of exported.rollups || []) {
+    if (!rollup || !['week', 'month'].includes(rollup.period) || !Array.isArray(rollup.days)) {
+      continue;
+    }
+    const key = `${rollup.period}_${rollup.id}`;
+    const merged = mergeRollup(updates[key] || allData[key], rollup);
+    if (merged) {
+      updates[key] = merged;
+      summary.rollupsMerged++;
+    } else {
+      summary.rollupsSkipped++;
+    }
+  }
+
+  // Restore recommendations only when none are stored yet
+  const latest = (exported.recommendations || [])[0];
+  // (an array of recommendation objects, or text from versions before structured recommendations)
+  const restorable = latest && (Array.isArray(latest.recommendations) || typeof latest.recommendations === 'string');
+  if (restorable && !allData.horizon_recommendations) {
+    updates.horizon_recommendations = latest.recommendations;
+    updates.horizon_recommendations_date = latest.date || null;
+  }
+
+  updates[IMPORTS_KEY] = [...imports, exported.exportId];
+  return { alreadyImported: false, updates, summary };
+}
+
+/**
+ * This browser's id for the deviceId of its exports (a new one until recordExport stores it)
+ * @param {Object} allData - Current storage snapshot
+ */
+export function getInstallId(allData) {
+  return allData[INSTALL_ID_KEY] || crypto.randomUUID();
+}
+
+/**
+ * Storage update remembering an export made here, so importing it back into this browser is a no-op
+ * (and keeping the install id it was made with)
+ * @param {Object} allData - Current storage snapshot
+ * @param {Object} exported - The export that was just built
+ */
+export function recordExport(allData, exported) {
+  const imports = Array.isArray(allData[IMPORTS_KEY]) ? allData[IMPORTS_KEY] : [];
+  const updates = { [IMPORTS_KEY]: imports.includes(exported.exportId) ? imports : [...imports, exported.exportId] };
+  if (exported.deviceId) {
+    updates[INSTALL_ID_KEY] = exported.deviceId;
+  }
+  return updates;
+}
@@ -0,0 +1,218 @@
+// llm_providers.js
+// Recommendation LLM providers: which one is used, its settings, the API key store and the
+// OpenAI-style chat completions client shared by the OpenAI and OpenAI-compatible providers
+// Imported by background_llm.js (which picks the adapter) and the options page
+//
+// Settings used:
+//   recommendationLLM - provider id ('openai', 'openai_compatible', 'smollm'; 'chatgpt' is read as 'openai')
+//   llmModel          - model name sent to the provider (empty = provider default)
+//   llmBaseUrl        - base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama)
+//   llmTemperature    - sampling temperature, 0-2
+//   llmMaxTokens      - response token limit
+// The API key is stored on its own (API_KEY_STORAGE_KEY), never inside settings, so it isn't
+// copied along with them and no page outside the extension can load it
+
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    needsKey: true
+  },
+  openai_compatible: {
+    label: 'OpenAI-compatible server (llama.cpp, Ollama, ...)',
+    defaultModel: '',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    needsKey: false
+  },
+  smollm: {
+    label: 'SmolLM-135M (in the browser)',
+    defaultModel: 'SmolLM-135M',
+    local: true,
+    // Short, slightly more random completions suit the small model's few-shot prompt
+    defaultTemperature: 0.8,
+    defaultMaxTokens: 150
+  }
+};
+
+export const DEFAULT_LLM_PROVIDER = 'smollm';
+export const DEFAULT_TEMPERATURE = 0.7;
+export const DEFAULT_MAX_TOKENS = 1000;
+export const MAX_TOKENS_LIMIT = 4096;
+export const API_KEY_STORAGE_KEY = 'llm_api_key';
+
+// Older settings stored the choice as 'chatgpt' / 'smollm'
+const LEGACY_PROVIDER_IDS = { chatgpt: 'openai' };
+
+export function getProviderId(settings) {
+  const id = LEGACY_PROVIDER_IDS[settings?.recommendationLLM] || settings?.recommendationLLM;
+  return LLM_PROVIDERS[id] ? id : DEFAULT_LLM_PROVIDER;
+}
+
+/**
+ * Normalize a server base URL ("localhost:8080/v1/" -> "http://localhost:8080/v1")
+ * Returns '' for anything that isn't an http(s) URL
+ */
+export function normalizeBaseUrl(value) {
+  let url = String(value || '').trim();
+  if (!url) return '';
+  if (!/^[a-z]+:\/\//i.test(url)) {
+    url = 'http://' + url;
+  }
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return '';
+    }
+    return (parsed.origin + parsed.pathname).replace(/\/+$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Provider settings with defaults filled in
+ * @returns {Object} { provider, label, model, baseUrl, temperature, maxTokens, needsKey, local }
+ */
+export function getLLMConfig(settings) {
+  const provider = getProviderId(settings);
+  const info = LLM_PROVIDERS[provider];
+  const model = typeof settings?.llmModel === 'string' && settings.llmModel.trim() ? settings.llmModel.trim() : info.defaultModel;
+  const baseUrl = provider === 'openai_compatible'
+    ? normalizeBaseUrl(settings?.llmBaseUrl) || info.defaultBaseUrl
+    : info.baseUrl || null;
+  return {
+    provider,
+    label: info.label,
+    model,
+    baseUrl,
+    temperature: clampNumber(settings?.llmTemperature, 0, 2, info.defaultTemperature ?? DEFAULT_TEMPERATURE),
+    maxTokens: Math.round(clampNumber(settings?.llmMaxTokens, 16, MAX_TOKENS_LIMIT, info.defaultMaxTokens ?? DEFAULT_MAX_TOKENS)),
+    needsKey: info.needsKey === true,
+    local: info.local === true
+  };
+}
+
+/**
+ * Host permission pattern for a server base URL (requested from the options page)
+ */
+export function baseUrlOrigin(baseUrl) {
+  const url = normalizeBaseUrl(baseUrl);
+  return url ? `${new URL(url).origin}/*` : null;
+}
+
+/**
+ * Show only the start and end of a key: "sk-proj-abc...wxyz"
+ */
+export function maskApiKey(key) {
+  if (typeof key !== 'string' || !key) return '';
+  if (key.length <= 12) return '•'.repeat(key.length);
+  return `${key.slice(0, 7)}…${key.slice(-4)}`;
+}
+
+export async function getApiKey() {
+  const { [API_KEY_STORAGE_KEY]: key } = await chrome.storage.local.get([API_KEY_STORAGE_KEY]);
+  return typeof key === 'string' ? key : '';
+}
+
+export async function setApiKey(key) {
+  const trimmed = String(key || '').trim();
+  if (trimmed) {
+    await chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: trimmed });
+  } else {
+    await chrome.storage.local.remove(API_KEY_STORAGE_KEY);
+  }
+  return trimmed;
+}
+
+function missingKeyError() {
+  const error = new Error('No OpenAI API key set. Add one under Recommendation Models in the Horizon options page.');
+  error.missingKey = true;
+  return error;
+}
+
+function authHeaders(apiKey) {
+  return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Call a chat completions endpoint (OpenAI or a compatible server)
+ * @param {Object} config - From getLLMConfig
+ * @param {Array} messages - [{ role, content }]
+ * @param {string} apiKey
+ * @param {Object} options - { responseFormat: response_format to request, e.g. a JSON schema }
+ * @returns {Promise<string>} The reply text
+ */
+export async function requestChatCompletion(config, messages, apiKey, { responseFormat = null } = {}) {
+  if (config.needsKey && !apiKey) {
+    throw missingKeyError();
+  }
+  if (!config.model) {
+    throw new Error(`No model set for ${config.label}. Enter one under Recommendation Models in the options page.`);
+  }
+
+  const response = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(apiKey)
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      max_tokens: config.maxTokens,
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`${config.label} error: ${response.status} ${response.statusText}. ${errorData.error?.message || ''}`.trim());
+  }
+
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error(`Invalid response format from ${config.label}`);
+  }
+  return content.trim();
+}
+
+/**
+ * Check that a provider answers with this key (lists the models; nothing is generated)
+ * @returns {Promise<Object>} { ok, message }
+ */
+export async function testLLMConnection(config, apiKey) {
+  if (config.local) {
+    return { ok: true, message: `${config.label} runs in the browser; there is nothing to test.` };
+  }
+  if (config.needsKey && !apiKey) {
+    return { ok: false, message: missingKeyError().message };
+  }
+  try {
+    const response = await fetch(`${config.baseUrl}/models`, { headers: authHeaders(apiKey) });
+    if (response.status === 401 || response.status === 403) {
+      return { ok: false, message: `${config.label} rejected the key (${response.status}).` };
+    }
+    if (!response.ok) {
+      return { ok: false, message: `${config.label} answered ${response.status} ${response.statusText}.` };
+    }
+    const data = await response.json().catch(() => ({}));
+    const models = Array.isArray(data.data) ? data.data.map(model => model.id) : [];
+    if (config.model && models.length > 0 && !models.includes(config.model)) {
+      return { ok: true, message: `Connected, but ${config.label} doesn't list the model "${config.model}".` };
+    }
+    return { ok: true, message: `Connected to ${config.label}${models.length ? ` (${models.length} models available)` : ''}.` };
+  } catch (error) {
+    return { ok: false, message: `Could not reach ${config.baseUrl}: ${error.message}` };
+  }
+}
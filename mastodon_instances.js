@@ -0,0 +1,72 @@
+// mastodon_instances.js
+// Mastodon runs on any host, so its content scripts can't be listed in the manifest
+// The options page asks for host permission per instance (settings.mastodonInstances)
+// and the background registers the content scripts for exactly those hosts
+
+export const MASTODON_SCRIPT_ID = 'horizon-mastodon';
+
+// Only the registry, the selector rules and the Mastodon adapter are needed on instance pages
+export const MASTODON_CONTENT_SCRIPTS = [
+  'platforms/registry.js',
+  'platforms/selectors.js',
+  'platforms/mastodon.js',
+  'tracking_rules.js',
+  'content_script.js'
+];
+
+/**
+ * Normalize user input ("https://Mastodon.social/home") to a bare host ("mastodon.social")
+ * Returns '' for anything that isn't a plausible hostname
+ */
+export function normalizeInstanceHost(value) {
+  let host = String(value || '').trim().toLowerCase();
+  host = host.replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/:\d+$/, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : '';
+}
+
+/**
+ * Instance hosts saved in settings (normalized, deduplicated)
+ */
+export function getMastodonInstances(settings) {
+  const list = Array.isArray(settings?.mastodonInstances) ? settings.mastodonInstances : [];
+  return [...new Set(list.map(normalizeInstanceHost).filter(Boolean))];
+}
+
+/**
+ * Match patterns / permission origins for a list of instance hosts
+ */
+export function instanceOrigins(hosts) {
+  return hosts.map(host => `https://${host}/*`);
+}
+
+/**
+ * Register (or drop) the Mastodon content scripts so they match the saved instances
+ * Hosts whose permission was revoked in chrome://extensions are left out
+ */
+export async function syncMastodonScripts(settings) {
+  const hosts = getMastodonInstances(settings);
+  const granted = [];
+  for (const host of hosts) {
+    if (await chrome.permissions.contains({ origins: instanceOrigins([host]) })) {
+      granted.push(host);
+    }
+  }
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [MASTODON_SCRIPT_ID] });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [MASTODON_SCRIPT_ID] });
+  }
+  if (granted.length === 0) {
+    return [];
+  }
+
+  await chrome.scripting.registerContentScripts([{
+    id: MASTODON_SCRIPT_ID,
+    matches: instanceOrigins(granted),
+    js: MASTODON_CONTENT_SCRIPTS,
+    runAt: 'document_idle',
+    allFrames: false,
+    persistAcrossSessions: true
+  }]);
+  return granted;
+}
@@ -1,4 +1,16 @@
 // options.js
+import { DEFAULT_RETENTION_DAYS } from './history_rollup.js';
+import { getBudgets, getTopicLimits, getNudgeMode, normalizeBudgetDomain, LIMITABLE_TOPICS } from './budgets.js';
+import { buildExport, buildPostsCsv, validateExport } from './export.js';
+import { mergeExport, recordExport, getInstallId } from './import_merge.js';
+import { DEFAULT_SESSION_GAP_MINUTES } from './sessions.js';
+import { DAILY_JOB_STATUS_KEY, getDailyJobTime, parseJobTime } from './daily_job.js';
+import { getDigestFrequency } from './digest.js';
+import { normalizeInstanceHost, getMastodonInstances, instanceOrigins } from './mastodon_instances.js';
+import { getRedactionMode, redactStoredData } from './redaction.js';
+import { RECOMMENDATION_HISTORY_KEY, searchHistory, compareHistoryEntries, getProviderLabel } from './recommendation_history.js';
+import { LLM_PROVIDERS, getLLMConfig, normalizeBaseUrl, baseUrlOrigin, maskApiKey, getApiKey, setApiKey, testLLMConnection } from './llm_providers.js';
+
 // Wait for page to load and scripts to be available
 document.addEventListener('DOMContentLoaded', async () => {
   // Give scripts a moment to load
@@ -9,13 +21,84 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function initOptions() {
   const enableTracking = document.getElementById('enableTracking');
   const enableML = document.getElementById('enableML');
-  const recommendationLLMChatGPT = document.getElementById('recommendationLLMChatGPT');
-  const recommendationLLMSmolLM = document.getElementById('recommendationLLMSmolLM');
+  const recommendationLLM = document.getElementById('recommendationLLM');
+  const llmBaseUrlRow = document.getElementById('llmBaseUrlRow');
+  const llmBaseUrl = document.getElementById('llmBaseUrl');
+  const saveLlmBaseUrlBtn = document.getElementById('saveLlmBaseUrlBtn');
+  const llmModel = document.getElementById('llmModel');
+  const llmTemperature = document.getElementById('llmTemperature');
+  const llmMaxTokens = document.getElementById('llmMaxTokens');
+  const llmApiKeyRow = document.getElementById('llmApiKeyRow');
+  const llmApiKey = document.getElementById('llmApiKey');
+  const saveLlmApiKeyBtn = document.getElementById('saveLlmApiKeyBtn');
+  const testLlmApiKeyBtn = document.getElementById('testLlmApiKeyBtn');
+  const clearLlmApiKeyBtn = document.getElementById('clearLlmApiKeyBtn');
+  const llmApiKeyStatus = document.getElementById('llmApiKeyStatus');
+  const llmError = document.getElementById('llmError');
+  // Settings the provider controls were last rendered with (click handlers need them without waiting on storage)
+  let llmSettings = {};
   const enableRecommendations = document.getElementById('enableRecommendations');
   const exportBtn = document.getElementById('exportBtn');
   const clearBtn = document.getElementById('clearBtn');
   const exportDataDiv = document.getElementById('exportData');
+  const exportFrom = document.getElementById('exportFrom');
+  const exportTo = document.getElementById('exportTo');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportIncludeTitles = document.getElementById('exportIncludeTitles');
+  const exportIncludeEmbeddings = document.getElementById('exportIncludeEmbeddings');
+  const exportIncludeRecommendations = document.getElementById('exportIncludeRecommendations');
+  const importBtn = document.getElementById('importBtn');
+  const importFile = document.getElementById('importFile');
   const recommendationModelOptions = document.getElementById('recommendationModelOptions');
+  const retentionDays = document.getElementById('retentionDays');
+  const dailyJobTime = document.getElementById('dailyJobTime');
+  const dailyJobStatus = document.getElementById('dailyJobStatus');
+  const runDailyJobBtn = document.getElementById('runDailyJobBtn');
+  const digestFrequency = document.getElementById('digestFrequency');
+  const sessionGapMinutes = document.getElementById('sessionGapMinutes');
+  const budgetTotalMinutes = document.getElementById('budgetTotalMinutes');
+  const domainBudgetList = document.getElementById('domainBudgetList');
+  const newBudgetDomain = document.getElementById('newBudgetDomain');
+  const newBudgetMinutes = document.getElementById('newBudgetMinutes');
+  const addBudgetBtn = document.getElementById('addBudgetBtn');
+  const budgetError = document.getElementById('budgetError');
+  const budgetNudge = document.getElementById('budgetNudge');
+  const topicLimitList = document.getElementById('topicLimitList');
+  const newLimitTopic = document.getElementById('newLimitTopic');
+  const newLimitMinutes = document.getElementById('newLimitMinutes');
+  const newLimitPosts = document.getElementById('newLimitPosts');
+  const addTopicLimitBtn = document.getElementById('addTopicLimitBtn');
+  const topicLimitError = document.getElementById('topicLimitError');
+  const mastodonInstanceList = document.getElementById('mastodonInstanceList');
+  const newMastodonInstance = document.getElementById('newMastodonInstance');
+  const addMastodonInstanceBtn = document.getElementById('addMastodonInstanceBtn');
+  const mastodonInstanceError = document.getElementById('mastodonInstanceError');
+  const selectorDebugTab = document.getElementById('selectorDebugTab');
+  const selectorDebugRefreshBtn = document.getElementById('selectorDebugRefreshBtn');
+  const selectorDebugBtn = document.getElementById('selectorDebugBtn');
+  const selectorDebugOutput = document.getElementById('selectorDebugOutput');
+  const selectorOverrides = document.getElementById('selectorOverrides');
+  const saveSelectorOverridesBtn = document.getElementById('saveSelectorOverridesBtn');
+  const clearSelectorOverridesBtn = document.getElementById('clearSelectorOverridesBtn');
+  const selectorOverridesError = document.getElementById('selectorOverridesError');
+  const trackIncognito = document.getElementById('trackIncognito');
+  const titleRedaction = document.getElementById('titleRedaction');
+  const titleRedactionStatus = document.getElementById('titleRedactionStatus');
+  const encryptionStatus = document.getElementById('encryptionStatus');
+  const encryptionSetup = document.getElementById('encryptionSetup');
+  const encryptionControls = document.getElementById('encryptionControls');
+  const encryptionPassphrase = document.getElementById('encryptionPassphrase');
+  const encryptionPassphraseConfirm = document.getElementById('encryptionPassphraseConfirm');
+  const encryptionCurrentPassphrase = document.getElementById('encryptionCurrentPassphrase');
+  const encryptionNewPassphrase = document.getElementById('encryptionNewPassphrase');
+  const enableEncryptionBtn = document.getElementById('enableEncryptionBtn');
+  const unlockEncryptionBtn = document.getElementById('unlockEncryptionBtn');
+  const lockEncryptionBtn = document.getElementById('lockEncryptionBtn');
+  const changePassphraseBtn = document.getElementById('changePassphraseBtn');
+  const disableEncryptionBtn = document.getElementById('disableEncryptionBtn');
+  const encryptionError = document.getElementById('encryptionError');
+  const cryptoStore = globalThis.HorizonCryptoStore;
+  const trackingListError = document.getElementById('trackingListError');
   // Check if all required elements exist
   if (!enableTracking || !enableML || !exportBtn || 
       !clearBtn || !exportDataDiv) {
@@ -30,13 +113,11 @@ async function initOptions() {
       if (isEnabled) {
         recommendationModelOptions.style.opacity = '1';
         recommendationModelOptions.style.pointerEvents = 'auto';
-        if (recommendationLLMChatGPT) recommendationLLMChatGPT.disabled = false;
-        if (recommendationLLMSmolLM) recommendationLLMSmolLM.disabled = false;
+        if (recommendationLLM) recommendationLLM.disabled = false;
       } else {
         recommendationModelOptions.style.opacity = '0.5';
         recommendationModelOptions.style.pointerEvents = 'none';
-        if (recommendationLLMChatGPT) recommendationLLMChatGPT.disabled = true;
-        if (recommendationLLMSmolLM) recommendationLLMSmolLM.disabled = true;
+        if (recommendationLLM) recommendationLLM.disabled = true;
       }
     }
   }
@@ -64,34 +145,377 @@ async function initOptions() {
       });
     }
     
-    // Set LLM preference (default to 'smollm' if not set)
-    const llmPreference = s.recommendationLLM || 'smollm';
-    if (recommendationLLMChatGPT && recommendationLLMSmolLM) {
-      if (llmPreference === 'chatgpt') {
-        recommendationLLMChatGPT.checked = true;
-      } else {
-        recommendationLLMSmolLM.checked = true;
-      }
-    }
+    // Recommendation provider, model and sampling settings (defaults to SmolLM)
+    renderLLMOptions(s);
     
     // Update recommendation model options visibility based on initial state
     updateRecommendationModelOptions();
+
+    // History retention window (0 = forever)
+    if (retentionDays) {
+      retentionDays.value = String(typeof s.retentionDays === 'number' ? s.retentionDays : DEFAULT_RETENTION_DAYS);
+    }
+
+    // Time of the end-of-day job
+    if (dailyJobTime) {
+      dailyJobTime.value = getDailyJobTime(s);
+    }
+
+    // Notification digest (off unless chosen)
+    if (digestFrequency) {
+      digestFrequency.value = getDigestFrequency(s);
+    }
+
+    // How titles are stored
+    if (titleRedaction) {
+      titleRedaction.value = getRedactionMode(s);
+    }
+
+    // Idle gap that splits browsing sessions
+    if (sessionGapMinutes) {
+      sessionGapMinutes.value = String(typeof s.sessionGapMinutes === 'number' ? s.sessionGapMinutes : DEFAULT_SESSION_GAP_MINUTES);
+    }
+
+    // Daily budgets
+    const budgets = getBudgets(s);
+    if (budgetTotalMinutes) {
+      budgetTotalMinutes.value = budgets.totalMinutes > 0 ? String(budgets.totalMinutes) : '';
+    }
+    if (budgetNudge) {
+      budgetNudge.value = getNudgeMode(s);
+    }
+    renderDomainBudgets(budgets);
+    renderTopicLimits(getTopicLimits(s));
+    renderMastodonInstances(getMastodonInstances(s));
+    renderTrackingLists(s);
+    renderRecommendationFeedback(s);
+
+    if (trackIncognito) {
+      trackIncognito.checked = s.trackIncognito === true;
+    }
+
+    // Selector rule overrides
+    if (selectorOverrides && s.selectorOverrides) {
+      selectorOverrides.value = JSON.stringify(s.selectorOverrides, null, 2);
+    }
   });
 
+  // Topic choices for new topic limits
+  if (newLimitTopic) {
+    for (const topic of LIMITABLE_TOPICS) {
+      const option = document.createElement('option');
+      option.value = topic;
+      option.textContent = topic;
+      newLimitTopic.appendChild(option);
+    }
+  }
+
+  // Render the per-domain budget rows (each with its own remove button)
+  function renderDomainBudgets(budgets) {
+    if (!domainBudgetList) return;
+    domainBudgetList.innerHTML = '';
+    for (const [domain, minutes] of Object.entries(budgets.perDomain)) {
+      const row = document.createElement('div');
+      row.className = 'budgetRow';
+      const name = document.createElement('span');
+      name.className = 'budgetDomain';
+      name.textContent = domain;
+      const value = document.createElement('span');
+      value.textContent = `${minutes} min`;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#718096';
+      removeBtn.addEventListener('click', () => {
+        saveBudgets(b => { delete b.perDomain[domain]; });
+      });
+      row.appendChild(name);
+      row.appendChild(value);
+      row.appendChild(removeBtn);
+      domainBudgetList.appendChild(row);
+    }
+  }
+
+  // Apply a change to the stored budgets and re-render the list
+  function saveBudgets(update) {
+    chrome.storage.local.get(['settings'], (res) => {
+      const s = res.settings || {};
+      const budgets = getBudgets(s);
+      update(budgets);
+      chrome.storage.local.set({
+        settings: {
+          ...s,
+          budgets
+        }
+      }, () => renderDomainBudgets(budgets));
+    });
+  }
+
+  // Render the Mastodon instance rows
+  function renderMastodonInstances(hosts) {
+    if (!mastodonInstanceList) return;
+    mastodonInstanceList.innerHTML = '';
+    for (const host of hosts) {
+      const row = document.createElement('div');
+      row.className = 'budgetRow';
+      const name = document.createElement('span');
+      name.className = 'budgetDomain';
+      name.textContent = host;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#718096';
+      removeBtn.addEventListener('click', () => {
+        saveMastodonInstances(list => list.filter(item => item !== host));
+        chrome.permissions.remove({ origins: instanceOrigins([host]) });
+      });
+      row.appendChild(name);
+      row.appendChild(removeBtn);
+      mastodonInstanceList.appendChild(row);
+    }
+  }
+
+  // Apply a change to the stored instance list and re-render it
+  // (the background re-registers the Mastodon content scripts when the list changes)
+  function saveMastodonInstances(update) {
+    chrome.storage.local.get(['settings'], (res) => {
+      const s = res.settings || {};
+      const mastodonInstances = update(getMastodonInstances(s));
+      chrome.storage.local.set({
+        settings: {
+          ...s,
+          mastodonInstances
+        }
+      }, () => renderMastodonInstances(mastodonInstances));
+    });
+  }
+
+  // Site allow/block lists and the title blocklist (normalized by tracking_rules.js)
+  const rules = globalThis.HorizonTrackingRules;
+  const trackingLists = rules ? {
+    siteAllowlist: {
+      list: document.getElementById('siteAllowlist'),
+      input: document.getElementById('newSiteAllow'),
+      button: document.getElementById('addSiteAllowBtn'),
+      read: rules.getSiteAllowlist,
+      normalize: rules.normalizeSite,
+      invalid: 'Enter a site such as reddit.com.'
+    },
+    siteBlocklist: {
+      list: document.getElementById('siteBlocklist'),
+      input: document.getElementById('newSiteBlock'),
+      button: document.getElementById('addSiteBlockBtn'),
+      read: rules.getSiteBlocklist,
+      normalize: rules.normalizeSite,
+      invalid: 'Enter a site such as instagram.com.'
+    },
+    titleBlocklist: {
+      list: document.getElementById('titleBlocklist'),
+      input: document.getElementById('newTitleBlock'),
+      button: document.getElementById('addTitleBlockBtn'),
+      read: rules.getTitleBlocklist,
+      normalize: rules.normalizeSource,
+      invalid: 'Enter a subreddit or account such as r/politics or @someone.'
+    }
+  } : {};
+
+  function renderTrackingLists(s) {
+    for (const [key, config] of Object.entries(trackingLists)) {
+      renderTrackingList(key, config.read(s));
+    }
+  }
+
+  function renderTrackingList(key, items) {
+    const { list } = trackingLists[key];
+    if (!list) return;
+    list.innerHTML = '';
+    for (const item of items) {
+      const row = document.createElement('div');
+      row.className = 'budgetRow';
+      const name = document.createElement('span');
+      name.className = 'budgetDomain';
+      name.textContent = item;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#718096';
+      removeBtn.addEventListener('click', () => {
+        saveTrackingList(key, current => current.filter(entry => entry !== item));
+      });
+      row.appendChild(name);
+      row.appendChild(removeBtn);
+      list.appendChild(row);
+    }
+  }
+
+  // Apply a change to one stored list and re-render it; open tabs pick it up through storage.onChanged
+  function saveTrackingList(key, update) {
+    chrome.storage.local.get(['settings'], (res) => {
+      const s = res.settings || {};
+      const items = update(trackingLists[key].read(s));
+      chrome.storage.local.set({
+        settings: {
+          ...s,
+          [key]: items
+        }
+      }, () => renderTrackingList(key, items));
+    });
+  }
+
+  function showTrackingListError(message) {
+    if (!trackingListError) return;
+    trackingListError.textContent = message;
+    trackingListError.style.display = message ? 'block' : 'none';
+  }
+
+  function showMastodonInstanceError(message) {
+    if (!mastodonInstanceError) return;
+    mastodonInstanceError.textContent = message;
+    mastodonInstanceError.style.display = message ? 'block' : 'none';
+  }
+
+  function showSelectorOverridesError(message) {
+    if (!selectorOverridesError) return;
+    selectorOverridesError.textContent = message;
+    selectorOverridesError.style.display = message ? 'block' : 'none';
+  }
+
+  // Store the override rules (null removes them); content scripts apply them on the settings change
+  function saveSelectorOverrides(overrides) {
+    chrome.storage.local.get(['settings'], (res) => {
+      const s = res.settings || {};
+      chrome.storage.local.set({
+        settings: {
+          ...s,
+          selectorOverrides: overrides
+        }
+      }, () => {
+        showSelectorOverridesError('');
+        if (selectorOverrides) {
+          selectorOverrides.value = overrides ? JSON.stringify(overrides, null, 2) : '';
+        }
+      });
+    });
+  }
+
+  // Tabs the content scripts can run in; the tab URL is only visible for hosts we have access to
+  function renderSelectorDebugTabs() {
+    if (!selectorDebugTab) return;
+    chrome.tabs.query({}, (tabs) => {
+      selectorDebugTab.innerHTML = '';
+      const readable = (tabs || []).filter(tab => tab.url && /^https?:/.test(tab.url));
+      for (const tab of readable) {
+        const url = new URL(tab.url);
+        const option = document.createElement('option');
+        option.value = String(tab.id);
+        option.textContent = `${url.hostname}${url.pathname}`.substring(0, 90);
+        option.title = tab.title || tab.url;
+        selectorDebugTab.appendChild(option);
+      }
+      if (readable.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No open tabs on tracked sites';
+        selectorDebugTab.appendChild(option);
+      }
+    });
+  }
+
+  // Plain-text report of a content script's selector_debug response
+  function formatSelectorReport(report) {
+    if (!report.platform) {
+      return `No platform adapter matches ${report.pathname || 'this page'}, so no selector rules apply.`;
+    }
+    const lines = [
+      `${report.platform} · ${report.pageType} page · selectors.json v${report.version}${report.hasOverrides ? ' + overrides' : ''}`,
+      `Path: ${report.pathname}${report.skipPage ? ' (page time is not tracked, only feed items)' : ''}`
+    ];
+    const extracted = report.extracted || {};
+    if (extracted.error) {
+      lines.push(`Extraction failed: ${extracted.error}`);
+    } else {
+      lines.push(`Title: ${extracted.title ? JSON.stringify(extracted.title.substring(0, 120)) : '(none)'}`);
+      lines.push(`Author: ${extracted.author || '(none)'} · Community: ${extracted.community || '(none)'} · Content type: ${extracted.contentType || '(none)'}`);
+    }
+    if (report.feedItemSelector) {
+      lines.push(`Feed items: ${report.feedItems} matching ${report.feedItemSelector}`);
+    }
+    for (const [field, rules] of Object.entries(report.fields || {})) {
+      lines.push('', `${field}:`);
+      let matched = false;
+      for (const rule of rules) {
+        // The first accepted rule is the one extraction uses; later ones would match too
+        const marker = rule.accepted ? (matched ? ' +' : '=>') : '  ';
+        matched = matched || rule.accepted;
+        const source = rule.source === 'override' ? ' [override]' : '';
+        const value = rule.accepted ? ` ${JSON.stringify(rule.value)}` : '';
+        lines.push(`${marker} ${rule.id}${source} (${rule.elements} element${rule.elements === 1 ? '' : 's'})${value}`);
+      }
+      if (!matched) {
+        lines.push('   No rule matched.');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  function showBudgetError(message) {
+    if (!budgetError) return;
+    budgetError.textContent = message;
+    budgetError.style.display = message ? 'block' : 'none';
+  }
+
+  // Render the per-topic limit rows
+  function renderTopicLimits(topicLimits) {
+    if (!topicLimitList) return;
+    topicLimitList.innerHTML = '';
+    for (const [topic, rule] of Object.entries(topicLimits)) {
+      const row = document.createElement('div');
+      row.className = 'budgetRow';
+      const name = document.createElement('span');
+      name.className = 'budgetDomain';
+      name.textContent = topic;
+      const value = document.createElement('span');
+      const parts = [];
+      if (rule.maxMinutes > 0) parts.push(`${rule.maxMinutes} min`);
+      if (rule.maxPosts > 0) parts.push(`${rule.maxPosts} posts`);
+      value.textContent = parts.join(' or ');
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#718096';
+      removeBtn.addEventListener('click', () => {
+        saveTopicLimits(limits => { delete limits[topic]; });
+      });
+      row.appendChild(name);
+      row.appendChild(value);
+      row.appendChild(removeBtn);
+      topicLimitList.appendChild(row);
+    }
+  }
+
+  // Apply a change to the stored topic limits and re-render the list
+  function saveTopicLimits(update) {
+    chrome.storage.local.get(['settings'], (res) => {
+      const s = res.settings || {};
+      const topicLimits = getTopicLimits(s);
+      update(topicLimits);
+      chrome.storage.local.set({
+        settings: {
+          ...s,
+          topicLimits
+        }
+      }, () => renderTopicLimits(topicLimits));
+    });
+  }
+
   // Save settings on change
   // enableTracking controls both enableTracking and includeTitles
   enableTracking.addEventListener('change', () => {
     chrome.storage.local.get(['settings'], (res) => {
       const s = res.settings || {};
-      const selectedLLM = recommendationLLMChatGPT?.checked ? 'chatgpt' : 'smollm';
       chrome.storage.local.set({
         settings: {
           ...s,
           enableTracking: enableTracking.checked,
           includeTitles: enableTracking.checked, // Set both to same value
           enableML: enableML.checked,
-          enableRecommendations: enableRecommendations.checked,
-          recommendationLLM: selectedLLM
+          enableRecommendations: enableRecommendations.checked
         }
       });
     });
@@ -100,15 +524,13 @@ async function initOptions() {
   enableML.addEventListener('change', () => {
     chrome.storage.local.get(['settings'], (res) => {
       const s = res.settings || {};
-      const selectedLLM = recommendationLLMChatGPT?.checked ? 'chatgpt' : 'smollm';
       chrome.storage.local.set({
         settings: {
           ...s,
           enableTracking: enableTracking.checked,
           includeTitles: enableTracking.checked,
           enableML: enableML.checked,
-          enableRecommendations: enableRecommendations.checked,
-          recommendationLLM: selectedLLM
+          enableRecommendations: enableRecommendations.checked
         }
       });
     });
@@ -117,74 +539,898 @@ async function initOptions() {
   enableRecommendations.addEventListener('change', () => {
     chrome.storage.local.get(['settings'], (res) => {
       const s = res.settings || {};
-      const selectedLLM = recommendationLLMChatGPT?.checked ? 'chatgpt' : 'smollm';
       chrome.storage.local.set({
         settings: {
           ...s,
           enableTracking: enableTracking.checked,
           includeTitles: enableTracking.checked,
           enableML: enableML.checked,
-          enableRecommendations: enableRecommendations.checked,
-          recommendationLLM: selectedLLM
+          enableRecommendations: enableRecommendations.checked
         }
       });
     });
     updateRecommendationModelOptions();
   });
 
-  // Handle LLM preference radio button changes
-  if (recommendationLLMChatGPT) {
-    recommendationLLMChatGPT.addEventListener('change', () => {
-      if (recommendationLLMChatGPT.checked) {
+  // Recommendation provider: the select, the provider's model and sampling settings, and the API key
+  function renderLLMOptions(settings) {
+    if (!recommendationLLM) return;
+    llmSettings = settings;
+    if (recommendationLLM.options.length === 0) {
+      for (const [id, provider] of Object.entries(LLM_PROVIDERS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.label;
+        recommendationLLM.appendChild(option);
+      }
+    }
+    const config = getLLMConfig(settings);
+    recommendationLLM.value = config.provider;
+    llmBaseUrlRow.style.display = config.provider === 'openai_compatible' ? 'block' : 'none';
+    llmBaseUrl.value = settings.llmBaseUrl || '';
+    llmBaseUrl.placeholder = LLM_PROVIDERS.openai_compatible.defaultBaseUrl;
+    llmModel.value = settings.llmModel || '';
+    llmModel.placeholder = LLM_PROVIDERS[config.provider].defaultModel || 'Model name, e.g. llama3.1:8b';
+    llmModel.disabled = config.local;
+    llmTemperature.value = String(config.temperature);
+    llmMaxTokens.value = String(config.maxTokens);
+    // SmolLM runs in the browser; OpenAI needs a key and a local server may want one
+    llmApiKeyRow.style.display = config.local ? 'none' : 'block';
+    getApiKey().then(renderApiKeyStatus);
+  }
+
+  function renderApiKeyStatus(key) {
+    if (!llmApiKeyStatus) return;
+    llmApiKeyStatus.style.color = '';
+    llmApiKeyStatus.textContent = key ? `Saved key: ${maskApiKey(key)}` : 'No key saved.';
+  }
+
+  function showLLMError(message) {
+    if (!llmError) return;
+    llmError.textContent = message;
+    llmError.style.display = message ? 'block' : 'none';
+  }
+
+  function saveLLMSettings(changes) {
+    showLLMError('');
+    chrome.storage.local.get(['settings'], (res) => {
+      const settings = { ...(res.settings || {}), ...changes };
+      chrome.storage.local.set({ settings }, () => renderLLMOptions(settings));
+    });
+  }
+
+  if (recommendationLLM) {
+    // Model, temperature and token limit start over at the new provider's defaults
+    recommendationLLM.addEventListener('change', () => {
+      saveLLMSettings({ recommendationLLM: recommendationLLM.value, llmModel: '', llmTemperature: null, llmMaxTokens: null });
+    });
+
+    llmModel.addEventListener('change', () => saveLLMSettings({ llmModel: llmModel.value.trim() }));
+    llmTemperature.addEventListener('change', () => {
+      saveLLMSettings({ llmTemperature: llmTemperature.value === '' ? null : Number(llmTemperature.value) });
+    });
+    llmMaxTokens.addEventListener('change', () => {
+      saveLLMSettings({ llmMaxTokens: llmMaxTokens.value === '' ? null : Number(llmMaxTokens.value) });
+    });
+
+    saveLlmBaseUrlBtn.addEventListener('click', () => {
+      const url = normalizeBaseUrl(llmBaseUrl.value);
+      if (!url) {
+        showLLMError('Enter the server\'s base URL, e.g. http://localhost:11434/v1');
+        return;
+      }
+      // permissions.request must run directly in the click handler (user gesture)
+      chrome.permissions.request({ origins: [baseUrlOrigin(url)] }, (granted) => {
+        if (!granted) {
+          showLLMError(`Horizon needs permission to reach ${new URL(url).host} to use this server.`);
+          return;
+        }
+        saveLLMSettings({ llmBaseUrl: url });
+      });
+    });
+
+    saveLlmApiKeyBtn.addEventListener('click', async () => {
+      if (!llmApiKey.value.trim()) {
+        showLLMError('Paste a key first.');
+        return;
+      }
+      showLLMError('');
+      renderApiKeyStatus(await setApiKey(llmApiKey.value));
+      llmApiKey.value = '';
+    });
+
+    clearLlmApiKeyBtn.addEventListener('click', async () => {
+      if (!confirm('Remove the saved API key?')) return;
+      showLLMError('');
+      renderApiKeyStatus(await setApiKey(''));
+    });
+
+    // Tests the key being typed, or the saved one
+    testLlmApiKeyBtn.addEventListener('click', () => {
+      const config = getLLMConfig(llmSettings);
+      const runTest = async () => {
+        llmApiKeyStatus.style.color = '';
+        llmApiKeyStatus.textContent = `Testing ${config.label}...`;
+        const key = llmApiKey.value.trim() || await getApiKey();
+        const result = await testLLMConnection(config, key);
+        llmApiKeyStatus.style.color = result.ok ? '#2f855a' : '#e53e3e';
+        llmApiKeyStatus.textContent = result.message;
+      };
+      if (config.provider !== 'openai_compatible') {
+        runTest();
+        return;
+      }
+      chrome.permissions.request({ origins: [baseUrlOrigin(config.baseUrl)] }, (granted) => {
+        if (granted) {
+          runTest();
+        } else {
+          showLLMError(`Horizon needs permission to reach ${new URL(config.baseUrl).host} to test this server.`);
+        }
+      });
+    });
+  }
+
+  // Topics blocked from the popup ("Don't suggest ...") and the stored votes
+  const horizonRecommendations = globalThis.HorizonRecommendations;
+  const blockedRecommendationTopics = document.getElementById('blockedRecommendationTopics');
+  const recommendationFeedbackSummary = document.getElementById('recommendationFeedbackSummary');
+  const clearRecommendationFeedbackBtn = document.getElementById('clearRecommendationFeedbackBtn');
+
+  function renderRecommendationFeedback(s) {
+    if (!blockedRecommendationTopics || !horizonRecommendations) return;
+    blockedRecommendationTopics.innerHTML = '';
+    const topics = horizonRecommendations.getBlockedTopics(s);
+    if (topics.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'apiKeyHelp';
+      empty.textContent = 'None.';
+      blockedRecommendationTopics.appendChild(empty);
+    }
+    for (const topic of topics) {
+      const row = document.createElement('div');
+      row.className = 'budgetRow';
+      const name = document.createElement('span');
+      name.className = 'budgetDomain';
+      name.textContent = topic;
+      const allowBtn = document.createElement('button');
+      allowBtn.textContent = 'Allow again';
+      allowBtn.style.background = '#718096';
+      allowBtn.addEventListener('click', () => {
         chrome.storage.local.get(['settings'], (res) => {
-          const s = res.settings || {};
-          chrome.storage.local.set({
-            settings: {
-              ...s,
-              recommendationLLM: 'chatgpt'
-            }
-          });
+          const current = res.settings || {};
+          const settings = {
+            ...current,
+            blockedRecommendationTopics: horizonRecommendations.getBlockedTopics(current).filter(entry => entry !== topic)
+          };
+          chrome.storage.local.set({ settings }, () => renderRecommendationFeedback(settings));
         });
+      });
+      row.appendChild(name);
+      row.appendChild(allowBtn);
+      blockedRecommendationTopics.appendChild(row);
+    }
+    horizonRecommendations.getFeedback().then(({ votes }) => {
+      const helpful = votes.filter(entry => entry.vote === 'helpful').length;
+      recommendationFeedbackSummary.textContent = `${helpful} helpful and ${votes.length - helpful} not helpful vote${votes.length - helpful !== 1 ? 's' : ''} stored.`;
+      clearRecommendationFeedbackBtn.disabled = votes.length === 0;
+    });
+  }
+
+  if (clearRecommendationFeedbackBtn && horizonRecommendations) {
+    clearRecommendationFeedbackBtn.addEventListener('click', () => {
+      if (!confirm('Clear all helpful / not helpful votes? Blocked topics stay blocked.')) return;
+      chrome.storage.local.remove(horizonRecommendations.FEEDBACK_KEY, () => {
+        chrome.storage.local.get(['settings'], (res) => renderRecommendationFeedback(res.settings || {}));
+      });
+    });
+  }
+
+  // Past recommendation sets: search them and compare two side by side
+  const recommendationHistorySearch = document.getElementById('recommendationHistorySearch');
+  const recommendationHistoryCompare = document.getElementById('recommendationHistoryCompare');
+  const recommendationHistoryList = document.getElementById('recommendationHistoryList');
+  const recommendationHistoryStatus = document.getElementById('recommendationHistoryStatus');
+  const clearRecommendationHistoryBtn = document.getElementById('clearRecommendationHistoryBtn');
+  let recommendationHistory = [];
+  let recommendationHistoryLocked = false;
+  // ids of the (at most two) sets ticked for comparison
+  let comparedHistoryIds = [];
+
+  function formatHistoryDate(date) {
+    const [year, month, day] = String(date).split('-').map(Number);
+    if (!year || !month || !day) return String(date);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  function formatHistoryDuration(ms) {
+    const minutes = Math.round((ms || 0) / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  function describeHistoryProvider(entry) {
+    const label = getProviderLabel(entry.provider);
+    const model = entry.model && !label.includes(entry.model) ? ` (${entry.model})` : '';
+    const fallback = entry.fallbackFrom ? `, standing in for ${getProviderLabel(entry.fallbackFrom)}` : '';
+    return `${label}${model}${fallback}`;
+  }
+
+  function describeHistoryInput(input = {}) {
+    const topics = Object.entries(input.byTopicCounts || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([topic, count]) => `${topic} ${count}`);
+    const domains = Object.keys(input.byDomain || {}).join(', ');
+    let text = `Based on ${input.posts || 0} post${input.posts === 1 ? '' : 's'} in ${formatHistoryDuration(input.totalMs)}`;
+    if (domains) text += ` on ${domains}`;
+    if (topics.length > 0) text += `. Topics: ${topics.join(', ')}`;
+    return `${text}.`;
+  }
+
+  // Same card as the popup's recommendation list, without the feedback buttons
+  function createHistoryRecommendation(recommendation) {
+    const item = document.createElement('div');
+    item.className = 'recommendationItem';
+    const heading = document.createElement('div');
+    heading.className = 'recommendationHeading';
+    const title = document.createElement('strong');
+    title.textContent = [recommendation.topic, recommendation.subtopic].filter(Boolean).join(' – ') || 'Recommendation';
+    heading.appendChild(title);
+    if (typeof recommendation.confidence === 'number') {
+      const confidence = document.createElement('span');
+      confidence.className = 'recommendationConfidence';
+      confidence.textContent = `${Math.round(recommendation.confidence * 100)}% match`;
+      heading.appendChild(confidence);
+    }
+    item.appendChild(heading);
+    const action = document.createElement('div');
+    action.className = 'recommendationAction';
+    action.textContent = recommendation.action;
+    item.appendChild(action);
+    if (recommendation.rationale) {
+      const rationale = document.createElement('div');
+      rationale.className = 'recommendationRationale';
+      rationale.textContent = recommendation.rationale;
+      item.appendChild(rationale);
+    }
+    return item;
+  }
+
+  function renderHistoryComparison() {
+    recommendationHistoryCompare.innerHTML = '';
+    const entries = comparedHistoryIds.map(id => recommendationHistory.find(entry => entry.id === id)).filter(Boolean);
+    if (entries.length !== 2) return;
+    // Older set first
+    entries.sort((a, b) => a.generatedAt - b.generatedAt);
+    const [first, second] = entries;
+    const { shared, onlyFirst, onlySecond } = compareHistoryEntries(first, second);
+    const rows = [
+      [`Comparing ${formatHistoryDate(first.date)} (${describeHistoryProvider(first)}) with ${formatHistoryDate(second.date)} (${describeHistoryProvider(second)})`, null],
+      ['In both', shared],
+      [`Only on ${formatHistoryDate(first.date)}`, onlyFirst],
+      [`Only on ${formatHistoryDate(second.date)}`, onlySecond],
+      ['Posts', [`${first.input?.posts || 0} → ${second.input?.posts || 0}`]],
+      ['Time', [`${formatHistoryDuration(first.input?.totalMs)} → ${formatHistoryDuration(second.input?.totalMs)}`]]
+    ];
+    for (const [label, values] of rows) {
+      const row = document.createElement('div');
+      if (values === null) {
+        const title = document.createElement('strong');
+        title.textContent = label;
+        row.appendChild(title);
+      } else {
+        row.textContent = `${label}: ${values.length > 0 ? values.join(', ') : 'none'}`;
       }
+      recommendationHistoryCompare.appendChild(row);
+    }
+  }
+
+  function renderRecommendationHistory() {
+    if (!recommendationHistoryList) return;
+    recommendationHistoryList.innerHTML = '';
+    const entries = searchHistory(recommendationHistory, recommendationHistorySearch.value);
+    if (recommendationHistoryLocked) {
+      recommendationHistoryStatus.textContent = 'Your tracking data is locked. Unlock it under Encryption to see past recommendations.';
+    } else if (recommendationHistory.length === 0) {
+      recommendationHistoryStatus.textContent = 'No recommendations have been generated yet.';
+    } else if (recommendationHistorySearch.value.trim()) {
+      recommendationHistoryStatus.textContent = `${entries.length} of ${recommendationHistory.length} sets match.`;
+    } else {
+      recommendationHistoryStatus.textContent = `${recommendationHistory.length} set${recommendationHistory.length === 1 ? '' : 's'} stored.`;
+    }
+    clearRecommendationHistoryBtn.disabled = recommendationHistory.length === 0;
+
+    for (const entry of entries) {
+      const details = document.createElement('details');
+      details.className = 'historyEntry';
+      const summary = document.createElement('summary');
+      const compare = document.createElement('input');
+      compare.type = 'checkbox';
+      compare.title = 'Compare';
+      compare.dataset.historyId = entry.id;
+      compare.checked = comparedHistoryIds.includes(entry.id);
+      // Ticking the box shouldn't also open or close the entry
+      compare.addEventListener('click', (event) => event.stopPropagation());
+      compare.addEventListener('change', () => {
+        comparedHistoryIds = comparedHistoryIds.filter(id => id !== entry.id);
+        if (compare.checked) {
+          // Keep the latest two ticks
+          comparedHistoryIds = [...comparedHistoryIds, entry.id].slice(-2);
+        }
+        for (const box of recommendationHistoryList.querySelectorAll('input[type="checkbox"]')) {
+          box.checked = comparedHistoryIds.includes(box.dataset.historyId);
+        }
+        renderHistoryComparison();
+      });
+      const title = document.createElement('span');
+      const count = entry.recommendations.length;
+      title.textContent = `${formatHistoryDate(entry.date)} · ${describeHistoryProvider(entry)} · ${count} recommendation${count === 1 ? '' : 's'}`;
+      summary.appendChild(compare);
+      summary.appendChild(title);
+      details.appendChild(summary);
+
+      const input = document.createElement('div');
+      input.className = 'historyInput';
+      input.textContent = `${describeHistoryInput(entry.input)} Generated ${new Date(entry.generatedAt).toLocaleString()}.`;
+      details.appendChild(input);
+      for (const recommendation of entry.recommendations) {
+        details.appendChild(createHistoryRecommendation(recommendation));
+      }
+      recommendationHistoryList.appendChild(details);
+    }
+    renderHistoryComparison();
+  }
+
+  async function loadRecommendationHistory() {
+    if (!recommendationHistoryList) return;
+    recommendationHistoryLocked = await cryptoStore.isLocked();
+    if (recommendationHistoryLocked) {
+      recommendationHistory = [];
+      comparedHistoryIds = [];
+      renderRecommendationHistory();
+      return;
+    }
+    const stored = await cryptoStore.get([RECOMMENDATION_HISTORY_KEY]);
+    recommendationHistory = Array.isArray(stored[RECOMMENDATION_HISTORY_KEY]) ? stored[RECOMMENDATION_HISTORY_KEY] : [];
+    comparedHistoryIds = comparedHistoryIds.filter(id => recommendationHistory.some(entry => entry.id === id));
+    renderRecommendationHistory();
+  }
+
+  if (recommendationHistoryList) {
+    recommendationHistorySearch.addEventListener('input', () => renderRecommendationHistory());
+    clearRecommendationHistoryBtn.addEventListener('click', () => {
+      if (!confirm('Delete all past recommendation sets? The latest recommendations in the popup stay.')) return;
+      chrome.storage.local.remove(RECOMMENDATION_HISTORY_KEY, () => loadRecommendationHistory());
     });
+    loadRecommendationHistory();
   }
 
-  if (recommendationLLMSmolLM) {
-    recommendationLLMSmolLM.addEventListener('change', () => {
-      if (recommendationLLMSmolLM.checked) {
-        chrome.storage.local.get(['settings'], (res) => {
-          const s = res.settings || {};
-          chrome.storage.local.set({
-            settings: {
-              ...s,
-              recommendationLLM: 'smollm'
-            }
-          });
+  // Handle history retention changes
+  if (retentionDays) {
+    retentionDays.addEventListener('change', () => {
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            retentionDays: Number(retentionDays.value)
+          }
         });
+      });
+    });
+  }
+
+  // End-of-day job: its time, how the last run went and a manual run
+  const DAILY_JOB_STEPS = {
+    finalize: {
+      finalized: 'day finalized',
+      already_finalized: 'day already finalized',
+      no_data: 'nothing recorded that day'
+    },
+    recommendations: {
+      generated: 'recommendations generated',
+      empty: 'the model returned no recommendations',
+      failed: 'recommendations failed',
+      not_enough_data: 'too little data for recommendations',
+      disabled: 'recommendations are off',
+      up_to_date: 'recommendations already made'
+    },
+    digest: {
+      sent: 'digest sent',
+      failed: 'the digest could not be shown'
+    }
+  };
+
+  function describeDailyJob(status) {
+    const next = status?.nextRunAt ? ` Next run: ${new Date(status.nextRunAt).toLocaleString()}.` : '';
+    const run = status?.lastRun;
+    if (!run) {
+      return `Not run yet.${next}`;
+    }
+    let outcome;
+    if (run.status === 'skipped') {
+      outcome = 'skipped because the data was locked';
+    } else {
+      const steps = ['finalize', 'recommendations', 'digest'].map(step => DAILY_JOB_STEPS[step][run.steps?.[step]]).filter(Boolean);
+      if (run.steps?.rollup > 0) {
+        steps.push(`${run.steps.rollup} old day${run.steps.rollup === 1 ? '' : 's'} compacted`);
+      }
+      outcome = steps.join(', ') || 'done';
+      if (run.status === 'error') {
+        outcome += ` (error: ${run.error})`;
       }
+    }
+    return `Last run ${new Date(run.finishedAt || run.startedAt).toLocaleString()} for ${run.day}: ${outcome}.${next}`;
+  }
+
+  function renderDailyJobStatus() {
+    if (!dailyJobStatus) return;
+    chrome.storage.local.get([DAILY_JOB_STATUS_KEY], (res) => {
+      dailyJobStatus.textContent = describeDailyJob(res[DAILY_JOB_STATUS_KEY]);
     });
   }
 
-  // Export
-  exportBtn.addEventListener('click', () => {
-    if (confirm('Are you sure you want to export all stored data? This will download a JSON file containing all your extension data.')) {
-      chrome.storage.local.get(null, (data) => {
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `horizon-export-${new Date().toISOString().slice(0,10)}.json`;
-        a.click();
-        exportDataDiv.textContent = "Data exported successfully.";
-        exportDataDiv.style.display = 'block';
+  if (dailyJobTime) {
+    dailyJobTime.addEventListener('change', () => {
+      if (!parseJobTime(dailyJobTime.value)) return;
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            dailyJobTime: dailyJobTime.value
+          }
+        });
+      });
+    });
+    runDailyJobBtn.addEventListener('click', () => {
+      runDailyJobBtn.disabled = true;
+      dailyJobStatus.textContent = 'Running...';
+      chrome.runtime.sendMessage({ type: 'run_daily_job' }, () => {
+        runDailyJobBtn.disabled = false;
+        renderDailyJobStatus();
+        loadRecommendationHistory();
+      });
+    });
+    // The background reschedules (and stores the next run) when the time changes
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[DAILY_JOB_STATUS_KEY]) {
+        renderDailyJobStatus();
+      }
+    });
+    renderDailyJobStatus();
+  }
+
+  if (digestFrequency) {
+    digestFrequency.addEventListener('change', () => {
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            digestFrequency: digestFrequency.value
+          }
+        });
+      });
+    });
+  }
+
+  // Handle title redaction changes: new titles follow the mode right away,
+  // stored titles are only rewritten when the user confirms (it can't be undone)
+  if (titleRedaction) {
+    titleRedaction.addEventListener('change', () => {
+      const mode = titleRedaction.value;
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            titleRedaction: mode
+          }
+        }, () => {
+          showTitleRedactionStatus('');
+          if (mode === 'full') return;
+          const description = mode === 'hash' ? 'remove the titles' : 'remove emails, phone numbers, @handles and links from the titles';
+          if (confirm(`Also ${description} already stored in your history? This can't be undone.`)) {
+            redactStoredHistory(mode);
+          }
+        });
       });
+    });
+  }
+
+  // Encrypted history is rewritten through the crypto store (it must be unlocked)
+  async function redactStoredHistory(mode) {
+    if (await cryptoStore.isLocked()) {
+      showTitleRedactionStatus('Unlock your encrypted data below first, then choose the mode again.');
+      return;
+    }
+    const data = await cryptoStore.get(null);
+    const { updates, summary } = redactStoredData(data, mode);
+    if (Object.keys(updates).length === 0) {
+      showTitleRedactionStatus('No stored titles or breakdowns needed changes.');
+      return;
     }
+    try {
+      await cryptoStore.set(updates);
+    } catch (error) {
+      showTitleRedactionStatus(`Rewriting stored titles failed: ${error.message}`);
+      return;
+    }
+    console.log('[Horizon] Stored titles redacted:', summary);
+    showTitleRedactionStatus(`Rewrote ${summary.posts} post title${summary.posts !== 1 ? 's' : ''} and ${summary.events} timeline entr${summary.events !== 1 ? 'ies' : 'y'}` +
+      (summary.breakdowns > 0 ? ` and removed ${summary.breakdowns} account/hashtag breakdown${summary.breakdowns !== 1 ? 's' : ''}.` : '.'));
+  }
+
+  function showTitleRedactionStatus(message) {
+    if (!titleRedactionStatus) return;
+    titleRedactionStatus.textContent = message;
+    titleRedactionStatus.style.display = message ? 'block' : 'none';
+  }
+
+  // Passphrase encryption of day records, timelines and recommendations
+  async function renderEncryption() {
+    if (!encryptionStatus) return;
+    const { enabled, unlocked } = await cryptoStore.getStatus();
+    encryptionSetup.style.display = enabled ? 'none' : 'block';
+    encryptionControls.style.display = enabled ? 'block' : 'none';
+    unlockEncryptionBtn.style.display = enabled && !unlocked ? '' : 'none';
+    lockEncryptionBtn.style.display = enabled && unlocked ? '' : 'none';
+    if (!enabled) {
+      encryptionStatus.textContent = 'Your tracking data is stored unencrypted.';
+    } else if (unlocked) {
+      encryptionStatus.textContent = 'Your tracking data is encrypted and unlocked for this browser session.';
+    } else {
+      encryptionStatus.textContent = 'Your tracking data is encrypted and locked. Nothing is recorded until you unlock it.';
+    }
+    for (const input of [encryptionPassphrase, encryptionPassphraseConfirm, encryptionCurrentPassphrase, encryptionNewPassphrase]) {
+      input.value = '';
+    }
+  }
+
+  function showEncryptionError(message) {
+    if (!encryptionError) return;
+    encryptionError.textContent = message;
+    encryptionError.style.display = message ? 'block' : 'none';
+  }
+
+  // Run an encryption action, then show the new state (or what went wrong)
+  async function runEncryptionAction(action) {
+    showEncryptionError('');
+    try {
+      await action();
+      await renderEncryption();
+      await loadRecommendationHistory();
+    } catch (error) {
+      console.error('[Horizon] Encryption action failed:', error);
+      showEncryptionError(error.message);
+    }
+  }
+
+  if (encryptionStatus && cryptoStore) {
+    enableEncryptionBtn.addEventListener('click', () => runEncryptionAction(async () => {
+      if (encryptionPassphrase.value !== encryptionPassphraseConfirm.value) {
+        throw new Error('The passphrases do not match');
+      }
+      if (!confirm('Encrypt your tracking data? Without the passphrase it can\'t be read or recovered.')) {
+        return;
+      }
+      const count = await cryptoStore.enable(encryptionPassphrase.value);
+      console.log(`[Horizon] Encryption enabled, ${count} entries encrypted`);
+    }));
+    unlockEncryptionBtn.addEventListener('click', () => runEncryptionAction(() => cryptoStore.unlock(encryptionCurrentPassphrase.value)));
+    lockEncryptionBtn.addEventListener('click', () => runEncryptionAction(() => cryptoStore.lock()));
+    changePassphraseBtn.addEventListener('click', () => runEncryptionAction(() => {
+      return cryptoStore.changePassphrase(encryptionCurrentPassphrase.value, encryptionNewPassphrase.value);
+    }));
+    disableEncryptionBtn.addEventListener('click', () => runEncryptionAction(async () => {
+      if (!confirm('Turn off encryption and store your tracking data unencrypted again?')) {
+        return;
+      }
+      const count = await cryptoStore.disable(encryptionCurrentPassphrase.value);
+      console.log(`[Horizon] Encryption disabled, ${count} entries decrypted`);
+    }));
+    renderEncryption();
+  }
+
+  // Handle session idle-gap changes
+  if (sessionGapMinutes) {
+    sessionGapMinutes.addEventListener('change', () => {
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            sessionGapMinutes: Number(sessionGapMinutes.value)
+          }
+        });
+      });
+    });
+  }
+
+  // Handle daily budget changes
+  if (budgetTotalMinutes) {
+    budgetTotalMinutes.addEventListener('change', () => {
+      const minutes = Number(budgetTotalMinutes.value);
+      saveBudgets(b => { b.totalMinutes = Number.isFinite(minutes) && minutes > 0 ? minutes : 0; });
+    });
+  }
+
+  if (addBudgetBtn && newBudgetDomain && newBudgetMinutes) {
+    addBudgetBtn.addEventListener('click', () => {
+      const domain = normalizeBudgetDomain(newBudgetDomain.value);
+      const minutes = Number(newBudgetMinutes.value);
+      if (!domain) {
+        showBudgetError('Enter a domain such as reddit.com.');
+        return;
+      }
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        showBudgetError('Enter a number of minutes greater than zero.');
+        return;
+      }
+      showBudgetError('');
+      saveBudgets(b => { b.perDomain[domain] = minutes; });
+      newBudgetDomain.value = '';
+      newBudgetMinutes.value = '';
+    });
+  }
+
+  if (addTopicLimitBtn && newLimitTopic && newLimitMinutes && newLimitPosts) {
+    addTopicLimitBtn.addEventListener('click', () => {
+      const topic = newLimitTopic.value;
+      const maxMinutes = Number(newLimitMinutes.value) || 0;
+      const maxPosts = Math.floor(Number(newLimitPosts.value) || 0);
+      if (maxMinutes <= 0 && maxPosts <= 0) {
+        topicLimitError.textContent = 'Enter a minute limit, a post limit, or both.';
+        topicLimitError.style.display = 'block';
+        return;
+      }
+      topicLimitError.style.display = 'none';
+      saveTopicLimits(limits => { limits[topic] = { maxMinutes: Math.max(0, maxMinutes), maxPosts: Math.max(0, maxPosts) }; });
+      newLimitMinutes.value = '';
+      newLimitPosts.value = '';
+    });
+  }
+
+  if (addMastodonInstanceBtn && newMastodonInstance) {
+    addMastodonInstanceBtn.addEventListener('click', () => {
+      const host = normalizeInstanceHost(newMastodonInstance.value);
+      if (!host) {
+        showMastodonInstanceError('Enter an instance host such as mastodon.social.');
+        return;
+      }
+      // permissions.request must run directly in the click handler (user gesture)
+      chrome.permissions.request({ origins: instanceOrigins([host]) }, (granted) => {
+        if (!granted) {
+          showMastodonInstanceError(`Permission for ${host} was not granted, so it can't be tracked.`);
+          return;
+        }
+        showMastodonInstanceError('');
+        saveMastodonInstances(list => (list.includes(host) ? list : [...list, host]));
+        newMastodonInstance.value = '';
+      });
+    });
+  }
+
+  for (const [key, { input, button, normalize, invalid }] of Object.entries(trackingLists)) {
+    if (!input || !button) continue;
+    button.addEventListener('click', () => {
+      const item = normalize(input.value);
+      if (!item) {
+        showTrackingListError(invalid);
+        return;
+      }
+      showTrackingListError('');
+      saveTrackingList(key, list => (list.includes(item) ? list : [...list, item]));
+      input.value = '';
+    });
+  }
+
+  if (trackIncognito) {
+    trackIncognito.addEventListener('change', () => {
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            trackIncognito: trackIncognito.checked
+          }
+        });
+      });
+    });
+  }
+
+  renderSelectorDebugTabs();
+  if (selectorDebugRefreshBtn) {
+    selectorDebugRefreshBtn.addEventListener('click', renderSelectorDebugTabs);
+  }
+
+  if (selectorDebugBtn && selectorDebugTab && selectorDebugOutput) {
+    selectorDebugBtn.addEventListener('click', () => {
+      const tabId = parseInt(selectorDebugTab.value, 10);
+      if (!Number.isFinite(tabId)) {
+        selectorDebugOutput.textContent = 'Open a page on a tracked site first.';
+        return;
+      }
+      chrome.tabs.sendMessage(tabId, { type: 'horizon_selector_debug' }, (report) => {
+        if (chrome.runtime.lastError || !report) {
+          selectorDebugOutput.textContent = 'Horizon is not running in that tab. Reload the tab and try again.';
+          return;
+        }
+        selectorDebugOutput.textContent = formatSelectorReport(report);
+      });
+    });
+  }
+
+  if (saveSelectorOverridesBtn && selectorOverrides) {
+    saveSelectorOverridesBtn.addEventListener('click', () => {
+      const text = selectorOverrides.value.trim();
+      if (!text) {
+        saveSelectorOverrides(null);
+        return;
+      }
+      let overrides;
+      try {
+        overrides = JSON.parse(text);
+      } catch (error) {
+        showSelectorOverridesError(`Overrides are not valid JSON: ${error.message}`);
+        return;
+      }
+      const errors = globalThis.HorizonSelectors ? HorizonSelectors.validateConfig(overrides) : [];
+      if (errors.length > 0) {
+        showSelectorOverridesError(errors.slice(0, 5).join('; '));
+        return;
+      }
+      saveSelectorOverrides(overrides);
+    });
+  }
+
+  if (clearSelectorOverridesBtn) {
+    clearSelectorOverridesBtn.addEventListener('click', () => saveSelectorOverrides(null));
+  }
+
+  if (budgetNudge) {
+    budgetNudge.addEventListener('change', () => {
+      chrome.storage.local.get(['settings'], (res) => {
+        const s = res.settings || {};
+        chrome.storage.local.set({
+          settings: {
+            ...s,
+            budgetNudge: budgetNudge.value
+          }
+        });
+      });
+    });
+  }
+
+  // Export
+  exportBtn.addEventListener('click', async () => {
+    const from = exportFrom?.value || null;
+    const to = exportTo?.value || null;
+    if (from && to && from > to) {
+      exportDataDiv.textContent = 'The start date must be before the end date.';
+      return;
+    }
+    const format = exportFormat?.value === 'csv' ? 'csv' : 'json';
+    const rangeText = from || to ? `from ${from || 'the first day'} to ${to || 'today'}` : 'for all stored days';
+    const { enabled, unlocked } = await cryptoStore.getStatus();
+    if (!unlocked) {
+      exportDataDiv.textContent = 'Your data is encrypted and locked. Unlock it with your passphrase before exporting.';
+      return;
+    }
+    // Only JSON exports can be encrypted; a CSV is readable by anyone who gets the file
+    const plaintextWarning = enabled && format === 'csv'
+      ? '\n\nYour data is encrypted, but CSV files are not: this file will be saved unencrypted. Choose JSON for an encrypted export.'
+      : '';
+    if (!confirm(`Export your Horizon data ${rangeText} as ${format.toUpperCase()}?${plaintextWarning}`)) {
+      return;
+    }
+
+    cryptoStore.get(null).then(async (data) => {
+      const exported = buildExport(data, {
+        from,
+        to,
+        includeTitles: exportIncludeTitles?.checked === true,
+        includeEmbeddings: exportIncludeEmbeddings?.checked === true,
+        includeRecommendations: exportIncludeRecommendations?.checked === true,
+        deviceId: getInstallId(data)
+      });
+
+      // With encryption on, JSON exports are only readable with the passphrase
+      const json = enabled ? await cryptoStore.encryptExport(exported) : exported;
+      const content = format === 'csv' ? buildPostsCsv(exported) : JSON.stringify(json, null, 2);
+      const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `horizon-export-${from || 'start'}-to-${to || new Date().toISOString().slice(0,10)}.${format}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      // Importing this file back here would only count its days twice
+      if (format === 'json') {
+        await chrome.storage.local.set(recordExport(data, exported));
+      }
+
+      const postCount = exported.days.reduce((sum, day) => sum + day.posts.length, 0);
+      exportDataDiv.textContent = `Exported ${exported.days.length} day${exported.days.length !== 1 ? 's' : ''} and ${postCount} post${postCount !== 1 ? 's' : ''}.`;
+    }).catch((error) => {
+      console.error('[Horizon] Export failed:', error);
+      exportDataDiv.textContent = `Export failed: ${error.message}`;
+    });
   });
 
+  // Import
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => {
+      importFile.value = '';
+      importFile.click();
+    });
+
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files?.[0];
+      if (!file) return;
+
+      let exported;
+      try {
+        exported = JSON.parse(await file.text());
+      } catch (error) {
+        exportDataDiv.textContent = `Import failed: ${file.name} is not valid JSON.`;
+        return;
+      }
+
+      if (cryptoStore.isEncryptedExport(exported)) {
+        const passphrase = prompt(`${file.name} is encrypted. Enter the passphrase it was exported with:`);
+        if (passphrase === null) return;
+        try {
+          exported = await cryptoStore.decryptExport(exported, passphrase);
+        } catch (error) {
+          exportDataDiv.textContent = `Import failed: ${error.message}.`;
+          return;
+        }
+      }
+
+      const { valid, errors } = validateExport(exported);
+      if (!valid) {
+        console.error('[Horizon] Import validation failed:', errors);
+        exportDataDiv.textContent = `Import failed: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ` (${errors.length - 3} more problems)` : ''}`;
+        return;
+      }
+
+      if (await cryptoStore.isLocked()) {
+        exportDataDiv.textContent = 'Your data is encrypted and locked. Unlock it with your passphrase before importing.';
+        return;
+      }
+
+      if (!confirm(`Merge ${exported.days.length} day${exported.days.length !== 1 ? 's' : ''} from ${file.name} into your Horizon history?`)) {
+        return;
+      }
+
+      cryptoStore.get(null).then((data) => {
+        const { alreadyImported, updates, summary } = mergeExport(data, exported);
+        if (alreadyImported) {
+          exportDataDiv.textContent = 'This export has already been imported; nothing was changed.';
+          return;
+        }
+        // Imported titles are stored under the current redaction mode like tracked ones
+        Object.assign(updates, redactStoredData(updates, getRedactionMode(data.settings)).updates);
+        // ...and encrypted like them when encryption is on
+        cryptoStore.set(updates).then(() => {
+          console.log('[Horizon] Import merged:', summary);
+          exportDataDiv.textContent = `Imported ${summary.daysAdded} new day${summary.daysAdded !== 1 ? 's' : ''}, merged ${summary.daysMerged} existing day${summary.daysMerged !== 1 ? 's' : ''} and added ${summary.postsAdded} post${summary.postsAdded !== 1 ? 's' : ''}.` +
+            (summary.daysOverlapping > 0 ? ` ${summary.daysOverlapping} day${summary.daysOverlapping !== 1 ? 's' : ''} already held that browser's history; only ${summary.daysOverlapping !== 1 ? 'their' : 'its'} new posts were added.` : '') +
+            (summary.rollupsSkipped > 0 ? ` ${summary.rollupsSkipped} weekly/monthly total${summary.rollupsSkipped !== 1 ? 's' : ''} overlapped existing history and ${summary.rollupsSkipped !== 1 ? 'were' : 'was'} skipped.` : '');
+        }).catch((error) => {
+          exportDataDiv.textContent = `Import failed: ${error.message}`;
+        });
+      });
+    });
+  }
+
   // Clear
   clearBtn.addEventListener('click', () => {
     if (confirm('Are you sure you want to delete all stored data? This will permanently delete all tracking data, settings, and recommendations. This action cannot be undone.')) {
-      chrome.storage.local.clear(() => {
+      chrome.storage.local.clear(async () => {
+        // The passphrase went with the data; forget the session key too
+        await cryptoStore.lock();
+        await renderEncryption();
         alert('All data cleared.');
       });
     }
@@ -0,0 +1,62 @@
+// platforms/bluesky.js
+// Bluesky adapter: /profile/<handle>/post/<id> pages are posts; custom feeds act as communities
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (/^\/profile\/[^/]+\/post\//.test(path)) return 'post';
+    if (path === '/' || /^\/profile\/[^/]+\/(feed|lists)\//.test(path)) return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (path.startsWith('/feeds') || path.startsWith('/hashtag/')) return 'explore';
+    if (/^\/profile\/[^/]+\/?$/.test(path)) return 'profile';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+    // Selector rules (bluesky.post.title in selectors.json): the thread's anchor post is rendered first
+    // with a postThreadItem-by-<handle> test id, then any post text, then og:description
+    return helpers.cleanText(helpers.ruleText(doc, 'bluesky', 'post', 'title'), 500);
+  }
+
+  function extractAuthor(doc, loc) {
+    const match = loc.pathname.match(/^\/profile\/([^/]+)/);
+    return match ? '@' + decodeURIComponent(match[1]) : null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const feed = loc.pathname.match(/^\/profile\/[^/]+\/feed\/([^/]+)/);
+    if (feed) return 'feed/' + feed[1];
+    const tag = loc.pathname.match(/^\/hashtag\/([^/]+)/);
+    return tag ? '#' + decodeURIComponent(tag[1]).toLowerCase() : null;
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('[data-testid^="postThreadItem-by-"]');
+  }
+
+  // Image embeds are served from the feed_thumbnail/feed_fullsize CDN paths; link cards show a thumbnail
+  function detectContentType(el) {
+    return helpers.classifyPost(el, {
+      linkCard: 'a[href^="http"]:not([href*="bsky.app"]) img',
+      image: 'img[src*="feed_thumbnail"], img[src*="feed_fullsize"]',
+      text: '[data-testid="postText"]'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'bluesky',
+    matches: hostname => helpers.hostMatches(hostname, ['bsky.app']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    getPostElement,
+    detectContentType
+  });
+})();
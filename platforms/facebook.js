@@ -0,0 +1,78 @@
+// platforms/facebook.js
+// Facebook adapter: permalinks, photos, videos and reels are posts; groups are communities
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  const POST_PATH = /\/(posts|permalink|videos|photos)\/|^\/(permalink\.php|story\.php|photo\.php|photo\/?|watch\/?|reel\/)/;
+
+  // Top-level paths that are app sections rather than pages/profiles
+  const RESERVED_PATHS = /^\/(groups|watch|marketplace|gaming|events|friends|messages|notifications|settings|search|reel|photo|bookmarks|help|login)(\/|\.php|$)/;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (POST_PATH.test(path) || (path.startsWith('/watch') && loc.search.includes('v='))) return 'post';
+    if (path === '/' || path === '/home.php') return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (path.startsWith('/groups/')) return path.split('/').filter(Boolean).length > 2 ? 'other' : 'community';
+    if (path.startsWith('/watch') || path.startsWith('/marketplace') || path.startsWith('/gaming')) return 'explore';
+    if (path === '/profile.php' || (/^\/[A-Za-z0-9.]+\/?$/.test(path) && !RESERVED_PATHS.test(path))) return 'profile';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+    // Selector rules (facebook.post.title in selectors.json): the post message, then og:description,
+    // which carries the post text on permalink pages
+    return helpers.cleanText(helpers.ruleText(doc, 'facebook', 'post', 'title'), 500);
+  }
+
+  function extractAuthor(doc, loc) {
+    const type = getPageType(loc);
+    if (type === 'profile' && loc.pathname !== '/profile.php') {
+      return helpers.pathParts(loc)[0];
+    }
+    if (type !== 'post') return null;
+    const name = helpers.firstText(doc, [
+      '[role="article"] h2 strong',
+      '[role="article"] h3 strong',
+      '[role="dialog"] h2 strong'
+    ], 1);
+    return name || null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/groups\/([^/]+)/);
+    return match ? 'group/' + match[1] : null;
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('[role="dialog"] [role="article"]') ||
+           doc.querySelector('[role="main"] [role="article"]') ||
+           doc.querySelector('[role="main"]');
+  }
+
+  function detectContentType(el, loc) {
+    if (loc && loc.pathname.startsWith('/reel/')) return 'short_video';
+    return helpers.classifyPost(el, {
+      poll: '[aria-label*="poll" i]',
+      linkCard: 'a[href*="l.facebook.com/l.php"] img, a[href*="l.facebook.com/l.php"] [dir="auto"]',
+      image: 'a[href*="/photo"] img, a[href*="/photos/"] img',
+      text: '[data-ad-preview="message"], [data-ad-comet-preview="message"]'
+    });
+  }
+
+  register({
+    id: 'facebook',
+    matches: hostname => helpers.hostMatches(hostname, ['facebook.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    getPostElement,
+    detectContentType
+  });
+})();
@@ -0,0 +1,128 @@
+// platforms/instagram.js
+// Instagram adapter: only post pages (/p/) are tracked; the caption is used as the title
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  const UI_TEXT = /^(Instagram|View|Follow|Like|Comment|Share|Save|More|Add a comment)$/i;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (path.includes('/p/') || path.includes('/reel/')) return 'post';
+    if (path === '/') return 'feed';
+    if (path.startsWith('/explore')) return 'explore';
+    if (path.startsWith('/reels')) return 'feed';
+    return /^\/[A-Za-z0-9_.]+\/?$/.test(path) ? 'profile' : 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    // Only process post pages (has /p/ in URL); the homepage isn't classified
+    if (!loc.pathname.toLowerCase().includes('/p/')) {
+      return '';
+    }
+
+    // Selector rules (instagram.post.title in selectors.json) skip UI text and short @/# fragments
+    const caption = helpers.ruleText(doc, 'instagram', 'post', 'title');
+    if (caption) {
+      console.log('[Horizon] Extracted Instagram caption:', caption.substring(0, 50));
+      return caption;
+    }
+
+    // Alternative: the caption is the first substantial text outside the article header
+    const article = doc.querySelector('article');
+    if (article) {
+      const header = article.querySelector('header');
+      const headerText = header ? header.textContent : '';
+
+      let articleText = article.textContent || article.innerText || '';
+      if (headerText) {
+        articleText = articleText.replace(headerText, '').trim();
+      }
+
+      // Remove common Instagram UI text
+      articleText = articleText
+        .replace(/View all \d+ comments?/gi, '')
+        .replace(/Add a comment\.\.\./gi, '')
+        .replace(/Like|Comment|Share|Save|More/gi, '')
+        .replace(/Follow|Following|Message|Unfollow/gi, '')
+        .trim();
+
+      if (articleText && articleText.length > 10) {
+        const lines = articleText.split('\n').filter(line => line.trim().length > 10);
+        if (lines.length > 0) {
+          const caption = lines[0].trim();
+          if (!UI_TEXT.test(caption)) {
+            console.log('[Horizon] Extracted Instagram caption from article text:', caption.substring(0, 50));
+            return caption.substring(0, 500);
+          }
+        }
+      }
+    }
+
+    // No caption found - return empty string (don't classify)
+    console.log('[Horizon] No Instagram caption found, skipping classification');
+    return '';
+  }
+
+  function extractAuthor(doc, loc) {
+    if (getPageType(loc) === 'profile') {
+      return '@' + helpers.pathParts(loc)[0];
+    }
+    if (getPageType(loc) !== 'post') return null;
+    const link = doc.querySelector('article header a[href^="/"]');
+    const handle = link ? link.getAttribute('href').split('/').filter(Boolean)[0] : '';
+    return handle ? '@' + handle : null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/explore\/tags\/([^/]+)/);
+    return match ? '#' + decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  // Posts in the home feed are <article> elements; the caption sits below the media
+  function extractFeedItem(el) {
+    const text = helpers.ruleText(el, 'instagram', 'feed', 'itemTitle');
+    if (!text) return null;
+    const link = el.querySelector('a[href*="/p/"], a[href*="/reel/"]');
+    const profile = el.querySelector('header a[href^="/"]');
+    const handle = profile ? profile.getAttribute('href').split('/').filter(Boolean)[0] : '';
+    return {
+      key: link ? link.getAttribute('href') : text,
+      title: text,
+      author: handle ? '@' + handle : null,
+      community: null
+    };
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('article') || doc.querySelector('main');
+  }
+
+  // Reels are always short-form; carousels have next/previous buttons over the media
+  function detectContentType(el, loc) {
+    if (loc && loc.pathname.includes('/reel/')) return 'short_video';
+    return helpers.classifyPost(el, {
+      carousel: 'button[aria-label="Next"], ul li:nth-child(2) img',
+      image: 'div[role="button"] img[srcset], img[style*="object-fit"]',
+      text: 'h1, span[dir="auto"]'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'instagram',
+    matches: hostname => helpers.hostMatches(hostname, ['instagram.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    // Only post pages are tracked as pages; feed time is attributed to the posts on screen instead
+    shouldSkipPage: loc => !loc.pathname.includes('/p/'),
+    get feedItemSelector() {
+      return helpers.ruleSelector('instagram', 'feedItem');
+    },
+    extractFeedItem,
+    getPostElement,
+    detectContentType
+  });
+})();
@@ -0,0 +1,74 @@
+// platforms/mastodon.js
+// Mastodon adapter: works on any instance host, so it matches on the page itself rather than the hostname
+// Instances are added in the options page, which registers the content scripts for those hosts
+// Must be loaded after the hostname-based adapters
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  // Mastodon's web UI mounts into #mastodon and advertises itself in the application-name meta
+  function isMastodonPage(doc) {
+    if (!doc) return false;
+    if (doc.getElementById('mastodon')) return true;
+    return /mastodon/i.test(helpers.metaContent(doc, 'meta[name="application-name"]'));
+  }
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    // /@user/123 and /@user@other.host/123 are statuses
+    if (/^\/@[^/]+\/\d+/.test(path) || /^\/deck\/@[^/]+\/\d+/.test(path)) return 'post';
+    if (path === '/' || path === '/home' || path.startsWith('/public') || path.startsWith('/deck/home')) return 'feed';
+    if (path.startsWith('/tags/')) return 'community';
+    if (path.startsWith('/explore')) return 'explore';
+    if (path.startsWith('/search')) return 'search';
+    if (/^\/(deck\/)?@[^/]+\/?$/.test(path)) return 'profile';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+    // Selector rules (mastodon.post.title in selectors.json): the detailed status, then og:description
+    return helpers.cleanText(helpers.ruleText(doc, 'mastodon', 'post', 'title'), 500);
+  }
+
+  // Local accounts get the instance host appended so handles are unique across instances
+  function extractAuthor(doc, loc) {
+    const match = loc.pathname.match(/^\/(?:deck\/)?@([^/]+)/);
+    if (!match) return null;
+    const handle = decodeURIComponent(match[1]);
+    return handle.includes('@') ? '@' + handle : `@${handle}@${loc.hostname}`;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/tags\/([^/]+)/);
+    return match ? '#' + decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('.detailed-status');
+  }
+
+  function detectContentType(el) {
+    return helpers.classifyPost(el, {
+      poll: '.poll',
+      carousel: '.media-gallery__item + .media-gallery__item',
+      linkCard: '.status-card',
+      image: '.media-gallery__item',
+      text: '.status__content'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'mastodon',
+    matches: (hostname, doc) => isMastodonPage(doc),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    getPostElement,
+    detectContentType
+  });
+})();
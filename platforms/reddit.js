@@ -0,0 +1,269 @@
+// platforms/reddit.js
+// Reddit adapter: post titles come from the URL slug first, then post-specific DOM, never generic taglines
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  // Helper function to detect generic Reddit titles
+  function isGenericTitle(title) {
+    if (!title || typeof title !== 'string') return true;
+    const lower = title.toLowerCase().trim();
+    // List of generic Reddit titles/taglines to filter out
+    const genericTitles = [
+      'reddit',
+      'reddit - the heart of the internet',
+      'reddit: the heart of the internet',
+      'the heart of the internet',
+      'reddit - dive into anything',
+      'reddit: dive into anything',
+      'dive into anything',
+      'home',
+      'popular',
+      'all',
+      'reddit.com',
+      'www.reddit.com'
+    ];
+
+    // Check for exact matches
+    if (genericTitles.includes(lower)) return true;
+
+    // Check if it starts with generic patterns
+    if (lower.match(/^(reddit|home|popular|all|r\/)/i)) return true;
+
+    // Check if it's just "Reddit" or variations
+    if (lower === 'reddit' || lower.startsWith('reddit -') || lower.startsWith('reddit:')) {
+      // But allow if there's more meaningful content after
+      const afterReddit = lower.replace(/^reddit\s*[-:]\s*/i, '').trim();
+      if (afterReddit.length < 10) return true; // Too short, probably generic
+    }
+
+    return false;
+  }
+
+  // Decode a URL slug into a title, or '' if it is too short or generic
+  function cleanSlug(slug) {
+    let decoded = slug;
+    try {
+      decoded = decodeURIComponent(slug);
+    } catch (decodeError) {
+      // Keep the raw segment
+    }
+    const cleanedTitle = decoded.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+    if (cleanedTitle && cleanedTitle.length > 5 && !isGenericTitle(cleanedTitle)) {
+      return cleanedTitle.substring(0, 200);
+    }
+    return '';
+  }
+
+  // Extract title from the URL (always available, doesn't depend on DOM)
+  function extractTitleFromUrl(loc) {
+    if (!loc.hostname.includes('reddit.com')) {
+      return '';
+    }
+
+    const pathname = loc.pathname; // Don't lowercase - preserve original
+    const isIndividualPost = pathname.includes('/r/') && pathname.includes('/comments/');
+
+    if (!isIndividualPost) {
+      return '';
+    }
+
+    // Skip comment permalinks
+    const urlParts = helpers.pathParts(loc);
+    const hasCommentId = urlParts.length > 5 && urlParts[5] && urlParts[5].length > 10;
+    if (hasCommentId) {
+      return '';
+    }
+
+    const commentsIndex = urlParts.findIndex(part => part.toLowerCase() === 'comments');
+
+    if (commentsIndex !== -1 && urlParts.length > commentsIndex + 2) {
+      const postTitleFromUrl = urlParts[commentsIndex + 2];
+      const looksLikePostId = postTitleFromUrl.length < 8 && /^[a-z0-9]+$/i.test(postTitleFromUrl);
+
+      if (postTitleFromUrl && postTitleFromUrl.length > 5 && !looksLikePostId) {
+        return cleanSlug(postTitleFromUrl);
+      } else if (postTitleFromUrl && looksLikePostId && urlParts.length > commentsIndex + 3) {
+        // If we got a post ID, try the next segment
+        const nextSegment = urlParts[commentsIndex + 3];
+        if (nextSegment && nextSegment.length > 5) {
+          return cleanSlug(nextSegment);
+        }
+      }
+    }
+
+    return '';
+  }
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (path.includes('/comments/')) return 'post';
+    if (path === '/' || /^\/(best|hot|new|top|rising)\/?$/.test(path)) return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (/^\/(user|u)\//.test(path)) return 'profile';
+    if (path.startsWith('/r/')) return 'community';
+    return 'other';
+  }
+
+  // Read a post title out of the JSON (or plain text) body of the reddit-page-data tag
+  // Its title attributes are covered by the selector rules; this is the fallback when they are absent
+  function extractFromPageData(doc) {
+    const redditPageData = doc.querySelector('reddit-page-data');
+    if (!redditPageData) return '';
+    try {
+      const dataContent = redditPageData.textContent || redditPageData.innerText || '';
+      if (!dataContent) return '';
+      try {
+        const pageData = JSON.parse(dataContent);
+        // Look for post title in various possible locations
+        const candidates = [pageData.post?.title, pageData.title, pageData.data?.post?.title];
+        for (const candidate of candidates) {
+          const title = typeof candidate === 'string' ? candidate.trim() : '';
+          if (title && title.length > 5 && !isGenericTitle(title)) {
+            console.log('[Horizon] Extracted Reddit title from reddit-page-data JSON:', title.substring(0, 50));
+            return title.substring(0, 200);
+          }
+        }
+      } catch (parseError) {
+        // Not JSON, try as text
+        const title = dataContent.trim();
+        if (title && title.length > 5 && !isGenericTitle(title)) {
+          console.log('[Horizon] Extracted Reddit title from reddit-page-data (text):', title.substring(0, 50));
+          return title.substring(0, 200);
+        }
+      }
+    } catch (error) {
+      console.log('[Horizon] Error reading reddit-page-data:', error);
+    }
+    return '';
+  }
+
+  function extractTitle(doc, loc) {
+    const pathname = loc.pathname.toLowerCase();
+    // Check if we're on an individual post page (has /r/ and /comments/ in URL)
+    const isIndividualPost = pathname.includes('/r/') && pathname.includes('/comments/');
+
+    // Skip if we're on a comment permalink (/r/<sub>/comments/<id>/<slug>/<comment id>)
+    // Only track the main post, not individual comments
+    const pathParts = helpers.pathParts(loc);
+    const hasCommentId = pathParts.length > 5 && pathParts[5].length > 10;
+    if (hasCommentId) {
+      return '';
+    }
+
+    // PRIORITY 0: Extract post title from URL (most reliable, always available)
+    const urlTitle = extractTitleFromUrl(loc);
+    if (urlTitle && urlTitle.length > 5) {
+      console.log('[Horizon] Extracted Reddit title from URL:', urlTitle.substring(0, 50));
+      return urlTitle;
+    }
+
+    // PRIORITY 1: Selector rules (reddit.post.title in selectors.json): canonical_url_updater,
+    // reddit-page-data attributes, post UI selectors, post headings, then og:/twitter:title
+    if (isIndividualPost) {
+      const match = globalThis.HorizonSelectors &&
+        HorizonSelectors.apply(doc, 'reddit', 'post', 'title', text => !isGenericTitle(text));
+      if (match) {
+        console.log('[Horizon] Extracted Reddit title from rule', match.ruleId + ':', match.value.substring(0, 50));
+        return match.value;
+      }
+
+      // PRIORITY 2: reddit-page-data JSON body
+      const pageDataTitle = extractFromPageData(doc);
+      if (pageDataTitle) {
+        return pageDataTitle;
+      }
+    }
+
+    // Never fall back to document.title or generic meta tags on Reddit -
+    // they always contain "Reddit - The heart of the internet" or similar
+    if (!isIndividualPost && pathname.match(/^\/r\/\w+|^\/$/)) {
+      console.log('[Horizon] On Reddit feed page, cannot extract single post title');
+    } else {
+      console.log('[Horizon] Could not extract valid Reddit post title from DOM or URL, returning empty');
+    }
+    return '';
+  }
+
+  function extractAuthor(doc, loc) {
+    const userMatch = loc.pathname.match(/^\/(?:user|u)\/([^/]+)/);
+    if (userMatch) return 'u/' + userMatch[1];
+    if (getPageType(loc) !== 'post') return null;
+    const post = doc.querySelector('shreddit-post[author]');
+    if (post) return 'u/' + post.getAttribute('author');
+    const link = doc.querySelector('[data-testid="post_author_link"], a.author');
+    const name = helpers.textOf(link).replace(/^u\//, '');
+    return name ? 'u/' + name : null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/r\/([^/]+)/);
+    return match ? 'r/' + match[1].toLowerCase() : null;
+  }
+
+  // Post cards in subreddit and home feeds (shreddit web components and the older React layout)
+  function extractFeedItem(el) {
+    const title = helpers.cleanText(helpers.ruleText(el, 'reddit', 'feed', 'itemTitle', text => !isGenericTitle(text)));
+    if (title.length <= 5) return null;
+    const author = el.getAttribute('author');
+    const subreddit = el.getAttribute('subreddit-prefixed-name') ||
+                      helpers.textOf(el.querySelector('a[data-click-id="subreddit"]'));
+    return {
+      key: el.getAttribute('permalink') || el.id || title,
+      title,
+      author: author ? 'u/' + author : null,
+      community: subreddit ? subreddit.toLowerCase() : null
+    };
+  }
+
+  // shreddit-post reports its own post-type; map it onto the shared content types
+  const POST_TYPES = {
+    text: 'text',
+    self: 'text',
+    image: 'image',
+    gallery: 'carousel',
+    multi_media: 'carousel',
+    link: 'link_article',
+    poll: 'poll'
+  };
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('shreddit-post') || doc.querySelector('[data-testid="post-container"]');
+  }
+
+  function detectContentType(el) {
+    const postType = (el.getAttribute('post-type') || '').toLowerCase();
+    if (postType === 'video') {
+      return helpers.classifyVideo(el, 'short_video') || 'short_video';
+    }
+    if (POST_TYPES[postType]) {
+      return POST_TYPES[postType];
+    }
+    return helpers.classifyPost(el, {
+      poll: 'shreddit-poll, [data-testid="poll"]',
+      carousel: 'gallery-carousel',
+      linkCard: 'a[data-testid="outbound-link"], faceplate-tracker[noun="outbound_link"]',
+      image: 'shreddit-aspect-ratio img, img.media-lightbox-img',
+      text: '[slot="text-body"], [data-click-id="text"]'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'reddit',
+    matches: hostname => helpers.hostMatches(hostname, ['reddit.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    get feedItemSelector() {
+      return helpers.ruleSelector('reddit', 'feedItem');
+    },
+    extractFeedItem,
+    getPostElement,
+    detectContentType,
+    // Reddit-specific helpers used by content_script.js title observers
+    extractTitleFromUrl,
+    isGenericTitle
+  });
+})();
@@ -0,0 +1,164 @@
+// platforms/registry.js
+// Registry of per-platform extractors used by content_script.js
+// Loaded as a classic content script before the adapters and content_script.js,
+// so everything hangs off globalThis.HorizonPlatforms (no module imports in content scripts)
+//
+// Adapter interface:
+//   id                      - short platform name ('reddit', 'youtube', ...)
+//   matches(hostname, doc)  - whether the adapter handles this page
+//   getPageType(loc)        - 'post' | 'feed' | 'community' | 'profile' | 'search' | 'explore' | 'other'
+//   extractTitle(doc, loc)  - post title or caption ('' when there is no single post)
+//   extractAuthor(doc, loc) - author handle/name or null
+//   extractCommunity(doc, loc) - subreddit/group/channel-style community or null
+//   shouldSkipPage(loc)     - optional; true when engagement on this page shouldn't be sent
+//   feedItemSelector        - optional; CSS selector for items in infinite feeds (see feed_tracker.js)
+//   extractFeedItem(el)     - optional; { key, title, author?, community? } for one feed item, or null
+//   getPostElement(doc, loc) - optional; element of the focused post on post pages, or null
+//   detectContentType(el, loc) - optional; one of CONTENT_TYPES for a post/feed item element, or null
+//
+// Selector chains live in selectors.json (see selectors.js); adapters read them through helpers.ruleText
+
+(function () {
+  if (globalThis.HorizonPlatforms) {
+    return;
+  }
+
+  const adapters = [];
+
+  // Content types adapters can report; content_script.js falls back to its page heuristic otherwise
+  const CONTENT_TYPES = ['text', 'image', 'carousel', 'short_video', 'long_video', 'link_article', 'poll'];
+
+  // Videos up to this length count as short-form when the platform doesn't say
+  const SHORT_VIDEO_MAX_SECONDS = 90;
+
+  // Collapse whitespace and cap the length of extracted text
+  function cleanText(text, maxLength = 200) {
+    if (!text || typeof text !== 'string') return '';
+    return text.replace(/\s+/g, ' ').trim().substring(0, maxLength);
+  }
+
+  function textOf(el) {
+    if (!el) return '';
+    return el.textContent?.trim() || el.innerText?.trim() || '';
+  }
+
+  // Content of the first matching <meta> tag
+  function metaContent(doc, selector) {
+    const meta = doc.querySelector(selector);
+    return meta && meta.content ? meta.content.trim() : '';
+  }
+
+  // Text of the first selector that yields at least minLength characters
+  function firstText(doc, selectors, minLength = 6) {
+    for (const selector of selectors) {
+      const text = textOf(doc.querySelector(selector));
+      if (text.length >= minLength) {
+        return text;
+      }
+    }
+    return '';
+  }
+
+  // First accepted value from the selector rules for a field, or '' when none match (or rules aren't loaded)
+  function ruleText(root, platform, pageType, field, accept = null) {
+    const selectors = globalThis.HorizonSelectors;
+    const match = selectors ? selectors.apply(root, platform, pageType, field, accept) : null;
+    return match ? match.value : '';
+  }
+
+  // Plain selector string from the rules (e.g. a platform's feed item selector)
+  function ruleSelector(platform, field) {
+    return globalThis.HorizonSelectors ? globalThis.HorizonSelectors.getSelector(platform, '*', field) : '';
+  }
+
+  // Path segments without empty parts ("/r/foo/" -> ["r", "foo"])
+  function pathParts(loc) {
+    return loc.pathname.split('/').filter(part => part.length > 0);
+  }
+
+  // Short or long video from the element's <video> duration (fallback when metadata isn't loaded yet)
+  function classifyVideo(el, fallback = null) {
+    const video = el.matches && el.matches('video') ? el : el.querySelector('video');
+    if (!video) return null;
+    const duration = video.duration;
+    if (Number.isFinite(duration) && duration > 0) {
+      return duration <= SHORT_VIDEO_MAX_SECONDS ? 'short_video' : 'long_video';
+    }
+    return fallback;
+  }
+
+  /**
+   * Classify one post element using platform selectors
+   * Checked in order: poll, video, carousel, link card, image(s), text; null when nothing matches
+   * @param {Element} el - Post or feed item element
+   * @param {Object} selectors - { poll, carousel, linkCard, image, text } (each optional)
+   * @param {string} videoFallback - Type for videos whose duration isn't known yet
+   */
+  function classifyPost(el, selectors = {}, videoFallback = null) {
+    if (!el) return null;
+    if (selectors.poll && el.querySelector(selectors.poll)) return 'poll';
+    const videoType = classifyVideo(el, videoFallback);
+    if (videoType) return videoType;
+    if (selectors.carousel && el.querySelector(selectors.carousel)) return 'carousel';
+    if (selectors.linkCard && el.querySelector(selectors.linkCard)) return 'link_article';
+    if (selectors.image) {
+      const images = el.querySelectorAll(selectors.image).length;
+      if (images > 1) return 'carousel';
+      if (images === 1) return 'image';
+    }
+    if (selectors.text && textOf(el.querySelector(selectors.text)).length > 0) return 'text';
+    return null;
+  }
+
+  // Hashtags mentioned in a title or caption ("#Rust" -> "#rust"), deduplicated
+  function extractHashtags(text) {
+    if (!text || typeof text !== 'string') return [];
+    const tags = text.match(/(^|[^\w&/])#([\p{L}\p{N}_]{2,50})/gu) || [];
+    return [...new Set(tags.map(tag => '#' + tag.replace(/^[^#]*#/, '').toLowerCase()))].slice(0, 10);
+  }
+
+  function hostMatches(hostname, domains) {
+    const host = String(hostname || '').toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith('.' + domain));
+  }
+
+  function register(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.matches !== 'function') {
+      console.warn('[Horizon] Ignoring invalid platform adapter:', adapter?.id);
+      return;
+    }
+    const existing = adapters.findIndex(item => item.id === adapter.id);
+    if (existing >= 0) {
+      adapters[existing] = adapter;
+    } else {
+      adapters.push(adapter);
+    }
+  }
+
+  function get(id) {
+    return adapters.find(adapter => adapter.id === id) || null;
+  }
+
+  // First adapter that claims the page; DOM-detected adapters (e.g. Mastodon) are registered last
+  function forPage(loc, doc) {
+    for (const adapter of adapters) {
+      try {
+        if (adapter.matches(loc.hostname, doc)) {
+          return adapter;
+        }
+      } catch (error) {
+        console.warn('[Horizon] Platform adapter match failed:', adapter.id, error);
+      }
+    }
+    return null;
+  }
+
+  globalThis.HorizonPlatforms = {
+    register,
+    get,
+    forPage,
+    list: () => adapters.map(adapter => adapter.id),
+    CONTENT_TYPES,
+    helpers: { cleanText, textOf, metaContent, firstText, ruleText, ruleSelector, pathParts, hostMatches, extractHashtags, classifyVideo, classifyPost }
+  };
+})();
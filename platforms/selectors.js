@@ -0,0 +1,289 @@
+// platforms/selectors.js
+// Declarative selector rules for the platform adapters, loaded from selectors.json
+// Loaded as a classic script after registry.js (content scripts) and in the options page (validation only)
+//
+// selectors.json layout:
+//   { version, platforms: { <adapter id>: { <page type or "*">: { <field>: rules | selector string } } } }
+// Rules are tried in array order (first accepted match wins); "*" entries apply to every page type
+// Rule fields:
+//   id          - stable name shown in the options debug panel
+//   selector    - CSS selector (":scope" means the element the rules are applied to)
+//   attribute   - optional; read this attribute instead of the element text
+//   minLength   - optional; minimum characters after cleanup (default 6)
+//   maxLength   - optional; truncate to this many characters (default 200)
+//   closest     - optional; the element must be inside a match for this selector
+//   notClosest  - optional; the element must not be inside a match for this selector
+//   strip       - optional; regex (case-insensitive) removed from the text, e.g. a site name suffix
+//   reject      - optional; regex or list of regexes (case-insensitive) that disqualify the text
+//
+// User overrides (settings.selectorOverrides) use the same layout; their rules are tried before the defaults
+// and their selector strings replace the defaults, so a broken selector can be patched from the options page
+
+(function () {
+  if (globalThis.HorizonSelectors) {
+    return;
+  }
+
+  const CONFIG_PATH = 'selectors.json';
+  const DEFAULT_MIN_LENGTH = 6;
+  const DEFAULT_MAX_LENGTH = 200;
+
+  // Elements checked per rule, so broad rules (e.g. every heading) stay cheap on long threads
+  const MAX_ELEMENTS_PER_RULE = 50;
+
+  let defaults = { version: 0, platforms: {} };
+  let overrides = { platforms: {} };
+  let loadPromise = null;
+  const regexCache = new Map();
+  const lastMatches = {}; // "platform/pageType/field" -> { ruleId, at }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function toRegex(pattern) {
+    if (!regexCache.has(pattern)) {
+      regexCache.set(pattern, new RegExp(pattern, 'i'));
+    }
+    return regexCache.get(pattern);
+  }
+
+  /**
+   * Check a selector config (the bundled file or user overrides)
+   * @param {Object} config - { version?, platforms }
+   * @param {Object} options - { requireVersion } for the bundled file
+   * @returns {string[]} Problems found (empty when valid)
+   */
+  function validateConfig(config, { requireVersion = false } = {}) {
+    const errors = [];
+    if (!isObject(config)) {
+      return ['Config must be a JSON object'];
+    }
+    if (requireVersion && !Number.isInteger(config.version)) {
+      errors.push('version must be an integer');
+    }
+    if (!isObject(config.platforms)) {
+      errors.push('platforms must be an object');
+      return errors;
+    }
+    for (const [platform, pageTypes] of Object.entries(config.platforms)) {
+      if (!isObject(pageTypes)) {
+        errors.push(`${platform} must map page types to fields`);
+        continue;
+      }
+      for (const [pageType, fields] of Object.entries(pageTypes)) {
+        if (!isObject(fields)) {
+          errors.push(`${platform}.${pageType} must map fields to rules`);
+          continue;
+        }
+        for (const [field, rules] of Object.entries(fields)) {
+          const path = `${platform}.${pageType}.${field}`;
+          if (typeof rules === 'string') {
+            if (!rules.trim()) errors.push(`${path} is an empty selector`);
+            continue;
+          }
+          if (!Array.isArray(rules)) {
+            errors.push(`${path} must be a selector string or a list of rules`);
+            continue;
+          }
+          rules.forEach((rule, index) => {
+            const where = `${path}[${index}]`;
+            if (!isObject(rule) || typeof rule.selector !== 'string' || !rule.selector.trim()) {
+              errors.push(`${where} needs a selector`);
+              return;
+            }
+            if (rule.id !== undefined && typeof rule.id !== 'string') {
+              errors.push(`${where}.id must be a string`);
+            }
+            for (const key of ['minLength', 'maxLength']) {
+              if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 0)) {
+                errors.push(`${where}.${key} must be a non-negative integer`);
+              }
+            }
+            const patterns = [rule.strip, ...[].concat(rule.reject ?? [])].filter(pattern => pattern !== undefined);
+            for (const pattern of patterns) {
+              try {
+                new RegExp(pattern, 'i');
+              } catch (error) {
+                errors.push(`${where} has an invalid pattern: ${pattern}`);
+              }
+            }
+          });
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Load the bundled selectors.json (once) and apply user overrides
+   * @param {Object} userOverrides - settings.selectorOverrides, if any
+   * @returns {Promise<Object>} The bundled config
+   */
+  function load(userOverrides) {
+    if (userOverrides !== undefined) {
+      setOverrides(userOverrides);
+    }
+    if (!loadPromise) {
+      loadPromise = fetch(chrome.runtime.getURL(CONFIG_PATH))
+        .then(response => response.json())
+        .then(config => {
+          const errors = validateConfig(config, { requireVersion: true });
+          if (errors.length > 0) {
+            console.error('[Horizon] Invalid selectors.json:', errors);
+            return defaults;
+          }
+          defaults = config;
+          console.log('[Horizon] Selector rules loaded, version', config.version);
+          return defaults;
+        })
+        .catch(error => {
+          console.error('[Horizon] Failed to load selector rules:', error);
+          // Allow a retry on the next call
+          loadPromise = null;
+          return defaults;
+        });
+    }
+    return loadPromise;
+  }
+
+  // Invalid overrides are ignored as a whole rather than half-applied
+  function setOverrides(userOverrides) {
+    if (!userOverrides) {
+      overrides = { platforms: {} };
+      return;
+    }
+    const errors = validateConfig(userOverrides);
+    if (errors.length > 0) {
+      console.warn('[Horizon] Ignoring invalid selector overrides:', errors);
+      overrides = { platforms: {} };
+      return;
+    }
+    overrides = userOverrides;
+  }
+
+  function lookup(config, platform, pageType, field) {
+    const pageTypes = config.platforms?.[platform];
+    if (!pageTypes) return undefined;
+    return pageTypes[pageType]?.[field] ?? pageTypes['*']?.[field];
+  }
+
+  /**
+   * Rules for one field, overrides first
+   * @returns {Object[]} Rules, each tagged with source 'override' or 'default'
+   */
+  function getRules(platform, pageType, field) {
+    const custom = lookup(overrides, platform, pageType, field);
+    const bundled = lookup(defaults, platform, pageType, field);
+    const tag = source => rule => ({ ...rule, id: rule.id || rule.selector, source });
+    return [
+      ...(Array.isArray(custom) ? custom.map(tag('override')) : []),
+      ...(Array.isArray(bundled) ? bundled.map(tag('default')) : [])
+    ];
+  }
+
+  // Plain selector fields (e.g. feedItem); an override replaces the default
+  function getSelector(platform, pageType, field) {
+    const custom = lookup(overrides, platform, pageType, field);
+    if (typeof custom === 'string') return custom;
+    const bundled = lookup(defaults, platform, pageType, field);
+    return typeof bundled === 'string' ? bundled : '';
+  }
+
+  // Field names configured for a page (page-type entries plus "*")
+  function getFields(platform, pageType) {
+    const fields = new Set();
+    for (const config of [defaults, overrides]) {
+      const pageTypes = config.platforms?.[platform] || {};
+      Object.keys(pageTypes[pageType] || {}).forEach(field => fields.add(field));
+      Object.keys(pageTypes['*'] || {}).forEach(field => fields.add(field));
+    }
+    return [...fields];
+  }
+
+  function queryRule(root, rule) {
+    if (rule.selector.trim() === ':scope') {
+      return [root];
+    }
+    try {
+      return Array.from(root.querySelectorAll(rule.selector)).slice(0, MAX_ELEMENTS_PER_RULE);
+    } catch (error) {
+      console.warn('[Horizon] Bad selector in rule', rule.id, error.message);
+      return [];
+    }
+  }
+
+  // Cleaned value of one element for a rule, or '' when the rule's constraints reject it
+  function readElement(el, rule) {
+    if (rule.closest && !el.closest(rule.closest)) return '';
+    if (rule.notClosest && el.closest(rule.notClosest)) return '';
+    const raw = rule.attribute ? el.getAttribute(rule.attribute) : (el.textContent || el.innerText);
+    let text = (raw || '').trim();
+    if (rule.strip) {
+      text = text.replace(toRegex(rule.strip), '').trim();
+    }
+    if (text.length < (rule.minLength ?? DEFAULT_MIN_LENGTH)) return '';
+    if ([].concat(rule.reject ?? []).some(pattern => toRegex(pattern).test(text))) return '';
+    return text.substring(0, rule.maxLength ?? DEFAULT_MAX_LENGTH);
+  }
+
+  /**
+   * Value of the first rule that yields an accepted match
+   * @param {Document|Element} root - Where to look (the document, or a feed item element)
+   * @param {Function} accept - Optional extra check on the cleaned text (e.g. generic title filters)
+   * @returns {{value: string, ruleId: string}|null}
+   */
+  function apply(root, platform, pageType, field, accept = null) {
+    if (!root) return null;
+    for (const rule of getRules(platform, pageType, field)) {
+      for (const el of queryRule(root, rule)) {
+        const value = readElement(el, rule);
+        if (value && (!accept || accept(value))) {
+          lastMatches[`${platform}/${pageType}/${field}`] = { ruleId: rule.id, source: rule.source, at: Date.now() };
+          return { value, ruleId: rule.id };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Outcome of every rule for a field, for the options debug panel
+   * @returns {Object[]} { id, source, selector, elements, value, accepted } per rule
+   */
+  function explain(root, platform, pageType, field, accept = null) {
+    return getRules(platform, pageType, field).map(rule => {
+      const elements = root ? queryRule(root, rule) : [];
+      let value = '';
+      for (const el of elements) {
+        const text = readElement(el, rule);
+        if (text && (!accept || accept(text))) {
+          value = text;
+          break;
+        }
+      }
+      return {
+        id: rule.id,
+        source: rule.source,
+        selector: rule.selector,
+        elements: elements.length,
+        value: value.substring(0, 80),
+        accepted: value.length > 0
+      };
+    });
+  }
+
+  globalThis.HorizonSelectors = {
+    load,
+    setOverrides,
+    validateConfig,
+    getRules,
+    getSelector,
+    getFields,
+    apply,
+    explain,
+    version: () => defaults.version,
+    hasOverrides: () => Object.keys(overrides.platforms || {}).length > 0,
+    lastMatches: () => ({ ...lastMatches })
+  };
+})();
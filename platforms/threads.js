@@ -0,0 +1,54 @@
+// platforms/threads.js
+// Threads adapter: /@user/post/ID pages are posts
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (/^\/@[^/]+\/post\//.test(path)) return 'post';
+    if (path === '/' || path.startsWith('/for_you') || path.startsWith('/following')) return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (/^\/@[^/]+\/?$/.test(path)) return 'profile';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+    // Selector rules (threads.post.title in selectors.json): og:description holds the post text
+    // (og:title is just "<name> (@user) on Threads"), with the rendered text as a fallback
+    return helpers.cleanText(helpers.ruleText(doc, 'threads', 'post', 'title'), 500);
+  }
+
+  function extractAuthor(doc, loc) {
+    const match = loc.pathname.match(/^\/(@[^/]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('[data-pressable-container]') || doc.querySelector('main');
+  }
+
+  function detectContentType(el) {
+    return helpers.classifyPost(el, {
+      image: 'picture img',
+      linkCard: 'a[href^="https://l.threads"] img',
+      text: 'span[dir="auto"]'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'threads',
+    matches: hostname => helpers.hostMatches(hostname, ['threads.net', 'threads.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    // Threads has no communities
+    extractCommunity: () => null,
+    getPostElement,
+    detectContentType
+  });
+})();
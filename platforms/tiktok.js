@@ -0,0 +1,59 @@
+// platforms/tiktok.js
+// TikTok adapter: /@user/video/ID pages are posts; the caption is used as the title
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (/^\/@[^/]+\/(video|photo)\//.test(path)) return 'post';
+    if (path === '/' || path.startsWith('/foryou') || path.startsWith('/following')) return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (path.startsWith('/explore') || path.startsWith('/tag/')) return 'explore';
+    if (/^\/@[^/]+\/?$/.test(path)) return 'profile';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+    // Selector rules (tiktok.post.title in selectors.json): the caption, then the description meta tags
+    return helpers.cleanText(helpers.ruleText(doc, 'tiktok', 'post', 'title'), 500);
+  }
+
+  function extractAuthor(doc, loc) {
+    const match = loc.pathname.match(/^\/(@[^/]+)/);
+    if (match) return decodeURIComponent(match[1]);
+    const username = helpers.firstText(doc, ['[data-e2e="browse-username"]', '[data-e2e="video-author-uniqueid"]'], 1);
+    return username ? '@' + username.replace(/^@/, '') : null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/tag\/([^/]+)/);
+    return match ? '#' + decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  function getPostElement(doc, loc) {
+    return getPageType(loc) === 'post' ? doc.body : null;
+  }
+
+  // Everything is short-form video except photo posts (one or more swipeable images)
+  function detectContentType(el, loc) {
+    if (loc && /\/photo\//.test(loc.pathname)) {
+      return el.querySelectorAll('.swiper-slide img, [class*="PhotoSwiper"] img').length > 1 ? 'carousel' : 'image';
+    }
+    return 'short_video';
+  }
+
+  register({
+    id: 'tiktok',
+    matches: hostname => helpers.hostMatches(hostname, ['tiktok.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    getPostElement,
+    detectContentType
+  });
+})();
@@ -0,0 +1,90 @@
+// platforms/twitter.js
+// Twitter/X adapter: only individual posts (/status/) are classified, never the home feed
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  // Top-level paths that are app sections rather than profiles
+  const RESERVED_PATHS = /^\/(i|settings|messages|notifications|home|explore|search|compose|login|logout)(\/|$)/;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (path.includes('/status/')) return 'post';
+    if (path === '/' || path === '/home') return 'feed';
+    if (path.startsWith('/search')) return 'search';
+    if (path.startsWith('/explore')) return 'explore';
+    if (path.startsWith('/i/') || path.startsWith('/settings') || path.startsWith('/messages') || path.startsWith('/notifications')) return 'other';
+    return /^\/[A-Za-z0-9_]+\/?$/.test(path) ? 'profile' : 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    // Only extract title for individual posts, not on homepage/feed
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+
+    // Selector rules (twitter.post.title in selectors.json): og:title minus the site suffix
+    // (most reliable, TOS-compliant), twitter:title, then the tweet text inside the post article
+    return helpers.ruleText(doc, 'twitter', 'post', 'title');
+  }
+
+  function extractAuthor(doc, loc) {
+    const parts = helpers.pathParts(loc);
+    if (parts.length === 0 || RESERVED_PATHS.test(loc.pathname)) return null;
+    const type = getPageType(loc);
+    return type === 'post' || type === 'profile' ? '@' + parts[0] : null;
+  }
+
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/i\/communities\/(\d+)/);
+    return match ? 'community/' + match[1] : null;
+  }
+
+  // Tweets in the home timeline, search results and profiles
+  function extractFeedItem(el) {
+    const text = helpers.cleanText(helpers.ruleText(el, 'twitter', 'feed', 'itemTitle'));
+    if (text.length <= 5) return null;
+    const link = el.querySelector('a[href*="/status/"] time')?.closest('a');
+    const profile = el.querySelector('[data-testid="User-Name"] a[href^="/"]');
+    const handle = profile ? profile.getAttribute('href').split('/').filter(Boolean)[0] : '';
+    return {
+      key: link ? link.getAttribute('href') : text,
+      title: text,
+      author: handle ? '@' + handle : null,
+      community: null
+    };
+  }
+
+  // The focused tweet on a /status/ page is the first tweet article (replies follow it)
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('article[data-testid="tweet"][tabindex="-1"]') ||
+           doc.querySelector('article[data-testid="tweet"]');
+  }
+
+  function detectContentType(el) {
+    return helpers.classifyPost(el, {
+      poll: '[data-testid="cardPoll"]',
+      linkCard: '[data-testid="card.wrapper"]',
+      image: '[data-testid="tweetPhoto"]',
+      text: '[data-testid="tweetText"]'
+    }, 'short_video');
+  }
+
+  register({
+    id: 'twitter',
+    matches: hostname => helpers.hostMatches(hostname, ['twitter.com', 'x.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    // The home feed isn't tracked as a page; its time is attributed to the tweets on screen instead
+    shouldSkipPage: loc => loc.pathname === '/home' || loc.pathname === '/',
+    get feedItemSelector() {
+      return helpers.ruleSelector('twitter', 'feedItem');
+    },
+    extractFeedItem,
+    getPostElement,
+    detectContentType
+  });
+})();
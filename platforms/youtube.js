@@ -0,0 +1,80 @@
+// platforms/youtube.js
+// YouTube adapter: watch pages and Shorts are posts; the channel is the author
+
+(function () {
+  const { register, helpers } = globalThis.HorizonPlatforms;
+
+  function getPageType(loc) {
+    const path = loc.pathname;
+    if (path === '/watch' || path.startsWith('/shorts/')) return 'post';
+    if (path === '/' || path.startsWith('/feed/')) return 'feed';
+    if (path === '/results') return 'search';
+    if (path.startsWith('/@') || path.startsWith('/channel/') || path.startsWith('/c/') || path.startsWith('/user/')) return 'profile';
+    if (path.startsWith('/gaming') || path.startsWith('/hashtag/')) return 'explore';
+    return 'other';
+  }
+
+  function extractTitle(doc, loc) {
+    if (getPageType(loc) !== 'post') {
+      return '';
+    }
+
+    // Shorts keep the active reel's title in the player overlay
+    if (loc.pathname.startsWith('/shorts/')) {
+      const shortTitle = helpers.ruleText(doc, 'youtube', 'post', 'shortTitle');
+      if (shortTitle) return helpers.cleanText(shortTitle);
+    }
+
+    // Selector rules (youtube.post.title in selectors.json): watch page heading, then the meta tags,
+    // which lag behind SPA navigation but are fine on a fresh load
+    const watchTitle = helpers.ruleText(doc, 'youtube', 'post', 'title');
+    if (watchTitle) return helpers.cleanText(watchTitle);
+
+    const pageTitle = (doc.title || '').replace(/\s*-\s*YouTube$/i, '').trim();
+    return pageTitle && pageTitle !== 'YouTube' ? helpers.cleanText(pageTitle) : '';
+  }
+
+  function extractAuthor(doc, loc) {
+    const handle = loc.pathname.match(/^\/(@[^/]+)/);
+    if (handle) return decodeURIComponent(handle[1]);
+    if (getPageType(loc) !== 'post') return null;
+    const channel = helpers.firstText(doc, [
+      'ytd-reel-video-renderer[is-active] #channel-name a',
+      'ytd-watch-metadata ytd-channel-name a',
+      '#owner #channel-name a'
+    ], 1);
+    if (channel) return channel;
+    const itemprop = doc.querySelector('span[itemprop="author"] link[itemprop="name"]');
+    return itemprop ? itemprop.getAttribute('content') : null;
+  }
+
+  // YouTube has no communities beyond channels; hashtag pages act as one
+  function extractCommunity(doc, loc) {
+    const match = loc.pathname.match(/^\/hashtag\/([^/]+)/);
+    return match ? '#' + decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  function getPostElement(doc, loc) {
+    if (getPageType(loc) !== 'post') return null;
+    return doc.querySelector('ytd-reel-video-renderer[is-active]') ||
+           doc.querySelector('#movie_player') ||
+           doc.body;
+  }
+
+  // Shorts are short-form; regular uploads are long-form unless the player says otherwise
+  function detectContentType(el, loc) {
+    if (loc && loc.pathname.startsWith('/shorts/')) return 'short_video';
+    return helpers.classifyVideo(el, 'long_video') || 'long_video';
+  }
+
+  register({
+    id: 'youtube',
+    matches: hostname => helpers.hostMatches(hostname, ['youtube.com']),
+    getPageType,
+    extractTitle,
+    extractAuthor,
+    extractCommunity,
+    getPostElement,
+    detectContentType
+  });
+})();
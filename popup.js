@@ -3,6 +3,40 @@
 
 const MS_TO_MIN = 1000 * 60;
 
+// Colors for topics (shared by the today and trends charts)
+const TOPIC_COLORS = {
+  'entertainment': '#805ad5',
+  'people': '#e83e8c',
+  'technology': '#38a169',
+  'politics': '#e53e3e',
+  'sports': '#2b6cb0',
+  'environment': '#48bb78',
+  'social': '#4299e1',
+  'cryptocurrency': '#f6ad55',
+  'health': '#fc8181',
+  'science': '#9f7aea',
+  'business': '#4fd1c7',
+  'finance': '#68d391',
+  'investing': '#fbbf24',
+  'economy': '#34d399',
+  'law': '#a78bfa',
+  'unknown': '#718096'
+};
+
+// Color palette for per-domain series (different color per bar/line)
+const CHART_PALETTE = [
+  '#2b6cb0', // blue
+  '#38a169', // green
+  '#d69e2e', // yellow
+  '#e53e3e', // red
+  '#805ad5', // purple
+  '#319795', // teal
+  '#dd6b20', // orange
+  '#e83e8c', // pink
+  '#4299e1', // light blue
+  '#48bb78'  // light green
+];
+
 function formatMinutes(ms) {
   const mins = Math.round(ms / MS_TO_MIN);
   return `${mins} min`;
@@ -98,7 +132,15 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   }
 
   // Define consistent colors for content types
+  // (platform-detected types first, then the whole-page heuristic fallbacks)
   const contentTypeColors = {
+    'text': '#d69e2e',
+    'image': '#805ad5',
+    'carousel': '#b794f4',
+    'short_video': '#e53e3e',
+    'long_video': '#9b2c2c',
+    'link_article': '#38a169',
+    'poll': '#dd6b20',
     'video': '#e53e3e',
     'gallery': '#805ad5',
     'article': '#38a169',
@@ -193,20 +235,6 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   const barContext = barCtx.getContext('2d');
   const top = topNFromMap(byDomain, 10); // Show top 10 domains
   
-  // Color palette for bars (different color per bar)
-  const barColors = [
-    '#2b6cb0', // blue
-    '#38a169', // green
-    '#d69e2e', // yellow
-    '#e53e3e', // red
-    '#805ad5', // purple
-    '#319795', // teal
-    '#dd6b20', // orange
-    '#e83e8c', // pink
-    '#4299e1', // light blue
-    '#48bb78'  // light green
-  ];
-  
   // Handle empty data with a message
   let barLabels, barData, barBackgroundColors;
   if (top.length === 0) {
@@ -221,7 +249,7 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
     });
     barData = top.map(t => Math.round(t.v / MS_TO_MIN));
     // Assign a different color to each bar
-    barBackgroundColors = barData.map((_, index) => barColors[index % barColors.length]);
+    barBackgroundColors = barData.map((_, index) => CHART_PALETTE[index % CHART_PALETTE.length]);
   }
   
   if (barChart) barChart.destroy();
@@ -334,29 +362,9 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
     filtered: Object.keys(byTopic || {}).filter(k => byTopic[k] < 1000)
   });
   
-  // Define colors for topics
-  const topicColors = {
-    'entertainment': '#805ad5',
-    'people': '#e83e8c',
-    'technology': '#38a169',
-    'politics': '#e53e3e',
-    'sports': '#2b6cb0',
-    'environment': '#48bb78',
-    'social': '#4299e1',
-    'cryptocurrency': '#f6ad55',
-    'health': '#fc8181',
-    'science': '#9f7aea',
-    'business': '#4fd1c7',
-    'finance': '#68d391',
-    'investing': '#fbbf24',
-    'economy': '#34d399',
-    'law': '#a78bfa',
-    'unknown': '#718096'
-  };
-  
   // Map colors to labels consistently
   const topicBackgroundColor = topicLabels.map(label => 
-    topicColors[label] || '#319795'
+    TOPIC_COLORS[label] || '#319795'
   );
   
   if (topicChart) topicChart.destroy();
@@ -449,7 +457,7 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   } else {
     topicCountLabels = countEntries.map(([label]) => label);
     topicCountData = countEntries.map(([, count]) => count);
-    topicCountColors = topicCountLabels.map(label => topicColors[label] || '#319795');
+    topicCountColors = topicCountLabels.map(label => TOPIC_COLORS[label] || '#319795');
   }
 
   if (topicCountChart) topicCountChart.destroy();
@@ -505,7 +513,7 @@ function renderCharts(byContentType, byDomain, byTopic, byTopicCounts) {
   });
 }
 
-function renderMetrics(byDomain, byContentType, totalMs) {
+function renderMetrics(byDomain, byContentType, totalMs, sessionStats = null, doomscrollStats = null) {
   const metricsDiv = document.getElementById('metrics');
 
   const domainCounts = Object.values(byDomain);
@@ -516,12 +524,603 @@ function renderMetrics(byDomain, byContentType, totalMs) {
   const top3 = topNFromMap(byDomain, 3).reduce((s, x) => s + x.v, 0);
   const concentration = totalMs > 0 ? Math.round((top3 / totalMs) * 100) : 0;
 
+  let sessionsHTML = '';
+  if (sessionStats && sessionStats.count > 0) {
+    const longest = sessionStats.longest;
+    const longestDomain = longest.domain.replace('www.', '');
+    sessionsHTML = `
+    <div>Sessions: <strong>${sessionStats.count}</strong> • Avg: <strong>${formatMinutes(sessionStats.averageMs)}</strong></div>
+    <div>Longest session: <strong>${formatMinutes(longest.durationMs)}</strong> on ${longestDomain}${longest.dominantTopic ? ` (mostly ${longest.dominantTopic})` : ''}</div>
+  `;
+  }
+
+  // Doomscrolling is shown separately from total time: long runs of fast, low-dwell scrolling
+  let doomscrollHTML = '';
+  if (doomscrollStats && doomscrollStats.count > 0) {
+    const longest = doomscrollStats.longest;
+    doomscrollHTML = `
+    <div style="color: #c05621;">Doomscrolling: <strong>${formatMinutes(doomscrollStats.totalMs)}</strong> in ${doomscrollStats.count} streak${doomscrollStats.count !== 1 ? 's' : ''} (longest ${formatMinutes(longest.durationMs)} on ${longest.domain.replace('www.', '')})</div>
+  `;
+  } else if (doomscrollStats) {
+    doomscrollHTML = `
+    <div>Doomscrolling: <strong>none detected</strong></div>
+  `;
+  }
+
   metricsDiv.innerHTML = `
     <div>Topic entropy: <strong>${ent}</strong></div>
-    <div>Top-3 domain concentration: <strong>${concentration}%</strong></div>
+    <div>Top-3 domain concentration: <strong>${concentration}%</strong></div>${sessionsHTML}${doomscrollHTML}
   `;
 }
 
+// ---- Trends view ----
+
+// Number of series drawn per stacked chart; the rest is folded into "other"
+const TRENDS_MAX_SERIES = 6;
+// Trends always fetch at least two weeks so week-over-week deltas can be computed
+const TRENDS_MIN_FETCH_DAYS = 14;
+
+let trendDomainChart = null;
+let trendTopicChart = null;
+let trendEntropyChart = null;
+let activeView = 'todayView';
+
+function formatShortDate(dateStr) {
+  const dateObj = new Date(dateStr + 'T00:00:00');
+  return dateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function sumMap(mapObj) {
+  return Object.values(mapObj || {}).reduce((s, v) => s + (v || 0), 0);
+}
+
+function mergeMaps(days, mapKey) {
+  const merged = {};
+  for (const day of days) {
+    for (const [key, value] of Object.entries(day[mapKey] || {})) {
+      merged[key] = (merged[key] || 0) + (value || 0);
+    }
+  }
+  return merged;
+}
+
+// Topic entropy for one day, using time per topic
+// (the today view's entropy metric is over content types, so the two aren't directly comparable)
+function dayTopicEntropy(day) {
+  const counts = Object.values(day.byTopic || {});
+  if (sumMap(day.byTopic) === 0) return null;
+  return Math.round(entropyFromCounts(counts) * 100) / 100;
+}
+
+function buildStackedDatasets(days, mapKey, colorFor) {
+  const totals = mergeMaps(days, mapKey);
+  const keys = topNFromMap(totals, TRENDS_MAX_SERIES)
+    .filter(item => item.v > 0)
+    .map(item => item.k);
+  const hasOther = Object.keys(totals).some(key => totals[key] > 0 && !keys.includes(key));
+
+  const toMinutes = ms => Math.round((ms / MS_TO_MIN) * 10) / 10;
+  const series = keys.map((key, index) => ({
+    label: key.replace('www.', ''),
+    data: days.map(day => toMinutes((day[mapKey] || {})[key] || 0)),
+    color: colorFor(key, index)
+  }));
+
+  if (hasOther) {
+    series.push({
+      label: 'other',
+      data: days.map(day => {
+        const map = day[mapKey] || {};
+        const otherMs = Object.keys(map)
+          .filter(key => !keys.includes(key))
+          .reduce((s, key) => s + (map[key] || 0), 0);
+        return toMinutes(otherMs);
+      }),
+      color: '#a0aec0'
+    });
+  }
+
+  // Each series fills down to the one below it so the areas stack
+  return series.map((item, index) => ({
+    label: item.label,
+    data: item.data,
+    borderColor: item.color,
+    backgroundColor: item.color + '66',
+    fill: index === 0 ? 'origin' : '-1',
+    tension: 0.3,
+    pointRadius: 2,
+    borderWidth: 1.5
+  }));
+}
+
+function renderStackedLineChart(canvasId, existingChart, labels, datasets) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) {
+    console.error(`[Horizon] Trend chart canvas not found: ${canvasId}`);
+    return null;
+  }
+  if (existingChart) existingChart.destroy();
+
+  if (datasets.length === 0) {
+    datasets = [{
+      label: 'No data yet',
+      data: labels.map(() => 0),
+      borderColor: '#e2e8f0',
+      backgroundColor: '#e2e8f0',
+      fill: 'origin',
+      pointRadius: 0
+    }];
+  }
+
+  return new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: { font: { size: 11 }, boxWidth: 12, padding: 8 }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${context.parsed.y.toFixed(1)} min`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          stacked: true,
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return value + ' min';
+            }
+          }
+        },
+        x: {
+          ticks: { maxRotation: 45, minRotation: 0, autoSkip: true, font: { size: 10 } }
+        }
+      }
+    }
+  });
+}
+
+function renderEntropyChart(labels, entropies) {
+  const canvas = document.getElementById('trendEntropyLine');
+  if (!canvas) {
+    console.error('[Horizon] Trend entropy canvas not found');
+    return;
+  }
+  if (trendEntropyChart) trendEntropyChart.destroy();
+
+  trendEntropyChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [{
+        label: 'Topic entropy (bits)',
+        data: entropies,
+        borderColor: '#805ad5',
+        backgroundColor: '#805ad5',
+        tension: 0.3,
+        pointRadius: 3,
+        spanGaps: false
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `Entropy: ${context.parsed.y.toFixed(2)} bits`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: { beginAtZero: true },
+        x: {
+          ticks: { maxRotation: 45, minRotation: 0, autoSkip: true, font: { size: 10 } }
+        }
+      }
+    }
+  });
+}
+
+// More time is flagged orange; for diversity metrics pass higherIsBetter
+function formatDelta(current, previous, higherIsBetter = false) {
+  if (previous === 0) {
+    return current > 0 ? '<span style="color: #718096;">new</span>' : '<span style="color: #718096;">—</span>';
+  }
+  const pct = Math.round(((current - previous) / previous) * 100);
+  if (pct === 0) {
+    return '<span style="color: #718096;">±0%</span>';
+  }
+  const color = (pct > 0) !== higherIsBetter ? '#c05621' : '#2f855a';
+  const arrow = pct > 0 ? '▲' : '▼';
+  return `<span style="color: ${color};">${arrow} ${Math.abs(pct)}%</span>`;
+}
+
+function renderWeekOverWeek(days, retentionDays) {
+  const deltasDiv = document.getElementById('trendsDeltas');
+  if (!deltasDiv) return;
+
+  // With a shorter retention window the previous week's days are already gone (only ISO-week totals
+  // remain, which don't line up with a rolling 7 days), so every delta would read as growth
+  if (retentionDays > 0 && retentionDays < 14) {
+    deltasDiv.innerHTML = `<div style="color: #718096; font-style: italic;">Week-over-week comparison needs at least 14 days of history; yours is kept for ${retentionDays} days.</div>`;
+    return;
+  }
+
+  // Compare the last 7 days (including today) with the 7 days before them
+  const thisWeek = days.slice(-7);
+  const lastWeek = days.slice(-14, -7);
+
+  const thisTotal = thisWeek.reduce((s, d) => s + (d.totalMs || 0), 0);
+  const lastTotal = lastWeek.reduce((s, d) => s + (d.totalMs || 0), 0);
+  const thisPosts = thisWeek.reduce((s, d) => s + sumMap(d.byTopicCounts), 0);
+  const lastPosts = lastWeek.reduce((s, d) => s + sumMap(d.byTopicCounts), 0);
+
+  const thisTopics = mergeMaps(thisWeek, 'byTopic');
+  const lastTopics = mergeMaps(lastWeek, 'byTopic');
+  const thisEntropy = entropyFromCounts(Object.values(thisTopics));
+  const lastEntropy = entropyFromCounts(Object.values(lastTopics));
+
+  let html = '<div style="font-weight: 600; margin-bottom: 6px;">Last 7 days vs previous 7 days</div>';
+  html += `<div>Total time: <strong>${formatMinutes(thisTotal)}</strong> (was ${formatMinutes(lastTotal)}) ${formatDelta(thisTotal, lastTotal)}</div>`;
+  html += `<div>Posts viewed: <strong>${thisPosts}</strong> (was ${lastPosts}) ${formatDelta(thisPosts, lastPosts)}</div>`;
+  html += `<div>Topic entropy: <strong>${thisEntropy.toFixed(2)}</strong> (was ${lastEntropy.toFixed(2)}) ${formatDelta(thisEntropy, lastEntropy, true)}</div>`;
+
+  const topTopics = topNFromMap(thisTopics, 3).filter(item => item.v > 0);
+  if (topTopics.length > 0) {
+    html += '<div style="margin-top: 6px;">Top topics:</div><ul style="margin: 2px 0 0 20px; padding: 0;">';
+    topTopics.forEach(topic => {
+      const previousMs = lastTopics[topic.k] || 0;
+      html += `<li>${topic.k}: ${formatMinutes(topic.v)} ${formatDelta(topic.v, previousMs)}</li>`;
+    });
+    html += '</ul>';
+  }
+
+  if (thisTotal === 0 && lastTotal === 0) {
+    html = '<div style="color: #718096; font-style: italic;">No tracking data in the last two weeks yet.</div>';
+  }
+
+  deltasDiv.innerHTML = html;
+}
+
+function renderTrends(days, rangeDays, retentionDays) {
+  if (typeof Chart === 'undefined') {
+    console.error('[Horizon] Chart.js is not loaded');
+    return;
+  }
+
+  const rangeData = days.slice(-rangeDays);
+  const labels = rangeData.map(day => formatShortDate(day.day));
+
+  trendDomainChart = renderStackedLineChart(
+    'trendDomainLine',
+    trendDomainChart,
+    labels,
+    buildStackedDatasets(rangeData, 'byDomain', (key, index) => CHART_PALETTE[index % CHART_PALETTE.length])
+  );
+  trendTopicChart = renderStackedLineChart(
+    'trendTopicLine',
+    trendTopicChart,
+    labels,
+    buildStackedDatasets(rangeData, 'byTopic', key => TOPIC_COLORS[key] || '#319795')
+  );
+  renderEntropyChart(labels, rangeData.map(dayTopicEntropy));
+  renderWeekOverWeek(days, retentionDays);
+}
+
+// Ranges longer than the retention window (0 = keep forever) would be mostly empty: older days
+// only survive as weekly/monthly totals. Returns the range to show, switching to the longest allowed one
+function limitTrendsRange(rangeSelect, retentionDays) {
+  if (!rangeSelect) return 7;
+  const options = Array.from(rangeSelect.options);
+  for (const option of options) {
+    option.disabled = retentionDays > 0 && Number(option.value) > retentionDays;
+  }
+  if (rangeSelect.selectedOptions[0]?.disabled) {
+    const allowed = options.filter(option => !option.disabled);
+    if (allowed.length > 0) {
+      rangeSelect.value = allowed[allowed.length - 1].value;
+    }
+  }
+  return Number(rangeSelect.value) || 7;
+}
+
+function loadTrends() {
+  const rangeSelect = document.getElementById('trendsRange');
+  const rangeDays = Number(rangeSelect?.value) || 7;
+
+  chrome.runtime.sendMessage({
+    type: 'get_history_range',
+    days: Math.max(rangeDays, TRENDS_MIN_FETCH_DAYS)
+  }, (res) => {
+    if (chrome.runtime.lastError) {
+      console.error('[Horizon Popup] Error loading history:', chrome.runtime.lastError);
+      return;
+    }
+    if (!res || !res.success || !Array.isArray(res.days)) {
+      console.error('[Horizon Popup] Invalid history response:', res);
+      return;
+    }
+    renderTrends(res.days, Math.min(rangeDays, limitTrendsRange(rangeSelect, res.retentionDays)), res.retentionDays);
+  });
+}
+
+// ---- Timeline view ----
+
+let timelineEvents = [];
+
+function getLocalDateInputValue(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function renderTimeline() {
+  const list = document.getElementById('timelineList');
+  const summary = document.getElementById('timelineSummary');
+  const searchInput = document.getElementById('timelineSearch');
+  if (!list) return;
+
+  const query = (searchInput?.value || '').trim().toLowerCase();
+  const matches = timelineEvents
+    .filter(event => {
+      if (!query) return true;
+      return [event.title, event.domain, event.topic, event.pathClass]
+        .some(value => value && String(value).toLowerCase().includes(query));
+    })
+    .sort((a, b) => b.start - a.start); // Newest first
+
+  const totalMs = matches.reduce((sum, event) => sum + (event.dwellMs || 0), 0);
+  if (summary) {
+    summary.textContent = query
+      ? `${matches.length} of ${timelineEvents.length} entries match • ${formatMinutesAndSeconds(totalMs)}`
+      : `${timelineEvents.length} entries • ${formatMinutesAndSeconds(totalMs)}`;
+  }
+
+  list.innerHTML = '';
+  if (matches.length === 0) {
+    const li = document.createElement('li');
+    li.style.color = '#718096';
+    li.textContent = timelineEvents.length === 0
+      ? 'No timeline entries for this day yet.'
+      : 'No entries match your search.';
+    list.appendChild(li);
+    return;
+  }
+
+  for (const event of matches) {
+    const li = document.createElement('li');
+
+    const time = document.createElement('div');
+    time.className = 'timelineTime';
+    time.textContent = formatClockTime(event.start);
+
+    const body = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'timelineTitle';
+    title.textContent = event.title || '(no title)';
+
+    const meta = document.createElement('div');
+    meta.className = 'timelineMeta';
+    const parts = [event.domain.replace('www.', ''), event.pathClass];
+    if (event.topic) {
+      const confidence = typeof event.confidence === 'number' ? ` (${Math.round(event.confidence * 100)}%)` : '';
+      parts.push(`${event.topic}${confidence}`);
+    }
+    parts.push(formatMinutesAndSeconds(event.dwellMs || 0));
+    meta.textContent = parts.join(' • ');
+
+    body.appendChild(title);
+    body.appendChild(meta);
+    li.appendChild(time);
+    li.appendChild(body);
+    list.appendChild(li);
+  }
+}
+
+function loadTimeline() {
+  const dayInput = document.getElementById('timelineDay');
+  const day = dayInput?.value || getLocalDateInputValue();
+
+  chrome.runtime.sendMessage({ type: 'get_timeline', day }, (res) => {
+    if (chrome.runtime.lastError) {
+      console.error('[Horizon Popup] Error loading timeline:', chrome.runtime.lastError);
+      return;
+    }
+    timelineEvents = res && res.success && Array.isArray(res.events) ? res.events : [];
+    renderTimeline();
+  });
+}
+
+function showView(viewId) {
+  activeView = viewId;
+  document.querySelectorAll('.tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === viewId);
+  });
+  document.querySelectorAll('.view').forEach(view => {
+    view.style.display = view.id === viewId ? 'block' : 'none';
+  });
+  // Charts are drawn after the view is visible so Chart.js can measure the canvas
+  if (viewId === 'trendsView') {
+    loadTrends();
+  } else if (viewId === 'timelineView') {
+    loadTimeline();
+  }
+}
+
+function setupTabs() {
+  document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => showView(tab.dataset.view));
+  });
+
+  const rangeSelect = document.getElementById('trendsRange');
+  if (rangeSelect) {
+    rangeSelect.addEventListener('change', loadTrends);
+  }
+
+  const timelineDay = document.getElementById('timelineDay');
+  if (timelineDay) {
+    timelineDay.value = getLocalDateInputValue();
+    timelineDay.max = timelineDay.value;
+    timelineDay.addEventListener('change', loadTimeline);
+  }
+
+  const timelineSearch = document.getElementById('timelineSearch');
+  if (timelineSearch) {
+    timelineSearch.addEventListener('input', renderTimeline);
+  }
+
+  const refreshBtn = document.getElementById('refreshBtn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => {
+      if (activeView === 'trendsView') {
+        loadTrends();
+      } else if (activeView === 'timelineView') {
+        loadTimeline();
+      }
+    });
+  }
+}
+
+// Top communities / accounts by time, with post counts
+function renderDimensionList(listId, entries, emptyText) {
+  const list = document.getElementById(listId);
+  if (!list) return;
+  list.innerHTML = '';
+  if (!entries || entries.length === 0) {
+    const li = document.createElement('li');
+    li.style.color = '#718096';
+    li.textContent = emptyText;
+    list.appendChild(li);
+    return;
+  }
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'dimensionName';
+    name.textContent = entry.name;
+    name.title = entry.name;
+    const value = document.createElement('span');
+    value.className = 'dimensionValue';
+    value.textContent = `${formatMinutes(entry.ms)} • ${entry.posts} post${entry.posts !== 1 ? 's' : ''}`;
+    li.appendChild(name);
+    li.appendChild(value);
+    list.appendChild(li);
+  }
+}
+
+// Pause button: stops recording everywhere until settings.pausedUntil (content scripts pick it up live)
+let pauseResumeTimer = null;
+
+function renderPauseBar(settings) {
+  const bar = document.getElementById('pauseBar');
+  const status = document.getElementById('pauseStatus');
+  const select = document.getElementById('pauseDuration');
+  const resumeBtn = document.getElementById('resumeBtn');
+  if (!bar || !globalThis.HorizonTrackingRules) return;
+
+  // Nothing to pause while tracking is switched off in the options
+  if (!settings || settings.enableTracking !== true) {
+    bar.style.display = 'none';
+    return;
+  }
+  bar.style.display = 'flex';
+
+  const until = HorizonTrackingRules.getPausedUntil(settings);
+  bar.classList.toggle('paused', until > 0);
+  select.style.display = until > 0 ? 'none' : '';
+  resumeBtn.style.display = until > 0 ? '' : 'none';
+  select.value = '';
+
+  clearTimeout(pauseResumeTimer);
+  if (until > 0) {
+    const isToday = new Date(until).toDateString() === new Date().toDateString();
+    status.textContent = isToday ? `Tracking paused until ${formatClockTime(until)}` : 'Tracking paused until tomorrow';
+    // Show the resumed state when the pause runs out while the popup is open
+    const remainingMs = until - Date.now();
+    if (remainingMs < 24 * 60 * 60 * 1000) {
+      pauseResumeTimer = setTimeout(loadPauseBar, remainingMs + 1000);
+    }
+  } else {
+    status.textContent = 'Tracking is on';
+  }
+}
+
+function loadPauseBar() {
+  chrome.storage.local.get(['settings'], (res) => renderPauseBar(res.settings || {}));
+}
+
+function setPausedUntil(pausedUntil) {
+  chrome.storage.local.get(['settings'], (res) => {
+    const s = res.settings || {};
+    const settings = { ...s, pausedUntil };
+    chrome.storage.local.set({ settings }, () => renderPauseBar(settings));
+  });
+}
+
+function setupPauseBar() {
+  const select = document.getElementById('pauseDuration');
+  const resumeBtn = document.getElementById('resumeBtn');
+  if (!select || !resumeBtn || !globalThis.HorizonTrackingRules) return;
+
+  for (const [value, option] of Object.entries(HorizonTrackingRules.PAUSE_OPTIONS)) {
+    const el = document.createElement('option');
+    el.value = value;
+    el.textContent = option.label;
+    select.appendChild(el);
+  }
+  select.addEventListener('change', () => {
+    if (select.value) {
+      setPausedUntil(HorizonTrackingRules.getPauseEnd(select.value));
+    }
+  });
+  resumeBtn.addEventListener('click', () => setPausedUntil(0));
+  loadPauseBar();
+}
+
+// Unlock prompt: shown while the tracking data is encrypted and not yet unlocked this browser session
+function setupUnlockBar() {
+  const form = document.getElementById('unlockBar');
+  const input = document.getElementById('unlockPassphrase');
+  const error = document.getElementById('unlockError');
+  if (!form || !input || !globalThis.HorizonCryptoStore) return;
+
+  HorizonCryptoStore.getStatus().then(({ enabled, unlocked }) => {
+    form.style.display = enabled && !unlocked ? 'flex' : 'none';
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    error.textContent = '';
+    try {
+      await HorizonCryptoStore.unlock(input.value);
+      // Everything on the page was loaded without the data; start over with it
+      location.reload();
+    } catch (unlockError) {
+      error.textContent = unlockError.message;
+      input.select();
+    }
+  });
+}
+
 function drawUI(cache) {
   try {
     // Ensure cache is a valid object
@@ -560,7 +1159,10 @@ function drawUI(cache) {
     }
 
     renderCharts(byContentType, byDomain, byTopic, byTopicCounts);
-    renderMetrics(byDomain, byContentType, totalMs);
+    renderMetrics(byDomain, byContentType, totalMs, cache.sessionStats, cache.doomscrollStats);
+    const dimensionStats = cache.dimensionStats || {};
+    renderDimensionList('topCommunities', dimensionStats.communities, 'No communities yet today.');
+    renderDimensionList('topAccounts', dimensionStats.authors, 'No accounts yet today.');
   } catch (error) {
     console.error('[Horizon Popup] Error rendering UI:', error);
     // Show error message but keep popup visible
@@ -616,6 +1218,18 @@ function updateClassifierStatus() {
   });
 }
 
+// Which provider generates recommendations (settings.recommendationLLM; see llm_providers.js, 'chatgpt' is the old name for OpenAI)
+function describeRecommendationLLM(settings) {
+  const provider = settings.recommendationLLM === 'chatgpt' ? 'openai' : settings.recommendationLLM;
+  if (provider === 'openai') {
+    return `Using OpenAI (${settings.llmModel || 'gpt-4o-mini'}) for recommendations. Note: OpenAI may not always be available.`;
+  }
+  if (provider === 'openai_compatible') {
+    return `Using ${settings.llmModel || 'a model'} on your OpenAI-compatible server for recommendations.`;
+  }
+  return 'Using SmolLM-135M (local model) for recommendations. Note: SmolLM recommendations may not be of the best quality.';
+}
+
 function updateRecommendationsLLMStatusGlobal() {
   chrome.storage.local.get(['settings'], (res) => {
     const settings = res.settings || {};
@@ -624,15 +1238,10 @@ function updateRecommendationsLLMStatusGlobal() {
     
     if (!llmStatusElement || !llmStatusText) return;
     
-    const llmPreference = settings.recommendationLLM || 'smollm';
     const recommendationsEnabled = settings.enableRecommendations === true;
     
     if (recommendationsEnabled) {
-      if (llmPreference === 'chatgpt') {
-        llmStatusText.textContent = 'Using ChatGPT (GPT-4o-mini) for recommendations. Note: ChatGPT may not always be available.';
-      } else {
-        llmStatusText.textContent = 'Using SmolLM-135M (local model) for recommendations. Note: SmolLM recommendations may not be of the best quality.';
-      }
+      llmStatusText.textContent = describeRecommendationLLM(settings);
       llmStatusElement.style.display = 'block';
     } else {
       llmStatusText.textContent = 'Recommendations are disabled. Enable them in the extension options to receive automatic recommendations at the end of each day.';
@@ -673,11 +1282,13 @@ function renderPreviousDaySummary(summary) {
   section.style.opacity = '1';
   
   // Store the summary snapshot so it persists across popup closes (like recommendations)
-  chrome.storage.local.set({
+  HorizonCryptoStore.set({
     'horizon_summary_snapshot': summary,
     'horizon_summary_date': summary.day
-  }, () => {
+  }).then(() => {
     console.log('[Horizon Popup] Summary snapshot stored for persistence');
+  }).catch((error) => {
+    console.log('[Horizon Popup] Summary snapshot not stored:', error.message);
   });
   
   // Format and display the date
@@ -784,12 +1395,12 @@ function loadPreviousDaySummary() {
   console.log('[Horizon Popup] Loading previous day summary...');
   
   // First, try to load stored summary snapshot (for persistence, like recommendations)
-  chrome.storage.local.get([
+  HorizonCryptoStore.get([
     'horizon_summary_snapshot', 
     'horizon_summary_date', 
     'horizon_recommendations_date',
     'horizon_recommendations_summary'
-  ], (stored) => {
+  ]).then((stored) => {
     const storedSummary = stored.horizon_summary_snapshot;
     const storedSummaryDate = stored.horizon_summary_date;
     const recommendationsDate = stored.horizon_recommendations_date;
@@ -923,9 +1534,10 @@ function renderRecommendations(recommendations, date = null, saveToStorage = tru
       }
     }
     
-    // Render recommendations with proper bullet point formatting
+    // Render one card per recommendation
     // Keep existing recommendations visible if no new ones provided
-    if (!recommendations || recommendations.trim().length === 0) {
+    const items = HorizonRecommendations.normalize(recommendations);
+    if (items.length === 0) {
       // Only show "no recommendations" if list is empty
       if (list.innerHTML.trim().length === 0) {
         list.innerHTML = '<div style="padding: 16px; color: #718096; text-align: center; line-height: 1.6;">No recommendations have been generated yet! Use the extension for a while. Recommendations will be generated at the end of the day.</div>';
@@ -935,66 +1547,126 @@ function renderRecommendations(recommendations, date = null, saveToStorage = tru
     
     // Save recommendations to storage so they persist across popup closes
     if (saveToStorage) {
-      chrome.storage.local.set({ 
-        'horizon_recommendations': recommendations,
+      HorizonCryptoStore.set({ 
+        'horizon_recommendations': items,
         'horizon_recommendations_date': date || new Date().toISOString().slice(0, 10)
-      }, () => {
+      }).then(() => {
         console.log('[Horizon] Recommendations saved to storage');
+      }).catch((error) => {
+        console.log('[Horizon] Recommendations not saved:', error.message);
       });
     }
     
-    list.innerHTML = '';
-    const recDiv = document.createElement('div');
-    recDiv.style.cssText = 'padding: 16px; background: #f7fafc; border-left: 4px solid #2b6cb0; border-radius: 4px; line-height: 1.8;';
-    
-    // Parse recommendations text and format as bullet points
-    // Handle plain text lines (bullets will be added by this function)
-    let formattedText = recommendations.trim();
-    
-    // Remove any existing bullets to prevent double bullets
-    formattedText = formattedText.replace(/^[•\-\*]\s*/gm, ''); // Remove leading bullets
-    formattedText = formattedText.replace(/\s*[•\-\*]\s*/g, ' '); // Remove any bullets in text
-    
-    // Split by newlines to get individual recommendations
-    const lines = formattedText.split('\n').filter(line => line.trim().length > 0);
-    
-    // If we have multiple lines, each is a recommendation
-    if (lines.length > 1) {
-      formattedText = lines.map(line => {
-        const trimmed = line.trim();
-        // Remove any remaining bullets just in case
-        const clean = trimmed.replace(/^[•\-\*]\s*/, '').trim();
-        return clean;
-      }).filter(line => line.length > 0).join('\n');
-    } else if (lines.length === 1) {
-      // Single line - remove any bullets
-      formattedText = lines[0].trim().replace(/^[•\-\*]\s*/, '');
-    }
-    
-    // Convert to HTML with proper line breaks and SINGLE bullet styling
-    const htmlContent = formattedText
-      .split('\n')
-      .map(line => {
-        const trimmed = line.trim();
-        if (!trimmed) return '';
-        
-        // Remove any bullets that might still be there
-        const cleanContent = trimmed.replace(/^[•\-\*]\s*/, '').trim();
-        
-        if (cleanContent) {
-          // Add SINGLE bullet point
-          return `<div style="margin-bottom: 8px; padding-left: 4px;">• ${cleanContent}</div>`;
-        }
-        return '';
-      })
-      .filter(html => html.length > 0)
-      .join('');
-    
-    recDiv.innerHTML = htmlContent || recommendations; // Fallback to plain text if parsing fails
-    list.appendChild(recDiv);
+    // Earlier votes mark their buttons
+    HorizonRecommendations.getFeedback().then((feedback) => {
+      list.innerHTML = '';
+      items.forEach(item => list.appendChild(createRecommendationElement(item, {
+        date,
+        vote: HorizonRecommendations.getVote(feedback, item, date),
+        blocked: HorizonRecommendations.isTopicBlocked(settings, item.topic)
+      })));
+    });
   });
 }
 
+// Card for one { topic, subtopic, rationale, action, confidence } recommendation
+// Model output is set as text, never as HTML
+// state: { date: day the recommendations were generated for, vote: earlier vote or null, blocked: topic already blocked }
+function createRecommendationElement(recommendation, state = {}) {
+  const item = document.createElement('div');
+  item.className = 'recommendationItem';
+  
+  const heading = document.createElement('div');
+  heading.className = 'recommendationHeading';
+  const title = document.createElement('strong');
+  title.textContent = [recommendation.topic, recommendation.subtopic].filter(Boolean).join(' – ');
+  heading.appendChild(title);
+  // Recommendations saved as text by older versions have no confidence
+  if (typeof recommendation.confidence === 'number') {
+    const confidence = document.createElement('span');
+    confidence.className = 'recommendationConfidence';
+    confidence.textContent = `${Math.round(recommendation.confidence * 100)}% match`;
+    confidence.title = 'How confident the model is that this suits you';
+    heading.appendChild(confidence);
+  }
+  if (title.textContent || heading.childElementCount > 1) {
+    item.appendChild(heading);
+  }
+  
+  const action = document.createElement('div');
+  action.className = 'recommendationAction';
+  action.textContent = recommendation.action;
+  item.appendChild(action);
+  
+  if (recommendation.rationale) {
+    const rationale = document.createElement('div');
+    rationale.className = 'recommendationRationale';
+    rationale.textContent = `Why: ${recommendation.rationale}`;
+    item.appendChild(rationale);
+  }
+  
+  item.appendChild(createRecommendationFeedback(recommendation, state));
+  return item;
+}
+
+// Helpful / not helpful votes and "don't suggest this topic" (used for the next recommendations)
+function createRecommendationFeedback(recommendation, { date = null, vote = null, blocked = false }) {
+  const row = document.createElement('div');
+  row.className = 'recommendationFeedback';
+  
+  const voteButtons = {};
+  const showVote = (current) => {
+    for (const [value, button] of Object.entries(voteButtons)) {
+      button.classList.toggle('selected', value === current);
+      button.setAttribute('aria-pressed', String(value === current));
+    }
+  };
+  for (const [value, label, title] of [['helpful', '👍 Helpful', 'This recommendation was helpful'], ['not_helpful', '👎 Not helpful', 'This recommendation was not helpful']]) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', () => {
+      // Clicking the chosen vote again takes it back
+      const next = button.classList.contains('selected') ? null : value;
+      HorizonRecommendations.setVote(recommendation, date, next).then(() => {
+        showVote(next);
+      }).catch((error) => {
+        console.error('[Horizon Popup] Could not save recommendation feedback:', error);
+      });
+    });
+    voteButtons[value] = button;
+    row.appendChild(button);
+  }
+  showVote(vote);
+  
+  if (recommendation.topic) {
+    const blockButton = document.createElement('button');
+    blockButton.type = 'button';
+    blockButton.className = 'recommendationBlock';
+    const showBlocked = () => {
+      blockButton.textContent = `${recommendation.topic} won't be suggested again`;
+      blockButton.title = 'Allow it again in the options page';
+      blockButton.disabled = true;
+    };
+    if (blocked) {
+      showBlocked();
+    } else {
+      blockButton.textContent = `Don't suggest ${recommendation.topic}`;
+      blockButton.addEventListener('click', () => {
+        const topic = HorizonRecommendations.normalizeTopic(recommendation.topic);
+        chrome.storage.local.get(['settings'], (res) => {
+          const s = res.settings || {};
+          const blockedRecommendationTopics = [...new Set([...HorizonRecommendations.getBlockedTopics(s), topic])];
+          chrome.storage.local.set({ settings: { ...s, blockedRecommendationTopics } }, showBlocked);
+        });
+      });
+    }
+    row.appendChild(blockButton);
+  }
+  return row;
+}
+
 function updateRecommendationsLLMStatus() {
   chrome.storage.local.get(['settings'], (res) => {
     const settings = res.settings || {};
@@ -1003,15 +1675,10 @@ function updateRecommendationsLLMStatus() {
     
     if (!llmStatusElement || !llmStatusText) return;
     
-    const llmPreference = settings.recommendationLLM || 'smollm';
     const recommendationsEnabled = settings.enableRecommendations === true;
     
     if (recommendationsEnabled) {
-      if (llmPreference === 'chatgpt') {
-        llmStatusText.textContent = 'Using ChatGPT (GPT-4o-mini) for recommendations. Note: ChatGPT may not always be available.';
-      } else {
-        llmStatusText.textContent = 'Using SmolLM-135M (local model) for recommendations. Note: SmolLM recommendations may not be of the best quality.';
-      }
+      llmStatusText.textContent = describeRecommendationLLM(settings);
       llmStatusElement.style.display = 'block';
     } else {
       llmStatusText.textContent = 'Recommendations must be enabled in the options menu to receive them.';
@@ -1115,6 +1782,15 @@ document.addEventListener('DOMContentLoaded', () => {
   updateDateTime();
   setInterval(updateDateTime, 60000); // Update every minute
   
+  // Today / Trends tabs
+  setupTabs();
+  
+  // Pause tracking for a while
+  setupPauseBar();
+  
+  // Ask for the passphrase when the data is encrypted and locked
+  setupUnlockBar();
+  
   // Update classifier status
   updateClassifierStatus();
   
@@ -1131,8 +1807,8 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Load and display stored recommendations if they exist, otherwise show "no recommendations" message
   // Also trigger a check for recommendation generation (in case they need to be generated)
-  chrome.storage.local.get(['horizon_recommendations', 'horizon_recommendations_date'], (result) => {
-    if (result.horizon_recommendations && result.horizon_recommendations.trim().length > 0) {
+  HorizonCryptoStore.get(['horizon_recommendations', 'horizon_recommendations_date']).then((result) => {
+    if (HorizonRecommendations.normalize(result.horizon_recommendations).length > 0) {
       console.log('[Horizon] Loading stored recommendations');
       renderRecommendations(result.horizon_recommendations, result.horizon_recommendations_date || null, false); // Don't save again, just display
       // Ensure previous day summary is also loaded when recommendations exist
@@ -1157,8 +1833,8 @@ document.addEventListener('DOMContentLoaded', () => {
           // After getting summary, check again for recommendations (they might have been generated)
           // Wait a bit longer for async recommendation generation to complete
           setTimeout(() => {
-            chrome.storage.local.get(['horizon_recommendations', 'horizon_recommendations_date'], (updatedResult) => {
-              if (updatedResult.horizon_recommendations && updatedResult.horizon_recommendations.trim().length > 0) {
+            HorizonCryptoStore.get(['horizon_recommendations', 'horizon_recommendations_date']).then((updatedResult) => {
+              if (HorizonRecommendations.normalize(updatedResult.horizon_recommendations).length > 0) {
                 console.log('[Horizon] Recommendations were generated, updating display');
                 renderRecommendations(updatedResult.horizon_recommendations, updatedResult.horizon_recommendations_date || null, false);
                 // Also refresh previous day summary in case it was just generated (with a small delay to ensure snapshot is stored)
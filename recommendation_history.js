@@ -0,0 +1,120 @@
+// recommendation_history.js
+// Archive of every generated recommendation set, kept next to the latest one (horizon_recommendations)
+// Imported by background.js (which appends to it) and the options page (which browses it)
+//
+// Stored as recommendation_history (local, encrypted with the other recommendation data): an array of
+// { id, date, generatedAt, provider, model, fallbackFrom, input, recommendations }, oldest first
+//   date            - the day the recommendations were generated for (YYYY-MM-DD)
+//   generatedAt     - when they were generated (ms)
+//   provider, model - what produced them (provider ids from llm_providers.js)
+//   fallbackFrom    - the configured provider when it failed and SmolLM stood in, otherwise null
+//   input           - what the model was given: { totalMs, posts, byTopicCounts, byTopic, byDomain } (no titles)
+//   recommendations - recommendation objects (see recommendations.js)
+
+import { LLM_PROVIDERS } from './llm_providers.js';
+
+export const RECOMMENDATION_HISTORY_KEY = 'recommendation_history';
+
+// About a year of daily sets; the oldest are dropped first
+export const MAX_HISTORY_ENTRIES = 365;
+
+function countMap(value) {
+  const counts = {};
+  for (const [key, count] of Object.entries(value || {})) {
+    if (typeof count === 'number' && Number.isFinite(count)) {
+      counts[key] = count;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Build an archive entry for a generated set
+ * @param {Object} options - { date, config, fallbackFrom, data, recommendations, generatedAt }
+ *   config is the getLLMConfig() of the provider that produced the set; data is the day record it was given
+ */
+export function createHistoryEntry({ date, config, fallbackFrom = null, data, recommendations, generatedAt = Date.now() }) {
+  const byTopicCounts = countMap(data?.byTopicCounts);
+  return {
+    id: `${date}_${generatedAt}`,
+    date,
+    generatedAt,
+    provider: config?.provider || null,
+    model: config?.model || null,
+    fallbackFrom,
+    input: {
+      totalMs: data?.totalMs || 0,
+      posts: Object.values(byTopicCounts).reduce((sum, count) => sum + count, 0),
+      byTopicCounts,
+      byTopic: countMap(data?.byTopic),
+      byDomain: countMap(data?.byDomain)
+    },
+    recommendations: Array.isArray(recommendations) ? recommendations : []
+  };
+}
+
+/**
+ * Add an entry to the archive (returns a new array, capped at MAX_HISTORY_ENTRIES)
+ * An id already in the archive (two sets in the same millisecond) gets a numbered suffix
+ */
+export function appendHistoryEntry(history, entry) {
+  const entries = Array.isArray(history) ? [...history] : [];
+  let id = entry.id;
+  for (let n = 1; entries.some(existing => existing.id === id); n++) {
+    id = `${entry.id}_${n}`;
+  }
+  entries.push({ ...entry, id });
+  return entries.slice(-MAX_HISTORY_ENTRIES);
+}
+
+export function getProviderLabel(provider) {
+  return LLM_PROVIDERS[provider]?.label || provider || 'Unknown provider';
+}
+
+function entryText(entry) {
+  const parts = [entry.date, entry.provider, entry.model, getProviderLabel(entry.provider), ...Object.keys(entry.input?.byTopicCounts || {})];
+  for (const recommendation of entry.recommendations || []) {
+    parts.push(recommendation.topic, recommendation.subtopic, recommendation.rationale, recommendation.action);
+  }
+  return parts.filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Archive entries matching every word of the query (date, provider, input topics or recommendation text), newest first
+ */
+export function searchHistory(history, query = '') {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const entries = Array.isArray(history) ? [...history].reverse() : [];
+  if (words.length === 0) {
+    return entries;
+  }
+  return entries.filter(entry => {
+    const text = entryText(entry);
+    return words.every(word => text.includes(word));
+  });
+}
+
+function topicsOf(entry) {
+  const topics = new Map();
+  for (const recommendation of entry?.recommendations || []) {
+    const name = String(recommendation.topic || '').trim();
+    if (name && !topics.has(name.toLowerCase())) {
+      topics.set(name.toLowerCase(), name);
+    }
+  }
+  return topics;
+}
+
+/**
+ * Compare the recommended topics of two sets
+ * @returns {Object} { shared: [topic], onlyFirst: [topic], onlySecond: [topic] }
+ */
+export function compareHistoryEntries(first, second) {
+  const firstTopics = topicsOf(first);
+  const secondTopics = topicsOf(second);
+  return {
+    shared: [...firstTopics].filter(([key]) => secondTopics.has(key)).map(([, name]) => name),
+    onlyFirst: [...firstTopics].filter(([key]) => !secondTopics.has(key)).map(([, name]) => name),
+    onlySecond: [...secondTopics].filter(([key]) => !firstTopics.has(key)).map(([, name]) => name)
+  };
+}
@@ -0,0 +1,273 @@
+// recommendations.js
+// The recommendation record shared by the recommenders, the popup and exports
+// Loaded as a classic script in the popup and options page and imported by the recommenders; exposes globalThis.HorizonRecommendations
+//
+// Each recommendation is { topic, subtopic, rationale, action, confidence }:
+//   topic      - main topic, e.g. "Science"
+//   subtopic   - the angle to explore, e.g. "Space exploration" ('' when the model gave none)
+//   rationale  - why it fits the user's browsing ('' when the model gave none)
+//   action     - how to engage with it
+//   confidence - 0-1, how sure the model is that the user will find it useful (null for text read back from older versions)
+// horizon_recommendations holds an array of these. Versions before this stored one line of text per
+// recommendation ("Recommendation 1: Science – Space exploration. Listen to podcasts..."); fromText reads those.
+//
+// Feedback from the popup is fed back into generation:
+//   recommendation_feedback (local)        - { votes: [{ key, topic, subtopic, vote, at }] }, newest last;
+//                                            vote is 'helpful' or 'not_helpful', key identifies the recommendation shown
+//   settings.blockedRecommendationTopics   - topics never to suggest ("don't suggest this topic"), lowercase
+
+(function () {
+  if (globalThis.HorizonRecommendations) {
+    return;
+  }
+
+  const MAX_RECOMMENDATIONS = 5;
+  const FIELDS = ['topic', 'subtopic', 'rationale', 'action', 'confidence'];
+  const MAX_TEXT_LENGTH = 400;
+  const FEEDBACK_KEY = 'recommendation_feedback';
+  const VOTES = ['helpful', 'not_helpful'];
+  const MAX_FEEDBACK_VOTES = 100;
+  // How many liked / disliked recommendations are quoted back to the model
+  const FEEDBACK_EXAMPLES = 5;
+
+  // JSON Schema sent with chat completion requests (OpenAI structured outputs, strict mode:
+  // every property required, no extra properties; ranges are checked by validate instead)
+  const SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['recommendations'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: FIELDS,
+          properties: {
+            topic: { type: 'string', description: 'Main topic, e.g. "Science"' },
+            subtopic: { type: 'string', description: 'A specific subtopic or angle within the topic' },
+            rationale: { type: 'string', description: "Why this fits the user's browsing, based on the data" },
+            action: { type: 'string', description: 'One concrete way to engage with it' },
+            confidence: { type: 'number', description: 'How likely the user is to find this useful, from 0 to 1' }
+          }
+        }
+      }
+    }
+  };
+
+  function cleanText(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Check a parsed model reply ({ recommendations: [...] }) against SCHEMA
+   * Entries that don't match are reported and left out; the rest come back with their text trimmed
+   * @returns {Object} - { valid, errors: [string], recommendations: [recommendation] }
+   */
+  function validate(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.recommendations)) {
+      return { valid: false, errors: ['Expected an object with a recommendations array.'], recommendations: [] };
+    }
+
+    const errors = [];
+    const recommendations = [];
+    data.recommendations.forEach((item, index) => {
+      const where = `recommendations[${index}]`;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${where} is not an object.`);
+        return;
+      }
+      const itemErrors = [];
+      for (const field of ['topic', 'subtopic', 'rationale', 'action']) {
+        if (typeof item[field] !== 'string') {
+          itemErrors.push(`${where}.${field} must be a string.`);
+        } else if (item[field].length > MAX_TEXT_LENGTH) {
+          itemErrors.push(`${where}.${field} is longer than ${MAX_TEXT_LENGTH} characters.`);
+        }
+      }
+      if (!cleanText(item.topic)) {
+        itemErrors.push(`${where}.topic is empty.`);
+      }
+      if (!cleanText(item.action)) {
+        itemErrors.push(`${where}.action is empty.`);
+      }
+      if (typeof item.confidence !== 'number' || !(item.confidence >= 0 && item.confidence <= 1)) {
+        itemErrors.push(`${where}.confidence must be a number from 0 to 1.`);
+      }
+      if (itemErrors.length > 0) {
+        errors.push(...itemErrors);
+        return;
+      }
+      recommendations.push({
+        topic: cleanText(item.topic),
+        subtopic: cleanText(item.subtopic),
+        rationale: cleanText(item.rationale),
+        action: cleanText(item.action),
+        confidence: Math.round(item.confidence * 100) / 100
+      });
+    });
+
+    if (recommendations.length > MAX_RECOMMENDATIONS) {
+      errors.push(`Only the first ${MAX_RECOMMENDATIONS} recommendations are kept.`);
+      recommendations.length = MAX_RECOMMENDATIONS;
+    }
+    return { valid: errors.length === 0, errors, recommendations };
+  }
+
+  /**
+   * One-line text form: "Science – Space exploration. Listen to podcasts about recent missions."
+   * Used for logging and duplicate checks
+   */
+  function toText(recommendation) {
+    const heading = [recommendation.topic, recommendation.subtopic].filter(Boolean).join(' – ').replace(/[.!?]+$/, '');
+    return heading ? `${heading}. ${recommendation.action}` : recommendation.action;
+  }
+
+  /**
+   * Read recommendations stored as text by older versions (one per line)
+   * "Recommendation N: Topic – Subtopic. Action" lines keep their parts; any other line becomes the action
+   */
+  function fromText(text) {
+    if (typeof text !== 'string') {
+      return [];
+    }
+    return text
+      .split('\n')
+      .map(line => line.trim().replace(/^[•\-*]\s*/, '').trim())
+      .filter(line => line.length > 0)
+      .slice(0, MAX_RECOMMENDATIONS)
+      .map(line => {
+        const body = line.replace(/^Recommendation\s+\d+(?:\s*\([^)]*\))?:\s*/i, '');
+        const match = body.match(/^([^–]+?)\s*–\s*([^.]+)\.\s*(.+)$/);
+        if (match) {
+          return { topic: match[1].trim(), subtopic: match[2].trim(), rationale: '', action: match[3].trim(), confidence: null };
+        }
+        return { topic: '', subtopic: '', rationale: '', action: body, confidence: null };
+      });
+  }
+
+  /**
+   * Stored or imported recommendations as an array, whichever form they were saved in
+   */
+  function normalize(stored) {
+    if (Array.isArray(stored)) {
+      return validate({ recommendations: stored }).recommendations;
+    }
+    return fromText(stored);
+  }
+
+  function normalizeTopic(topic) {
+    return cleanText(topic).toLowerCase();
+  }
+
+  function getBlockedTopics(settings) {
+    const topics = settings?.blockedRecommendationTopics;
+    return Array.isArray(topics) ? topics.map(normalizeTopic).filter(Boolean) : [];
+  }
+
+  function isTopicBlocked(settings, topic) {
+    return getBlockedTopics(settings).includes(normalizeTopic(topic));
+  }
+
+  /**
+   * Identifies one recommendation as shown on one day, so a vote can be changed or taken back
+   */
+  function feedbackKey(recommendation, date) {
+    return `${date || ''}|${toText(recommendation).toLowerCase()}`;
+  }
+
+  async function getFeedback() {
+    const { [FEEDBACK_KEY]: stored } = await chrome.storage.local.get([FEEDBACK_KEY]);
+    const votes = Array.isArray(stored?.votes) ? stored.votes.filter(entry => entry && VOTES.includes(entry.vote)) : [];
+    return { votes };
+  }
+
+  /**
+   * Record (or with vote null, take back) a vote on a recommendation
+   * @param {string|null} vote - 'helpful', 'not_helpful' or null
+   * @returns {Promise<Object>} The updated feedback, { votes }
+   */
+  async function setVote(recommendation, date, vote) {
+    if (vote !== null && !VOTES.includes(vote)) {
+      throw new Error(`Unknown vote "${vote}"`);
+    }
+    const key = feedbackKey(recommendation, date);
+    const { votes } = await getFeedback();
+    const kept = votes.filter(entry => entry.key !== key);
+    if (vote) {
+      kept.push({ key, topic: cleanText(recommendation.topic), subtopic: cleanText(recommendation.subtopic), vote, at: Date.now() });
+    }
+    const feedback = { votes: kept.slice(-MAX_FEEDBACK_VOTES) };
+    await chrome.storage.local.set({ [FEEDBACK_KEY]: feedback });
+    return feedback;
+  }
+
+  function getVote(feedback, recommendation, date) {
+    const key = feedbackKey(recommendation, date);
+    return feedback.votes.find(entry => entry.key === key)?.vote || null;
+  }
+
+  /**
+   * How the user has rated a topic: from -1 (only not helpful) to 1 (only helpful), 0 without votes
+   * Two phantom neutral votes keep a single vote from counting as a verdict
+   */
+  function topicFeedbackScore(feedback, topic) {
+    const name = normalizeTopic(topic);
+    let helpful = 0;
+    let notHelpful = 0;
+    for (const entry of feedback?.votes || []) {
+      if (normalizeTopic(entry.topic) !== name) continue;
+      if (entry.vote === 'helpful') helpful++;
+      else notHelpful++;
+    }
+    return (helpful - notHelpful) / (helpful + notHelpful + 2);
+  }
+
+  /**
+   * Order recommendations by how the user rated their topics (returns a new array)
+   * Topics voted helpful come first and not helpful last; equal scores keep the model's order
+   */
+  function rankByFeedback(recommendations, feedback) {
+    return recommendations
+      .map((recommendation, index) => ({ recommendation, index, score: topicFeedbackScore(feedback, recommendation.topic) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.recommendation);
+  }
+
+  /**
+   * The feedback the recommenders put in their prompts
+   * @returns {Object} { liked: [text], disliked: [text], likedTopics: [topic], blockedTopics: [topic] }, most recent first
+   */
+  function summarizeFeedback(feedback, settings) {
+    const describe = entry => [entry.topic, entry.subtopic].filter(Boolean).join(' – ');
+    const recent = [...(feedback?.votes || [])].reverse();
+    const pick = vote => [...new Set(recent.filter(entry => entry.vote === vote).map(describe).filter(Boolean))].slice(0, FEEDBACK_EXAMPLES);
+    const likedTopics = [...new Set(recent.filter(entry => entry.vote === 'helpful' && topicFeedbackScore(feedback, entry.topic) > 0)
+      .map(entry => normalizeTopic(entry.topic)).filter(Boolean))];
+    return {
+      liked: pick('helpful'),
+      disliked: pick('not_helpful'),
+      likedTopics,
+      blockedTopics: getBlockedTopics(settings)
+    };
+  }
+
+  globalThis.HorizonRecommendations = {
+    MAX_RECOMMENDATIONS,
+    SCHEMA,
+    FEEDBACK_KEY,
+    validate,
+    toText,
+    fromText,
+    normalize,
+    normalizeTopic,
+    getBlockedTopics,
+    isTopicBlocked,
+    getFeedback,
+    setVote,
+    getVote,
+    topicFeedbackScore,
+    rankByFeedback,
+    summarizeFeedback
+  };
+})();
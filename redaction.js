@@ -0,0 +1,166 @@
+// redaction.js
+// Post title redaction, applied before titles are written to storage
+// Modes (settings.titleRedaction):
+//   full - store the title as extracted
+//   pii  - store the title with emails, phone numbers, @handles and links replaced by placeholders
+//   hash - store no title; posts keep only their hash and topic
+// Classification still sees the original title; only what is stored is redacted
+// The breakdowns taken from posts follow the mode too (see dimensions.js): pii drops author handles
+// (byAuthor), hash drops them and the hashtags parsed from titles (byHashtag)
+
+import { DIMENSIONS } from './dimensions.js';
+
+export const REDACTION_MODES = ['full', 'pii', 'hash'];
+export const DEFAULT_REDACTION_MODE = 'full';
+
+// Dimensions (see dimensions.js) that aren't stored under each mode
+const REDACTED_DIMENSIONS = {
+  full: [],
+  pii: ['author'],
+  hash: ['author', 'hashtag']
+};
+
+// Links first so their paths can't be mistaken for handles or numbers
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const EMAIL_PATTERN = /(?<![@\w.+-])[\w.+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+\b/gi;
+// @someone and fediverse @someone@instance.host; Reddit's u/someone is a handle as well
+const HANDLE_PATTERN = /(^|[^\w@])@[\w.]{1,30}(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)+)?|(^|[^\w/])\/?u\/[\w-]{3,20}\b/gi;
+// Digit groups joined by spaces, dots or dashes; only replaced when they hold 9-15 digits,
+// so dates ("2024-05-12"), versions and years stay readable
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?!\w)/g;
+
+/**
+ * Redaction mode from settings (defaults to storing full titles)
+ */
+export function getRedactionMode(settings) {
+  return REDACTION_MODES.includes(settings?.titleRedaction) ? settings.titleRedaction : DEFAULT_REDACTION_MODE;
+}
+
+/**
+ * Replace personal details in a title with placeholders
+ */
+export function redactPii(text) {
+  return String(text)
+    .replace(URL_PATTERN, '[link]')
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_PATTERN, match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 ? '[phone]' : match;
+    })
+    .replace(HANDLE_PATTERN, (match, before1, before2) => `${before1 ?? before2 ?? ''}[handle]`);
+}
+
+/**
+ * The title as it may be stored under a mode
+ * @returns {string|null} null when nothing may be stored
+ */
+export function redactTitle(title, mode) {
+  if (typeof title !== 'string' || !title) {
+    return null;
+  }
+  if (mode === 'hash') {
+    return null;
+  }
+  if (mode === 'pii') {
+    return redactPii(title);
+  }
+  return title;
+}
+
+/**
+ * Dimensions (community, author, hashtag) that must not be stored under a mode
+ * @returns {Array} Keys of DIMENSIONS
+ */
+export function getRedactedDimensions(mode) {
+  return REDACTED_DIMENSIONS[mode] || [];
+}
+
+// Drop the dimension maps a mode doesn't store; returns null when there were none
+function redactDimensionMaps(record, mode) {
+  const mapKeys = getRedactedDimensions(mode)
+    .flatMap(kind => [DIMENSIONS[kind].msKey, DIMENSIONS[kind].countKey])
+    .filter(mapKey => record[mapKey] !== undefined);
+  if (mapKeys.length === 0) {
+    return null;
+  }
+  const updated = { ...record };
+  for (const mapKey of mapKeys) {
+    delete updated[mapKey];
+  }
+  return { record: updated, changed: mapKeys.length };
+}
+
+// Rewrite the titles in a seenPosts map; returns null when nothing changed
+function redactSeenPosts(seenPosts, mode) {
+  if (!seenPosts || typeof seenPosts !== 'object') {
+    return null;
+  }
+  let changed = 0;
+  const updated = {};
+  for (const [hash, post] of Object.entries(seenPosts)) {
+    const title = redactTitle(post?.title, mode);
+    if (post && (post.title ?? null) !== title) {
+      updated[hash] = { ...post, title };
+      changed++;
+    } else {
+      updated[hash] = post;
+    }
+  }
+  return changed > 0 ? { seenPosts: updated, changed } : null;
+}
+
+/**
+ * Redact titles that are already stored (day records, timelines and the recommendation snapshots),
+ * and the breakdowns the mode doesn't keep (also in the week/month rollups)
+ * Redaction can't be undone: switching back to "full" leaves earlier redactions in place
+ * @param {Object} allData - Everything from chrome.storage.local
+ * @param {string} mode - One of REDACTION_MODES
+ * @returns {Object} { updates: storage entries to write back, summary: { records, posts, events, breakdowns } }
+ */
+export function redactStoredData(allData, mode) {
+  const updates = {};
+  const summary = { records: 0, posts: 0, events: 0, breakdowns: 0 };
+  if (mode === 'full') {
+    return { updates, summary };
+  }
+
+  for (const [key, value] of Object.entries(allData || {})) {
+    if (!value || typeof value !== 'object') continue;
+
+    const isRecord = key.startsWith('day_') || key === 'horizon_recommendations_summary' || key === 'horizon_summary_snapshot';
+    const isRollup = key.startsWith('week_') || key.startsWith('month_');
+    if (isRecord || isRollup) {
+      let record = value;
+      const redacted = isRecord ? redactSeenPosts(value.seenPosts, mode) : null;
+      if (redacted) {
+        record = { ...record, seenPosts: redacted.seenPosts };
+        summary.posts += redacted.changed;
+      }
+      const dimensions = redactDimensionMaps(record, mode);
+      if (dimensions) {
+        record = dimensions.record;
+        summary.breakdowns += dimensions.changed;
+      }
+      if (record !== value) {
+        updates[key] = record;
+        summary.records++;
+      }
+    } else if (key.startsWith('timeline_') && Array.isArray(value)) {
+      let changed = 0;
+      const events = value.map(event => {
+        const title = redactTitle(event?.title, mode);
+        if (event && (event.title ?? null) !== title) {
+          changed++;
+          return { ...event, title };
+        }
+        return event;
+      });
+      if (changed > 0) {
+        updates[key] = events;
+        summary.records++;
+        summary.events += changed;
+      }
+    }
+  }
+  return { updates, summary };
+}
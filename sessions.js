@@ -0,0 +1,93 @@
+// sessions.js
+// Groups engagement deltas into per-domain browsing sessions using an idle-gap threshold
+// Sessions are stored on the day record as
+// { domain, start, end, durationMs, postCount, topicMs, dominantTopic }
+
+// Idle-gap choices offered in the options page (minutes)
+export const SESSION_GAP_OPTIONS = [5, 10, 15, 30];
+export const DEFAULT_SESSION_GAP_MINUTES = 10;
+
+/**
+ * Read the idle gap (in ms) that ends a session from settings
+ */
+export function getSessionGapMs(settings) {
+  const minutes = Number(settings?.sessionGapMinutes);
+  const gapMinutes = Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_SESSION_GAP_MINUTES;
+  return gapMinutes * 60 * 1000;
+}
+
+function getDominantTopic(topicMs) {
+  let dominant = null;
+  let best = 0;
+  for (const [topic, ms] of Object.entries(topicMs)) {
+    if (ms > best) {
+      dominant = topic;
+      best = ms;
+    }
+  }
+  return dominant;
+}
+
+/**
+ * Fold one engagement delta into the day's sessions (returns a new array)
+ * A delta joins the latest session for its domain if it started within gapMs
+ * of that session's end; otherwise it opens a new session
+ * @param {Array} sessions - Existing sessions for the day
+ * @param {Object} delta - { domain, start, deltaMs, topic, isNewPost }
+ * @param {number} gapMs - Idle gap that ends a session
+ */
+export function updateSessions(sessions, delta, gapMs) {
+  const updated = Array.isArray(sessions) ? [...sessions] : [];
+  const end = delta.start + delta.deltaMs;
+
+  let index = -1;
+  for (let i = updated.length - 1; i >= 0; i--) {
+    if (updated[i].domain === delta.domain) {
+      index = i;
+      break;
+    }
+  }
+
+  const current = index >= 0 ? updated[index] : null;
+  if (!current || delta.start - current.end > gapMs) {
+    const topicMs = delta.topic ? { [delta.topic]: delta.deltaMs } : {};
+    updated.push({
+      domain: delta.domain,
+      start: delta.start,
+      end,
+      durationMs: delta.deltaMs,
+      postCount: delta.isNewPost ? 1 : 0,
+      topicMs,
+      dominantTopic: getDominantTopic(topicMs)
+    });
+    return updated;
+  }
+
+  const topicMs = { ...current.topicMs };
+  if (delta.topic) {
+    topicMs[delta.topic] = (topicMs[delta.topic] || 0) + delta.deltaMs;
+  }
+  updated[index] = {
+    ...current,
+    end: Math.max(current.end, end),
+    durationMs: current.durationMs + delta.deltaMs,
+    postCount: current.postCount + (delta.isNewPost ? 1 : 0),
+    topicMs,
+    dominantTopic: getDominantTopic(topicMs)
+  };
+  return updated;
+}
+
+/**
+ * Session-level statistics for a day
+ * @returns {Object} - { count, longest, averageMs }
+ */
+export function getSessionStats(sessions) {
+  const list = Array.isArray(sessions) ? sessions : [];
+  if (list.length === 0) {
+    return { count: 0, longest: null, averageMs: 0 };
+  }
+  const longest = list.reduce((best, session) => (session.durationMs > best.durationMs ? session : best), list[0]);
+  const totalMs = list.reduce((sum, session) => sum + (session.durationMs || 0), 0);
+  return { count: list.length, longest, averageMs: totalMs / list.length };
+}
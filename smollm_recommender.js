@@ -1,13 +1,24 @@
 // smollm_recommender.js
 // SmolLM-135M based recommendation system
 // Uses local SmolLM model with few-shot prompting for autocomplete-based recommendations
+// The completion is free text; it is parsed into recommendation objects (see recommendations.js)
 
 // Import transformers module (static import for MV3)
 import * as transformersModule from './libs/transformers/dist/transformers.min.js';
+import './recommendations.js';
+const Recommendations = globalThis.HorizonRecommendations;
 
 // Model path
 const MODEL_PATH = 'libs/models/SmolLM-135M';
 
+// The model gives no confidence of its own; these reflect how closely the output followed the prompt's format
+const CONFIDENCE_FORMATTED = 0.5;
+const CONFIDENCE_LOOSE = 0.3;
+const CONFIDENCE_SENTENCE = 0.2;
+
+// Main topics the few-shot prompt allows (minus any the user blocked)
+const ALLOWED_TOPICS = ['Entertainment', 'People', 'Politics', 'Technology', 'Sports', 'Environment', 'Social', 'Cryptocurrency', 'Health', 'Science', 'Business', 'Finance', 'Investing', 'Economy', 'Law'];
+
 // Single-threading: Track if a request is in progress
 let requestInProgress = false;
 let requestQueue = [];
@@ -106,7 +117,7 @@ async function loadTextGenerationPipeline() {
  * Format consumption data for the prompt
  */
 function formatConsumptionData(consumptionData) {
-  const { byTopicCounts = {}, byTopic = {} } = consumptionData;
+  const { byTopicCounts = {}, byTopic = {}, feedback = null } = consumptionData;
   
   // Calculate totals
   const totalPosts = Object.values(byTopicCounts).reduce((sum, count) => sum + count, 0);
@@ -130,7 +141,8 @@ function formatConsumptionData(consumptionData) {
     totalMinutes,
     topTopicsByCount,
     topTopicsByTime,
-    allTopics: Object.keys(byTopicCounts)
+    allTopics: Object.keys(byTopicCounts),
+    feedback
   };
 }
 
@@ -140,14 +152,19 @@ function formatConsumptionData(consumptionData) {
  * SmolLM responds better to constrained completions with clear structure
  */
 function buildPrompt(formattedData) {
-  const { topTopicsByCount, samplePostTitle } = formattedData;
+  const { topTopicsByCount, samplePostTitle, feedback } = formattedData;
+  const blockedTopics = feedback?.blockedTopics || [];
 
   // Format user history as a simple list of topics (capitalize first letter to match examples)
-  const userHistoryItems = topTopicsByCount.slice(0, 5).map(item => {
-    const topic = item.topic;
+  // The small model can't follow "avoid X" instructions, so feedback only changes which topics it sees:
+  // topics voted helpful come first, blocked topics are left out
+  const historyTopics = [...(feedback?.likedTopics || []), ...topTopicsByCount.map(item => item.topic.toLowerCase())]
+    .filter((topic, index, list) => list.indexOf(topic) === index && !blockedTopics.includes(topic));
+  const userHistoryItems = historyTopics.slice(0, 5).map(topic => {
     // Capitalize first letter to match the format in examples
     return topic.charAt(0).toUpperCase() + topic.slice(1).toLowerCase();
   });
+  const allowedTopics = ALLOWED_TOPICS.filter(topic => !blockedTopics.includes(topic.toLowerCase()));
   const userHistory = userHistoryItems.length > 0
     ? userHistoryItems.join(', ')
     : 'No topics tracked yet';
@@ -167,7 +184,7 @@ Each recommendation should include:
 
 
 
-Allowed main topics: Entertainment, People, Politics, Technology, Sports, Environment, Social, Cryptocurrency, Health, Science, Business, Finance, Investing, Economy, Law
+Allowed main topics: ${allowedTopics.join(', ')}
 
 
 
@@ -276,7 +293,7 @@ ${userHistory}`;
  * Generate recommendations using SmolLM with autocomplete-style prompting
  * Uses autocomplete-style generation parameters for better completion behavior
  */
-async function generateWithSmolLM(prompt) {
+async function generateWithSmolLM(prompt, { temperature = 0.8, maxTokens = 150 } = {}) {
   try {
     const pipeline = await loadTextGenerationPipeline();
     
@@ -287,11 +304,11 @@ async function generateWithSmolLM(prompt) {
     // These parameters are optimized for autocomplete behavior per the write-up
     console.log('[SmolLM Recommender] Generating with autocomplete-style parameters...');
     const outputs = await pipeline(prompt, {
-      max_new_tokens: 150, // Shorter for autocomplete-style recommendations
+      max_new_tokens: maxTokens, // Short (150 by default) for autocomplete-style recommendations
       do_sample: true, // Enable sampling for variety
       top_k: 20, // Limit to top 20 tokens for better quality
       top_p: 0.9, // Nucleus sampling - use tokens with cumulative probability up to 0.9
-      temperature: 0.8, // Slightly higher temperature for more creative completions
+      temperature, // Slightly higher by default (0.8) for more creative completions
       return_full_text: false, // Only return generated text (not the prompt)
       pad_token_id: 0, // Use endoftext token as padding
       repetition_penalty: 1.1 // Slight penalty to avoid repetition
@@ -325,11 +342,61 @@ async function generateWithSmolLM(prompt) {
   }
 }
 
+/**
+ * Capitalize a topic the way the prompt lists them ("technology" -> "Technology")
+ */
+function formatTopic(topic) {
+  const trimmed = topic.trim();
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase();
+}
+
+/**
+ * Why a topic was suggested, from the user's own numbers (SmolLM doesn't explain itself)
+ */
+function buildRationale(topic, formattedData) {
+  const viewed = formattedData.topTopicsByCount.find(item => item.topic.toLowerCase() === topic.toLowerCase());
+  if (viewed) {
+    return `You viewed ${viewed.count} ${formatTopic(viewed.topic)} post${viewed.count === 1 ? '' : 's'} in this period.`;
+  }
+  const top = formattedData.topTopicsByCount.slice(0, 2).map(item => formatTopic(item.topic));
+  return top.length > 0 ? `Something new next to your usual ${top.join(' and ')} posts.` : '';
+}
+
+/**
+ * Recommendation object from the parts found in the output
+ */
+function toRecommendation(topic, subtopic, action, confidence, formattedData) {
+  const cleanTopic = formatTopic(topic.replace(/^[-–•]\s*/, ''));
+  let cleanAction = action.trim();
+  // Ensure it ends with proper punctuation
+  if (cleanAction && !cleanAction.match(/[.!?]$/)) {
+    cleanAction += '.';
+  }
+  return {
+    topic: cleanTopic,
+    subtopic: subtopic.trim(),
+    rationale: buildRationale(cleanTopic, formattedData),
+    action: cleanAction,
+    confidence
+  };
+}
+
+/**
+ * Free text with no topic of its own is filed under the user's top topic it mentions (or their top topic)
+ */
+function topicForText(text, formattedData) {
+  const lower = text.toLowerCase();
+  const mentioned = formattedData.topTopicsByCount.find(item => lower.includes(item.topic.toLowerCase()));
+  const topic = mentioned || formattedData.topTopicsByCount[0];
+  return topic ? topic.topic : 'General';
+}
+
 /**
  * Process and clean recommendations
- * Parses various formats that SmolLM might generate
+ * Parses various formats that SmolLM might generate into recommendation objects
+ * @returns {Array} { topic, subtopic, rationale, action, confidence } objects; empty when nothing usable was generated
  */
-function processRecommendations(rawText) {
+function processRecommendations(rawText, formattedData) {
   // Remove the prompt if it's still in the output
   let cleaned = rawText.trim();
   
@@ -337,150 +404,93 @@ function processRecommendations(rawText) {
   
   // Try to extract recommendations in the expected format
   // Pattern: "Recommendation N: <Main Topic> – <Subtopic>. <How to engage.>"
-  const recommendationPattern = /Recommendation\s+\d+:\s*([^–]+)–\s*([^.]+)\.\s*(.+?)(?=\n|$|Recommendation)/gi;
+  const recommendationPattern = /Recommendation\s+\d+:\s*([^–\n]+)–\s*([^.\n]+)\.\s*(.+?)(?=\n|$|Recommendation)/gi;
   const matches = [...cleaned.matchAll(recommendationPattern)];
   
   if (matches.length > 0) {
-    // Format: "Recommendation N: <Main Topic> – <Subtopic>. <How to engage.>"
-    const recommendations = matches.map(match => {
-      const mainTopic = match[1].trim();
-      const subtopic = match[2].trim();
-      const howToEngage = match[3].trim();
-      return `Recommendation ${matches.indexOf(match) + 1}: ${mainTopic} – ${subtopic}. ${howToEngage}`;
-    });
+    const recommendations = matches
+      .map(match => toRecommendation(match[1], match[2], match[3], CONFIDENCE_FORMATTED, formattedData))
+      .filter(rec => rec.topic && rec.action);
     
     if (recommendations.length >= 1) {
       console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using pattern 1');
-      return recommendations.join('\n');
+      return recommendations.slice(0, Recommendations.MAX_RECOMMENDATIONS);
     }
   }
-  
+
+  // Fallback: lines with the format "X – Y. Z" (em dash) without the "Recommendation N:" label
+  const dashPattern = /^[-•]?\s*([A-Z][^–\n]{2,30})–\s*([^.\n]+)\.\s*(.+)$/gm;
+  const dashMatches = [...cleaned.matchAll(dashPattern)];
+
+  if (dashMatches.length > 0) {
+    const recommendations = dashMatches
+      .slice(0, 3)
+      .map(match => toRecommendation(match[1], match[2], match[3], CONFIDENCE_FORMATTED, formattedData));
+
+    console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using dash pattern');
+    return recommendations;
+  }
+
   // Fallback: Try to find lines starting with "Recommendation" or "- Recommendation"
-  const lines = cleaned.split('\n').filter(line => {
-    const trimmed = line.trim();
-    return trimmed.length > 20 && 
-           (trimmed.match(/^[-•]\s*Recommendation\s+\d+:/i) || 
-            trimmed.match(/^Recommendation\s+\d+:/i));
-  });
+  // ("Recommendation N: <Main Topic>: <text>" or "Recommendation N: <text>")
+  const lines = cleaned.split('\n')
+    .map(line => line.trim().replace(/^[-•]\s*/, ''))
+    .filter(line => line.length > 20 && line.length < 400 && /^Recommendation\s+\d+:/i.test(line));
   
   if (lines.length > 0) {
-    // Clean up the lines
     const recommendations = lines.map(line => {
-      let cleaned = line.trim();
-      // Remove leading dash/bullet if present
-      cleaned = cleaned.replace(/^[-•]\s*/, '');
-      return cleaned;
-    }).filter(rec => rec.length > 20 && rec.length < 400);
-    
-    if (recommendations.length >= 1) {
-      console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using pattern 2');
-      return recommendations.join('\n');
-    }
-  }
-  
-  // NEW: Handle percentage-based format like "100% - Cryptocurrencies have a steady rise..."
-  const percentagePattern = /(\d+%)\s*[-–]\s*(.+?)(?=\n|$|\d+%)/gi;
-  const percentageMatches = [...cleaned.matchAll(percentagePattern)];
-  
-  if (percentageMatches.length > 0) {
-    const recommendations = percentageMatches.slice(0, 5).map((match, index) => {
-      const percentage = match[1].trim();
-      const text = match[2].trim();
-      // Clean up the text
-      let cleanedText = text.replace(/^[-–]\s*/, '').trim();
-      // Ensure it ends with proper punctuation
-      if (!cleanedText.match(/[.!?]$/)) {
-        cleanedText += '.';
+      const body = line.replace(/^Recommendation\s+\d+:\s*/i, '');
+      const labelled = body.match(/^([A-Za-z ]{3,30})[:–-]\s*(.+)$/);
+      if (labelled) {
+        return toRecommendation(labelled[1], '', labelled[2], CONFIDENCE_LOOSE, formattedData);
       }
-      return `Recommendation ${index + 1} (${percentage}): ${cleanedText}`;
-    }).filter(rec => rec.length > 30 && rec.length < 400);
+      return toRecommendation(topicForText(body, formattedData), '', body, CONFIDENCE_LOOSE, formattedData);
+    });
     
-    if (recommendations.length >= 1) {
-      console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using percentage pattern');
-      return recommendations.join('\n');
-    }
+    console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using pattern 2');
+    return recommendations.slice(0, Recommendations.MAX_RECOMMENDATIONS);
   }
   
-  // NEW: Handle simple sentence-based recommendations (extract meaningful sentences)
-  // Split by periods, newlines, or common separators
+  // Fallback: extract meaningful sentences
+  // Split by periods or newlines
   const sentences = cleaned
     .split(/[.\n]/)
-    .map(s => s.trim())
+    .map(s => s.trim().replace(/^[-–•]\s*/, ''))
     .filter(s => {
       // Filter for meaningful sentences (not too short, not too long, contains actual content)
       return s.length > 30 && 
              s.length < 300 && 
-             !s.match(/^(Recommendation|Example|Note|Tip)/i) &&
+             !s.match(/^(Recommendation|Example|Note|Tip|###)/i) &&
              !s.match(/^\d+%$/); // Not just a percentage
     });
   
   if (sentences.length > 0) {
-    const recommendations = sentences.slice(0, 5).map((sentence, index) => {
-      // Clean up the sentence
-      let cleaned = sentence.trim();
-      // Remove leading dashes/bullets
-      cleaned = cleaned.replace(/^[-–•]\s*/, '');
+    const recommendations = sentences.slice(0, 3).map(sentence => {
       // Ensure proper capitalization
-      if (cleaned.length > 0) {
-        cleaned = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
-      }
-      // Ensure it ends with punctuation
-      if (!cleaned.match(/[.!?]$/)) {
-        cleaned += '.';
-      }
-      return `Recommendation ${index + 1}: ${cleaned}`;
-    }).filter(rec => rec.length > 30 && rec.length < 400);
-    
-    if (recommendations.length >= 1) {
-      console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using sentence extraction');
-      return recommendations.join('\n');
-    }
-  }
-  
-  // Fallback: Try to extract any lines with the format "X – Y. Z" (em dash)
-  const dashPattern = /([A-Z][^–]+)–\s*([^.]+)\.\s*(.+?)(?=\n|$)/g;
-  const dashMatches = [...cleaned.matchAll(dashPattern)];
-  
-  if (dashMatches.length > 0) {
-    const recommendations = dashMatches.slice(0, 3).map((match, index) => {
-      const mainTopic = match[1].trim();
-      const subtopic = match[2].trim();
-      const howToEngage = match[3].trim();
-      return `Recommendation ${index + 1}: ${mainTopic} – ${subtopic}. ${howToEngage}`;
+      const action = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+      return toRecommendation(topicForText(sentence, formattedData), '', action, CONFIDENCE_SENTENCE, formattedData);
     });
     
-    if (recommendations.length >= 1) {
-      console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using dash pattern');
-      return recommendations.join('\n');
-    }
-  }
-  
-  // Last resort: return the cleaned text if it's meaningful, otherwise return error message
-  const finalCleaned = cleaned
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 20 && line.length < 400)
-    .slice(0, 5)
-    .join('\n');
-  
-  if (finalCleaned.length > 30) {
-    console.log('[SmolLM Recommender] Returning cleaned raw text as fallback');
-    return finalCleaned;
+    console.log('[SmolLM Recommender] Parsed', recommendations.length, 'recommendations using sentence extraction');
+    return recommendations;
   }
   
-  console.log('[SmolLM Recommender] Could not parse recommendations, returning error message');
-  return 'Unable to generate specific recommendations. Please try again or use more content data.';
+  console.log('[SmolLM Recommender] Could not parse recommendations');
+  return [];
 }
 
 /**
  * Main function: Generate recommendations using SmolLM-135M
+ * @param {Object} consumptionData - { byTopicCounts, byTopic, samplePostTitle }
+ * @param {Object} config - Optional { temperature, maxTokens } from getLLMConfig (llm_providers.js)
+ * @returns {Promise<Array>} Recommendation objects (see recommendations.js); empty when the output couldn't be parsed
  */
-export async function generateSmolLMRecommendations(consumptionData) {
+export async function generateSmolLMRecommendations(consumptionData, config = {}) {
   // Single-threading: Check if request is in progress
   if (requestInProgress) {
     console.log('[SmolLM Recommender] Request already in progress, queuing...');
     return new Promise((resolve, reject) => {
-      requestQueue.push({ resolve, reject, consumptionData });
+      requestQueue.push({ resolve, reject, consumptionData, config });
     });
   }
   
@@ -513,16 +523,16 @@ export async function generateSmolLMRecommendations(consumptionData) {
     
     // Generate with SmolLM
     console.log('[SmolLM Recommender] Generating with SmolLM-135M...');
-    const rawRecommendations = await generateWithSmolLM(prompt);
+    const rawRecommendations = await generateWithSmolLM(prompt, config);
     
     console.log('[SmolLM Recommender] Received response from SmolLM');
     console.log('[SmolLM Recommender] Raw output length:', rawRecommendations.length);
     
     // Process and clean recommendations
     console.log('[SmolLM Recommender] Processing recommendations...');
-    const recommendations = processRecommendations(rawRecommendations);
+    const recommendations = processRecommendations(rawRecommendations, formattedData);
     
-    console.log('[SmolLM Recommender] Recommendations generated successfully');
+    console.log('[SmolLM Recommender] Recommendations generated successfully:', recommendations.length);
     console.log('[SmolLM Recommender] ========================================');
     
     return recommendations;
@@ -537,7 +547,7 @@ export async function generateSmolLMRecommendations(consumptionData) {
       const next = requestQueue.shift();
       // Process next request after a short delay
       setTimeout(() => {
-        generateSmolLMRecommendations(next.consumptionData)
+        generateSmolLMRecommendations(next.consumptionData, next.config)
           .then(next.resolve)
           .catch(next.reject);
       }, 100);
@@ -0,0 +1,676 @@
+// test/background_messages.test.js
+// End-to-end runs of the background message protocol: messages go in through chrome.runtime.onMessage,
+// day_* records come out of the in-memory chrome.storage.local
+// The clock is mocked so day boundaries can be crossed on demand
+// Run with: npm test
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground } from './helpers/background_env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Local noon, so adding whole days never lands on the wrong date around DST changes
+const START = new Date(2026, 9, 18, 12, 0, 0).getTime();
+const TODAY = '2026-10-18';
+const YESTERDAY = '2026-10-17';
+
+const TRACKING = { enableTracking: true, includeTitles: true };
+const TRACKING_ML = { ...TRACKING, enableML: true };
+
+const RUST_TITLE = 'Why is my Rust build so slow?';
+const TOKIO_TITLE = 'Announcing Tokio 1.40 with a faster scheduler';
+
+function engagement(fields = {}) {
+  return {
+    type: 'engagement_time',
+    deltaMs: 30000,
+    domain: 'reddit.com',
+    contentType: 'text',
+    title: RUST_TITLE,
+    capturedAt: Date.now(),
+    ...fields
+  };
+}
+
+function dayRecord(day, fields = {}) {
+  return {
+    day,
+    byDomain: { 'reddit.com': 120000 },
+    byContentType: { text: 120000 },
+    byTopic: {},
+    byTopicCounts: {},
+    totalMs: 120000,
+    embeddingSamples: [],
+    seenPosts: {},
+    ...fields
+  };
+}
+
+let bg = null;
+
+async function start(storage, options = {}) {
+  bg = await loadBackground({ storage, ...options });
+  return bg;
+}
+
+function advanceDays(days) {
+  mock.timers.setTime(START + days * DAY_MS);
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+});
+
+afterEach(() => {
+  bg?.close();
+  bg = null;
+  mock.timers.reset();
+});
+
+describe('engagement_time', () => {
+  it('ignores engagement while tracking is disabled', async () => {
+    await start({ settings: { enableTracking: false } });
+    const response = await bg.send(engagement());
+    assert.deepEqual(response, { success: false, disabled: true });
+    assert.equal(bg.storage()[`day_${TODAY}`], undefined);
+  });
+
+  it('accumulates time per domain and content type', async () => {
+    await start({ settings: TRACKING });
+    await bg.send(engagement());
+    await bg.send(engagement({ deltaMs: 15000, contentType: 'image' }));
+    await bg.send(engagement({ deltaMs: 45000, domain: 'x.com', title: TOKIO_TITLE }));
+
+    const record = bg.storage()[`day_${TODAY}`];
+    assert.equal(record.day, TODAY);
+    assert.equal(record.totalMs, 90000);
+    assert.deepEqual(record.byDomain, { 'reddit.com': 45000, 'x.com': 45000 });
+    assert.deepEqual(record.byContentType, { text: 75000, image: 15000 });
+    // Without ML there is no topic to count
+    assert.deepEqual(record.byTopicCounts, {});
+    // The first two deltas are the same post back to back, so the timeline merges them
+    assert.deepEqual(bg.storage()[`timeline_${TODAY}`].map(event => event.dwellMs), [45000, 45000]);
+    assert.equal(bg.badge.text, '2');
+  });
+
+  it('drops titles unless includeTitles is on', async () => {
+    await start({ settings: { enableTracking: true, includeTitles: false } });
+    const response = await bg.send(engagement());
+    assert.equal(response.success, true);
+    const events = bg.storage()[`timeline_${TODAY}`];
+    assert.equal(events.length, 1);
+    assert.ok(!JSON.stringify(events).includes(RUST_TITLE));
+  });
+
+  it('drops authors, communities and hashtags with the titles', async () => {
+    await start({ settings: { enableTracking: true, includeTitles: false } });
+    await bg.send(engagement({ author: 'rustacean_42', community: 'r/rust', hashtags: ['rustlang'] }));
+
+    const stored = bg.storage();
+    const record = stored[`day_${TODAY}`];
+    assert.equal(record.totalMs, 30000);
+    for (const mapKey of ['byAuthor', 'byCommunity', 'byHashtag']) {
+      assert.deepEqual(record[mapKey] || {}, {}, mapKey);
+    }
+    assert.ok(!JSON.stringify(stored).includes('rustacean_42'));
+    assert.ok(!JSON.stringify(stored).includes('rustlang'));
+  });
+
+  it('keeps communities and accounts on the title blocklist out of the breakdowns', async () => {
+    await start({ settings: { ...TRACKING, titleBlocklist: ['r/politics'] } });
+    await bg.send(engagement({ title: '', author: 'pundit', community: 'r/politics' }));
+    await bg.send(engagement({ author: 'rustacean_42', community: 'r/rust' }));
+
+    const record = bg.storage()[`day_${TODAY}`];
+    assert.equal(record.totalMs, 60000);
+    assert.deepEqual(record.byCommunity, { 'r/rust': 30000 });
+    assert.deepEqual(record.byAuthor, { rustacean_42: 30000 });
+  });
+
+  it('classifies titles and counts each post once', async () => {
+    await start({ settings: TRACKING_ML });
+    const first = await bg.send(engagement());
+    const second = await bg.send(engagement());
+    const other = await bg.send(engagement({ title: TOKIO_TITLE }));
+
+    assert.equal(first.success, true);
+    assert.ok(first.topic && first.topic !== 'unknown');
+    assert.equal(second.topic, first.topic);
+    assert.equal(second.embeddingHash, first.embeddingHash);
+    assert.notEqual(other.embeddingHash, first.embeddingHash);
+
+    const record = bg.storage()[`day_${TODAY}`];
+    assert.equal(Object.keys(record.seenPosts).length, 2);
+    assert.equal(record.seenPosts[first.embeddingHash].title, RUST_TITLE);
+    // Time keeps adding up for a re-seen post, the post count does not
+    const counts = Object.values(record.byTopicCounts).reduce((sum, count) => sum + count, 0);
+    assert.equal(counts, 2);
+    assert.equal(record.byTopic[first.topic] >= 60000, true);
+    assert.equal(record.totalMs, 90000);
+  });
+
+  it('stores titles under the redaction mode but classifies the original', async () => {
+    const title = 'Ask @janedoe about the new trail map';
+    await start({ settings: { ...TRACKING_ML, titleRedaction: 'pii' } });
+    const response = await bg.send(engagement({ title }));
+    assert.ok(response.topic && response.topic !== 'unknown');
+
+    const stored = bg.storage();
+    const post = stored[`day_${TODAY}`].seenPosts[response.embeddingHash];
+    assert.equal(post.title, 'Ask [handle] about the new trail map');
+    assert.equal(post.topic, response.topic);
+    assert.equal(stored[`timeline_${TODAY}`][0].title, 'Ask [handle] about the new trail map');
+  });
+
+  it('keeps only the hash and topic in hash mode', async () => {
+    const title = 'Ask @janedoe why my #rustlang build is slow';
+    await start({ settings: { ...TRACKING_ML, titleRedaction: 'hash' } });
+    const response = await bg.send(engagement({ title, author: 'janedoe', community: 'r/rust', hashtags: ['rustlang'] }));
+    const stored = bg.storage();
+    const record = stored[`day_${TODAY}`];
+    assert.equal(record.seenPosts[response.embeddingHash].title, null);
+    assert.equal(record.byTopicCounts[response.topic], 1);
+    assert.equal(stored[`timeline_${TODAY}`][0].title, null);
+    assert.deepEqual(record.byCommunity, { 'r/rust': 30000 });
+    const serialized = JSON.stringify(stored);
+    for (const text of [title, 'janedoe', 'rustlang']) {
+      assert.ok(!serialized.includes(text), text);
+    }
+  });
+
+  it('keeps hashtags but not handles in pii mode', async () => {
+    await start({ settings: { ...TRACKING_ML, titleRedaction: 'pii' } });
+    await bg.send(engagement({ title: 'Ask @janedoe why my #rustlang build is slow', author: 'janedoe', hashtags: ['rustlang'] }));
+    const stored = bg.storage();
+    assert.deepEqual(stored[`day_${TODAY}`].byHashtag, { '#rustlang': 30000 });
+    assert.ok(!JSON.stringify(stored).includes('janedoe'));
+  });
+
+  it('skips engagement without a usable title when ML is on', async () => {
+    await start({ settings: TRACKING_ML });
+    const response = await bg.send(engagement({ title: 'Home' }));
+    assert.equal(response.skipped, true);
+    assert.equal(bg.storage()[`day_${TODAY}`], undefined);
+  });
+
+  it('counts time on title-blocked posts as unclassified when ML is on', async () => {
+    await start({ settings: { ...TRACKING_ML, titleBlocklist: ['r/politics'] } });
+    const response = await bg.send(engagement({ title: '', community: 'r/politics' }));
+    assert.equal(response.success, true);
+    assert.notEqual(response.skipped, true);
+
+    const record = bg.storage()[`day_${TODAY}`];
+    assert.equal(record.totalMs, 30000);
+    assert.deepEqual(record.byDomain, { 'reddit.com': 30000 });
+    assert.deepEqual(record.byTopic, {});
+    assert.deepEqual(record.byTopicCounts, {});
+    assert.deepEqual(record.byCommunity || {}, {});
+  });
+});
+
+describe('missing model', () => {
+  it('reports the model as not loaded', async () => {
+    await start({ settings: TRACKING_ML }, { missingFiles: ['dataset/model_weights.json'] });
+    assert.deepEqual(await bg.send({ type: 'check_lr_model' }), { isLoaded: false, modelInfo: null });
+  });
+
+  it('still records time, without a topic', async () => {
+    await start({ settings: TRACKING_ML }, { missingFiles: ['dataset/model_weights.json'] });
+    const response = await bg.send(engagement());
+    assert.equal(response.success, true);
+    assert.equal(response.topic, 'unknown');
+
+    const record = bg.storage()[`day_${TODAY}`];
+    assert.equal(record.totalMs, 30000);
+    assert.deepEqual(record.byTopic, {});
+    assert.deepEqual(record.byTopicCounts, {});
+  });
+
+  it('reports the bundled model as loaded', async () => {
+    await start({ settings: TRACKING_ML });
+    const response = await bg.send({ type: 'check_lr_model' });
+    assert.equal(response.isLoaded, true);
+    assert.equal(response.modelInfo.embeddingDim, 384);
+  });
+});
+
+describe('day rollover', () => {
+  it('starts a new day record after midnight', async () => {
+    await start({ settings: TRACKING });
+    await bg.send(engagement());
+    advanceDays(1);
+    await bg.send(engagement({ deltaMs: 10000 }));
+
+    const stored = bg.storage();
+    assert.equal(stored[`day_${TODAY}`].totalMs, 30000);
+    assert.equal(stored['day_2026-10-19'].totalMs, 10000);
+
+    const today = await bg.send({ type: 'get_today_summary' });
+    assert.equal(today.day, '2026-10-19');
+    assert.equal(today.totalMs, 10000);
+    assert.ok(today.sessionStats);
+    assert.ok(today.dimensionStats);
+
+    const previous = await bg.send({ type: 'get_previous_day_summary' });
+    assert.equal(previous.day, TODAY);
+    assert.equal(previous.totalMs, 30000);
+  });
+
+  it('rolls days outside the retention window into week and month aggregates', async () => {
+    await start({ settings: { ...TRACKING, retentionDays: 7 } });
+    await bg.send(engagement());
+    advanceDays(10);
+
+    const today = await bg.send({ type: 'get_today_summary' });
+    assert.equal(today.day, '2026-10-28');
+    assert.equal(today.totalMs, 0);
+
+    const stored = bg.storage();
+    assert.equal(stored[`day_${TODAY}`], undefined);
+    assert.equal(stored[`timeline_${TODAY}`], undefined);
+    assert.deepEqual(stored['month_2026-10'].days, [TODAY]);
+    assert.equal(stored['month_2026-10'].totalMs, 30000);
+    assert.ok(Object.keys(stored).some(key => key.startsWith('week_')));
+  });
+
+  it('returns null when there is no earlier day', async () => {
+    await start({ settings: TRACKING });
+    await bg.send(engagement());
+    assert.equal(await bg.send({ type: 'get_previous_day_summary' }), null);
+  });
+
+  it('prefers the stored recommendations snapshot for the previous day', async () => {
+    await start({
+      settings: TRACKING,
+      [`day_${YESTERDAY}`]: dayRecord(YESTERDAY),
+      horizon_recommendations_date: '2026-10-16',
+      horizon_recommendations_summary: dayRecord('2026-10-16', { totalMs: 90000 })
+    });
+    const previous = await bg.send({ type: 'get_previous_day_summary' });
+    assert.equal(previous.day, '2026-10-16');
+    assert.equal(previous.totalMs, 90000);
+  });
+});
+
+describe('get_history_range', () => {
+  it('returns one entry per day, oldest first', async () => {
+    await start({ settings: TRACKING, [`day_${YESTERDAY}`]: dayRecord(YESTERDAY) });
+    await bg.send(engagement());
+    const response = await bg.send({ type: 'get_history_range', days: 3 });
+    assert.equal(response.success, true);
+    assert.deepEqual(response.days.map(day => [day.day, day.totalMs, day.hasData]), [
+      ['2026-10-16', 0, false],
+      [YESTERDAY, 120000, true],
+      [TODAY, 30000, true]
+    ]);
+    assert.equal(response.retentionDays, 30);
+  });
+
+  it('reports the retention window the popup caps its ranges at', async () => {
+    await start({ settings: { ...TRACKING, retentionDays: 7 } });
+    assert.equal((await bg.send({ type: 'get_history_range', days: 14 })).retentionDays, 7);
+  });
+});
+
+describe('clear_today_data', () => {
+  it('removes today only', async () => {
+    await start({ settings: TRACKING, [`day_${YESTERDAY}`]: dayRecord(YESTERDAY) });
+    await bg.send(engagement());
+    assert.deepEqual(await bg.send({ type: 'clear_today_data' }), { success: true, day: TODAY });
+
+    const stored = bg.storage();
+    assert.equal(stored[`day_${TODAY}`], undefined);
+    assert.equal(stored[`timeline_${TODAY}`], undefined);
+    assert.ok(stored[`day_${YESTERDAY}`]);
+    assert.ok(stored.settings);
+    assert.equal(bg.badge.text, '');
+  });
+});
+
+describe('generate_recommendations_for_data', () => {
+  const request = (data, date = YESTERDAY) => ({ type: 'generate_recommendations_for_data', data, date });
+
+  it('needs data and a date', async () => {
+    await start({ settings: { ...TRACKING, enableRecommendations: true } });
+    assert.deepEqual(await bg.send(request(null)), { success: false, error: 'Missing data or date' });
+  });
+
+  it('does nothing while recommendations are disabled', async () => {
+    await start({ settings: TRACKING });
+    assert.deepEqual(await bg.send(request(dayRecord(YESTERDAY))), { success: false, error: 'Recommendations are disabled' });
+  });
+
+  it('needs at least a minute of data', async () => {
+    await start({ settings: { ...TRACKING, enableRecommendations: true } });
+    const response = await bg.send(request(dayRecord(YESTERDAY, { totalMs: 30000 })));
+    assert.deepEqual(response, { success: false, error: 'Not enough consumption data' });
+  });
+
+  it('marks the day as processed when no model can generate text', async () => {
+    await start({ settings: { ...TRACKING, enableRecommendations: true } });
+    const response = await bg.send(request(dayRecord(YESTERDAY)));
+    assert.equal(response.success, false);
+    const stored = bg.storage();
+    assert.equal(stored.lastRecommendationDay, YESTERDAY);
+    assert.equal(stored.horizon_recommendations, undefined);
+  });
+
+  it('stores the typed recommendations from an OpenAI JSON reply', async () => {
+    const recommendation = {
+      topic: 'Technology',
+      subtopic: 'Systems programming',
+      rationale: 'Most of your posts were about Rust.',
+      action: 'Work through a chapter of a Rust book.',
+      confidence: 0.9
+    };
+    await start({ settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai' }, llm_api_key: 'sk-test' });
+    globalThis.fetch = async () => new Response(JSON.stringify({
+      choices: [{ message: { content: JSON.stringify({ recommendations: [recommendation] }) } }]
+    }), { status: 200 });
+
+    const response = await bg.send(request(dayRecord(YESTERDAY, { byTopicCounts: { technology: 3 } })));
+    assert.deepEqual(response, { success: true, recommendations: [recommendation] });
+    const stored = bg.storage();
+    assert.deepEqual(stored.horizon_recommendations, [recommendation]);
+    assert.equal(stored.horizon_recommendations_date, YESTERDAY);
+  });
+
+  it('archives every generated set with its provider and input', async () => {
+    const first = { topic: 'Technology', subtopic: 'Rust', rationale: '', action: 'Read the Rust book.', confidence: 0.9 };
+    const second = { topic: 'Science', subtopic: 'Astronomy', rationale: '', action: 'Join a stargazing night.', confidence: 0.6 };
+    await start({
+      settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai' },
+      llm_api_key: 'sk-test',
+      recommendation_history: [{ id: 'old', date: '2026-10-10', generatedAt: 1, provider: 'smollm', recommendations: [] }]
+    });
+    const replies = [first, second];
+    globalThis.fetch = async () => new Response(JSON.stringify({
+      choices: [{ message: { content: JSON.stringify({ recommendations: [replies.shift()] }) } }]
+    }), { status: 200 });
+
+    await bg.send(request(dayRecord(YESTERDAY, { byTopicCounts: { technology: 3 } })));
+    await bg.send(request(dayRecord(YESTERDAY, { byTopicCounts: { technology: 1, science: 4 } })));
+
+    const history = bg.storage().recommendation_history;
+    assert.deepEqual(history.map(entry => entry.id), ['old', `${YESTERDAY}_${START}`, `${YESTERDAY}_${START}_1`]);
+    const [, entry, latest] = history;
+    assert.equal(entry.date, YESTERDAY);
+    assert.equal(entry.provider, 'openai');
+    assert.equal(entry.model, 'gpt-4o-mini');
+    assert.equal(entry.fallbackFrom, null);
+    assert.deepEqual(entry.input, { totalMs: 120000, posts: 3, byTopicCounts: { technology: 3 }, byTopic: {}, byDomain: { 'reddit.com': 120000 } });
+    assert.deepEqual(entry.recommendations, [first]);
+    assert.deepEqual(latest.recommendations, [second]);
+    assert.ok(!JSON.stringify(history).includes(RUST_TITLE));
+  });
+
+  it('leaves out topics the user asked not to be suggested', async () => {
+    const technology = { topic: 'Technology', subtopic: 'Rust', rationale: '', action: 'Read the Rust book.', confidence: 0.9 };
+    const politics = { topic: 'Politics', subtopic: 'Elections', rationale: '', action: 'Read a policy brief.', confidence: 0.7 };
+    await start({
+      settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai', blockedRecommendationTopics: ['politics'] },
+      llm_api_key: 'sk-test',
+      recommendation_feedback: { votes: [{ key: 'x', topic: 'Technology', subtopic: 'Rust', vote: 'helpful', at: START }] }
+    });
+    let prompt = '';
+    globalThis.fetch = async (url, options) => {
+      prompt = JSON.parse(options.body).messages[1].content;
+      return new Response(JSON.stringify({
+        choices: [{ message: { content: JSON.stringify({ recommendations: [politics, technology] }) } }]
+      }), { status: 200 });
+    };
+
+    const response = await bg.send(request(dayRecord(YESTERDAY, { byTopicCounts: { technology: 3 } })));
+    assert.deepEqual(response.recommendations, [technology]);
+    assert.match(prompt, /Found helpful: Technology – Rust/);
+    assert.match(prompt, /Never suggest these topics: politics/);
+  });
+
+  it('ranks topics voted not helpful below the others', async () => {
+    const sports = { topic: 'Sports', subtopic: 'Basketball', rationale: '', action: 'Watch a game.', confidence: 0.9 };
+    const science = { topic: 'Science', subtopic: 'Astronomy', rationale: '', action: 'Join a stargazing night.', confidence: 0.6 };
+    await start({
+      settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai' },
+      llm_api_key: 'sk-test',
+      recommendation_feedback: { votes: [{ key: 'x', topic: 'Sports', subtopic: 'Basketball', vote: 'not_helpful', at: START }] }
+    });
+    globalThis.fetch = async () => new Response(JSON.stringify({
+      choices: [{ message: { content: JSON.stringify({ recommendations: [sports, science] }) } }]
+    }), { status: 200 });
+
+    const response = await bg.send(request(dayRecord(YESTERDAY, { byTopicCounts: { technology: 3 } })));
+    assert.deepEqual(response.recommendations, [science, sports]);
+    assert.deepEqual(bg.storage().horizon_recommendations, [science, sports]);
+  });
+});
+
+describe('end-of-day job', () => {
+  const ALARM = 'horizon_daily_job';
+  // The job ran for yesterday already, so startup doesn't catch up
+  const RAN_FOR_YESTERDAY = { lastRun: { reason: 'alarm', day: YESTERDAY, status: 'ok', steps: {} } };
+  const TOMORROW_0030 = new Date(2026, 9, 19, 0, 30).getTime();
+
+  it('catches up on startup when its time passed while the browser was closed', async () => {
+    await start({
+      settings: TRACKING,
+      [`day_${YESTERDAY}`]: dayRecord(YESTERDAY, { doomscroll: { current: { domain: 'reddit.com' }, streaks: [], totalMs: 0 } })
+    });
+
+    const stored = bg.storage();
+    const record = stored[`day_${YESTERDAY}`];
+    assert.equal(record.finalizedAt, START);
+    assert.equal(record.doomscroll.current, null);
+    assert.equal(record.totalMs, 120000);
+    const { lastRun, nextRunAt } = stored.daily_job_status;
+    assert.equal(lastRun.reason, 'catch-up');
+    assert.equal(lastRun.day, YESTERDAY);
+    assert.equal(lastRun.status, 'ok');
+    assert.deepEqual(lastRun.steps, { finalize: 'finalized', recommendations: 'disabled', digest: 'off', rollup: 0 });
+    assert.equal(nextRunAt, TOMORROW_0030);
+    assert.equal(bg.alarms.get(ALARM).scheduledTime, TOMORROW_0030);
+  });
+
+  it('only schedules the alarm when yesterday was already processed', async () => {
+    await start({ settings: TRACKING, daily_job_status: RAN_FOR_YESTERDAY, [`day_${YESTERDAY}`]: dayRecord(YESTERDAY) });
+    assert.equal(bg.storage()[`day_${YESTERDAY}`].finalizedAt, undefined);
+    assert.equal(bg.alarms.get(ALARM).scheduledTime, TOMORROW_0030);
+    assert.equal(bg.storage().daily_job_status.lastRun.reason, 'alarm');
+  });
+
+  it('generates the finished day\'s recommendations when the alarm fires', async () => {
+    const recommendation = { topic: 'Technology', subtopic: 'Rust', rationale: '', action: 'Read the Rust book.', confidence: 0.9 };
+    await start({
+      settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai', dailyJobTime: '06:15' },
+      llm_api_key: 'sk-test',
+      daily_job_status: RAN_FOR_YESTERDAY,
+      [`day_${TODAY}`]: dayRecord(TODAY, { byTopicCounts: { technology: 3 } })
+    });
+    globalThis.fetch = async () => new Response(JSON.stringify({
+      choices: [{ message: { content: JSON.stringify({ recommendations: [recommendation] }) } }]
+    }), { status: 200 });
+
+    advanceDays(1);
+    mock.timers.setTime(new Date(2026, 9, 19, 6, 15).getTime());
+    await bg.fireAlarm(ALARM);
+
+    const stored = bg.storage();
+    assert.deepEqual(stored.horizon_recommendations, [recommendation]);
+    assert.equal(stored.horizon_recommendations_date, TODAY);
+    assert.ok(stored[`day_${TODAY}`].finalizedAt);
+    const { lastRun, nextRunAt } = stored.daily_job_status;
+    assert.equal(lastRun.reason, 'alarm');
+    assert.equal(lastRun.day, TODAY);
+    assert.deepEqual(lastRun.steps, { finalize: 'finalized', recommendations: 'generated', digest: 'off', rollup: 0 });
+    assert.equal(nextRunAt, new Date(2026, 9, 20, 6, 15).getTime());
+  });
+
+  it('leaves the day\'s recommendations to the job until its time, then catches up from the popup', async () => {
+    const recommendation = { topic: 'Technology', subtopic: 'Rust', rationale: '', action: 'Read the Rust book.', confidence: 0.9 };
+    await start({
+      settings: { ...TRACKING, enableRecommendations: true, recommendationLLM: 'openai', dailyJobTime: '06:15' },
+      llm_api_key: 'sk-test',
+      daily_job_status: RAN_FOR_YESTERDAY,
+      [`day_${TODAY}`]: dayRecord(TODAY, { byTopicCounts: { technology: 3 } })
+    });
+    let requests = 0;
+    globalThis.fetch = async () => {
+      requests++;
+      return new Response(JSON.stringify({
+        choices: [{ message: { content: JSON.stringify({ recommendations: [recommendation] }) } }]
+      }), { status: 200 });
+    };
+
+    // After midnight but before the job's time: opening the popup doesn't generate anything
+    mock.timers.setTime(new Date(2026, 9, 19, 1, 0).getTime());
+    await bg.send({ type: 'get_today_summary' });
+    assert.equal(requests, 0);
+    assert.equal(bg.storage().horizon_recommendations, undefined);
+    // The periodic jobs don't either
+    for (const { fn } of bg.intervals) {
+      await fn();
+    }
+    assert.equal(requests, 0);
+
+    // Past the job's time without the alarm having fired: the popup runs the missed job
+    mock.timers.setTime(new Date(2026, 9, 19, 7, 0).getTime());
+    await bg.send({ type: 'get_today_summary' });
+    const stored = bg.storage();
+    assert.equal(requests, 1);
+    assert.deepEqual(stored.horizon_recommendations, [recommendation]);
+    assert.ok(stored[`day_${TODAY}`].finalizedAt);
+    assert.equal(stored.daily_job_status.lastRun.reason, 'catch-up');
+    assert.equal(stored.daily_job_status.lastRun.day, TODAY);
+    assert.equal(stored.daily_job_status.lastRun.steps.recommendations, 'generated');
+  });
+
+  it('moves the alarm when the time is changed and runs on request', async () => {
+    await start({ settings: TRACKING, daily_job_status: RAN_FOR_YESTERDAY });
+    await bg.chrome.storage.local.set({ settings: { ...TRACKING, dailyJobTime: '23:45' } });
+    // The storage listener reschedules asynchronously
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(bg.alarms.get(ALARM).scheduledTime, new Date(2026, 9, 18, 23, 45).getTime());
+
+    const response = await bg.send({ type: 'run_daily_job' });
+    assert.equal(response.success, true);
+    assert.equal(response.run.reason, 'manual');
+    assert.equal(response.run.steps.finalize, 'no_data');
+  });
+});
+
+describe('notification digest', () => {
+  const SPACE = { topic: 'Science', subtopic: 'Space exploration', rationale: '', action: 'Listen to a podcast about recent missions.', confidence: 0.8 };
+
+  it('sends the finished day with its first recommendation, and opens the popup on click', async () => {
+    await start({
+      settings: { ...TRACKING, digestFrequency: 'daily' },
+      [`day_${YESTERDAY}`]: dayRecord(YESTERDAY, {
+        byDomain: { 'www.reddit.com': 4200000, 'x.com': 1800000 },
+        byTopic: { science: 3000000, sports: 3000000 },
+        totalMs: 6000000
+      }),
+      horizon_recommendations: [SPACE],
+      horizon_recommendations_date: YESTERDAY
+    });
+
+    assert.equal(bg.storage().daily_job_status.lastRun.steps.digest, 'sent');
+    assert.deepEqual(bg.sent.notifications, [{
+      id: 'horizon_digest',
+      options: {
+        type: 'basic',
+        iconUrl: 'HorizonIcon128.png',
+        title: 'Horizon: your day (Sat, Oct 17)',
+        message: '1h 40m on social media, most on reddit.com (1h 10m).\n' +
+          'Top topic: science · diversity 100/100\n' +
+          'Try: Science – Space exploration. Listen to a podcast about recent missions.'
+      }
+    }]);
+
+    for (const listener of bg.chrome.notifications.onClicked.listeners) {
+      await listener('horizon_digest');
+    }
+    assert.equal(bg.sent.popups, 1);
+  });
+
+  it('waits for the end of the week and leaves out older recommendations', async () => {
+    await start({
+      settings: { ...TRACKING, digestFrequency: 'weekly' },
+      [`day_${YESTERDAY}`]: dayRecord(YESTERDAY),
+      horizon_recommendations: [SPACE],
+      horizon_recommendations_date: '2026-10-10'
+    });
+    // Saturday: not the end of the week yet
+    assert.equal(bg.storage().daily_job_status.lastRun.steps.digest, 'not_due');
+
+    advanceDays(1);
+    await bg.send({ type: 'run_daily_job' });
+    assert.equal(bg.storage().daily_job_status.lastRun.steps.digest, 'sent');
+    const [{ options }] = bg.sent.notifications;
+    assert.equal(options.title, 'Horizon: your week (Oct 12 – Oct 18)');
+    assert.equal(options.message, '2 min on social media, most on reddit.com (2 min).');
+  });
+});
+
+describe('encrypted storage', () => {
+  const PASSPHRASE = 'correct horse battery';
+
+  it('stores the day record encrypted and still summarizes it', async () => {
+    await start({ settings: TRACKING });
+    await globalThis.HorizonCryptoStore.enable(PASSPHRASE);
+    await bg.send(engagement());
+
+    const stored = bg.storage();
+    assert.ok(globalThis.HorizonCryptoStore.isEncryptedBlob(stored[`day_${TODAY}`]));
+    assert.ok(!JSON.stringify(stored).includes(RUST_TITLE));
+    const today = await bg.send({ type: 'get_today_summary' });
+    assert.equal(today.totalMs, 30000);
+    assert.equal((await bg.send({ type: 'get_timeline' })).events.length, 1);
+  });
+
+  it('keeps the week and month rollups of expired days encrypted', async () => {
+    await start({ settings: { ...TRACKING, retentionDays: 7 } });
+    await globalThis.HorizonCryptoStore.enable(PASSPHRASE);
+    await bg.send(engagement({ author: 'rustacean_42', community: 'r/rust' }));
+    advanceDays(10);
+    await bg.send({ type: 'get_today_summary' });
+
+    const stored = bg.storage();
+    assert.equal(stored[`day_${TODAY}`], undefined);
+    const rollupKeys = Object.keys(stored).filter(key => key.startsWith('week_') || key.startsWith('month_'));
+    assert.equal(rollupKeys.length, 2);
+    for (const key of rollupKeys) {
+      assert.ok(globalThis.HorizonCryptoStore.isEncryptedBlob(stored[key]), key);
+    }
+    assert.ok(!JSON.stringify(stored).includes('rustacean_42'));
+    const { 'month_2026-10': month } = await globalThis.HorizonCryptoStore.get(['month_2026-10']);
+    assert.equal(month.totalMs, 30000);
+    assert.deepEqual(month.byAuthor, { rustacean_42: 30000 });
+  });
+
+  it('records nothing while locked', async () => {
+    await start({ settings: TRACKING });
+    await globalThis.HorizonCryptoStore.enable(PASSPHRASE);
+    await bg.send(engagement());
+    await globalThis.HorizonCryptoStore.lock();
+
+    assert.deepEqual(await bg.send(engagement()), { success: false, locked: true });
+    assert.equal((await bg.send({ type: 'get_today_summary' })).totalMs, 0);
+
+    await globalThis.HorizonCryptoStore.unlock(PASSPHRASE);
+    assert.equal((await bg.send({ type: 'get_today_summary' })).totalMs, 30000);
+  });
+
+  it('leaves the day-end check for later while locked', async () => {
+    await start({ settings: { ...TRACKING, enableRecommendations: true } });
+    await globalThis.HorizonCryptoStore.enable(PASSPHRASE);
+    await bg.send(engagement());
+    await globalThis.HorizonCryptoStore.lock();
+    advanceDays(1);
+
+    // Unlocked, today's record would be found (too short) and the day marked as done
+    await bg.send({ type: 'get_today_summary' });
+    assert.equal(bg.storage().lastRecommendationDay, YESTERDAY);
+    await globalThis.HorizonCryptoStore.unlock(PASSPHRASE);
+    await bg.send({ type: 'get_today_summary' });
+    assert.equal(bg.storage().lastRecommendationDay, TODAY);
+  });
+});
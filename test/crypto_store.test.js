@@ -0,0 +1,120 @@
+// test/crypto_store.test.js
+// Passphrase encryption of stored tracking data, against the in-memory chrome.storage
+// Run with: npm test
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChrome } from './helpers/chrome_shim.js';
+import '../crypto_store.js';
+
+const store = globalThis.HorizonCryptoStore;
+const PASSPHRASE = 'correct horse battery';
+const TITLE = 'Why is my Rust build so slow?';
+
+const STORED = {
+  settings: { enableTracking: true },
+  'day_2026-10-17': { day: '2026-10-17', totalMs: 60000, seenPosts: { abc: { topic: 'technology', title: TITLE } } },
+  'timeline_2026-10-17': [{ domain: 'reddit.com', title: TITLE, dwellMs: 60000 }],
+  'week_2026-W42': { totalMs: 60000 },
+  horizon_recommendations: 'Read something about gardening.'
+};
+
+let shim = null;
+let savedChrome = null;
+
+function raw() {
+  return shim.chrome.storage.local.dump();
+}
+
+beforeEach(() => {
+  savedChrome = globalThis.chrome;
+  shim = createChrome({ storage: STORED });
+  globalThis.chrome = shim.chrome;
+});
+
+afterEach(() => {
+  globalThis.chrome = savedChrome;
+});
+
+describe('without a passphrase', () => {
+  it('stores and reads everything as is', async () => {
+    assert.deepEqual(await store.getStatus(), { enabled: false, unlocked: true });
+    await store.set({ 'day_2026-10-18': { totalMs: 1000 } });
+    assert.deepEqual(raw()['day_2026-10-18'], { totalMs: 1000 });
+    assert.deepEqual(await store.get(['day_2026-10-17']), { 'day_2026-10-17': STORED['day_2026-10-17'] });
+  });
+
+  it('needs a passphrase of at least 8 characters', async () => {
+    await assert.rejects(store.enable('short'), /at least 8 characters/);
+    assert.equal(raw().crypto_meta, undefined);
+  });
+});
+
+describe('with a passphrase', () => {
+  beforeEach(async () => {
+    assert.equal(await store.enable(PASSPHRASE), 4);
+  });
+
+  it('encrypts day records, timelines, rollups and recommendations only', async () => {
+    const stored = raw();
+    for (const key of ['day_2026-10-17', 'timeline_2026-10-17', 'week_2026-W42', 'horizon_recommendations']) {
+      assert.ok(store.isEncryptedBlob(stored[key]), key);
+    }
+    assert.deepEqual(stored.settings, STORED.settings);
+    assert.ok(!JSON.stringify(stored).includes(TITLE));
+    assert.deepEqual(await store.getStatus(), { enabled: true, unlocked: true });
+  });
+
+  it('decrypts on read and encrypts on write while unlocked', async () => {
+    assert.deepEqual(await store.get(null), { ...STORED, crypto_meta: raw().crypto_meta });
+    await store.set({ 'day_2026-10-18': { totalMs: 1000 }, lastRecommendationDay: '2026-10-17' });
+    assert.ok(store.isEncryptedBlob(raw()['day_2026-10-18']));
+    assert.equal(raw().lastRecommendationDay, '2026-10-17');
+    assert.deepEqual((await store.get('day_2026-10-18'))['day_2026-10-18'], { totalMs: 1000 });
+  });
+
+  it('hides encrypted data and refuses writes while locked', async () => {
+    await store.lock();
+    assert.equal(await store.isLocked(), true);
+    assert.deepEqual(await store.get(['settings', 'day_2026-10-17']), { settings: STORED.settings });
+    await assert.rejects(store.set({ 'day_2026-10-18': { totalMs: 1000 } }), error => error.locked === true);
+    await store.set({ lastRecommendationDay: '2026-10-17' });
+
+    await assert.rejects(store.unlock('wrong horse battery'), /Wrong passphrase/);
+    await store.unlock(PASSPHRASE);
+    assert.equal((await store.get(['day_2026-10-17']))['day_2026-10-17'].totalMs, 60000);
+  });
+
+  it('re-encrypts under a new passphrase', async () => {
+    const before = raw()['day_2026-10-17'];
+    await assert.rejects(store.changePassphrase('wrong horse battery', 'staple gun battery'), /Wrong passphrase/);
+    await store.changePassphrase(PASSPHRASE, 'staple gun battery');
+    assert.notDeepEqual(raw()['day_2026-10-17'], before);
+
+    await store.lock();
+    await assert.rejects(store.unlock(PASSPHRASE), /Wrong passphrase/);
+    await store.unlock('staple gun battery');
+    assert.deepEqual(await store.get(['timeline_2026-10-17']), { 'timeline_2026-10-17': STORED['timeline_2026-10-17'] });
+  });
+
+  it('stores everything decrypted again when turned off', async () => {
+    await store.lock();
+    assert.equal(await store.disable(PASSPHRASE), 4);
+    assert.deepEqual(raw(), STORED);
+    assert.deepEqual(await store.getStatus(), { enabled: false, unlocked: true });
+  });
+
+  it('exports files that open with the passphrase, even after it changes', async () => {
+    const exported = { format: 'horizon-export', days: [{ day: '2026-10-17' }] };
+    const envelope = await store.encryptExport(exported);
+    assert.equal(store.isEncryptedExport(envelope), true);
+    assert.ok(!JSON.stringify(envelope).includes('2026-10-17'));
+
+    await store.changePassphrase(PASSPHRASE, 'staple gun battery');
+    await assert.rejects(store.decryptExport(envelope, 'staple gun battery'), /Wrong passphrase/);
+    assert.deepEqual(await store.decryptExport(envelope, PASSPHRASE), exported);
+
+    await store.lock();
+    await assert.rejects(store.encryptExport(exported), error => error.locked === true);
+  });
+});
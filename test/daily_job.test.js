@@ -0,0 +1,50 @@
+// test/daily_job.test.js
+// End-of-day job schedule: the chosen time, the next run, missed runs and finalizing a day record
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJobTime, getDailyJobTime, getNextRunTime, isDailyJobDue, finalizeDayRecord } from '../daily_job.js';
+
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+describe('job time', () => {
+  it('reads HH:MM and falls back to the default', () => {
+    assert.deepEqual(parseJobTime('7:05'), { hours: 7, minutes: 5 });
+    assert.equal(parseJobTime('24:00'), null);
+    assert.equal(parseJobTime('noon'), null);
+    assert.equal(getDailyJobTime({ dailyJobTime: '7:05' }), '07:05');
+    assert.equal(getDailyJobTime({ dailyJobTime: '25:00' }), '00:30');
+    assert.equal(getDailyJobTime(undefined), '00:30');
+  });
+
+  it('runs today while the time is ahead, otherwise tomorrow', () => {
+    assert.equal(getNextRunTime('18:00', at(18, 12)), at(18, 18));
+    assert.equal(getNextRunTime('12:00', at(18, 12)), at(19, 12));
+    assert.equal(getNextRunTime('00:30', at(31, 23)), new Date(2026, 10, 1, 0, 30).getTime());
+  });
+});
+
+describe('isDailyJobDue', () => {
+  it('is due once the time has passed without a run for yesterday', () => {
+    assert.equal(isDailyJobDue(undefined, '06:00', '2026-10-17', at(18, 5)), false);
+    assert.equal(isDailyJobDue(undefined, '06:00', '2026-10-17', at(18, 7)), true);
+    assert.equal(isDailyJobDue({ lastRun: { day: '2026-10-16', status: 'ok' } }, '06:00', '2026-10-17', at(18, 7)), true);
+    assert.equal(isDailyJobDue({ lastRun: { day: '2026-10-17', status: 'error' } }, '06:00', '2026-10-17', at(18, 7)), false);
+  });
+
+  it('retries a run skipped while the data was locked', () => {
+    assert.equal(isDailyJobDue({ lastRun: { day: '2026-10-17', status: 'skipped' } }, '06:00', '2026-10-17', at(18, 7)), true);
+  });
+});
+
+describe('finalizeDayRecord', () => {
+  it('fills in missing aggregates and ends an open doomscroll streak', () => {
+    const record = finalizeDayRecord({ totalMs: 5000, doomscroll: { current: { domain: 'x.com' }, streaks: [], totalMs: 0 } }, '2026-10-17', 42);
+    assert.equal(record.day, '2026-10-17');
+    assert.equal(record.totalMs, 5000);
+    assert.deepEqual(record.byTopicCounts, {});
+    assert.equal(record.doomscroll.current, null);
+    assert.equal(record.finalizedAt, 42);
+  });
+});
@@ -0,0 +1,76 @@
+// test/digest.test.js
+// Notification digest: which days it covers, adding them up, the diversity score and the message
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDigestFrequency,
+  getDigestDays,
+  getDigestWeekKey,
+  combineDigestRecords,
+  diversityScore,
+  buildDigest
+} from '../digest.js';
+
+describe('getDigestDays', () => {
+  it('covers the finished day, or the Monday-Sunday week once Sunday is over', () => {
+    assert.deepEqual(getDigestDays('daily', '2026-10-17'), ['2026-10-17']);
+    assert.deepEqual(getDigestDays('weekly', '2026-10-17'), []);
+    const week = getDigestDays('weekly', '2026-11-01');
+    assert.deepEqual(week, ['2026-10-26', '2026-10-27', '2026-10-28', '2026-10-29', '2026-10-30', '2026-10-31', '2026-11-01']);
+    assert.equal(getDigestWeekKey(week), 'week_2026-W44');
+    assert.equal(getDigestDays('off', '2026-10-17').length, 0);
+  });
+
+  it('is off unless chosen', () => {
+    assert.equal(getDigestFrequency({}), 'off');
+    assert.equal(getDigestFrequency({ digestFrequency: 'hourly' }), 'off');
+    assert.equal(getDigestFrequency({ digestFrequency: 'weekly' }), 'weekly');
+  });
+});
+
+describe('combineDigestRecords', () => {
+  it('adds day records to the rolled-up week without counting a day twice', () => {
+    const week = { days: ['2026-10-12'], byDomain: { 'reddit.com': 1000 }, byTopic: { science: 1000 }, totalMs: 1000 };
+    const combined = combineDigestRecords([
+      { day: '2026-10-12', byDomain: { 'reddit.com': 1000 }, totalMs: 1000 },
+      { day: '2026-10-13', byDomain: { 'x.com': 3000 }, byTopic: { sports: 3000 }, totalMs: 3000 },
+      undefined
+    ], week);
+    assert.equal(combined.totalMs, 4000);
+    assert.deepEqual(combined.byDomain, { 'reddit.com': 1000, 'x.com': 3000 });
+    assert.deepEqual(combined.byTopic, { science: 1000, sports: 3000 });
+    assert.deepEqual(combined.days, ['2026-10-12', '2026-10-13']);
+    // The stored aggregate is left as it was
+    assert.deepEqual(week.days, ['2026-10-12']);
+  });
+});
+
+describe('diversityScore', () => {
+  it('runs from 0 for one topic to 100 for an even spread', () => {
+    assert.equal(diversityScore({}), null);
+    assert.equal(diversityScore({ science: 5000 }), 0);
+    assert.equal(diversityScore({ science: 5000, sports: 5000, health: 5000 }), 100);
+    assert.equal(diversityScore({ science: 9000, sports: 1000 }), 47);
+  });
+});
+
+describe('buildDigest', () => {
+  const summary = { byDomain: { 'reddit.com': 1500000 }, byTopic: {}, byTopicCounts: { technology: 4, science: 2 }, totalMs: 1500000 };
+
+  it('falls back to post counts for the topics and shortens long recommendations', () => {
+    const digest = buildDigest({ frequency: 'daily', days: ['2026-10-17'], summary, recommendation: 'Read '.repeat(40) });
+    const lines = digest.message.split('\n');
+    assert.equal(lines[0], '25 min on social media, most on reddit.com (25 min).');
+    assert.equal(lines[1], 'Top topic: technology · diversity 92/100');
+    assert.ok(lines[2].startsWith('Try: Read Read'));
+    assert.ok(lines[2].endsWith('…'));
+    assert.equal(lines[2].length, 'Try: '.length + 120);
+    assert.equal(digest.topDomain, 'reddit.com');
+  });
+
+  it('sends nothing for a day without tracked time', () => {
+    assert.equal(buildDigest({ frequency: 'daily', days: ['2026-10-17'], summary: { ...summary, totalMs: 0 } }), null);
+  });
+});
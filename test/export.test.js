@@ -0,0 +1,50 @@
+// test/export.test.js
+// The per-post CSV export: quoting, and cells a spreadsheet would otherwise run as formulas
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport, buildPostsCsv, CSV_COLUMNS } from '../export.js';
+
+function exportWithTitles(titles) {
+  const seenPosts = Object.fromEntries(titles.map((title, index) => [
+    `h${index}`,
+    { topic: 'technology', firstSeen: Date.UTC(2026, 9, 17, 12), title }
+  ]));
+  return buildExport({
+    settings: { includeTitles: true },
+    'day_2026-10-17': { day: '2026-10-17', totalMs: 60000, byDomain: {}, byTopic: {}, seenPosts }
+  }, { includeTitles: true });
+}
+
+// The title is the last column and the only one that can hold commas
+function titleCells(csv) {
+  return csv.trimEnd().split('\r\n').slice(1).map(row => row.split(',').slice(CSV_COLUMNS.length - 1).join(','));
+}
+
+describe('buildPostsCsv', () => {
+  it('writes a header and one row per post', () => {
+    const csv = buildPostsCsv(exportWithTitles(['Why is my Rust build so slow?']));
+    const rows = csv.trimEnd().split('\r\n');
+    assert.equal(rows[0], CSV_COLUMNS.join(','));
+    assert.equal(rows[1], '2026-10-17,h0,technology,,2026-10-17T12:00:00.000Z,Why is my Rust build so slow?');
+  });
+
+  it('quotes titles with commas, quotes and line breaks', () => {
+    const csv = buildPostsCsv(exportWithTitles(['Rust, Go and "Zig"']));
+    assert.ok(csv.includes(',"Rust, Go and ""Zig"""\r\n'));
+  });
+
+  it('keeps titles that start like a formula from running as one', () => {
+    const titles = ['=HYPERLINK("http://example.com","click")', '+1 for this', '-2 points', '@janedoe said', '\tindented', '\rreturn'];
+    const cells = titleCells(buildPostsCsv(exportWithTitles(titles)));
+    assert.deepEqual(cells, [
+      '"\'=HYPERLINK(""http://example.com"",""click"")"',
+      '"\'+1 for this"',
+      '"\'-2 points"',
+      '"\'@janedoe said"',
+      '"\'\tindented"',
+      '"\'\rreturn"'
+    ]);
+  });
+});
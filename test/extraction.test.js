@@ -0,0 +1,194 @@
+// test/extraction.test.js
+// Title, page type and skip decisions for saved Reddit, X and Instagram pages
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, CONTENT_SCRIPTS } from './helpers/content_env.js';
+
+const REDDIT_POST_URL = 'https://www.reddit.com/r/rust/comments/1d2x3y4/why_is_my_rust_build_so_slow/';
+
+// Run fn against a fixture with the platform scripts loaded, closing the window afterwards
+async function withPage(fixture, url, fn, options) {
+  const page = await loadPage(fixture, url, options);
+  try {
+    return await fn(page);
+  } finally {
+    page.close();
+  }
+}
+
+describe('Reddit title helpers', () => {
+  it('treats taglines, sections and subreddit names as generic', async () => {
+    await withPage('reddit-new-post.html', REDDIT_POST_URL, ({ adapter }) => {
+      for (const title of ['Reddit - The heart of the internet', 'reddit: dive into anything', 'Home', 'popular', 'r/rust', '', null]) {
+        assert.equal(adapter.isGenericTitle(title), true, `expected "${title}" to be generic`);
+      }
+      assert.equal(adapter.isGenericTitle('Why is my Rust build so slow?'), false);
+    });
+  });
+
+  it('reads post titles from the URL slug', async () => {
+    await withPage('reddit-new-post.html', REDDIT_POST_URL, ({ adapter }) => {
+      const title = url => adapter.extractTitleFromUrl(new URL(url));
+      assert.equal(title(REDDIT_POST_URL), 'why is my rust build so slow');
+      assert.equal(title('https://www.reddit.com/r/rust/comments/1d2x3y4/caf%C3%A9_crab_meetup_notes/'), 'café crab meetup notes');
+      // Feeds, bare post IDs and other sites have no slug title
+      assert.equal(title('https://www.reddit.com/r/rust/'), '');
+      assert.equal(title('https://www.reddit.com/r/rust/comments/1d2x3y4/'), '');
+      assert.equal(title('https://example.com/r/rust/comments/1d2x3y4/why_is_my_rust_build_so_slow/'), '');
+    });
+  });
+
+  it('skips comment permalinks', async () => {
+    await withPage('reddit-new-post.html', REDDIT_POST_URL, ({ adapter, window }) => {
+      const permalink = new URL('https://www.reddit.com/r/rust/comments/1d2x3y4/why_is_my_rust_build_so_slow/lk2a9b0_comment_id/');
+      assert.equal(adapter.extractTitleFromUrl(permalink), '');
+      assert.equal(adapter.extractTitle(window.document, permalink), '');
+    });
+  });
+});
+
+describe('Reddit pages', () => {
+  it('uses the URL slug on new Reddit post pages', async () => {
+    await withPage('reddit-new-post.html', REDDIT_POST_URL, ({ adapter, window }) => {
+      assert.equal(adapter.id, 'reddit');
+      assert.equal(adapter.getPageType(window.location), 'post');
+      assert.equal(adapter.extractTitle(window.document, window.location), 'why is my rust build so slow');
+      assert.equal(adapter.extractAuthor(window.document, window.location), 'u/ferris_fan');
+      assert.equal(adapter.extractCommunity(window.document, window.location), 'r/rust');
+    });
+  });
+
+  it('falls back to the post title element, not the header or comments, without a slug', async () => {
+    await withPage('reddit-new-post.html', 'https://www.reddit.com/r/rust/comments/1d2x3y4/', ({ adapter, window }) => {
+      assert.equal(adapter.extractTitle(window.document, window.location), 'Why is my Rust build so slow?');
+    });
+  });
+
+  it('strips the subreddit suffix from og:title on old Reddit', async () => {
+    await withPage('reddit-old-post.html', 'https://old.reddit.com/r/AskHistorians/comments/1c9k2m3/', ({ adapter, window }) => {
+      assert.equal(adapter.getPageType(window.location), 'post');
+      assert.equal(adapter.extractTitle(window.document, window.location), 'How did medieval sailors navigate at night?');
+      assert.equal(adapter.extractAuthor(window.document, window.location), 'u/sextant_nerd');
+    });
+  });
+
+  it('extracts no page title on a subreddit feed but reads each post card', async () => {
+    await withPage('reddit-community-feed.html', 'https://www.reddit.com/r/rust/', ({ adapter, window }) => {
+      assert.equal(adapter.getPageType(window.location), 'community');
+      assert.equal(adapter.extractTitle(window.document, window.location), '');
+
+      const cards = [...window.document.querySelectorAll(adapter.feedItemSelector)];
+      const items = cards.map(card => adapter.extractFeedItem(card));
+      assert.equal(items.length, 3);
+      // Spread into a Node object: jsdom objects have the window's Object prototype
+      assert.deepEqual({ ...items[0] }, {
+        key: '/r/rust/comments/1d2x3y4/why_is_my_rust_build_so_slow/',
+        title: 'Why is my Rust build so slow?',
+        author: 'u/ferris_fan',
+        community: 'r/rust'
+      });
+      // No post-title attribute: the full-post link text is used
+      assert.equal(items[1].title, 'Announcing Tokio 1.40');
+      // Generic titles are dropped
+      assert.equal(items[2], null);
+    });
+  });
+});
+
+describe('X pages', () => {
+  const TWEET_URL = 'https://x.com/janedoe/status/1790012345678901234';
+
+  it('uses og:title without the site suffix on post pages', async () => {
+    await withPage('x-tweet.html', TWEET_URL, ({ adapter, window }) => {
+      assert.equal(adapter.id, 'twitter');
+      assert.equal(adapter.getPageType(window.location), 'post');
+      assert.equal(adapter.extractTitle(window.document, window.location),
+        'Jane Doe on X: "Shipped the new trail map today. 40 km of routes, all offline."');
+      assert.equal(adapter.extractAuthor(window.document, window.location), '@janedoe');
+      assert.equal(adapter.shouldSkipPage(window.location), false);
+    });
+  });
+
+  it('falls back to the focused tweet text when the meta tags are missing', async () => {
+    await withPage('x-tweet.html', TWEET_URL, ({ adapter, window }) => {
+      window.document.querySelector('meta[property="og:title"]').remove();
+      assert.equal(adapter.extractTitle(window.document, window.location),
+        'Shipped the new trail map today. 40 km of routes, all offline.');
+    });
+  });
+
+  it('skips the home timeline as a page and tracks its tweets instead', async () => {
+    await withPage('x-home.html', 'https://x.com/home', ({ adapter, window }) => {
+      assert.equal(adapter.getPageType(window.location), 'feed');
+      assert.equal(adapter.extractTitle(window.document, window.location), '');
+      assert.equal(adapter.shouldSkipPage(window.location), true);
+
+      const items = [...window.document.querySelectorAll(adapter.feedItemSelector)].map(el => adapter.extractFeedItem(el));
+      assert.deepEqual(items.map(item => item && item.author), ['@janedoe', '@newsdesk', null]);
+      assert.equal(items[1].key, '/newsdesk/status/1790012355555555555');
+      // Too short to classify
+      assert.equal(items[2], null);
+    });
+  });
+});
+
+describe('Instagram pages', () => {
+  it('uses the caption on post pages and ignores UI text', async () => {
+    await withPage('instagram-post.html', 'https://www.instagram.com/p/C6xYzAbCdEf/', ({ adapter, window }) => {
+      assert.equal(adapter.id, 'instagram');
+      assert.equal(adapter.getPageType(window.location), 'post');
+      assert.equal(adapter.extractTitle(window.document, window.location),
+        'Sunrise over the Dolomites after a 4am start. Worth every step. #dolomites #hiking');
+      assert.equal(adapter.extractAuthor(window.document, window.location), '@lena.park');
+      assert.equal(adapter.shouldSkipPage(window.location), false);
+    });
+  });
+
+  it('skips the home feed as a page and reads captions from its posts', async () => {
+    await withPage('instagram-home.html', 'https://www.instagram.com/', ({ adapter, window }) => {
+      assert.equal(adapter.getPageType(window.location), 'feed');
+      assert.equal(adapter.extractTitle(window.document, window.location), '');
+      assert.equal(adapter.shouldSkipPage(window.location), true);
+
+      const items = [...window.document.querySelectorAll(adapter.feedItemSelector)].map(el => adapter.extractFeedItem(el));
+      assert.equal(items[0].title, 'Sunrise over the Dolomites after a 4am start. Worth every step.');
+      assert.equal(items[0].key, '/p/C6xYzAbCdEf/');
+      assert.equal(items[0].author, '@lena.park');
+      assert.equal(items[1], null);
+    });
+  });
+});
+
+describe('content_script.js', () => {
+  // The selector debug message reports what extractPostTitle and the skip check see on the live page
+  const cases = [
+    ['reddit-new-post.html', REDDIT_POST_URL, { platform: 'reddit', pageType: 'post', skipPage: false, title: 'why is my rust build so slow' }],
+    ['x-tweet.html', 'https://x.com/janedoe/status/1790012345678901234', { platform: 'twitter', pageType: 'post', skipPage: false, title: 'Jane Doe on X: "Shipped the new trail map today. 40 km of routes, all offline."' }],
+    ['x-home.html', 'https://x.com/home', { platform: 'twitter', pageType: 'feed', skipPage: true, title: '' }],
+    ['instagram-home.html', 'https://www.instagram.com/', { platform: 'instagram', pageType: 'feed', skipPage: true, title: '' }]
+  ];
+
+  for (const [fixture, url, expected] of cases) {
+    it(`reports title and skip decision for ${fixture}`, async () => {
+      await withPage(fixture, url, async ({ send }) => {
+        const report = await send({ type: 'horizon_selector_debug' });
+        assert.equal(report.platform, expected.platform);
+        assert.equal(report.pageType, expected.pageType);
+        assert.equal(report.skipPage, expected.skipPage);
+        assert.equal(report.extracted.title, expected.title);
+        assert.equal(report.version, 1);
+      }, { scripts: CONTENT_SCRIPTS });
+    });
+  }
+
+  it('names the rule that matched each field', async () => {
+    await withPage('reddit-new-post.html', 'https://www.reddit.com/r/rust/comments/1d2x3y4/', async ({ send }) => {
+      const report = await send({ type: 'horizon_selector_debug' });
+      const winner = report.fields.title.find(rule => rule.accepted);
+      assert.equal(winner.id, 'reddit-title-slot');
+      assert.equal(winner.value, 'Why is my Rust build so slow?');
+    }, { scripts: CONTENT_SCRIPTS });
+  });
+});
@@ -0,0 +1,74 @@
+// test/helpers/background_env.js
+// Boots background.js under Node against the in-memory chrome shim, for driving its message protocol
+// transformers.js is swapped for a stub by loader_hooks.js (no WASM, no network)
+
+import { register } from 'node:module';
+import { createChrome } from './chrome_shim.js';
+
+register('./loader_hooks.js', import.meta.url);
+
+// background.js finishes startup by scheduling these periodic jobs (badge, cleanup)
+const STARTUP_INTERVALS = 2;
+const STARTUP_TIMEOUT_MS = 5000;
+
+let instance = 0;
+
+/**
+ * Load a fresh copy of background.js
+ * @param {Object} options - { storage: initial chrome.storage.local contents, missingFiles: extension paths to 404 (e.g. the model) }
+ * @returns {Promise<Object>} { chrome, send(message, sender), storage(), intervals, badge, sent, alarms, fireAlarm(name), close() }
+ */
+export async function loadBackground({ storage = {}, missingFiles = [] } = {}) {
+  const shim = createChrome({ storage, missingFiles });
+  const saved = {
+    chrome: globalThis.chrome,
+    fetch: globalThis.fetch,
+    setInterval: globalThis.setInterval,
+    console: { log: console.log, warn: console.warn, error: console.error }
+  };
+
+  globalThis.chrome = shim.chrome;
+  globalThis.fetch = shim.fetch;
+  // Record the periodic jobs instead of scheduling them, so the test process can exit
+  const intervals = [];
+  globalThis.setInterval = (fn, ms) => {
+    intervals.push({ fn, ms });
+    return intervals.length;
+  };
+  // Keep the [Horizon] logging out of the test output
+  console.log = console.warn = console.error = () => {};
+
+  function close() {
+    globalThis.chrome = saved.chrome;
+    globalThis.fetch = saved.fetch;
+    globalThis.setInterval = saved.setInterval;
+    Object.assign(console, saved.console);
+  }
+
+  try {
+    // A new query string gives a new module record, so each test starts with empty module state
+    await import(`../../background.js?instance=${++instance}`);
+    const started = performance.now();
+    while (intervals.length < STARTUP_INTERVALS) {
+      if (performance.now() - started > STARTUP_TIMEOUT_MS) {
+        throw new Error('background.js did not finish starting up');
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  } catch (error) {
+    close();
+    throw error;
+  }
+
+  return {
+    chrome: shim.chrome,
+    send: shim.dispatch,
+    storage: () => shim.chrome.storage.local.dump(),
+    intervals,
+    badge: shim.badge,
+    sent: shim.sent,
+    alarms: shim.alarms,
+    fireAlarm: shim.fireAlarm,
+    close
+  };
+}
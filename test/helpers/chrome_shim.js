@@ -0,0 +1,218 @@
+// test/helpers/chrome_shim.js
+// In-memory chrome.* API for running extension code under Node
+// Storage values are JSON-cloned like chrome.storage, and writes are reported to storage.onChanged listeners
+// Extension files are served from the repo root through the shim's fetch
+
+import { readFile } from 'node:fs/promises';
+
+export const EXTENSION_ORIGIN = 'chrome-extension://horizon-test/';
+
+const ROOT = new URL('../../', import.meta.url);
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+// Promise when no callback is given, callback (on a later microtask) otherwise - like the real API
+function settle(value, callback) {
+  if (typeof callback === 'function') {
+    queueMicrotask(() => callback(value));
+    return undefined;
+  }
+  return Promise.resolve(value);
+}
+
+function createStorageArea(areaName, initial, onChanged) {
+  const data = new Map(Object.entries(clone(initial) || {}));
+
+  function notify(changes) {
+    if (Object.keys(changes).length === 0) return;
+    for (const listener of onChanged.listeners) {
+      listener(clone(changes), areaName);
+    }
+  }
+
+  function remove(keys, callback) {
+    const changes = {};
+    for (const key of [].concat(keys)) {
+      if (data.has(key)) {
+        changes[key] = { oldValue: clone(data.get(key)) };
+        data.delete(key);
+      }
+    }
+    notify(changes);
+    return settle(undefined, callback);
+  }
+
+  return {
+    get(keys, callback) {
+      const result = {};
+      if (keys === null || keys === undefined) {
+        for (const [key, value] of data) result[key] = clone(value);
+      } else if (typeof keys === 'string' || Array.isArray(keys)) {
+        for (const key of [].concat(keys)) {
+          if (data.has(key)) result[key] = clone(data.get(key));
+        }
+      } else {
+        // { key: defaultValue } form
+        for (const [key, fallback] of Object.entries(keys)) {
+          result[key] = data.has(key) ? clone(data.get(key)) : fallback;
+        }
+      }
+      return settle(result, callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: clone(data.get(key)), newValue: clone(value) };
+        data.set(key, clone(value));
+      }
+      notify(changes);
+      return settle(undefined, callback);
+    },
+    remove,
+    clear(callback) {
+      return remove([...data.keys()], callback);
+    },
+    // Test helper: plain copy of everything stored
+    dump: () => Object.fromEntries([...data].map(([key, value]) => [key, clone(value)]))
+  };
+}
+
+/**
+ * Build a chrome.* shim plus the test-side handles for it
+ * @param {Object} options - { storage: initial chrome.storage.local contents, missingFiles: extension paths fetch should 404 }
+ * @returns {Object} { chrome, fetch, dispatch(message, sender), sent, badge, alarms, fireAlarm(name) }
+ */
+export function createChrome({ storage = {}, missingFiles = [] } = {}) {
+  const onChanged = createEvent();
+  const sent = { runtime: [], tabs: [], notifications: [], popups: 0, openedTabs: [] };
+  const badge = { text: '', color: null };
+  const registeredScripts = [];
+  const alarms = new Map();
+
+  const chrome = {
+    runtime: {
+      id: 'horizon-test',
+      lastError: undefined,
+      getURL: path => EXTENSION_ORIGIN + String(path).replace(/^\//, ''),
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      sendMessage: (message, callback) => {
+        sent.runtime.push(clone(message));
+        return settle(undefined, callback);
+      }
+    },
+    storage: {
+      local: createStorageArea('local', storage, onChanged),
+      session: createStorageArea('session', {}, onChanged),
+      onChanged
+    },
+    action: {
+      setBadgeText: async ({ text }) => { badge.text = text; },
+      setBadgeBackgroundColor: async ({ color }) => { badge.color = color; },
+      openPopup: async () => { sent.popups++; }
+    },
+    tabs: {
+      query: async () => [],
+      sendMessage: async (tabId, message) => { sent.tabs.push({ tabId, message: clone(message) }); },
+      create: async ({ url }) => { sent.openedTabs.push(url); }
+    },
+    alarms: {
+      create: async (name, info = {}) => {
+        alarms.set(name, { name, scheduledTime: info.when ?? Date.now() + (info.delayInMinutes || 0) * 60000, periodInMinutes: info.periodInMinutes });
+      },
+      get: async name => clone(alarms.get(name)),
+      getAll: async () => clone([...alarms.values()]),
+      clear: async name => alarms.delete(name),
+      onAlarm: createEvent()
+    },
+    notifications: {
+      create: async (id, options) => {
+        sent.notifications.push({ id, options: clone(options) });
+        return id;
+      },
+      clear: async () => true,
+      onClicked: createEvent()
+    },
+    permissions: {
+      contains: async () => true,
+      request: async () => true,
+      remove: async () => true
+    },
+    scripting: {
+      getRegisteredContentScripts: async ({ ids } = {}) =>
+        registeredScripts.filter(script => !ids || ids.includes(script.id)),
+      registerContentScripts: async scripts => { registeredScripts.push(...clone(scripts)); },
+      unregisterContentScripts: async ({ ids } = {}) => {
+        for (let i = registeredScripts.length - 1; i >= 0; i--) {
+          if (!ids || ids.includes(registeredScripts[i].id)) registeredScripts.splice(i, 1);
+        }
+      }
+    }
+  };
+
+  // Extension URLs come from disk; everything else is offline
+  async function fetch(resource) {
+    const url = String(resource instanceof URL ? resource.href : resource?.url ?? resource);
+    if (!url.startsWith(EXTENSION_ORIGIN)) {
+      throw new TypeError(`Network access is disabled in tests: ${url}`);
+    }
+    const path = url.slice(EXTENSION_ORIGIN.length).split(/[?#]/)[0];
+    if (missingFiles.includes(path)) {
+      return new Response('Not Found', { status: 404, statusText: 'Not Found' });
+    }
+    try {
+      return new Response(await readFile(new URL(path, ROOT)), { status: 200 });
+    } catch (error) {
+      return new Response('Not Found', { status: 404, statusText: 'Not Found' });
+    }
+  }
+
+  /**
+   * Deliver a runtime message to every onMessage listener, as chrome.runtime.sendMessage would
+   * Resolves with the first sendResponse value, or undefined when no listener keeps the channel open
+   */
+  function dispatch(message, sender = {}) {
+    return new Promise(resolve => {
+      let responded = false;
+      const sendResponse = response => {
+        if (!responded) {
+          responded = true;
+          resolve(clone(response));
+        }
+      };
+      let keepOpen = false;
+      for (const listener of chrome.runtime.onMessage.listeners) {
+        keepOpen = listener(clone(message), sender, sendResponse) === true || keepOpen;
+      }
+      if (!keepOpen && !responded) {
+        resolve(undefined);
+      }
+    });
+  }
+
+  /**
+   * Fire an alarm as chrome would when it is due; resolves once the listeners have finished
+   */
+  async function fireAlarm(name) {
+    const alarm = alarms.get(name) || { name, scheduledTime: Date.now() };
+    alarms.delete(name);
+    await Promise.all(chrome.alarms.onAlarm.listeners.map(listener => listener(clone(alarm))));
+  }
+
+  return { chrome, fetch, dispatch, sent, badge, registeredScripts, alarms, fireAlarm };
+}
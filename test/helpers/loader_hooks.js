@@ -0,0 +1,16 @@
+// test/helpers/loader_hooks.js
+// Module resolution hooks (see node:module register) that swap in stubs for files the tests can't load:
+// the browser build of transformers.js (needs WASM and model downloads)
+
+const STUBS = [
+  [/\/libs\/transformers\/dist\/transformers\.min\.js$/, './stubs/transformers.js']
+];
+
+export async function resolve(specifier, context, nextResolve) {
+  for (const [pattern, stub] of STUBS) {
+    if (pattern.test(specifier)) {
+      return { url: new URL(stub, import.meta.url).href, shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
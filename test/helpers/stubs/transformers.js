@@ -0,0 +1,37 @@
+// test/helpers/stubs/transformers.js
+// Stand-in for libs/transformers/dist/transformers.min.js
+// feature-extraction pipelines return a deterministic 384-dimension vector per text (same text, same vector),
+// so classification and duplicate detection behave consistently without the real model
+
+import { createHash } from 'node:crypto';
+
+export const EMBEDDING_DIM = 384;
+
+export const env = {
+  backends: {},
+  paths: {},
+  allowRemoteModels: false,
+  useBrowserCache: false
+};
+
+export function fakeEmbedding(text) {
+  const vector = new Float32Array(EMBEDDING_DIM);
+  let block = Buffer.alloc(0);
+  for (let i = 0; i < EMBEDDING_DIM; i++) {
+    if (i % 32 === 0) {
+      block = createHash('sha256').update(`${text}:${i}`).digest();
+    }
+    vector[i] = block[i % 32] / 255 - 0.5;
+  }
+  const norm = Math.hypot(...vector);
+  return vector.map(value => value / norm);
+}
+
+export async function pipeline(task) {
+  if (task !== 'feature-extraction') {
+    throw new Error(`The transformers.js test stub has no ${task} pipeline`);
+  }
+  const pipe = async text => ({ data: fakeEmbedding(String(text)), dims: [1, EMBEDDING_DIM] });
+  pipe.device = 'stub';
+  return pipe;
+}
@@ -0,0 +1,125 @@
+// test/import_merge.test.js
+// Merging exports into stored history: new and other-device days add up, a device's history is only counted once
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport } from '../export.js';
+import { IMPORTS_KEY, INSTALL_ID_KEY, mergeExport, recordExport, getInstallId } from '../import_merge.js';
+
+function dayRecord(day, hashes, fields = {}) {
+  return {
+    day,
+    byDomain: { 'reddit.com': 60000 },
+    byContentType: { text: 60000 },
+    byTopic: { technology: 60000 },
+    byTopicCounts: { technology: hashes.length },
+    byAuthor: { rustacean_42: 60000 },
+    totalMs: 60000,
+    embeddingSamples: [],
+    seenPosts: Object.fromEntries(hashes.map(hash => [hash, { topic: 'technology', firstSeen: 1, title: null }])),
+    ...fields
+  };
+}
+
+const STORED = {
+  settings: { enableTracking: true },
+  [INSTALL_ID_KEY]: 'this-browser',
+  'day_2026-10-16': dayRecord('2026-10-16', ['a1', 'a2']),
+  'day_2026-10-17': dayRecord('2026-10-17', ['b1'])
+};
+
+describe('mergeExport', () => {
+  it('adds the totals of new days and of days tracked elsewhere', () => {
+    const other = buildExport({
+      'day_2026-10-17': dayRecord('2026-10-17', ['c1']),
+      'day_2026-10-18': dayRecord('2026-10-18', ['c2'])
+    }, { deviceId: 'laptop' });
+    const { alreadyImported, updates, summary } = mergeExport(STORED, other);
+
+    assert.equal(alreadyImported, false);
+    assert.deepEqual(summary, { daysAdded: 1, daysMerged: 1, daysOverlapping: 0, postsAdded: 2, rollupsMerged: 0, rollupsSkipped: 0 });
+    assert.equal(updates['day_2026-10-17'].totalMs, 120000);
+    assert.deepEqual(updates['day_2026-10-17'].byAuthor, { rustacean_42: 120000 });
+    assert.deepEqual(updates['day_2026-10-17'].byTopicCounts, { technology: 2 });
+    assert.deepEqual(updates['day_2026-10-17'].importedFrom, ['laptop']);
+    assert.equal(updates['day_2026-10-18'].totalMs, 60000);
+    assert.deepEqual(updates[IMPORTS_KEY], [other.exportId]);
+  });
+
+  it('adds the time of days without posts (topic classification off)', () => {
+    const other = buildExport({ 'day_2026-10-17': dayRecord('2026-10-17', []) }, { deviceId: 'laptop' });
+    const { updates, summary } = mergeExport(STORED, other);
+    assert.equal(summary.daysMerged, 1);
+    assert.equal(updates['day_2026-10-17'].totalMs, 120000);
+    assert.deepEqual(updates['day_2026-10-17'].byDomain, { 'reddit.com': 120000 });
+  });
+
+  it('adds a day from another browser that saw some of the same posts', () => {
+    const other = buildExport({ 'day_2026-10-17': dayRecord('2026-10-17', ['b1', 'c1']) }, { deviceId: 'laptop' });
+    const { updates, summary } = mergeExport(STORED, other);
+    assert.equal(summary.daysOverlapping, 0);
+    assert.equal(summary.postsAdded, 1);
+    assert.equal(updates['day_2026-10-17'].totalMs, 120000);
+  });
+
+  it('doesn\'t count a device\'s days twice when two of its exports overlap', () => {
+    const first = buildExport({ 'day_2026-10-18': dayRecord('2026-10-18', ['c1']) }, { deviceId: 'laptop' });
+    const second = buildExport({
+      'day_2026-10-18': dayRecord('2026-10-18', ['c1', 'c2'], { totalMs: 90000, byDomain: { 'reddit.com': 90000 } }),
+      'day_2026-10-19': dayRecord('2026-10-19', ['d1'])
+    }, { deviceId: 'laptop' });
+
+    const afterFirst = { ...STORED, ...mergeExport(STORED, first).updates };
+    const { updates, summary } = mergeExport(afterFirst, second);
+
+    assert.equal(summary.daysOverlapping, 1);
+    assert.equal(summary.daysAdded, 1);
+    assert.equal(summary.postsAdded, 2);
+    const day = updates['day_2026-10-18'];
+    assert.equal(day.totalMs, 60000);
+    assert.deepEqual(day.byDomain, { 'reddit.com': 60000 });
+    assert.deepEqual(day.byAuthor, { rustacean_42: 60000 });
+    // The post the first export didn't have is still added
+    assert.deepEqual(Object.keys(day.seenPosts).sort(), ['c1', 'c2']);
+    assert.deepEqual(day.byTopicCounts, { technology: 2 });
+    assert.deepEqual(updates[IMPORTS_KEY], [first.exportId, second.exportId]);
+  });
+
+  it('only adds new posts from another export of this browser', () => {
+    const exported = buildExport({ 'day_2026-10-17': dayRecord('2026-10-17', ['b1', 'b2']) }, { deviceId: 'this-browser' });
+    const { updates, summary } = mergeExport(STORED, exported);
+    assert.equal(summary.daysOverlapping, 1);
+    assert.equal(summary.postsAdded, 1);
+    assert.equal(updates['day_2026-10-17'].totalMs, 60000);
+    assert.equal(updates['day_2026-10-17'].importedFrom, undefined);
+  });
+
+  it('adds the totals of exports without a deviceId', () => {
+    const exported = buildExport({ 'day_2026-10-17': dayRecord('2026-10-17', ['b1']) });
+    assert.equal(exported.deviceId, undefined);
+    assert.equal(mergeExport(STORED, exported).updates['day_2026-10-17'].totalMs, 120000);
+  });
+});
+
+describe('recordExport', () => {
+  it('makes an export of this browser a no-op to import back', () => {
+    const exported = buildExport(STORED, { deviceId: getInstallId(STORED) });
+    assert.equal(exported.deviceId, 'this-browser');
+    const stored = { ...STORED, ...recordExport(STORED, exported) };
+    assert.deepEqual(stored[IMPORTS_KEY], [exported.exportId]);
+    assert.deepEqual(recordExport(stored, exported)[IMPORTS_KEY], [exported.exportId]);
+
+    const { alreadyImported, updates } = mergeExport(stored, exported);
+    assert.equal(alreadyImported, true);
+    assert.deepEqual(updates, {});
+  });
+
+  it('keeps the install id of the first export', () => {
+    const fresh = { settings: {} };
+    const installId = getInstallId(fresh);
+    assert.ok(installId);
+    const exported = buildExport(fresh, { deviceId: installId });
+    assert.equal(recordExport(fresh, exported)[INSTALL_ID_KEY], installId);
+  });
+});
@@ -0,0 +1,160 @@
+// test/llm_providers.test.js
+// Provider settings, the API key store and the chat completions client (fetch is faked)
+// Run with: npm test
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChrome } from './helpers/chrome_shim.js';
+import {
+  getLLMConfig,
+  normalizeBaseUrl,
+  baseUrlOrigin,
+  maskApiKey,
+  getApiKey,
+  setApiKey,
+  requestChatCompletion,
+  testLLMConnection
+} from '../llm_providers.js';
+
+const MESSAGES = [{ role: 'user', content: 'Suggest something' }];
+
+let saved = null;
+let requests = [];
+
+// Answer every fetch with the given status and JSON body, recording the requests
+function fakeFetch(status, body) {
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, headers: options.headers || {}, body: options.body ? JSON.parse(options.body) : null });
+    return new Response(JSON.stringify(body), { status, statusText: status === 200 ? 'OK' : 'Error' });
+  };
+}
+
+beforeEach(() => {
+  saved = { chrome: globalThis.chrome, fetch: globalThis.fetch };
+  globalThis.chrome = createChrome().chrome;
+  requests = [];
+});
+
+afterEach(() => {
+  globalThis.chrome = saved.chrome;
+  globalThis.fetch = saved.fetch;
+});
+
+describe('getLLMConfig', () => {
+  it('defaults to SmolLM with its short completions', () => {
+    const config = getLLMConfig({});
+    assert.equal(config.provider, 'smollm');
+    assert.equal(config.local, true);
+    assert.equal(config.maxTokens, 150);
+    assert.equal(config.temperature, 0.8);
+  });
+
+  it('reads the old chatgpt choice as OpenAI', () => {
+    const config = getLLMConfig({ recommendationLLM: 'chatgpt' });
+    assert.equal(config.provider, 'openai');
+    assert.equal(config.model, 'gpt-4o-mini');
+    assert.equal(config.baseUrl, 'https://api.openai.com/v1');
+    assert.equal(config.needsKey, true);
+  });
+
+  it('uses the saved server, model and limits, within range', () => {
+    const config = getLLMConfig({
+      recommendationLLM: 'openai_compatible',
+      llmBaseUrl: 'localhost:8080/v1/',
+      llmModel: ' llama3.1:8b ',
+      llmTemperature: 5,
+      llmMaxTokens: 100000
+    });
+    assert.equal(config.baseUrl, 'http://localhost:8080/v1');
+    assert.equal(config.model, 'llama3.1:8b');
+    assert.equal(config.temperature, 2);
+    assert.equal(config.maxTokens, 4096);
+    assert.equal(config.needsKey, false);
+    assert.equal(getLLMConfig({ recommendationLLM: 'openai_compatible' }).baseUrl, 'http://localhost:11434/v1');
+  });
+
+  it('falls back to the default provider for unknown ids', () => {
+    assert.equal(getLLMConfig({ recommendationLLM: 'gpt-7' }).provider, 'smollm');
+  });
+});
+
+describe('base URLs and keys', () => {
+  it('normalizes server addresses', () => {
+    assert.equal(normalizeBaseUrl('https://llm.example.org/v1/'), 'https://llm.example.org/v1');
+    assert.equal(normalizeBaseUrl('ftp://example.org'), '');
+    assert.equal(normalizeBaseUrl('not a url'), '');
+    assert.equal(baseUrlOrigin('127.0.0.1:8080/v1'), 'http://127.0.0.1:8080/*');
+  });
+
+  it('masks all but the start and end of a key', () => {
+    assert.equal(maskApiKey('sk-proj-abcdefghijklmnop1234'), 'sk-proj…1234');
+    assert.equal(maskApiKey('short'), '•••••');
+    assert.equal(maskApiKey(''), '');
+  });
+
+  it('stores the key outside settings and removes it when emptied', async () => {
+    assert.equal(await getApiKey(), '');
+    await setApiKey('  sk-test-key-123456  ');
+    assert.equal(await getApiKey(), 'sk-test-key-123456');
+    assert.deepEqual(chrome.storage.local.dump(), { llm_api_key: 'sk-test-key-123456' });
+    await setApiKey('');
+    assert.deepEqual(chrome.storage.local.dump(), {});
+  });
+});
+
+describe('requestChatCompletion', () => {
+  it('explains a missing OpenAI key without calling the API', async () => {
+    fakeFetch(200, {});
+    await assert.rejects(requestChatCompletion(getLLMConfig({ recommendationLLM: 'openai' }), MESSAGES, ''), error => {
+      return error.missingKey === true && /No OpenAI API key set/.test(error.message);
+    });
+    assert.equal(requests.length, 0);
+  });
+
+  it('sends the model, temperature and token limit', async () => {
+    fakeFetch(200, { choices: [{ message: { content: '  Try birdwatching.  ' } }] });
+    const config = getLLMConfig({ recommendationLLM: 'openai', llmTemperature: 0.2, llmMaxTokens: 300 });
+    assert.equal(await requestChatCompletion(config, MESSAGES, 'sk-test'), 'Try birdwatching.');
+    assert.equal(requests[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(requests[0].headers.Authorization, 'Bearer sk-test');
+    assert.deepEqual(requests[0].body, { model: 'gpt-4o-mini', messages: MESSAGES, temperature: 0.2, max_tokens: 300 });
+  });
+
+  it('talks to a compatible server without a key', async () => {
+    fakeFetch(200, { choices: [{ message: { content: 'Read about tides.' } }] });
+    const config = getLLMConfig({ recommendationLLM: 'openai_compatible', llmModel: 'qwen2.5' });
+    assert.equal(await requestChatCompletion(config, MESSAGES, ''), 'Read about tides.');
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(requests[0].headers.Authorization, undefined);
+  });
+
+  it('needs a model name for a compatible server', async () => {
+    await assert.rejects(requestChatCompletion(getLLMConfig({ recommendationLLM: 'openai_compatible' }), MESSAGES, ''), /No model set/);
+  });
+
+  it('passes on the API error message', async () => {
+    fakeFetch(429, { error: { message: 'Rate limit reached' } });
+    await assert.rejects(requestChatCompletion(getLLMConfig({ recommendationLLM: 'openai' }), MESSAGES, 'sk-test'), /429 Error\. Rate limit reached/);
+  });
+});
+
+describe('testLLMConnection', () => {
+  const openai = getLLMConfig({ recommendationLLM: 'openai' });
+
+  it('reports a rejected key', async () => {
+    fakeFetch(401, {});
+    assert.deepEqual(await testLLMConnection(openai, 'sk-bad'), { ok: false, message: 'OpenAI rejected the key (401).' });
+    assert.equal(requests[0].url, 'https://api.openai.com/v1/models');
+  });
+
+  it('checks that the model is listed', async () => {
+    fakeFetch(200, { data: [{ id: 'gpt-4o-mini' }, { id: 'gpt-4o' }] });
+    assert.deepEqual(await testLLMConnection(openai, 'sk-test'), { ok: true, message: 'Connected to OpenAI (2 models available).' });
+    const other = getLLMConfig({ recommendationLLM: 'openai', llmModel: 'gpt-9' });
+    assert.match((await testLLMConnection(other, 'sk-test')).message, /doesn't list the model "gpt-9"/);
+  });
+
+  it('has nothing to test for SmolLM', async () => {
+    assert.equal((await testLLMConnection(getLLMConfig({}), '')).ok, true);
+  });
+});
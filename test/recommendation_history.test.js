@@ -0,0 +1,107 @@
+// test/recommendation_history.test.js
+// Archive entries for generated recommendation sets: building, capping, searching and comparing them
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_HISTORY_ENTRIES,
+  createHistoryEntry,
+  appendHistoryEntry,
+  getProviderLabel,
+  searchHistory,
+  compareHistoryEntries
+} from '../recommendation_history.js';
+import { getLLMConfig } from '../llm_providers.js';
+
+const SPACE = { topic: 'Science', subtopic: 'Space exploration', rationale: 'Science was a third of your posts.', action: 'Listen to a podcast about recent missions.', confidence: 0.8 };
+const BASKETBALL = { topic: 'Sports', subtopic: 'Basketball analytics', rationale: '', action: 'Follow a sports analysis blog.', confidence: 0.6 };
+const GARDENING = { topic: 'Hobbies', subtopic: 'Gardening', rationale: '', action: 'Plant something on your balcony.', confidence: 0.4 };
+
+const DAY = {
+  day: '2026-10-17',
+  totalMs: 3600000,
+  byDomain: { 'reddit.com': 3000000, 'x.com': 600000 },
+  byTopic: { science: 2400000, sports: 1200000 },
+  byTopicCounts: { science: 12, sports: 4 },
+  seenPosts: { abc: { title: 'Webb finds water on a distant planet', topic: 'science' } }
+};
+
+function entry(date, recommendations, provider = 'openai', generatedAt = Date.parse(`${date}T20:00:00Z`)) {
+  return createHistoryEntry({ date, config: getLLMConfig({ recommendationLLM: provider }), data: DAY, recommendations, generatedAt });
+}
+
+describe('createHistoryEntry', () => {
+  it('keeps the provider and a title-free summary of the input', () => {
+    const result = createHistoryEntry({
+      date: '2026-10-17',
+      config: getLLMConfig({ recommendationLLM: 'smollm' }),
+      fallbackFrom: 'openai',
+      data: DAY,
+      recommendations: [SPACE],
+      generatedAt: 1000
+    });
+    assert.deepEqual(result, {
+      id: '2026-10-17_1000',
+      date: '2026-10-17',
+      generatedAt: 1000,
+      provider: 'smollm',
+      model: 'SmolLM-135M',
+      fallbackFrom: 'openai',
+      input: {
+        totalMs: 3600000,
+        posts: 16,
+        byTopicCounts: { science: 12, sports: 4 },
+        byTopic: { science: 2400000, sports: 1200000 },
+        byDomain: { 'reddit.com': 3000000, 'x.com': 600000 }
+      },
+      recommendations: [SPACE]
+    });
+  });
+});
+
+describe('appendHistoryEntry', () => {
+  it('keeps ids unique and drops the oldest entries past the limit', () => {
+    let history = appendHistoryEntry(undefined, entry('2026-10-17', [SPACE], 'openai', 5));
+    history = appendHistoryEntry(history, entry('2026-10-17', [BASKETBALL], 'openai', 5));
+    assert.deepEqual(history.map(item => item.id), ['2026-10-17_5', '2026-10-17_5_1']);
+
+    const full = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, index) => ({ id: String(index) }));
+    const capped = appendHistoryEntry(full, entry('2026-10-18', [SPACE]));
+    assert.equal(capped.length, MAX_HISTORY_ENTRIES);
+    assert.equal(capped[0].id, '1');
+    assert.equal(capped[capped.length - 1].date, '2026-10-18');
+  });
+});
+
+describe('searchHistory', () => {
+  const history = [
+    entry('2026-10-15', [SPACE], 'smollm'),
+    entry('2026-10-16', [BASKETBALL]),
+    entry('2026-10-17', [SPACE, GARDENING])
+  ];
+
+  it('lists everything newest first without a query', () => {
+    assert.deepEqual(searchHistory(history).map(item => item.date), ['2026-10-17', '2026-10-16', '2026-10-15']);
+    assert.deepEqual(searchHistory(null, 'space'), []);
+  });
+
+  it('matches every word against dates, providers and recommendation text', () => {
+    assert.deepEqual(searchHistory(history, 'SPACE').map(item => item.date), ['2026-10-17', '2026-10-15']);
+    assert.deepEqual(searchHistory(history, 'space openai').map(item => item.date), ['2026-10-17']);
+    assert.deepEqual(searchHistory(history, '2026-10-16').map(item => item.date), ['2026-10-16']);
+    assert.deepEqual(searchHistory(history, 'balcony smollm'), []);
+  });
+});
+
+describe('compareHistoryEntries', () => {
+  it('splits the recommended topics into shared and one-sided', () => {
+    const result = compareHistoryEntries(entry('2026-10-16', [SPACE, BASKETBALL]), entry('2026-10-17', [{ ...SPACE, topic: 'science' }, GARDENING]));
+    assert.deepEqual(result, { shared: ['Science'], onlyFirst: ['Sports'], onlySecond: ['Hobbies'] });
+  });
+
+  it('names providers by their label', () => {
+    assert.equal(getProviderLabel('openai'), 'OpenAI');
+    assert.equal(getProviderLabel('mystery'), 'mystery');
+  });
+});
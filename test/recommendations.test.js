@@ -0,0 +1,206 @@
+// test/recommendations.test.js
+// The recommendation record (validation, old text form, feedback) and the chat model recommender's JSON replies (fetch is faked)
+// Run with: npm test
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChrome } from './helpers/chrome_shim.js';
+import '../recommendations.js';
+import { generateGPTRecommendations } from '../gpt_recommender.js';
+import { getLLMConfig } from '../llm_providers.js';
+
+const Recommendations = globalThis.HorizonRecommendations;
+
+const SPACE = {
+  topic: 'Science',
+  subtopic: 'Space exploration',
+  rationale: 'Science was a third of your posts.',
+  action: 'Listen to a podcast about recent missions.',
+  confidence: 0.82
+};
+const BASKETBALL = {
+  topic: 'Sports',
+  subtopic: 'Basketball analytics',
+  rationale: 'You spent 20 minutes on sports.',
+  action: 'Follow a data-driven sports analysis blog.',
+  confidence: 0.6
+};
+
+const CONSUMPTION = { byTopicCounts: { science: 12, sports: 4 }, byTopic: { science: 600000, sports: 1200000 } };
+const OPENAI = getLLMConfig({ recommendationLLM: 'openai' });
+
+describe('validate', () => {
+  it('accepts replies matching the schema and trims their text', () => {
+    const result = Recommendations.validate({ recommendations: [{ ...SPACE, topic: '  Science ' }, BASKETBALL] });
+    assert.deepEqual(result, { valid: true, errors: [], recommendations: [SPACE, BASKETBALL] });
+  });
+
+  it('leaves out entries with missing fields or an out-of-range confidence', () => {
+    const result = Recommendations.validate({
+      recommendations: [SPACE, { ...BASKETBALL, confidence: 1.5 }, { topic: 'Health', action: 'Try a meditation app.', confidence: 0.4 }, 'Read more']
+    });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.recommendations, [SPACE]);
+    assert.deepEqual(result.errors, [
+      'recommendations[1].confidence must be a number from 0 to 1.',
+      'recommendations[2].subtopic must be a string.',
+      'recommendations[2].rationale must be a string.',
+      'recommendations[3] is not an object.'
+    ]);
+  });
+
+  it('needs a recommendations array', () => {
+    assert.equal(Recommendations.validate([SPACE]).valid, false);
+    assert.equal(Recommendations.validate(null).recommendations.length, 0);
+  });
+
+  it('keeps at most five', () => {
+    const result = Recommendations.validate({ recommendations: Array(7).fill(SPACE) });
+    assert.equal(result.recommendations.length, 5);
+  });
+});
+
+describe('text form', () => {
+  it('writes one line per recommendation', () => {
+    assert.equal(Recommendations.toText(SPACE), 'Science – Space exploration. Listen to a podcast about recent missions.');
+    assert.equal(Recommendations.toText({ ...SPACE, subtopic: '' }), 'Science. Listen to a podcast about recent missions.');
+  });
+
+  it('reads recommendations stored as text by older versions', () => {
+    const stored = 'Recommendation 1: Science – Space exploration. Listen to podcasts about recent missions.\n' +
+      '• You may enjoy exploring sports, because you rarely see it.';
+    assert.deepEqual(Recommendations.normalize(stored), [
+      { topic: 'Science', subtopic: 'Space exploration', rationale: '', action: 'Listen to podcasts about recent missions.', confidence: null },
+      { topic: '', subtopic: '', rationale: '', action: 'You may enjoy exploring sports, because you rarely see it.', confidence: null }
+    ]);
+    assert.deepEqual(Recommendations.normalize([SPACE]), [SPACE]);
+    assert.deepEqual(Recommendations.normalize(undefined), []);
+  });
+});
+
+describe('feedback', () => {
+  let savedChrome = null;
+
+  beforeEach(() => {
+    savedChrome = globalThis.chrome;
+    globalThis.chrome = createChrome().chrome;
+  });
+
+  afterEach(() => {
+    globalThis.chrome = savedChrome;
+  });
+
+  it('records, changes and takes back votes per recommendation and day', async () => {
+    await Recommendations.setVote(SPACE, '2026-10-17', 'helpful');
+    await Recommendations.setVote(SPACE, '2026-10-18', 'helpful');
+    await Recommendations.setVote(BASKETBALL, '2026-10-17', 'helpful');
+    await Recommendations.setVote(BASKETBALL, '2026-10-17', 'not_helpful');
+
+    let feedback = await Recommendations.getFeedback();
+    assert.equal(feedback.votes.length, 3);
+    assert.equal(Recommendations.getVote(feedback, BASKETBALL, '2026-10-17'), 'not_helpful');
+    assert.equal(Recommendations.getVote(feedback, BASKETBALL, '2026-10-18'), null);
+
+    feedback = await Recommendations.setVote(SPACE, '2026-10-18', null);
+    assert.equal(Recommendations.getVote(feedback, SPACE, '2026-10-18'), null);
+    await assert.rejects(Recommendations.setVote(SPACE, '2026-10-18', 'love it'), /Unknown vote/);
+  });
+
+  it('scores topics by their votes', () => {
+    const votes = [
+      { key: 'a', topic: 'Science', subtopic: 'Space exploration', vote: 'helpful' },
+      { key: 'b', topic: 'science', subtopic: 'Biology', vote: 'helpful' },
+      { key: 'c', topic: 'Sports', subtopic: 'Basketball analytics', vote: 'not_helpful' }
+    ];
+    assert.equal(Recommendations.topicFeedbackScore({ votes }, 'SCIENCE'), 0.5);
+    assert.equal(Recommendations.topicFeedbackScore({ votes }, 'sports'), -1 / 3);
+    assert.equal(Recommendations.topicFeedbackScore({ votes }, 'health'), 0);
+  });
+
+  it('ranks recommendations by their topic votes, keeping the model order otherwise', () => {
+    const votes = [
+      { key: 'a', topic: 'Science', subtopic: 'Space exploration', vote: 'helpful' },
+      { key: 'b', topic: 'Sports', subtopic: 'Basketball analytics', vote: 'not_helpful' }
+    ];
+    const sports = { topic: 'Sports' };
+    const health = { topic: 'Health' };
+    const science = { topic: 'science' };
+    const music = { topic: 'Music' };
+    assert.deepEqual(Recommendations.rankByFeedback([sports, health, science, music], { votes }), [science, health, music, sports]);
+    assert.deepEqual(Recommendations.rankByFeedback([sports, health], { votes: [] }), [sports, health]);
+  });
+
+  it('summarizes votes and blocked topics for the prompts, newest first', () => {
+    const votes = [
+      { key: 'a', topic: 'Science', subtopic: 'Space exploration', vote: 'helpful' },
+      { key: 'b', topic: 'Sports', subtopic: 'Basketball analytics', vote: 'not_helpful' },
+      { key: 'c', topic: 'Health', subtopic: '', vote: 'helpful' }
+    ];
+    const settings = { blockedRecommendationTopics: ['Politics ', 'law'] };
+    assert.deepEqual(Recommendations.summarizeFeedback({ votes }, settings), {
+      liked: ['Health', 'Science – Space exploration'],
+      disliked: ['Sports – Basketball analytics'],
+      likedTopics: ['health', 'science'],
+      blockedTopics: ['politics', 'law']
+    });
+    assert.equal(Recommendations.isTopicBlocked(settings, 'Politics'), true);
+    assert.equal(Recommendations.isTopicBlocked({}, 'Politics'), false);
+  });
+});
+
+describe('generateGPTRecommendations', () => {
+  let savedFetch = null;
+  let savedLog = null;
+  let requests = [];
+
+  // Reply to the chat completion request with this message content
+  function reply(content) {
+    globalThis.fetch = async (url, options) => {
+      requests.push({ url, body: JSON.parse(options.body) });
+      return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 });
+    };
+  }
+
+  beforeEach(() => {
+    savedFetch = globalThis.fetch;
+    savedLog = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    requests = [];
+  });
+
+  afterEach(() => {
+    globalThis.fetch = savedFetch;
+    Object.assign(console, savedLog);
+  });
+
+  it('requests JSON matching the schema and returns the objects', async () => {
+    reply(JSON.stringify({ recommendations: [SPACE, BASKETBALL] }));
+    assert.deepEqual(await generateGPTRecommendations(CONSUMPTION, OPENAI, 'sk-test'), [SPACE, BASKETBALL]);
+    const format = requests[0].body.response_format;
+    assert.equal(format.type, 'json_schema');
+    assert.equal(format.json_schema.strict, true);
+    assert.deepEqual(format.json_schema.schema, Recommendations.SCHEMA);
+  });
+
+  it('reads JSON in a code fence and drops duplicates and invalid entries', async () => {
+    reply('```json\n' + JSON.stringify({ recommendations: [SPACE, { ...SPACE }, { ...BASKETBALL, action: '' }] }) + '\n```');
+    assert.deepEqual(await generateGPTRecommendations(CONSUMPTION, OPENAI, 'sk-test'), [SPACE]);
+  });
+
+  it('tells the model about earlier feedback', async () => {
+    reply(JSON.stringify({ recommendations: [SPACE] }));
+    const feedback = { liked: ['Science – Space exploration'], disliked: ['Sports – Basketball analytics'], likedTopics: ['science'], blockedTopics: ['politics'] };
+    await generateGPTRecommendations({ ...CONSUMPTION, feedback }, OPENAI, 'sk-test');
+    const prompt = requests[0].body.messages[1].content;
+    assert.match(prompt, /Found helpful: Science – Space exploration/);
+    assert.match(prompt, /Not helpful: Sports – Basketball analytics/);
+    assert.match(prompt, /Never suggest these topics: politics/);
+  });
+
+  it('fails on replies that are not JSON or match nothing', async () => {
+    reply('1. Science – Space exploration. Listen to a podcast.');
+    await assert.rejects(generateGPTRecommendations(CONSUMPTION, OPENAI, 'sk-test'), /did not reply with JSON/);
+    reply(JSON.stringify({ recommendations: [{ topic: 'Science' }] }));
+    await assert.rejects(generateGPTRecommendations(CONSUMPTION, OPENAI, 'sk-test'), /did not match the expected format/);
+  });
+});
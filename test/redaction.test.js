@@ -0,0 +1,98 @@
+// test/redaction.test.js
+// Title redaction modes and the rewrite of already stored history
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRedactionMode, redactPii, redactTitle, redactStoredData } from '../redaction.js';
+
+describe('redactPii', () => {
+  it('replaces emails, phone numbers, handles and links', () => {
+    assert.equal(redactPii('Email jane.doe+news@example.co.uk or call +1 (555) 123-4567'), 'Email [email] or call [phone]');
+    assert.equal(redactPii('Thanks @janedoe and @alice@mastodon.social!'), 'Thanks [handle] and [handle]!');
+    assert.equal(redactPii('Posted by u/ferris_fan in r/rust: https://example.com/a?b=1'), 'Posted by [handle] in r/rust: [link]');
+    assert.equal(redactPii('Mirror at www.example.org/files'), 'Mirror at [link]');
+  });
+
+  it('leaves dates, versions and ordinary numbers alone', () => {
+    for (const title of ['Tokio 1.40 released on 2024-05-12', 'Population hit 8 billion in 2022, up 1.2%', 'Version 10.2.3']) {
+      assert.equal(redactPii(title), title);
+    }
+  });
+});
+
+describe('redactTitle', () => {
+  it('applies the mode', () => {
+    const title = 'Ask @janedoe about the trail map';
+    assert.equal(redactTitle(title, 'full'), title);
+    assert.equal(redactTitle(title, 'pii'), 'Ask [handle] about the trail map');
+    assert.equal(redactTitle(title, 'hash'), null);
+    assert.equal(redactTitle('', 'full'), null);
+  });
+
+  it('defaults to full titles', () => {
+    assert.equal(getRedactionMode({}), 'full');
+    assert.equal(getRedactionMode({ titleRedaction: 'hash' }), 'hash');
+    assert.equal(getRedactionMode({ titleRedaction: 'everything' }), 'full');
+  });
+});
+
+describe('redactStoredData', () => {
+  const stored = {
+    settings: { titleRedaction: 'pii' },
+    'day_2026-10-17': {
+      day: '2026-10-17',
+      totalMs: 60000,
+      seenPosts: {
+        abc: { topic: 'technology', title: 'Mail me at a@b.io', firstSeen: 1 },
+        def: { topic: 'science', title: 'Comet visible tonight', firstSeen: 2 }
+      },
+      byCommunity: { 'r/space': 60000 },
+      byCommunityCounts: { 'r/space': 1 },
+      byAuthor: { janedoe: 60000 },
+      byAuthorCounts: { janedoe: 1 },
+      byHashtag: { '#comet': 60000 },
+      byHashtagCounts: { '#comet': 1 }
+    },
+    'timeline_2026-10-17': [
+      { domain: 'x.com', title: 'Mail me at a@b.io', dwellMs: 1000 },
+      { domain: 'x.com', title: null, dwellMs: 1000 }
+    ],
+    'week_2026-W42': { totalMs: 60000 },
+    'month_2026-09': { totalMs: 60000, byAuthor: { janedoe: 60000 }, byHashtag: { '#comet': 60000 } }
+  };
+
+  it('rewrites only the titles that change', () => {
+    const { updates, summary } = redactStoredData(stored, 'pii');
+    assert.deepEqual(Object.keys(updates).sort(), ['day_2026-10-17', 'month_2026-09', 'timeline_2026-10-17']);
+    assert.equal(updates['day_2026-10-17'].seenPosts.abc.title, 'Mail me at [email]');
+    assert.equal(updates['day_2026-10-17'].seenPosts.def, stored['day_2026-10-17'].seenPosts.def);
+    assert.equal(updates['day_2026-10-17'].totalMs, 60000);
+    assert.equal(updates['timeline_2026-10-17'][0].title, 'Mail me at [email]');
+    // Handles go from the account breakdowns, in the day records and the rollups
+    assert.equal(updates['day_2026-10-17'].byAuthor, undefined);
+    assert.equal(updates['day_2026-10-17'].byAuthorCounts, undefined);
+    assert.deepEqual(updates['day_2026-10-17'].byHashtag, { '#comet': 60000 });
+    assert.deepEqual(updates['month_2026-09'], { totalMs: 60000, byHashtag: { '#comet': 60000 } });
+    assert.deepEqual(summary, { records: 3, posts: 1, events: 1, breakdowns: 3 });
+    // The input is left untouched
+    assert.equal(stored['day_2026-10-17'].seenPosts.abc.title, 'Mail me at a@b.io');
+  });
+
+  it('drops every title in hash mode and keeps hash and topic', () => {
+    const { updates, summary } = redactStoredData(stored, 'hash');
+    assert.deepEqual(updates['day_2026-10-17'].seenPosts.def, { topic: 'science', title: null, firstSeen: 2 });
+    // Hashtags come from titles, so they go as well; communities stay
+    const day = updates['day_2026-10-17'];
+    for (const mapKey of ['byAuthor', 'byAuthorCounts', 'byHashtag', 'byHashtagCounts']) {
+      assert.equal(day[mapKey], undefined, mapKey);
+    }
+    assert.deepEqual(day.byCommunity, { 'r/space': 60000 });
+    assert.deepEqual(updates['month_2026-09'], { totalMs: 60000 });
+    assert.deepEqual(summary, { records: 3, posts: 2, events: 1, breakdowns: 6 });
+  });
+
+  it('has nothing to do in full mode', () => {
+    assert.deepEqual(redactStoredData(stored, 'full').updates, {});
+  });
+});
@@ -0,0 +1,91 @@
+// test/tracking_rules.test.js
+// Pause, site list and title blocklist decisions from tracking_rules.js
+// Run with: npm test
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// Classic script: run it in its own context and pick up the global it defines
+function loadRules() {
+  const context = vm.createContext({});
+  vm.runInContext(readFileSync(new URL('../tracking_rules.js', import.meta.url), 'utf8'), context);
+  return context.HorizonTrackingRules;
+}
+
+const rules = loadRules();
+const NOON = new Date(2026, 9, 18, 12, 0, 0).getTime();
+const ON = { enableTracking: true };
+
+describe('pause', () => {
+  it('ends 15 minutes, 1 hour or at the next local midnight from now', () => {
+    assert.equal(rules.getPauseEnd('15m', NOON), NOON + 15 * 60 * 1000);
+    assert.equal(rules.getPauseEnd('1h', NOON), NOON + 60 * 60 * 1000);
+    assert.equal(rules.getPauseEnd('tomorrow', NOON), new Date(2026, 9, 19, 0, 0, 0).getTime());
+    assert.throws(() => rules.getPauseEnd('forever', NOON), /Unknown pause option/);
+  });
+
+  it('runs out on its own', () => {
+    const settings = { ...ON, pausedUntil: NOON + 1000 };
+    assert.equal(rules.isPaused(settings, NOON), true);
+    assert.equal(rules.getBlockReason(settings, { hostname: 'www.reddit.com' }, NOON), 'paused');
+    assert.equal(rules.isPaused(settings, NOON + 1000), false);
+    assert.equal(rules.getBlockReason(settings, { hostname: 'www.reddit.com' }, NOON + 1000), '');
+    assert.equal(rules.isPaused({ pausedUntil: 'soon' }, NOON), false);
+  });
+});
+
+describe('site lists', () => {
+  it('normalizes hosts the way users paste them', () => {
+    assert.equal(rules.normalizeSite('https://www.Reddit.com/r/rust/'), 'reddit.com');
+    assert.equal(rules.normalizeSite('x.com:443'), 'x.com');
+    assert.equal(rules.normalizeSite('not a site'), '');
+  });
+
+  it('tracks everything when the allowlist is empty, except blocked sites and their subdomains', () => {
+    const settings = { ...ON, siteBlocklist: ['instagram.com'] };
+    assert.equal(rules.isSiteAllowed(settings, 'www.reddit.com'), true);
+    assert.equal(rules.isSiteAllowed(settings, 'www.instagram.com'), false);
+    assert.equal(rules.getBlockReason(settings, { hostname: 'www.instagram.com' }), 'site');
+  });
+
+  it('only tracks allowlisted sites, and the blocklist still wins', () => {
+    const settings = { ...ON, siteAllowlist: ['reddit.com', 'x.com'], siteBlocklist: ['old.reddit.com'] };
+    assert.equal(rules.isSiteAllowed(settings, 'www.reddit.com'), true);
+    assert.equal(rules.isSiteAllowed(settings, 'x.com'), true);
+    assert.equal(rules.isSiteAllowed(settings, 'notx.com'), false);
+    assert.equal(rules.isSiteAllowed(settings, 'www.youtube.com'), false);
+    assert.equal(rules.isSiteAllowed(settings, 'old.reddit.com'), false);
+  });
+});
+
+describe('title blocklist', () => {
+  it('normalizes subreddits, users and accounts', () => {
+    assert.equal(rules.normalizeSource('/r/Politics/'), 'r/politics');
+    assert.equal(rules.normalizeSource('https://www.reddit.com/user/Someone'), 'u/someone');
+    assert.equal(rules.normalizeSource('NewsDesk'), '@newsdesk');
+    assert.equal(rules.normalizeSource('#Elections'), '#elections');
+    assert.equal(rules.normalizeSource('  '), '');
+  });
+
+  it('matches the community or author of a post, ignoring case', () => {
+    const settings = { titleBlocklist: ['r/politics', '@newsdesk', 'alice@mastodon.social'] };
+    assert.equal(rules.isTitleBlocked(settings, { community: 'r/politics', author: 'u/someone' }), true);
+    assert.equal(rules.isTitleBlocked(settings, { community: null, author: '@NewsDesk' }), true);
+    assert.equal(rules.isTitleBlocked(settings, { author: '@alice@mastodon.social' }), true);
+    assert.equal(rules.isTitleBlocked(settings, { community: 'r/rust', author: 'u/ferris_fan' }), false);
+    assert.equal(rules.isTitleBlocked({}, { community: 'r/politics' }), false);
+  });
+});
+
+describe('block reason', () => {
+  it('checks tracking, pause, incognito and site in that order', () => {
+    const page = { hostname: 'www.reddit.com', incognito: true };
+    assert.equal(rules.getBlockReason({ enableTracking: false }, page), 'disabled');
+    assert.equal(rules.getBlockReason(null, page), 'disabled');
+    assert.equal(rules.getBlockReason(ON, page), 'incognito');
+    assert.equal(rules.getBlockReason({ ...ON, trackIncognito: true }, page), '');
+    assert.equal(rules.getBlockReason({ ...ON, trackIncognito: true, siteBlocklist: ['reddit.com'] }, page), 'site');
+  });
+});
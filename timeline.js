@@ -0,0 +1,65 @@
+// timeline.js
+// Per-day event log stored next to the daily aggregates as timeline_YYYY-MM-DD
+// Each event is { domain, pathClass, title, topic, confidence, start, dwellMs }
+// Consecutive deltas for the same post are folded into one event so the log stays small
+
+// Deltas that arrive within this gap of the previous event (same post) extend it
+export const TIMELINE_MERGE_GAP_MS = 60 * 1000;
+
+// Upper bound on events kept per day (oldest are dropped first)
+export const MAX_TIMELINE_EVENTS = 2000;
+
+/**
+ * Storage key for a day's timeline
+ */
+export function getTimelineKey(dateStr) {
+  return `timeline_${dateStr}`;
+}
+
+/**
+ * Build a timeline event from an engagement message
+ * capturedAt is when the delta was sent, so the event started deltaMs earlier
+ */
+export function createTimelineEvent(data) {
+  const end = data.capturedAt || Date.now();
+  return {
+    domain: data.domain || 'unknown',
+    pathClass: data.pathClass || 'other',
+    title: data.title || null,
+    topic: data.topic && data.topic !== 'unknown' ? data.topic : null,
+    confidence: typeof data.lrConfidence === 'number' ? data.lrConfidence : null,
+    start: end - (data.deltaMs || 0),
+    dwellMs: data.deltaMs || 0
+  };
+}
+
+function isSamePost(previous, event) {
+  return previous.domain === event.domain &&
+    previous.pathClass === event.pathClass &&
+    previous.title === event.title;
+}
+
+/**
+ * Append an event to a timeline (returns a new array)
+ * Extends the last event instead when it is the same post and the gap is small
+ */
+export function appendTimelineEvent(events, event) {
+  const timeline = Array.isArray(events) ? [...events] : [];
+  const previous = timeline[timeline.length - 1];
+
+  if (previous && isSamePost(previous, event)) {
+    const previousEnd = previous.start + previous.dwellMs;
+    if (event.start - previousEnd <= TIMELINE_MERGE_GAP_MS) {
+      timeline[timeline.length - 1] = {
+        ...previous,
+        topic: previous.topic || event.topic,
+        confidence: previous.confidence ?? event.confidence,
+        dwellMs: previous.dwellMs + event.dwellMs
+      };
+      return timeline;
+    }
+  }
+
+  timeline.push(event);
+  return timeline.length > MAX_TIMELINE_EVENTS ? timeline.slice(-MAX_TIMELINE_EVENTS) : timeline;
+}
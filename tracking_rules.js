@@ -0,0 +1,154 @@
+// tracking_rules.js
+// Pause, per-site allow/block lists and the title blocklist, read from settings
+// Loaded as a classic script in the content scripts, popup and options page; exposes globalThis.HorizonTrackingRules
+//
+// Settings used:
+//   pausedUntil     - timestamp (ms); nothing is recorded before it
+//   siteAllowlist   - hosts; when non-empty only these sites (and their subdomains) are tracked
+//   siteBlocklist   - hosts never tracked, even when allowlisted
+//   titleBlocklist  - communities and accounts ("r/politics", "@someone") whose titles are never recorded
+//                     (time on their posts still counts, without a title or topic)
+//   trackIncognito  - track in incognito windows (off by default; Chrome must also allow the extension there)
+
+(function () {
+  if (globalThis.HorizonTrackingRules) {
+    return;
+  }
+
+  // Pause choices offered in the popup
+  const PAUSE_OPTIONS = {
+    '15m': { label: '15 minutes', minutes: 15 },
+    '1h': { label: '1 hour', minutes: 60 },
+    tomorrow: { label: 'Until tomorrow' }
+  };
+
+  /**
+   * End of a pause starting now
+   * @param {string} choice - Key of PAUSE_OPTIONS
+   * @returns {number} Timestamp (ms); "tomorrow" ends at the next local midnight
+   */
+  function getPauseEnd(choice, now = Date.now()) {
+    const option = PAUSE_OPTIONS[choice];
+    if (!option) {
+      throw new Error(`Unknown pause option: ${choice}`);
+    }
+    if (option.minutes) {
+      return now + option.minutes * 60 * 1000;
+    }
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  function getPausedUntil(settings, now = Date.now()) {
+    const until = Number(settings?.pausedUntil);
+    return Number.isFinite(until) && until > now ? until : 0;
+  }
+
+  function isPaused(settings, now = Date.now()) {
+    return getPausedUntil(settings, now) > 0;
+  }
+
+  /**
+   * Normalize user input ("https://www.Reddit.com/r/x") to a bare host ("reddit.com")
+   * Returns '' for anything that isn't a plausible hostname
+   */
+  function normalizeSite(value) {
+    let host = String(value || '').trim().toLowerCase();
+    host = host.replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/:\d+$/, '').replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : '';
+  }
+
+  /**
+   * Normalize a title blocklist entry: "/r/Politics" -> "r/politics", "@Someone" -> "@someone"
+   * Bare names are treated as accounts; returns '' for empty input
+   */
+  function normalizeSource(value) {
+    let name = String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+    name = name.replace(/^https?:\/\/[^/]+\//, '').replace(/^\/+/, '').replace(/\/+$/, '');
+    if (!name) return '';
+    if (/^(r|u|user)\//.test(name)) {
+      return name.replace(/^user\//, 'u/');
+    }
+    if (name.startsWith('#')) {
+      return name;
+    }
+    return name.startsWith('@') ? name : '@' + name;
+  }
+
+  function getList(settings, key, normalize) {
+    const list = Array.isArray(settings?.[key]) ? settings[key] : [];
+    return [...new Set(list.map(normalize).filter(Boolean))];
+  }
+
+  function getSiteAllowlist(settings) {
+    return getList(settings, 'siteAllowlist', normalizeSite);
+  }
+
+  function getSiteBlocklist(settings) {
+    return getList(settings, 'siteBlocklist', normalizeSite);
+  }
+
+  function getTitleBlocklist(settings) {
+    return getList(settings, 'titleBlocklist', normalizeSource);
+  }
+
+  // A listed site covers its subdomains (reddit.com matches old.reddit.com)
+  function matchesSite(hostname, sites) {
+    const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+    return sites.some(site => host === site || host.endsWith('.' + site));
+  }
+
+  /**
+   * Whether a site may be tracked under the allow/block lists
+   */
+  function isSiteAllowed(settings, hostname) {
+    if (matchesSite(hostname, getSiteBlocklist(settings))) {
+      return false;
+    }
+    const allowlist = getSiteAllowlist(settings);
+    return allowlist.length === 0 || matchesSite(hostname, allowlist);
+  }
+
+  /**
+   * Whether titles from this post's community or author must not be recorded
+   * @param {Object} post - { author, community } as extracted by the platform adapter
+   */
+  function isTitleBlocked(settings, post) {
+    const blocklist = getTitleBlocklist(settings);
+    if (blocklist.length === 0 || !post) {
+      return false;
+    }
+    const names = [post.author, post.community]
+      .filter(name => typeof name === 'string' && name)
+      .map(name => name.trim().toLowerCase());
+    return names.some(name => blocklist.includes(name));
+  }
+
+  /**
+   * Why nothing is recorded on a page right now, or '' when tracking applies
+   * @returns {string} 'disabled', 'paused', 'incognito', 'site' or ''
+   */
+  function getBlockReason(settings, { hostname, incognito = false }, now = Date.now()) {
+    if (!settings || settings.enableTracking !== true) return 'disabled';
+    if (isPaused(settings, now)) return 'paused';
+    if (incognito && settings.trackIncognito !== true) return 'incognito';
+    if (!isSiteAllowed(settings, hostname)) return 'site';
+    return '';
+  }
+
+  globalThis.HorizonTrackingRules = {
+    PAUSE_OPTIONS,
+    getPauseEnd,
+    getPausedUntil,
+    isPaused,
+    normalizeSite,
+    normalizeSource,
+    getSiteAllowlist,
+    getSiteBlocklist,
+    getTitleBlocklist,
+    isSiteAllowed,
+    isTitleBlocked,
+    getBlockReason
+  };
+})();